@@ -15,6 +15,9 @@ import { config } from './config/env.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFoundHandler } from './middlewares/error.middleware.js';
 import processRoutes from './routes/process.route.js';
+import sessionRoutes from './routes/session.route.js';
+import summarizeRoutes from './routes/summarize.route.js';
+import qnaRoutes from './routes/qna.route.js';
 
 // ============================================================================
 // Express App Initialization
@@ -112,13 +115,19 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
-      process: 'POST /api/process'
+      process: 'POST /api/process',
+      sessionReset: 'POST /api/session/reset',
+      summarize: 'POST /api/summarize',
+      qna: 'POST /api/qna'
     }
   });
 });
 
 // API routes
 app.use('/api', processRoutes);
+app.use('/api', sessionRoutes);
+app.use('/api', summarizeRoutes);
+app.use('/api', qnaRoutes);
 
 // ============================================================================
 // Error Handling
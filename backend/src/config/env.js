@@ -28,15 +28,45 @@ export const config = {
 
   // LLM API Configuration
   llm: {
-    provider: process.env.LLM_PROVIDER || 'grok', // grok, openai, anthropic
+    provider: process.env.LLM_PROVIDER || 'grok', // grok, openai, chat, anthropic, local
     apiKey: process.env.LLM_API_KEY || '',
-    apiUrl: process.env.LLM_API_URL || 'https://api.x.ai/v1/chat/completions',
-    model: process.env.LLM_MODEL || 'grok-beta',
+    apiUrl: process.env.LLM_API_URL || '', // Base URL - defaults per provider, a full endpoint is trimmed to it
+    model: process.env.LLM_MODEL || '', // Defaults per provider
+    anthropicVersion: process.env.LLM_ANTHROPIC_VERSION || '2023-06-01',
     temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
     maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '500', 10),
     timeout: parseInt(process.env.LLM_TIMEOUT || '30000', 10), // 30 seconds
   },
 
+  // Conversation Sessions
+  session: {
+    ttl: parseInt(process.env.SESSION_TTL || '1800000', 10), // 30 minutes
+    maxTurns: parseInt(process.env.SESSION_MAX_TURNS || '10', 10),
+    sweepInterval: parseInt(process.env.SESSION_SWEEP_INTERVAL || '60000', 10), // 1 minute
+  },
+
+  // Page Summarization
+  summarize: {
+    maxTextLength: parseInt(process.env.SUMMARIZE_MAX_TEXT_LENGTH || '100000', 10),
+    chunkSize: parseInt(process.env.SUMMARIZE_CHUNK_SIZE || '6000', 10),
+    maxChunks: parseInt(process.env.SUMMARIZE_MAX_CHUNKS || '12', 10),
+    concurrency: parseInt(process.env.SUMMARIZE_CONCURRENCY || '3', 10),
+    maxBullets: parseInt(process.env.SUMMARIZE_MAX_BULLETS || '5', 10),
+  },
+
+  // Page Question Answering
+  qna: {
+    passageSize: parseInt(process.env.QNA_PASSAGE_SIZE || '800', 10),
+    topK: parseInt(process.env.QNA_TOP_K || '4', 10),
+    minRelativeScore: parseFloat(process.env.QNA_MIN_RELATIVE_SCORE || '0.3'), // share of the best passage's score a passage needs
+  },
+
+  // Speech Recognition Alternatives
+  speech: {
+    maxAlternatives: parseInt(process.env.SPEECH_MAX_ALTERNATIVES || '5', 10),
+    confirmBelow: parseFloat(process.env.SPEECH_CONFIRM_BELOW || '0.6'), // ask "Did you mean…?" under this recognizer confidence
+  },
+
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info', // error, warn, info, debug
 
@@ -51,7 +81,7 @@ export const validateConfig = () => {
   const required = [];
 
   if (config.env === 'production') {
-    if (!config.llm.apiKey) {
+    if (!config.llm.apiKey && config.llm.provider !== 'local') {
       required.push('LLM_API_KEY');
     }
   }
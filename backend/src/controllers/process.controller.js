@@ -6,6 +6,11 @@
  */
 
 import { processIntent } from '../services/intent.service.js';
+import {
+  getOrCreateSession,
+  recordTurn,
+  buildSessionContext
+} from '../services/session.service.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
@@ -16,20 +21,30 @@ import logger from '../utils/logger.js';
 
 /**
  * Process user voice command
- * Receives text, processes through LLM, returns structured response
+ * Receives text, optional sessionId, page snapshot and speech alternatives,
+ * processes through LLM with the session's conversation context, returns
+ * structured response
  * 
  * @async
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  */
 export const processVoiceCommand = asyncHandler(async (req, res) => {
-  const { text } = req.body;
+  const { text, sessionId, page, alternatives } = req.body;
   const startTime = Date.now();
 
   logger.info(`Processing command: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
 
+  // Load conversation context
+  const session = await getOrCreateSession(sessionId);
+
   // Process through intent service
-  const result = await processIntent(text);
+  const result = await processIntent(text, {
+    context: buildSessionContext(session),
+    page,
+    alternatives
+  });
+  await recordTurn(session, result.transcript, result);
   console.log("result " ,result)
 
   const processingTime = Date.now() - startTime;
@@ -45,6 +60,11 @@ export const processVoiceCommand = asyncHandler(async (req, res) => {
         entities: result.entities,
         message: result.message,
         confidence: result.confidence,
+        plan: result.plan,
+        transcript: result.transcript,
+        speechConfidence: result.speechConfidence,
+        confirmation: result.confirmation,
+        sessionId: session.id,
         metadata: {
           processingTime: `${processingTime}ms`,
           timestamp: new Date().toISOString(),
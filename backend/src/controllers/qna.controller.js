@@ -0,0 +1,55 @@
+/**
+ * QnA Controller
+ * Handles HTTP requests for question answering over the current page
+ * 
+ * @module controllers/qna
+ */
+
+import { answerQuestion } from '../services/qna.service.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+
+// ============================================================================
+// Answer Page Question
+// ============================================================================
+
+/**
+ * Answer a question grounded in the page content
+ * Receives the question and extracted page text, returns an answer with
+ * citations to the passages it came from
+ * 
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const answerPageQuestion = asyncHandler(async (req, res) => {
+  const { question, text, title, url } = req.body;
+  const startTime = Date.now();
+
+  logger.info(`Answering question: "${question.substring(0, 50)}${question.length > 50 ? '...' : ''}"`);
+
+  const result = await answerQuestion({ question, text, title, url });
+
+  const processingTime = Date.now() - startTime;
+
+  logger.info(`Question answered - grounded: ${result.grounded} (${processingTime}ms)`);
+
+  res.status(200).json(
+    new ApiResponse(
+      true,
+      {
+        answer: result.answer,
+        grounded: result.grounded,
+        citations: result.citations,
+        metadata: {
+          passages: result.passages,
+          processingTime: `${processingTime}ms`,
+          timestamp: new Date().toISOString(),
+          model: result.model
+        }
+      },
+      'Question answered successfully'
+    )
+  );
+});
\ No newline at end of file
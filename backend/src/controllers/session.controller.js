@@ -0,0 +1,39 @@
+/**
+ * Session Controller
+ * Handles HTTP requests for conversation session management
+ * 
+ * @module controllers/session
+ */
+
+import { resetSession } from '../services/session.service.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+
+// ============================================================================
+// Reset Session
+// ============================================================================
+
+/**
+ * Reset a conversation session
+ * Clears recent turns, resolved entities and the last executed intent
+ * 
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const resetConversationSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.body;
+
+  const existed = await resetSession(sessionId);
+
+  logger.info(`Session reset: ${sessionId}`);
+
+  res.status(200).json(
+    new ApiResponse(
+      true,
+      { sessionId, existed },
+      'Session reset successfully'
+    )
+  );
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Summarize Controller
+ * Handles HTTP requests for page summarization
+ * 
+ * @module controllers/summarize
+ */
+
+import { summarizePage } from '../services/summarize.service.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+
+// ============================================================================
+// Summarize Page
+// ============================================================================
+
+/**
+ * Summarize extracted page text
+ * Receives main-content text from content.js, returns a short spoken
+ * summary plus bullet points
+ * 
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const summarizePageContent = asyncHandler(async (req, res) => {
+  const { text, title, url } = req.body;
+  const startTime = Date.now();
+
+  logger.info(`Summarizing page: ${url || title || 'unknown'} (${text.length} chars)`);
+
+  const result = await summarizePage({ text, title, url });
+
+  const processingTime = Date.now() - startTime;
+
+  logger.info(`Page summarized - ${result.chunks} chunk(s) (${processingTime}ms)`);
+
+  res.status(200).json(
+    new ApiResponse(
+      true,
+      {
+        spokenSummary: result.spokenSummary,
+        bullets: result.bullets,
+        metadata: {
+          chunks: result.chunks,
+          processingTime: `${processingTime}ms`,
+          timestamp: new Date().toISOString(),
+          model: result.model
+        }
+      },
+      'Page summarized successfully'
+    )
+  );
+});
\ No newline at end of file
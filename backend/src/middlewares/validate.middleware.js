@@ -8,11 +8,65 @@
 import Joi from 'joi';
 import { ApiError } from '../utils/ApiError.js';
 import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
 
 // ============================================================================
 // Validation Schemas
 // ============================================================================
 
+/**
+ * Client-supplied conversation session id
+ */
+const SESSION_ID = Joi.string()
+  .trim()
+  .max(64)
+  .pattern(/^[A-Za-z0-9_-]+$/)
+  .messages({
+    'string.max': 'Session id cannot exceed 64 characters',
+    'string.pattern.base': 'Session id contains invalid characters',
+    'any.required': 'Session id is required'
+  });
+
+/**
+ * Short page text (labels, headings, button text)
+ */
+const PAGE_TEXT = Joi.string().allow('').max(300);
+
+/**
+ * Page snapshot collected by content.js
+ * Never carries field values
+ */
+const pageSchema = Joi.object({
+  url: Joi.string().allow('').max(2048),
+  title: PAGE_TEXT,
+  fields: Joi.array().max(100).items(Joi.object({
+    id: Joi.string().max(32).required(),
+    tag: Joi.string().max(16),
+    type: Joi.string().allow('').max(32),
+    name: PAGE_TEXT,
+    label: PAGE_TEXT,
+    placeholder: PAGE_TEXT,
+    autocomplete: Joi.string().allow('').max(64),
+    options: Joi.array().max(50).items(PAGE_TEXT)
+  })),
+  buttons: Joi.array().max(100).items(Joi.object({
+    id: Joi.string().max(32).required(),
+    tag: Joi.string().max(16),
+    text: PAGE_TEXT
+  })),
+  searchInputs: Joi.array().max(20).items(Joi.string().max(32)),
+  headings: Joi.array().max(50).items(PAGE_TEXT)
+});
+
+/**
+ * Speech recognizer n-best list, most likely first
+ * Confidence is null when the recognizer did not report one
+ */
+const alternativesSchema = Joi.array().max(config.speech.maxAlternatives).items(Joi.object({
+  transcript: Joi.string().trim().min(1).max(config.maxTextLength).required(),
+  confidence: Joi.number().min(0).max(1).allow(null).default(null)
+}));
+
 /**
  * Schema for /api/process endpoint
  */
@@ -27,7 +81,59 @@ const processSchema = Joi.object({
       'string.min': 'Text must be at least 1 character',
       'string.max': `Text cannot exceed ${config.maxTextLength} characters`,
       'any.required': 'Text field is required'
-    })
+    }),
+  sessionId: SESSION_ID,
+  page: pageSchema,
+  alternatives: alternativesSchema
+});
+
+/**
+ * Schema for /api/summarize endpoint
+ */
+const summarizeSchema = Joi.object({
+  text: Joi.string()
+    .trim()
+    .min(1)
+    .max(config.summarize.maxTextLength)
+    .required()
+    .messages({
+      'string.empty': 'Page text cannot be empty',
+      'string.max': `Page text cannot exceed ${config.summarize.maxTextLength} characters`,
+      'any.required': 'Page text is required'
+    }),
+  title: Joi.string().allow('').max(300),
+  url: Joi.string().allow('').max(2048)
+});
+
+/**
+ * Schema for /api/qna endpoint
+ */
+const qnaSchema = Joi.object({
+  question: Joi.string()
+    .trim()
+    .min(1)
+    .max(config.maxTextLength)
+    .required()
+    .messages({
+      'string.empty': 'Question cannot be empty',
+      'string.max': `Question cannot exceed ${config.maxTextLength} characters`,
+      'any.required': 'Question is required'
+    }),
+  text: Joi.string()
+    .allow('')
+    .max(config.summarize.maxTextLength)
+    .messages({
+      'string.max': `Page text cannot exceed ${config.summarize.maxTextLength} characters`
+    }),
+  title: Joi.string().allow('').max(300),
+  url: Joi.string().allow('').max(2048)
+});
+
+/**
+ * Schema for /api/session/reset endpoint
+ */
+const sessionResetSchema = Joi.object({
+  sessionId: SESSION_ID.required()
 });
 
 // ============================================================================
@@ -61,7 +167,43 @@ const validate = (schema) => {
   };
 };
 
+/**
+ * Drop a page snapshot that fails its schema
+ * The snapshot only helps pick targets, so the command still runs without it
+ */
+const dropInvalidPage = (req, res, next) => {
+  if (req.body?.page === undefined) return next();
+
+  const { error } = pageSchema.validate(req.body.page, { abortEarly: false });
+
+  if (error) {
+    logger.warn('Dropped invalid page snapshot:', {
+      url: req.originalUrl,
+      errors: error.details.map(detail => detail.message)
+    });
+
+    delete req.body.page;
+  }
+
+  next();
+};
+
 /**
  * Validate process request
  */
-export const validateProcessRequest = validate(processSchema);
\ No newline at end of file
+export const validateProcessRequest = [dropInvalidPage, validate(processSchema)];
+
+/**
+ * Validate session reset request
+ */
+export const validateSessionResetRequest = validate(sessionResetSchema);
+
+/**
+ * Validate summarize request
+ */
+export const validateSummarizeRequest = validate(summarizeSchema);
+
+/**
+ * Validate QnA request
+ */
+export const validateQnaRequest = validate(qnaSchema);
\ No newline at end of file
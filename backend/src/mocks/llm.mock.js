@@ -0,0 +1,464 @@
+/**
+ * Mock LLM Server
+ * Offline HTTP stand-in for every supported LLM provider
+ *
+ * @module mocks/llm
+ * @description Serves the Responses, Chat Completions and Anthropic Messages
+ * endpoints with deterministic JSON built from the requested schema.
+ *
+ * Usage:
+ *   npm run mock:llm
+ *   LLM_PROVIDER=grok      LLM_API_KEY=mock LLM_API_URL=http://localhost:4010/v1 npm start
+ *   LLM_PROVIDER=chat      LLM_API_KEY=mock LLM_API_URL=http://localhost:4010/v1 npm start
+ *   LLM_PROVIDER=anthropic LLM_API_KEY=mock LLM_API_URL=http://localhost:4010/v1 npm start
+ *   LLM_PROVIDER=local     LLM_API_URL=http://localhost:4010/v1 npm start
+ *
+ * Error simulation: set LLM_MODEL=mock-error-<status> (e.g. mock-error-429)
+ */
+
+import express from 'express';
+
+const PORT = parseInt(process.env.MOCK_LLM_PORT || '4010', 10);
+
+// ============================================================================
+// Fixture Builders
+// ============================================================================
+
+/**
+ * Pull the user command out of a VoiceReplica prompt
+ *
+ * @param {string} prompt - Full prompt text
+ * @returns {string} User command
+ */
+const extractUserCommand = (prompt) => {
+  const text = prompt.split('\n\nRespond ONLY with a JSON object')[0];
+  const match = text.match(/User Command:\s*([\s\S]*?)\s*$/);
+  return match ? match[1].trim() : prompt.trim();
+};
+
+/**
+ * Pick the command to classify from the SPEECH ALTERNATIVES section
+ * The first candidate that starts like a known command wins
+ *
+ * @param {string} prompt - Full prompt text
+ * @returns {string} Chosen candidate, or the user command without alternatives
+ */
+const pickSpeechCandidate = (prompt) => {
+  const candidates = [...prompt.matchAll(/^\d+\. "(.*)" \([^)]*\)$/gm)].map(match => match[1]);
+  const commandStart = /^(click|scroll|type|select|choose|pick|press|hit|go back|reload|refresh|search|find|open|go to|visit|google|look up|show|hide|summar|read|book|fill|what|who|how|why|when|where)\b/i;
+
+  return candidates.find(candidate => commandStart.test(candidate))
+    || candidates[0]
+    || extractUserCommand(prompt);
+};
+
+/**
+ * Build a value that satisfies a JSON schema node
+ *
+ * @param {Object} schema - JSON schema node
+ * @returns {*} Placeholder value
+ */
+const buildFromSchema = (schema = {}) => {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object': {
+      const value = {};
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        value[key] = buildFromSchema(child);
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      return schema.format === 'date-time' ? new Date().toISOString() : '';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Keyword classifier producing a voice_replica_intent_response
+ *
+ * @param {string} prompt - Full prompt text
+ * @param {Object} schema - Requested schema
+ * @param {string} model - Requested model
+ * @returns {Object} Intent response
+ */
+const buildIntentResponse = (prompt, schema, model) => {
+  const command = pickSpeechCandidate(prompt);
+  const lower = command.toLowerCase();
+  const response = buildFromSchema(schema);
+  const { data } = response;
+
+  let match;
+  if (/\b(then|and then|after that)\b/i.test(command) || /^(?:open|go to)\s+\w+\s+and\s+/i.test(command)) {
+    data.intent = 'multi_step';
+  } else if ((match = command.match(/^(?:switch|go) to (?:the |my )?(.+?) tab$/i))) {
+    data.intent = 'tab';
+    data.entities.action = 'switch';
+    data.entities.text = match[1];
+  } else if ((match = command.match(/^close (?:all )?(?:the )?(.+?) tabs$/i))) {
+    data.intent = 'tab';
+    data.entities.action = 'close_all';
+    data.entities.text = match[1];
+  } else if ((match = command.match(/^(close|pin|unpin) (?:this|the (.+?)) tab$/i))) {
+    data.intent = 'tab';
+    data.entities.action = match[1].toLowerCase();
+    data.entities.text = match[2] || '';
+  } else if ((match = command.match(/^open (?:that|this|the (.+?)(?: link)?) in a new tab$/i))) {
+    data.intent = 'tab';
+    data.entities.action = 'open_new';
+    data.entities.text = match[1] || '';
+  } else if (/^move (?:this|the) tab to a new window$/i.test(command)) {
+    data.intent = 'tab';
+    data.entities.action = 'new_window';
+  } else if (/^reopen (?:the )?closed tab$/i.test(command)) {
+    data.intent = 'tab';
+    data.entities.action = 'reopen';
+  } else if ((match = command.match(/^(?:bookmark|save) (?:this|the) page(?: (?:in|to) (?:the |my )?(.+?)(?: folder)?)?$/i))) {
+    data.intent = 'bookmark';
+    data.entities.action = 'add';
+    data.entities.text = match[1] || '';
+  } else if ((match = command.match(/^(open|find) (?:my |the )?(.+?) bookmarks?$/i))) {
+    data.intent = 'bookmark';
+    data.entities.action = match[1].toLowerCase() === 'open' ? 'open' : 'search';
+    data.entities.query = match[2];
+  } else if ((match = command.match(/^(open|find) the (?:article|page|site|video) I (?:read|visited|saw|watched)(?: (today|yesterday|last week|this week|on \w+))?(?: about (.+))?$/i))) {
+    data.intent = 'browser_history';
+    data.entities.action = match[1].toLowerCase() === 'open' ? 'open' : 'search';
+    data.entities.date = (match[2] || '').replace(/^on /i, '').toLowerCase();
+    data.entities.query = match[3] || '';
+  } else if ((match = command.match(/^search (?:my )?history for (.+)$/i))) {
+    data.intent = 'browser_history';
+    data.entities.action = 'search';
+    data.entities.query = match[1];
+  } else if (/^(show|hide)\s+(labels|numbers)\b/i.test(command)) {
+    data.intent = `${lower.split(/\s+/)[0]}_labels`;
+  } else if ((match = command.match(/^click\s+(?:on\s+)?(?:the\s+)?(.+)/i))) {
+    data.intent = 'click';
+    data.entities.text = match[1];
+  } else if ((match = command.match(/^scroll\s+(?:to\s+(?:the\s+)?)?(up|down|top|bottom|.+)/i))) {
+    data.intent = 'scroll';
+    if (/^(up|down|top|bottom)$/i.test(match[1])) data.entities.direction = match[1].toLowerCase();
+    else data.entities.text = match[1];
+  } else if ((match = command.match(/^type\s+(.+?)(?:\s+in(?:to)?\s+(?:the\s+)?(.+))?$/i))) {
+    data.intent = 'type_text';
+    data.entities.value = match[1];
+    data.entities.text = match[2] || '';
+  } else if ((match = command.match(/^(?:select|choose|pick)\s+(.+?)(?:\s+in\s+(?:the\s+)?(.+))?$/i))) {
+    data.intent = 'select_option';
+    data.entities.value = match[1];
+    data.entities.text = match[2] || '';
+  } else if ((match = command.match(/^(?:press|hit)\s+(\w+)/i))) {
+    data.intent = 'press_key';
+    data.entities.key = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+  } else if (/^go back\b/i.test(command)) {
+    data.intent = 'go_back';
+  } else if (/^(reload|refresh)\b/i.test(command)) {
+    data.intent = 'reload';
+  } else if ((match = command.match(/^(?:search|find)\s+(.+?)\s+on\s+(\w+)/i))) {
+    data.intent = 'website_search';
+    data.entities.query = match[1];
+    data.entities.website = match[2];
+  } else if ((match = command.match(/^(?:open|go to|visit)\s+(.+)/i))) {
+    const site = match[1].trim();
+    data.intent = 'navigation';
+    data.entities.website = site;
+    data.entities.url = `https://www.${site.toLowerCase().replace(/\s+/g, '')}.com`;
+  } else if ((match = command.match(/^(?:search|google|look up|find)\s+(?:for\s+)?(.+)/i))) {
+    data.intent = 'search';
+    data.entities.query = match[1];
+  } else if (/^read (?:this|the|it)\b(?: page| article)?(?: (?:aloud|out(?: loud)?))?(?: to me)?$/.test(lower)) {
+    data.intent = 'read_aloud';
+  } else if (lower.includes('summar')) {
+    data.intent = 'summarize';
+  } else if ((match = command.match(/book .*from\s+(\w+)\s+to\s+(\w+)/i))) {
+    data.intent = 'book_ticket';
+    data.entities.from = match[1];
+    data.entities.to = match[2];
+  } else if (/\b(fill|enter|my \w+ is)\b/.test(lower)) {
+    data.intent = 'form_fill';
+    const email = command.match(/[\w.%+-]+@[\w.-]+\.[a-z]{2,}/i);
+    if (email) data.entities.form_fields.email = email[0];
+    if (/\bmy (details|profile|info)\b/.test(lower)) data.entities.action = 'profile';
+    for (const [, key] of lower.matchAll(/\bmy (name|email|phone|address|city|pincode)\b(?! is)/g)) {
+      data.entities.form_fields[key] ??= '';
+    }
+  } else if (/^(what|who|how|why|when|where)\b/.test(lower)) {
+    data.intent = 'qna';
+  } else {
+    data.intent = 'other';
+  }
+
+  // Resolve targets from the PAGE CONTEXT section when present
+  const searchInputs = prompt.match(/^Search inputs: (.+)$/m);
+  if (data.intent === 'website_search' && searchInputs && searchInputs[1] !== 'none') {
+    data.entities.target_id = searchInputs[1].split(',')[0].trim();
+  }
+
+  // "click 12" / "type hello in 7" act on a numbered label
+  if (/^\d+$/.test(data.entities.text || '')) {
+    data.entities.label_number = data.entities.text;
+    data.entities.text = '';
+  }
+
+  if (data.intent === 'click') {
+    const text = data.entities.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const button = prompt.match(new RegExp(`^- \\[(vr-\\d+)\\] \\w+ "${text}"$`, 'im'));
+    if (button) data.entities.target_id = button[1];
+  }
+
+  for (const key of Object.keys(data.entities.form_fields || {})) {
+    const field = prompt.match(new RegExp(`^- \\[(vr-\\d+)\\][^\\n]*${key}`, 'im'));
+    if (field) data.entities.form_targets[key] = field[1];
+  }
+
+  data.message = `[mock] ${data.intent}: ${command}`;
+  data.transcript = command;
+  data.confidence = 0.9;
+  data.metadata.model = model;
+  response.success = true;
+  response.message = 'mock response';
+
+  return response;
+};
+
+/**
+ * Split the text after a prompt section header into sentences
+ *
+ * @param {string} prompt - Full prompt text
+ * @param {string} header - Section header (e.g. 'PAGE TEXT')
+ * @returns {string[]} Sentences
+ */
+const sectionSentences = (prompt, header) => {
+  const index = prompt.lastIndexOf(`${header}:\n`);
+  const text = index === -1 ? prompt : prompt.slice(index + header.length + 2);
+  return (text.match(/[^.!?]+[.!?]+/g) || [text])
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Map step of page summarization
+ *
+ * @param {string} prompt - Full prompt text
+ * @returns {Object} { summary }
+ */
+const buildChunkSummary = (prompt) => ({
+  summary: `[mock] ${sectionSentences(prompt, 'PAGE TEXT').slice(0, 2).join(' ')}`
+});
+
+/**
+ * Reduce step of page summarization
+ *
+ * @param {string} prompt - Full prompt text
+ * @returns {Object} { spoken_summary, bullets }
+ */
+const buildPageSummary = (prompt) => {
+  const header = prompt.includes('PART SUMMARIES:') ? 'PART SUMMARIES' : 'PAGE TEXT';
+  const sentences = sectionSentences(prompt, header);
+  return {
+    spoken_summary: `[mock] ${sentences.slice(0, 2).join(' ')}`,
+    bullets: sentences.slice(0, 5)
+  };
+};
+
+/**
+ * Grounded page answer citing the first passage
+ *
+ * @param {string} prompt - Full prompt text
+ * @returns {Object} { answer, grounded, citations }
+ */
+const buildPageAnswer = (prompt) => {
+  const passage = prompt.match(/^\[(\d+)\] ([^.!?\n]+[.!?]?)/m);
+  if (!passage) {
+    return { answer: "[mock] This page doesn't say, but here is a general answer.", grounded: false, citations: [] };
+  }
+  return {
+    answer: `[mock] ${passage[2]}`,
+    grounded: true,
+    citations: [{ passage: parseInt(passage[1], 10), quote: passage[2] }]
+  };
+};
+
+/**
+ * Action plan splitting the command on "and" / "then"
+ *
+ * @param {string} prompt - Full prompt text
+ * @param {Object} schema - Requested schema
+ * @returns {Object} { steps, message }
+ */
+const buildActionPlan = (prompt, schema) => {
+  const command = extractUserCommand(prompt);
+  const emptyEntities = () => buildFromSchema(schema.properties.steps.items.properties.entities);
+  const steps = [];
+
+  for (const part of command.split(/\s+(?:and then|then|and)\s+/i)) {
+    const entities = emptyEntities();
+    let match;
+
+    if ((match = part.match(/^(?:open|go to|visit)\s+(.+)/i))) {
+      entities.website = match[1].trim();
+      entities.url = `https://www.${entities.website.toLowerCase().replace(/\s+/g, '')}.com`;
+      steps.push({ action: 'navigate', description: `Open ${entities.website}`, entities });
+      steps.push({ action: 'wait_for_load', description: 'Wait for the page', entities: emptyEntities() });
+    } else if ((match = part.match(/^(?:search|find)\s+(?:for\s+)?(.+)/i))) {
+      entities.query = match[1].trim();
+      steps.push({ action: 'website_search', description: `Search for ${entities.query}`, entities });
+      steps.push({ action: 'wait_for_load', description: 'Wait for results', entities: emptyEntities() });
+    } else if ((match = part.match(/^(?:click|sort by)\s+(.+)/i))) {
+      entities.text = match[1].trim();
+      steps.push({ action: 'click', description: `Click ${entities.text}`, entities });
+    } else if ((match = part.match(/^scroll\s+(up|down|top|bottom)/i))) {
+      entities.direction = match[1].toLowerCase();
+      steps.push({ action: 'scroll', description: `Scroll ${entities.direction}`, entities });
+    } else if ((match = part.match(/^(?:press|hit)\s+(\w+)/i))) {
+      entities.key = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+      steps.push({ action: 'press_key', description: `Press ${entities.key}`, entities });
+    } else if (/^go back\b/i.test(part)) {
+      steps.push({ action: 'go_back', description: 'Go back', entities });
+      steps.push({ action: 'wait_for_load', description: 'Wait for the page', entities: emptyEntities() });
+    }
+  }
+
+  return { steps, message: `[mock] Running ${steps.length} steps` };
+};
+
+/**
+ * Fixture builders keyed by schema name
+ * Unknown schemas get a schema-shaped placeholder
+ */
+const FIXTURES = {
+  voice_replica_intent_response: buildIntentResponse,
+  page_chunk_summary: buildChunkSummary,
+  page_summary: buildPageSummary,
+  page_answer: buildPageAnswer,
+  voice_replica_action_plan: buildActionPlan
+};
+
+/**
+ * Build the structured output for a request
+ *
+ * @param {string} prompt - Full prompt text
+ * @param {string} schemaName - Requested schema name
+ * @param {Object} schema - Requested schema
+ * @param {string} model - Requested model
+ * @returns {Object} Structured output
+ */
+const buildOutput = (prompt, schemaName, schema, model) => {
+  const builder = FIXTURES[schemaName];
+  return builder ? builder(prompt, schema, model) : buildFromSchema(schema);
+};
+
+/**
+ * Recover the schema name and schema from a json_object mode prompt
+ *
+ * @param {string} prompt - Prompt ending with the JSON schema
+ * @returns {Object} { schemaName, schema }
+ */
+const extractInlineSchema = (prompt) => {
+  const match = prompt.match(/matching the "([^"]+)" JSON schema:\n(.+)$/s);
+  if (!match) return { schemaName: undefined, schema: {} };
+  try {
+    return { schemaName: match[1], schema: JSON.parse(match[2]) };
+  } catch {
+    return { schemaName: match[1], schema: {} };
+  }
+};
+
+// ============================================================================
+// Mock App
+// ============================================================================
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+// Error simulation through the model name
+app.use((req, res, next) => {
+  const match = String(req.body?.model || '').match(/^mock-error-(\d{3})$/);
+  if (match) {
+    const status = parseInt(match[1], 10);
+    return res.status(status).json({
+      error: { type: 'mock_error', message: `Simulated ${status} error` }
+    });
+  }
+  next();
+});
+
+// OpenAI Responses API
+app.post('/v1/responses', (req, res) => {
+  const { model, input, text } = req.body;
+  const format = text?.format || {};
+  const output = buildOutput(String(input), format.name, format.schema, model);
+  const outputText = JSON.stringify(output);
+
+  res.json({
+    id: `resp_mock_${Date.now()}`,
+    object: 'response',
+    model,
+    status: 'completed',
+    output: [
+      {
+        type: 'message',
+        id: `msg_mock_${Date.now()}`,
+        role: 'assistant',
+        status: 'completed',
+        content: [{ type: 'output_text', text: outputText, annotations: [] }]
+      }
+    ]
+  });
+});
+
+// Chat Completions API
+app.post('/v1/chat/completions', (req, res) => {
+  const { model, messages, response_format: responseFormat } = req.body;
+  const prompt = String(messages?.[messages.length - 1]?.content || '');
+  const { schemaName, schema } = responseFormat?.json_schema
+    ? { schemaName: responseFormat.json_schema.name, schema: responseFormat.json_schema.schema }
+    : extractInlineSchema(prompt);
+  const output = buildOutput(prompt, schemaName, schema, model);
+
+  res.json({
+    id: `chatcmpl_mock_${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: JSON.stringify(output) },
+        finish_reason: 'stop'
+      }
+    ]
+  });
+});
+
+// Anthropic Messages API
+app.post('/v1/messages', (req, res) => {
+  const { model, messages, tools } = req.body;
+  const prompt = String(messages?.[messages.length - 1]?.content || '');
+  const tool = tools?.[0] || {};
+  const output = buildOutput(prompt, tool.name, tool.input_schema, model);
+
+  res.json({
+    id: `msg_mock_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [
+      { type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: tool.name, input: output }
+    ],
+    stop_reason: 'tool_use'
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock LLM server listening at http://localhost:${PORT}/v1`);
+});
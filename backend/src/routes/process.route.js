@@ -20,8 +20,8 @@ const router = express.Router();
  * @route   POST /api/process
  * @desc    Process user voice command through LLM
  * @access  Public
- * @body    { text: string }
- * @returns { success, intent, entities, message, confidence }
+ * @body    { text: string, sessionId?: string, page?: PageSnapshot, alternatives?: Alternative[] }
+ * @returns { success, intent, entities, message, confidence, plan, sessionId, transcript, speechConfidence, confirmation }
  */
 router.post('/process', validateProcessRequest, processVoiceCommand);
 
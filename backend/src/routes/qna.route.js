@@ -0,0 +1,28 @@
+/**
+ * QnA Routes
+ * Defines API routes for question answering over the current page
+ * 
+ * @module routes/qna
+ */
+
+import express from 'express';
+import { answerPageQuestion } from '../controllers/qna.controller.js';
+import { validateQnaRequest } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+
+// ============================================================================
+// POST /api/qna
+// Answer a question using passages from the current page
+// ============================================================================
+
+/**
+ * @route   POST /api/qna
+ * @desc    BM25 passage retrieval + LLM answer with citations
+ * @access  Public
+ * @body    { question: string, text?: string, title?: string, url?: string }
+ * @returns { success, answer, grounded, citations, metadata }
+ */
+router.post('/qna', validateQnaRequest, answerPageQuestion);
+
+export default router;
\ No newline at end of file
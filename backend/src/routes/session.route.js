@@ -0,0 +1,28 @@
+/**
+ * Session Routes
+ * Defines API routes for conversation session management
+ * 
+ * @module routes/session
+ */
+
+import express from 'express';
+import { resetConversationSession } from '../controllers/session.controller.js';
+import { validateSessionResetRequest } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+
+// ============================================================================
+// POST /api/session/reset
+// Clear the conversation history of a session
+// ============================================================================
+
+/**
+ * @route   POST /api/session/reset
+ * @desc    Reset a conversation session
+ * @access  Public
+ * @body    { sessionId: string }
+ * @returns { success, sessionId, existed }
+ */
+router.post('/session/reset', validateSessionResetRequest, resetConversationSession);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Summarize Routes
+ * Defines API routes for page summarization
+ * 
+ * @module routes/summarize
+ */
+
+import express from 'express';
+import { summarizePageContent } from '../controllers/summarize.controller.js';
+import { validateSummarizeRequest } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+
+// ============================================================================
+// POST /api/summarize
+// Summarize extracted page content
+// ============================================================================
+
+/**
+ * @route   POST /api/summarize
+ * @desc    Map-reduce summarization of page text through LLM
+ * @access  Public
+ * @body    { text: string, title?: string, url?: string }
+ * @returns { success, spokenSummary, bullets, metadata }
+ */
+router.post('/summarize', validateSummarizeRequest, summarizePageContent);
+
+export default router;
\ No newline at end of file
@@ -1,61 +1,380 @@
 /**
  * Intent Service
- * Business logic for intent recognition using Grok AI SDK
+ * Business logic for intent recognition using the configured LLM provider
  * 
  * @module services/intent
  */
 
-import OpenAI from 'openai';
 import { config } from '../config/env.js';
 import { ApiError } from '../utils/ApiError.js';
 import logger from '../utils/logger.js';
+import {
+  isLLMAvailable,
+  generateStructured,
+  getActiveModel,
+  reinitializeLLMClient
+} from './llm.service.js';
+import { createActionPlan } from './plan.service.js';
 
 // ============================================================================
-// Grok AI Client Initialization
+// Intent Response Schema
 // ============================================================================
 
-let grokClient = null;
+/**
+ * JSON schema every provider adapter must produce
+ */
+const INTENT_RESPONSE_SCHEMA = {
+  type: "object",
+
+  properties: {
+
+    success: {
+      type: "boolean"
+    },
+
+    data: {
+      type: "object",
+
+      properties: {
+
+        intent: {
+          type: "string",
+          enum: [
+            "search",
+            "qna",
+            "summarize",
+            "form_fill",
+            "book_ticket",
+            "website_search",
+            "navigation",
+            "multi_step",
+            "click",
+            "scroll",
+            "type_text",
+            "select_option",
+            "press_key",
+            "go_back",
+            "reload",
+            "show_labels",
+            "hide_labels",
+            "tab",
+            "browser_history",
+            "bookmark",
+            "read_aloud",
+            "other"
+          ]
+        },
+
+        entities: {
+          type: "object",
+
+          properties: {
+
+            query: { type: "string" },
+
+            action: { type: "string" },
+
+            from: { type: "string" },
+
+            to: { type: "string" },
+
+            date: { type: "string" },
+
+            website: { type: "string" },
+
+            url: { type: "string" },
+
+            /* ✅ FORM FILL SUPPORT */
+            form_fields: {
+              type: "object",
+
+              additionalProperties: {
+                type: "string"
+              }
+            },
+
+            /* ✅ PAGE-AWARE TARGETS (snapshot element ids) */
+            target_id: { type: "string" },
+
+            form_targets: {
+              type: "object",
+
+              additionalProperties: {
+                type: "string"
+              }
+            },
+
+            /* ✅ PAGE ACTIONS (click / scroll / type / select / keys) */
+            text: { type: "string" },
+
+            value: { type: "string" },
+
+            direction: { type: "string" },
+
+            key: { type: "string" },
+
+            /* ✅ NUMBERED LABEL OVERLAY ("click 12") */
+            label_number: { type: "string" }
+
+          },
+
+          required: [
+            "query",
+            "action",
+            "from",
+            "to",
+            "date",
+            "website",
+            "url",
+            "form_fields",
+            "target_id",
+            "form_targets",
+            "text",
+            "value",
+            "direction",
+            "key",
+            "label_number"
+          ],
+
+          additionalProperties: false
+        },
+
+        message: {
+          type: "string"
+        },
+
+        /* ✅ SPEECH ALTERNATIVES (the candidate that was classified) */
+        transcript: {
+          type: "string"
+        },
+
+        confidence: {
+          type: "number",
+          minimum: 0.7,
+          maximum: 0.95
+        },
+
+        metadata: {
+          type: "object",
+
+          properties: {
+
+            processingTime: {
+              type: "string"
+            },
+
+            timestamp: {
+              type: "string",
+              format: "date-time"
+            },
+
+            model: {
+              type: "string"
+            }
+
+          },
+
+          required: [
+            "processingTime",
+            "timestamp",
+            "model"
+          ],
+
+          additionalProperties: false
+        }
+
+      },
+
+      required: [
+        "intent",
+        "entities",
+        "message",
+        "transcript",
+        "confidence",
+        "metadata"
+      ],
+
+      additionalProperties: false
+    },
+
+    message: {
+      type: "string"
+    }
+
+  },
+
+  required: [
+    "success",
+    "data",
+    "message"
+  ],
+
+  additionalProperties: false
+};
+
+// ============================================================================
+// LLM Integration
+// ============================================================================
 
 /**
- * Initialize Grok AI client
- * Uses OpenAI SDK compatible with Grok API
+ * Build the conversation context section of the prompt
+ * 
+ * @param {Object|null} context - Session context
+ * @param {Array<Object>} context.turns - Recent turns ({ text, intent, message })
+ * @param {Object} context.entities - Entities resolved so far
+ * @param {Object|null} context.lastIntent - Last executed intent
+ * @returns {string} Prompt section (empty when there is no history)
  */
-const initializeGrokClient = () => {
-  if (!config.llm.apiKey) {
-    logger.warn('Grok API key not configured - using fallback mode');
-    return null;
+const buildContextPrompt = (context) => {
+  if (!context || !context.turns?.length) {
+    return '';
   }
 
-  try {
-    grokClient = new OpenAI({
-      apiKey: config.llm.apiKey,
-      baseURL: config.llm.apiUrl, // Base URL without endpoint
-    });
-    
-    logger.info('✅ Grok AI client initialized successfully');
-    return grokClient;
-  } catch (error) {
-    logger.error('Failed to initialize Grok client:', error.message);
-    return null;
+  const turns = context.turns
+    .map((turn, index) => `${index + 1}. User: "${turn.text}" → intent: ${turn.intent} → assistant: "${turn.message}"`)
+    .join('\n');
+
+  return `
+--------------------------------------------------
+CONVERSATION CONTEXT
+--------------------------------------------------
+
+This command continues an ongoing conversation.
+
+Recent turns (oldest first):
+${turns}
+
+Resolved entities so far:
+${JSON.stringify(context.entities || {})}
+
+Last executed intent:
+${JSON.stringify(context.lastIntent || {})}
+
+Rules:
+
+- Resolve references like "that", "it", "there", "instead", "too", "also" using the context above.
+- "Search that on Amazon instead" → reuse the previous query with the new website.
+- "Fill the email too" → take the value from the resolved entities or earlier turns.
+- Only reuse values the user actually gave earlier. Do NOT invent values.
+- If the command is unrelated to the context, ignore the context.
+
+--------------------------------------------------
+`;
+};
+
+/**
+ * Build the page context section of the prompt
+ * Lists snapshot element ids so the LLM can return exact targets
+ * 
+ * @param {Object|null} page - Page snapshot from content.js
+ * @returns {string} Prompt section (empty when no snapshot was sent)
+ */
+const buildPagePrompt = (page) => {
+  if (!page) {
+    return '';
   }
+
+  const describeField = (field) => {
+    const parts = [`[${field.id}] ${field.tag}`];
+    if (field.type) parts.push(`type=${field.type}`);
+    if (field.label) parts.push(`label="${field.label}"`);
+    if (field.placeholder) parts.push(`placeholder="${field.placeholder}"`);
+    if (field.name) parts.push(`name="${field.name}"`);
+    if (field.autocomplete) parts.push(`autocomplete=${field.autocomplete}`);
+    if (field.options?.length) parts.push(`options=${JSON.stringify(field.options)}`);
+    return `- ${parts.join(' ')}`;
+  };
+
+  const fields = (page.fields || []).map(describeField).join('\n') || '- none';
+  const buttons = (page.buttons || []).map(button => `- [${button.id}] ${button.tag} "${button.text}"`).join('\n') || '- none';
+  const searchInputs = (page.searchInputs || []).join(', ') || 'none';
+  const headings = (page.headings || []).map(heading => `- ${heading}`).join('\n') || '- none';
+
+  return `
+--------------------------------------------------
+PAGE CONTEXT
+--------------------------------------------------
+
+The user is currently on this page.
+
+URL: ${page.url || ''}
+Title: ${page.title || ''}
+
+Form fields:
+${fields}
+
+Buttons and links:
+${buttons}
+
+Search inputs: ${searchInputs}
+
+Headings:
+${headings}
+
+Rules:
+
+- Element ids are the values in square brackets, e.g. "vr-3".
+- form_fill / book_ticket → for every extracted value set entities.form_targets[<field_key>] = <element id> of the field it belongs in.
+- website_search → set entities.target_id to the id of the search input to type into.
+- click / type_text / select_option → set entities.target_id to the id of the element named by the user.
+- Match fields using label, placeholder, name, autocomplete and type.
+- Use ONLY ids listed above. If nothing matches, leave the target empty.
+- Outside these cases leave target_id as "" and form_targets as {}.
+
+--------------------------------------------------
+`;
 };
 
-// Initialize on module load
-initializeGrokClient();
+/**
+ * Build the speech alternatives section of the prompt
+ * Lets the LLM classify whichever candidate makes the most sense
+ * 
+ * @param {Array<Object>} candidates - Candidate transcripts ({ transcript, confidence })
+ * @returns {string} Prompt section (empty when the recognizer heard one thing)
+ */
+const buildAlternativesPrompt = (candidates) => {
+  if (candidates.length < 2) {
+    return '';
+  }
 
-// ============================================================================
-// LLM Integration with Grok SDK
-// ============================================================================
+  const list = candidates
+    .map((candidate, index) => `${index + 1}. "${candidate.transcript}" (${candidate.confidence ?? 'unknown'})`)
+    .join('\n');
+
+  return `
+--------------------------------------------------
+SPEECH ALTERNATIVES
+--------------------------------------------------
+
+The speech recognizer was not sure what the user said.
+
+Candidate transcripts (most likely first, recognizer confidence in brackets):
+${list}
+
+Rules:
+
+- Pick the candidate that makes the most sense as a command, given the page and the conversation.
+- Prefer earlier candidates when several make sense.
+- Classify the picked candidate instead of the User Command below.
+- Copy the picked candidate exactly into data.transcript.
+
+--------------------------------------------------
+`;
+};
 
 /**
- * Call Grok AI using official SDK
+ * Call the configured LLM provider
  * 
  * @async
  * @param {string} userText - User's voice command
- * @returns {Promise<Object>} Grok response with intent data
- * @throws {ApiError} If Grok API call fails
+ * @param {Object} [options] - Additional prompt context
+ * @param {Object|null} [options.context] - Conversation context from the session
+ * @param {Object|null} [options.page] - Page snapshot from content.js
+ * @param {Array<Object>} [options.candidates] - Speech alternatives to choose from
+ * @returns {Promise<Object>} LLM response with intent data
+ * @throws {ApiError} If the LLM call fails
  */
-const callGrok = async (userText) => {
+const callGrok = async (userText, { context = null, page = null, candidates = [] } = {}) => {
   const systemPrompt = `You are an intelligent intent classification and entity extraction engineI engine for a voice assistant named "VoiceReplica".
 
 Your job is to analyze user voice commands and return a structured JSON response.
@@ -70,6 +389,20 @@ SUPPORTED INTENTS:
 - book_ticket     → Ticket Booking
 - website_search  → Search Inside Website
 - navigation      → Open / Go To Website / Page
+- multi_step      → Several Actions In Sequence
+- click           → Click Button / Link On The Page
+- scroll          → Scroll The Page
+- type_text       → Type Text Into A Field
+- select_option   → Choose A Dropdown / Radio Option
+- press_key       → Press A Keyboard Key
+- go_back         → Previous Page
+- reload          → Reload Page
+- show_labels     → Number The Clickable Elements
+- hide_labels     → Remove The Numbers
+- tab             → Switch / Close / Pin / Move / Reopen Browser Tabs
+- browser_history → Find / Open Pages From Browsing History
+- bookmark        → Bookmark This Page / Find / Open Bookmarks
+- read_aloud      → Read The Page Out Loud
 - other           → Casual / Unknown
 --------------------------------------------------
 INTENT DEFINITIONS
@@ -84,6 +417,9 @@ Examples:
 - "Google cricket news"
 - "Look up AI trends"
 
+The extension searches with the engine the user chose (Google, Bing, DuckDuckGo or their own),
+so do not name an engine in the message - say "Searching for cricket news".
+
 --------------------------------------------------
 
 2. navigation
@@ -117,12 +453,17 @@ Store:
 --------------------------------------------------
 
 4. qna
-Use when the user asks a factual or explanatory question.
+Use when the user asks a factual or explanatory question,
+including questions about the page they are currently on.
 
 Examples:
 - "What is AI?"
 - "Who is Narendra Modi?"
 - "How does blockchain work?"
+- "What is the price on this page?"
+- "Who wrote this article?"
+
+Store the full question in entities.query
 
 --------------------------------------------------
 
@@ -156,7 +497,188 @@ Examples:
 
 --------------------------------------------------
 
-8. other
+8. multi_step
+Use when ONE command asks for SEVERAL browser actions to be done in sequence.
+
+Examples:
+- "Open Amazon and search for wireless earbuds then sort by price"
+- "Go to YouTube and search lo-fi music"
+- "Search flights to Goa then open the first result"
+
+Do NOT use for a single action with several values ("Fill my name and email" is form_fill).
+Leave entities empty - the steps are planned separately.
+
+--------------------------------------------------
+
+9. click
+Use when the user wants to click a button, link, tab or menu item on the current page.
+
+Examples:
+- "Click Sign in"
+- "Press the add to cart button"
+- "Open the reviews tab"
+
+Store the visible text / label of the element in entities.text
+
+--------------------------------------------------
+
+10. scroll
+Use when the user wants to scroll the page.
+
+Examples:
+- "Scroll down" → direction "down"
+- "Scroll up a bit" → direction "up"
+- "Go to the top" → direction "top"
+- "Scroll to the bottom" → direction "bottom"
+- "Scroll to the reviews" → entities.text = "reviews", direction ""
+
+Store up / down / top / bottom in entities.direction
+
+--------------------------------------------------
+
+11. type_text
+Use when the user dictates free text to type into a field on the page
+(a message, comment or search box) rather than personal form data.
+
+Examples:
+- "Type hello world" → value "hello world"
+- "Write see you tomorrow in the message box" → text "message box", value "see you tomorrow"
+
+Store the text to type in entities.value and the field (if named) in entities.text
+
+--------------------------------------------------
+
+12. select_option
+Use when the user wants to choose an option in a dropdown, radio group or list.
+
+Examples:
+- "Select Economy in class" → text "class", value "Economy"
+- "Choose 2 adults" → value "2 adults"
+- "Pick size medium" → text "size", value "medium"
+
+Store the field label in entities.text and the option in entities.value
+
+--------------------------------------------------
+
+13. press_key
+Use when the user wants to press a keyboard key.
+
+Examples:
+- "Press enter" → key "Enter"
+- "Hit escape" → key "Escape"
+- "Press tab" → key "Tab"
+
+Store the key name in entities.key (Enter, Escape, Tab, Backspace, ArrowDown, ArrowUp, Space)
+
+--------------------------------------------------
+
+14. go_back
+Use when the user wants the previous page.
+
+Examples:
+- "Go back"
+- "Back to the previous page"
+
+--------------------------------------------------
+
+15. reload
+Use when the user wants to reload or refresh the page.
+
+Examples:
+- "Reload"
+- "Refresh this page"
+
+--------------------------------------------------
+
+16. show_labels
+Use when the user wants numbers shown on the links, buttons and fields of the page.
+
+Examples:
+- "Show labels"
+- "Show numbers"
+- "Number the links"
+
+--------------------------------------------------
+
+17. hide_labels
+Use when the user wants the numbers removed.
+
+Examples:
+- "Hide labels"
+- "Remove the numbers"
+
+--------------------------------------------------
+
+18. tab
+Use when the user wants to manage browser tabs or windows rather than the page.
+
+Examples:
+- "Switch to the Gmail tab" → action "switch", text "Gmail"
+- "Go to my YouTube tab" → action "switch", text "YouTube"
+- "Close this tab" → action "close", text ""
+- "Close the Amazon tab" → action "close", text "Amazon"
+- "Close all YouTube tabs" → action "close_all", text "YouTube"
+- "Open that in a new tab" → action "open_new"
+- "Open the pricing link in a new tab" → action "open_new", text "pricing"
+- "Open GitHub in a new tab" → action "open_new", url "https://www.github.com"
+- "Pin this tab" → action "pin"
+- "Unpin the docs tab" → action "unpin", text "docs"
+- "Move this tab to a new window" → action "new_window"
+- "Reopen closed tab" → action "reopen"
+
+Store the action in entities.action (switch, close, close_all, open_new, pin, unpin, new_window, reopen)
+and the tab's site or title words in entities.text - leave text empty for "this tab".
+"Open Gmail" without "tab" is navigation, not tab.
+If the assistant just listed several tabs and asked which one, an answer like "the second one"
+keeps the same action with text = that tab's title.
+
+--------------------------------------------------
+
+19. browser_history
+Use when the user wants a page they visited before, found in the browser's history.
+
+Examples:
+- "Open the article I read yesterday about Rust" → action "open", query "rust", date "yesterday"
+- "What did I look at last week about flights?" → action "search", query "flights", date "last week"
+- "Find the recipe page from Monday" → action "search", query "recipe", date "monday"
+- "Show my history for GitHub" → action "search", query "github", date ""
+
+Store the action in entities.action (search = read the matches out, open = open the best match),
+the topic words in entities.query and the spoken time as said in entities.date
+("today", "yesterday", "last week", "3 days ago", "monday") - leave date empty when no time is said.
+Never put times into query. "Go back" is go_back, not browser_history.
+
+--------------------------------------------------
+
+20. bookmark
+Use when the user wants to bookmark the current page or find a bookmarked page.
+
+Examples:
+- "Bookmark this page" → action "add", text ""
+- "Bookmark this page in Work" → action "add", text "Work"
+- "Save this to my Recipes folder" → action "add", text "Recipes"
+- "Open my Jira bookmark" → action "open", query "jira"
+- "Find bookmarks about React" → action "search", query "react"
+
+Store the action in entities.action (add, search, open), the folder name in entities.text
+and what to look for in entities.query.
+
+--------------------------------------------------
+
+21. read_aloud
+Use when the user wants the current page or article read out to them.
+
+Examples:
+- "Read this page"
+- "Read the article aloud"
+- "Read it out to me"
+
+"Summarize this page" is summarize, a question about the page is qna.
+Pause, resume, faster, slower, skip paragraph and stop are handled by the extension while it reads.
+
+--------------------------------------------------
+
+22. other
 Use when intent is unclear or casual conversation.
 
 Examples:
@@ -176,16 +698,36 @@ Entities format:
   "to": "",
   "date": "",
   "website": "",
-  "url": ""
+  "url": "",
+  "target_id": "",
+  "form_targets": {},
+  "text": "",
+  "value": "",
+  "direction": "",
+  "key": "",
+  "label_number": ""
 }
 
 Rules:
 
 - search → fill query
+- qna → fill query with the question
 - navigation → fill website + url
-- website_search → fill website + query
-- book_ticket → fill from, to, date
-- form_fill → fill form_fields (if given)
+- website_search → fill website + query (+ target_id when PAGE CONTEXT is given)
+- book_ticket → fill from, to, date (+ form_targets when PAGE CONTEXT is given)
+- form_fill → fill form_fields (if given) (+ form_targets when PAGE CONTEXT is given)
+- click → fill text (+ target_id when PAGE CONTEXT lists the element)
+- scroll → fill direction, or text for "scroll to <section>"
+- type_text → fill value (+ text when the field is named)
+- select_option → fill value (+ text when the field is named)
+- press_key → fill key
+- go_back / reload → no entities
+- tab → fill action (+ text for a named tab, + url or text for open_new)
+- browser_history → fill action + query (+ date when a time is said)
+- bookmark → fill action (+ text for the folder, + query for search / open)
+- read_aloud → no entities
+- "click 12", "type hello in 7", "select Economy in 4" → the number refers to a shown label:
+  keep the intent (click / type_text / select_option) and set label_number = "12" (digits only), leave text empty
 --------------------------------------------------
 URL GENERATION RULE
 --------------------------------------------------
@@ -308,234 +850,86 @@ Do NOT modify.
 Do NOT guess.
 
 --------------------------------------------------
-`;
-
-  const finalPrompt = systemPrompt + `\n\n` + `Analyze the following user command and generate a structured response in the required JSON format.Follow all system rules strictly.User Command: ${userText}`
-
-  try {
-    // Check if client is initialized
-    if (!grokClient) {
-      logger.warn('Grok client not initialized, using fallback');
-      return fallbackIntentRecognition(userText);
-    }
-
-    logger.debug(`Calling Grok AI: ${config.llm.model}`);
-
-    // Call Grok using OpenAI SDK
-    const completion = await grokClient.responses.create({
-      model: config.llm.model,
-      input: finalPrompt,
-      temperature: config.llm.temperature,
-      text: {
-  format: {
-    type: "json_schema",
-    name: "voice_replica_intent_response",
-    schema: {
-      type: "object",
-
-      properties: {
-
-        success: {
-          type: "boolean"
-        },
-
-        data: {
-          type: "object",
-
-          properties: {
-
-            intent: {
-              type: "string",
-              enum: [
-                "search",
-                "qna",
-                "summarize",
-                "form_fill",
-                "book_ticket",
-                "website_search",
-                "navigation",
-                "other"
-              ]
-            },
-
-            entities: {
-              type: "object",
-
-              properties: {
-
-                query: { type: "string" },
-
-                action: { type: "string" },
-
-                from: { type: "string" },
-
-                to: { type: "string" },
-
-                date: { type: "string" },
-
-                website: { type: "string" },
-
-                url: { type: "string" },
-
-                /* ✅ FORM FILL SUPPORT */
-                form_fields: {
-                  type: "object",
-
-                  additionalProperties: {
-                    type: "string"
-                  }
-                }
-
-              },
-
-              required: [
-                "query",
-                "action",
-                "from",
-                "to",
-                "date",
-                "website",
-                "url",
-                "form_fields"
-              ],
-
-              additionalProperties: false
-            },
-
-            message: {
-              type: "string"
-            },
-
-            confidence: {
-              type: "number",
-              minimum: 0.7,
-              maximum: 0.95
-            },
-
-            metadata: {
-              type: "object",
-
-              properties: {
+SAVED PROFILE
+--------------------------------------------------
 
-                processingTime: {
-                  type: "string"
-                },
+The user can keep their details in VoiceReplica.
+Saved values are filled in on the device - you never see them.
 
-                timestamp: {
-                  type: "string",
-                  format: "date-time"
-                },
+If the user asks for a field from their saved details without saying its value,
+set that standard key to an empty string:
 
-                model: {
-                  type: "string"
-                }
+"Fill my email and phone" →
 
-              },
+"form_fields": {
+  "email": "",
+  "phone": ""
+}
 
-              required: [
-                "processingTime",
-                "timestamp",
-                "model"
-              ],
+If the user asks to fill the form with all their details
+("Fill my details", "Fill this form with my profile"):
 
-              additionalProperties: false
-            }
+Set entities.action = "profile".
 
-          },
+Set form_fields[<key>] = "" for every field in PAGE CONTEXT that matches a standard key, so its form_targets can be set.
 
-          required: [
-            "intent",
-            "entities",
-            "message",
-            "confidence",
-            "metadata"
-          ],
+Spoken values still win:
+"Fill my details but use test@gmail.com as email" →
 
-          additionalProperties: false
-        },
+"action": "profile",
+"form_fields": {
+  "email": "test@gmail.com"
+}
 
-        message: {
-          type: "string"
-        }
+Never ask for or repeat saved values.
 
-      },
+--------------------------------------------------
+`;
 
-      required: [
-        "success",
-        "data",
-        "message"
-      ],
+  const finalPrompt = systemPrompt + buildContextPrompt(context) + buildPagePrompt(page) + buildAlternativesPrompt(candidates) + `\n\n` + `Analyze the following user command and generate a structured response in the required JSON format.Follow all system rules strictly.User Command: ${userText}`
 
-      additionalProperties: false
-    }
-  }
-}
-, // Force JSON response
-    });
-    // console.log(completion.output_text);
-    // return completion;
-    const content = completion.output_text;
-    logger.debug('Grok Response:', content);
-
-    // Parse JSON response
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(content);
-    } catch (parseError) {
-      // Try to extract JSON from response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Grok response is not valid JSON');
-      }
-      parsedResponse = JSON.parse(jsonMatch[0]);
+  try {
+    // Check if a provider is available
+    if (!isLLMAvailable()) {
+      logger.warn('LLM provider not initialized, using fallback');
+      return fallbackIntentRecognition(userText);
     }
 
-    // // Validate response structure
-    // if (!parsedResponse.intent || !parsedResponse.message) {
-    //   throw new Error('Grok response missing required fields');
-    // }
-
-    // // Ensure entities exists
-    // if (!parsedResponse.entities) {
-    //   parsedResponse.entities = {};
-    // }
-
-    // // Ensure confidence exists
-    // if (!parsedResponse.confidence) {
-    //   parsedResponse.confidence = 0.75;
-    // }
-    // console.log("Parsed Response" , parsedResponse)
-
-    return parsedResponse;
+    // Same structured intent object regardless of provider
+    return await generateStructured({
+      prompt: finalPrompt,
+      schema: INTENT_RESPONSE_SCHEMA,
+      schemaName: 'voice_replica_intent_response'
+    });
 
   } catch (error) {
-    logger.error('Grok API call failed:', error);
+    logger.error('LLM API call failed:', error);
 
     // Check for specific error types
     if (error.status === 401) {
-      logger.error('Invalid Grok API key');
+      logger.error('Invalid LLM API key');
       throw new ApiError(502, 'Invalid LLM API key configuration');
     }
 
     if (error.status === 429) {
-      logger.error('Grok rate limit exceeded');
+      logger.error('LLM rate limit exceeded');
       throw new ApiError(429, 'Rate limit exceeded. Please try again later.');
     }
 
     if (error.status === 500 || error.status === 503) {
-      logger.error('Grok service unavailable');
+      logger.error('LLM service unavailable');
       logger.warn('Using fallback intent recognition');
       return fallbackIntentRecognition(userText);
     }
 
     // Use fallback for other errors
-    logger.warn('Using fallback intent recognition due to Grok error');
+    logger.warn('Using fallback intent recognition due to LLM error');
     return fallbackIntentRecognition(userText);
   }
 };
 
 /**
- * Fallback intent recognition when Grok is unavailable
+ * Fallback intent recognition when the LLM is unavailable
  * Rule-based pattern matching system
  * 
  * @param {string} text - User command text
@@ -798,20 +1192,100 @@ const extractEntities = (text) => {
   return entities;
 };
 
+// ============================================================================
+// Speech Alternatives
+// ============================================================================
+
+/**
+ * Intents that only produce a reply or read the page - nothing to confirm
+ * (unknown is the fallback's "no command", a "yes" would run nothing)
+ */
+const UNCONFIRMED_INTENTS = new Set([
+  'other',
+  'unknown',
+  'qna',
+  'summarize',
+  'read_aloud',
+  'show_labels',
+  'hide_labels'
+]);
+
+/**
+ * Compare transcripts ignoring case, punctuation and spacing
+ * 
+ * @param {string} text - Transcript
+ * @returns {string} Comparison key
+ */
+const transcriptKey = (text = '') => {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Merge the command text with the recognizer's alternatives
+ * The command text is always the first candidate
+ * 
+ * @param {string} text - Best transcript
+ * @param {Array<Object>} alternatives - n-best list ({ transcript, confidence })
+ * @returns {Array<Object>} Unique candidates, most likely first
+ */
+const listCandidates = (text, alternatives = []) => {
+  const top = alternatives.find(alternative => transcriptKey(alternative.transcript) === transcriptKey(text));
+  const seen = new Set();
+
+  return [{ transcript: text, confidence: top?.confidence ?? null }, ...alternatives]
+    .filter(({ transcript }) => {
+      const key = transcriptKey(transcript);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, config.speech.maxAlternatives);
+};
+
+/**
+ * Decide whether the user must confirm before anything runs
+ * 
+ * @param {string} intent - Classified intent
+ * @param {Object} chosen - Candidate the intent was built from
+ * @param {Array<Object>} candidates - All candidates
+ * @returns {Object|null} Confirmation ({ transcript, prompt }) or null
+ */
+export const buildConfirmation = (intent, chosen, candidates) => {
+  if (UNCONFIRMED_INTENTS.has(intent)) {
+    return null;
+  }
+
+  const unsure = chosen.confidence !== null && chosen.confidence < config.speech.confirmBelow;
+  const reinterpreted = chosen !== candidates[0];
+
+  if (!unsure && !reinterpreted) {
+    return null;
+  }
+
+  return {
+    transcript: chosen.transcript,
+    prompt: `Did you mean "${chosen.transcript}"?`
+  };
+};
+
 // ============================================================================
 // Main Processing Function
 // ============================================================================
 
 /**
- * Process user intent using Grok AI or fallback
+ * Process user intent using the LLM provider or fallback
  * Main entry point for intent recognition
  * 
  * @async
  * @param {string} text - User's voice command
- * @returns {Promise<Object>} Processed intent with response
+ * @param {Object} [options] - Additional prompt context
+ * @param {Object|null} [options.context] - Conversation context from the session
+ * @param {Object|null} [options.page] - Page snapshot from content.js
+ * @param {Array<Object>} [options.alternatives] - Speech recognizer n-best list
+ * @returns {Promise<Object>} Processed intent with response (and plan for multi_step)
  * @throws {ApiError} If processing fails
  */
-export const processIntent = async (text) => {
+export const processIntent = async (text, { context = null, page = null, alternatives = [] } = {}) => {
   try {
     // Validate input
     if (!text || typeof text !== 'string') {
@@ -827,16 +1301,33 @@ export const processIntent = async (text) => {
       throw new ApiError(400, `Text exceeds maximum length of ${config.maxTextLength} characters`);
     }
 
-    // Process with Grok or fallback
-    const result = await callGrok(trimmedText);
+    // Process with LLM or fallback
+    const candidates = listCandidates(trimmedText, alternatives);
+    const result = await callGrok(trimmedText, { context, page, candidates });
+
+    // The candidate the LLM classified (the top one when it did not say)
+    const chosen = candidates.find(
+      candidate => transcriptKey(candidate.transcript) === transcriptKey(result?.data?.transcript)
+    ) || candidates[0];
+
+    const intent = result?.data?.intent || 'unknown';
+
+    // Multi-step commands get an ordered plan from the planner
+    const plan = intent === 'multi_step'
+      ? await createActionPlan(chosen.transcript, buildContextPrompt(context) + buildPagePrompt(page))
+      : null;
 
     // Ensure all required fields are present
     return {
-    intent: result?.data?.intent || 'unknown',
+    intent,
     entities: result?.data?.entities || {},
-    message: result?.data?.message || 'Processing complete',
+    message: plan?.message || result?.data?.message || 'Processing complete',
     confidence: result?.data?.confidence || 0.5,
-    model: result?.data?.metadata?.model || config.llm.model
+    model: result?.data?.metadata?.model || getActiveModel(),
+    plan,
+    transcript: chosen.transcript,
+    speechConfidence: chosen.confidence,
+    confirmation: buildConfirmation(intent, chosen, candidates)
   };
 
 
@@ -855,13 +1346,9 @@ export const processIntent = async (text) => {
 // ============================================================================
 
 /**
- * Reinitialize Grok client with updated configuration
- * Useful when API key is updated at runtime
+ * Reinitialize LLM provider with updated configuration
+ * Kept under its original name for existing callers
  * 
  * @returns {boolean} Success status
  */
-export const reinitializeGrokClient = () => {
-  logger.info('Reinitializing Grok client...');
-  grokClient = initializeGrokClient();
-  return grokClient !== null;
-};
\ No newline at end of file
+export const reinitializeGrokClient = () => reinitializeLLMClient();
\ No newline at end of file
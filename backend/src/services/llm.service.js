@@ -0,0 +1,204 @@
+/**
+ * LLM Service
+ * Provider abstraction selected through LLM_PROVIDER
+ *
+ * @module services/llm
+ */
+
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { createResponsesAdapter } from './providers/responses.provider.js';
+import { createChatAdapter } from './providers/chat.provider.js';
+import { createAnthropicAdapter } from './providers/anthropic.provider.js';
+import { createLocalAdapter } from './providers/local.provider.js';
+
+// ============================================================================
+// Provider Registry
+// ============================================================================
+
+/**
+ * Supported providers with their adapter and defaults
+ */
+const PROVIDERS = {
+  grok: {
+    createAdapter: createResponsesAdapter,
+    baseURL: 'https://api.x.ai/v1',
+    model: 'grok-beta',
+    requiresApiKey: true
+  },
+  openai: {
+    createAdapter: createResponsesAdapter,
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true
+  },
+  chat: {
+    createAdapter: createChatAdapter,
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true
+  },
+  anthropic: {
+    createAdapter: createAnthropicAdapter,
+    baseURL: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    requiresApiKey: true
+  },
+  local: {
+    createAdapter: createLocalAdapter,
+    baseURL: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresApiKey: false
+  }
+};
+
+/**
+ * API endpoints a configured URL may end with
+ * LLM_API_URL used to be the full chat completions endpoint
+ */
+const ENDPOINT_SUFFIX = /\/(?:chat\/completions|responses|messages)\/?$/;
+
+// ============================================================================
+// Client Initialization
+// ============================================================================
+
+let adapter = null;
+
+/**
+ * Reduce a configured API URL to the base URL the adapters expect
+ *
+ * @param {string} url - LLM_API_URL, a base URL or a full endpoint
+ * @returns {string} Base URL without endpoint
+ */
+const toBaseURL = (url) => {
+  if (!ENDPOINT_SUFFIX.test(url)) {
+    return url.replace(/\/+$/, '');
+  }
+
+  const baseURL = url.replace(ENDPOINT_SUFFIX, '');
+  logger.warn(`LLM_API_URL should be a base URL - using ${baseURL} instead of ${url}`);
+  return baseURL;
+};
+
+/**
+ * Initialize the adapter for the configured provider
+ *
+ * @returns {Object|null} Adapter or null when unavailable
+ */
+const initializeAdapter = () => {
+  const providerName = config.llm.provider.toLowerCase();
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    logger.error(`Unknown LLM provider "${config.llm.provider}" - using fallback mode`);
+    return null;
+  }
+
+  if (provider.requiresApiKey && !config.llm.apiKey) {
+    logger.warn(`${providerName} API key not configured - using fallback mode`);
+    return null;
+  }
+
+  try {
+    const instance = provider.createAdapter({
+      apiKey: config.llm.apiKey,
+      baseURL: config.llm.apiUrl ? toBaseURL(config.llm.apiUrl) : provider.baseURL,
+      model: config.llm.model || provider.model,
+      temperature: config.llm.temperature,
+      maxTokens: config.llm.maxTokens,
+      timeout: config.llm.timeout,
+      anthropicVersion: config.llm.anthropicVersion
+    });
+
+    logger.info(`✅ LLM provider "${providerName}" initialized (${instance.name} adapter, ${instance.model})`);
+    return instance;
+  } catch (error) {
+    logger.error(`Failed to initialize LLM provider "${providerName}":`, error.message);
+    return null;
+  }
+};
+
+adapter = initializeAdapter();
+
+// ============================================================================
+// Response Parsing
+// ============================================================================
+
+/**
+ * Parse a JSON response, tolerating text around the JSON object
+ *
+ * @param {string} content - Raw LLM output
+ * @returns {Object} Parsed object
+ * @throws {Error} If no JSON object can be found
+ */
+const parseJsonResponse = (content) => {
+  if (!content) {
+    throw new Error('LLM response is empty');
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    // Try to extract JSON from response
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('LLM response is not valid JSON');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Check whether an LLM provider is available
+ *
+ * @returns {boolean} Availability
+ */
+export const isLLMAvailable = () => adapter !== null;
+
+/**
+ * Get the active model name
+ *
+ * @returns {string} Model name
+ */
+export const getActiveModel = () => adapter?.model || config.llm.model;
+
+/**
+ * Generate a structured JSON response through the configured provider
+ *
+ * @async
+ * @param {Object} request - Completion request
+ * @param {string} request.prompt - Full prompt text
+ * @param {Object} request.schema - JSON schema of the expected output
+ * @param {string} request.schemaName - Schema name
+ * @param {number} [request.maxTokens] - Max output tokens override
+ * @returns {Promise<Object>} Parsed response object
+ * @throws {Error} If no provider is available or the call fails (status preserved)
+ */
+export const generateStructured = async (request) => {
+  if (!adapter) {
+    throw new Error('LLM provider not initialized');
+  }
+
+  logger.debug(`Calling LLM: ${adapter.name}/${adapter.model} (${request.schemaName})`);
+
+  const content = await adapter.complete(request);
+  logger.debug('LLM Response:', content);
+
+  return parseJsonResponse(content);
+};
+
+/**
+ * Reinitialize the provider with updated configuration
+ * Useful when API key is updated at runtime
+ *
+ * @returns {boolean} Success status
+ */
+export const reinitializeLLMClient = () => {
+  logger.info('Reinitializing LLM provider...');
+  adapter = initializeAdapter();
+  return adapter !== null;
+};
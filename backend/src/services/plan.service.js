@@ -0,0 +1,241 @@
+/**
+ * Plan Service
+ * Turns multi-step commands into an ordered action plan
+ *
+ * @module services/plan
+ */
+
+import { ApiError } from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { generateStructured } from './llm.service.js';
+
+// ============================================================================
+// Plan Schema
+// ============================================================================
+
+/**
+ * Actions the service worker knows how to execute
+ */
+export const PLAN_ACTIONS = [
+  "navigate",
+  "wait_for_load",
+  "search",
+  "website_search",
+  "click",
+  "form_fill",
+  "scroll",
+  "type_text",
+  "select_option",
+  "press_key",
+  "go_back",
+  "reload"
+];
+
+/**
+ * Ordered plan of steps, returned alongside the intent schema
+ */
+const ACTION_PLAN_SCHEMA = {
+  type: "object",
+
+  properties: {
+
+    steps: {
+      type: "array",
+
+      items: {
+        type: "object",
+
+        properties: {
+
+          action: {
+            type: "string",
+            enum: PLAN_ACTIONS
+          },
+
+          description: { type: "string" },
+
+          entities: {
+            type: "object",
+
+            properties: {
+
+              query: { type: "string" },
+
+              website: { type: "string" },
+
+              url: { type: "string" },
+
+              /* Visible text / label of the element to act on */
+              text: { type: "string" },
+
+              target_id: { type: "string" },
+
+              /* Text to type / option to choose */
+              value: { type: "string" },
+
+              direction: { type: "string" },
+
+              key: { type: "string" },
+
+              form_fields: {
+                type: "object",
+
+                additionalProperties: {
+                  type: "string"
+                }
+              }
+
+            },
+
+            required: [
+              "query",
+              "website",
+              "url",
+              "text",
+              "target_id",
+              "value",
+              "direction",
+              "key",
+              "form_fields"
+            ],
+
+            additionalProperties: false
+          }
+
+        },
+
+        required: [
+          "action",
+          "description",
+          "entities"
+        ],
+
+        additionalProperties: false
+      }
+    },
+
+    message: { type: "string" }
+
+  },
+
+  required: [
+    "steps",
+    "message"
+  ],
+
+  additionalProperties: false
+};
+
+// Upper bound on steps executed for a single utterance
+const MAX_STEPS = 10;
+
+// ============================================================================
+// Prompt
+// ============================================================================
+
+/**
+ * Build the planning prompt
+ *
+ * @param {string} userText - User's voice command
+ * @param {string} contextPrompt - Conversation / page context sections
+ * @returns {string} Prompt
+ */
+const buildPlanPrompt = (userText, contextPrompt) => `You are the action planner of "VoiceReplica", a voice assistant that controls the browser.
+
+The user gave a command made of several actions. Break it into an ordered list of steps.
+--------------------------------------------------
+AVAILABLE ACTIONS
+--------------------------------------------------
+
+- navigate        → open a URL in the current tab. Fill entities.url (and entities.website).
+- wait_for_load   → wait until the page finished loading. Add after navigate and after any step that submits a search or form.
+- search          → web search. Fill entities.query.
+- website_search  → search inside the current website. Fill entities.query (and entities.target_id when PAGE CONTEXT lists the search input).
+- click           → click a button, link or option. Fill entities.text with its visible text, e.g. "Price: Low to High".
+- form_fill       → fill form fields. Fill entities.form_fields with standardized keys (name, email, phone, ...).
+- scroll          → scroll the page. Fill entities.direction (up, down, top, bottom) or entities.text with the section to scroll to.
+- type_text       → type free text. Fill entities.value (and entities.text with the field label when named).
+- select_option   → choose a dropdown / radio option. Fill entities.text with the field label and entities.value with the option.
+- press_key       → press a key. Fill entities.key (Enter, Escape, Tab, ...).
+- go_back         → go to the previous page.
+- reload          → reload the current page.
+
+--------------------------------------------------
+RULES
+--------------------------------------------------
+
+- Keep the user's order.
+- Convert website names to URLs (Amazon → https://www.amazon.in, YouTube → https://www.youtube.com, Flipkart → https://www.flipkart.com, unknown → https://www.<website>.com).
+- Use website_search (not search) when the user wants to search inside a site they opened.
+- "sort by price" → click with entities.text = "Sort by", wait_for_load is NOT needed, then click with entities.text = "Price: Low to High".
+- At most ${MAX_STEPS} steps.
+- Leave unused entities as "" and form_fields as {}.
+- Add wait_for_load after go_back, reload and after press_key Enter when it submits a search or form.
+- Use exactly what the user said. Do NOT invent values.
+- message → one short sentence describing the plan, suitable for reading aloud.
+
+Example:
+"open Amazon and search for wireless earbuds then sort by price"
+→ navigate (url https://www.amazon.in), wait_for_load, website_search (query "wireless earbuds"), wait_for_load, click ("Sort by"), click ("Price: Low to High")
+${contextPrompt}
+User Command: ${userText}`;
+
+// ============================================================================
+// Main Processing Function
+// ============================================================================
+
+/**
+ * Keep the steps the extension can run, up to MAX_STEPS
+ *
+ * @param {Array<Object>} [steps] - Planned steps
+ * @returns {Array<Object>} Executable steps in order
+ */
+export const toExecutableSteps = (steps = []) => steps
+  .filter(step => PLAN_ACTIONS.includes(step.action))
+  .slice(0, MAX_STEPS);
+
+/**
+ * Create an action plan for a multi-step command
+ *
+ * @async
+ * @param {string} userText - User's voice command
+ * @param {string} [contextPrompt] - Conversation / page context prompt sections
+ * @returns {Promise<Object>} { steps, message }
+ * @throws {ApiError} If planning fails
+ */
+export const createActionPlan = async (userText, contextPrompt = '') => {
+  try {
+    const result = await generateStructured({
+      prompt: buildPlanPrompt(userText, contextPrompt),
+      schema: ACTION_PLAN_SCHEMA,
+      schemaName: 'voice_replica_action_plan',
+      maxTokens: 1200
+    });
+
+    const steps = toExecutableSteps(result.steps || []);
+
+    if (steps.length === 0) {
+      throw new Error('Plan has no executable steps');
+    }
+
+    logger.debug(`Action plan: ${steps.map(step => step.action).join(' → ')}`);
+
+    return {
+      steps,
+      message: result.message || `Running ${steps.length} steps`
+    };
+
+  } catch (error) {
+    logger.error('Action planning failed:', error);
+
+    if (error.status === 401) {
+      throw new ApiError(502, 'Invalid LLM API key configuration');
+    }
+
+    if (error.status === 429) {
+      throw new ApiError(429, 'Rate limit exceeded. Please try again later.');
+    }
+
+    throw new ApiError(502, 'Failed to plan the requested steps');
+  }
+};
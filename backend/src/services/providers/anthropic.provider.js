@@ -0,0 +1,97 @@
+/**
+ * Anthropic Provider
+ * LLM adapter for the Anthropic Messages API
+ *
+ * @module services/providers/anthropic
+ */
+
+import axios from 'axios';
+
+// ============================================================================
+// Adapter Factory
+// ============================================================================
+
+/**
+ * Create an Anthropic Messages adapter
+ * Structured output is obtained by forcing a single tool call whose
+ * input_schema is the expected JSON schema
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.baseURL - Base URL without endpoint
+ * @param {string} options.model - Model name
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Max output tokens
+ * @param {number} options.timeout - Request timeout (ms)
+ * @param {string} options.anthropicVersion - anthropic-version header
+ * @returns {Object} Adapter with complete() method
+ */
+export const createAnthropicAdapter = (options) => {
+  const http = axios.create({
+    baseURL: options.baseURL,
+    timeout: options.timeout,
+    headers: {
+      'x-api-key': options.apiKey,
+      'anthropic-version': options.anthropicVersion,
+      'content-type': 'application/json'
+    }
+  });
+
+  /**
+   * Run a structured completion
+   *
+   * @async
+   * @param {Object} request - Completion request
+   * @param {string} request.prompt - Full prompt text
+   * @param {Object} request.schema - JSON schema of the expected output
+   * @param {string} request.schemaName - Schema name
+   * @param {number} [request.maxTokens] - Max output tokens override
+   * @returns {Promise<string>} Raw JSON text
+   * @throws {Error} With status set from the HTTP response
+   */
+  const complete = async ({ prompt, schema, schemaName, maxTokens }) => {
+    try {
+      const { data } = await http.post('/messages', {
+        model: options.model,
+        max_tokens: maxTokens || options.maxTokens,
+        temperature: options.temperature,
+        messages: [
+          { role: 'user', content: prompt }
+        ],
+        tools: [
+          {
+            name: schemaName,
+            description: 'Return the structured response',
+            input_schema: schema
+          }
+        ],
+        tool_choice: { type: 'tool', name: schemaName }
+      });
+
+      const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+
+      // Some models answer in plain text despite tool_choice
+      const textBlock = (data.content || []).find(block => block.type === 'text');
+      return textBlock?.text || '';
+
+    } catch (error) {
+      if (error.response) {
+        const apiError = new Error(
+          error.response.data?.error?.message || `Anthropic API error ${error.response.status}`
+        );
+        apiError.status = error.response.status;
+        throw apiError;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'anthropic',
+    model: options.model,
+    complete
+  };
+};
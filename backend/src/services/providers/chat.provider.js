@@ -0,0 +1,93 @@
+/**
+ * Chat Completions Provider
+ * LLM adapter for Chat Completions-style endpoints (OpenAI, Groq, OpenRouter, etc.)
+ *
+ * @module services/providers/chat
+ */
+
+import OpenAI from 'openai';
+
+// ============================================================================
+// Adapter Factory
+// ============================================================================
+
+/**
+ * Create a Chat Completions adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.apiKey - Provider API key
+ * @param {string} options.baseURL - Base URL without endpoint
+ * @param {string} options.model - Model name
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Max output tokens
+ * @param {number} options.timeout - Request timeout (ms)
+ * @param {string} [options.responseFormat] - 'json_schema' or 'json_object'
+ * @returns {Object} Adapter with complete() method
+ */
+export const createChatAdapter = (options) => {
+  const client = new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL,
+    timeout: options.timeout,
+  });
+
+  const responseFormat = options.responseFormat || 'json_schema';
+
+  /**
+   * Build the response_format parameter
+   * json_object mode carries the schema in the prompt instead
+   *
+   * @param {Object} schema - JSON schema
+   * @param {string} schemaName - Schema name
+   * @returns {Object} response_format value
+   */
+  const buildResponseFormat = (schema, schemaName) => {
+    if (responseFormat === 'json_object') {
+      return { type: 'json_object' };
+    }
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: schemaName,
+        schema,
+        strict: false
+      }
+    };
+  };
+
+  /**
+   * Run a structured completion
+   *
+   * @async
+   * @param {Object} request - Completion request
+   * @param {string} request.prompt - Full prompt text
+   * @param {Object} request.schema - JSON schema of the expected output
+   * @param {string} request.schemaName - Schema name
+   * @param {number} [request.maxTokens] - Max output tokens override
+   * @returns {Promise<string>} Raw JSON text
+   */
+  const complete = async ({ prompt, schema, schemaName, maxTokens }) => {
+    const content = responseFormat === 'json_object'
+      ? `${prompt}\n\nRespond ONLY with a JSON object matching the "${schemaName}" JSON schema:\n${JSON.stringify(schema)}`
+      : prompt;
+
+    const completion = await client.chat.completions.create({
+      model: options.model,
+      messages: [
+        { role: 'user', content }
+      ],
+      temperature: options.temperature,
+      max_tokens: maxTokens || options.maxTokens,
+      response_format: buildResponseFormat(schema, schemaName)
+    });
+
+    return completion.choices?.[0]?.message?.content || '';
+  };
+
+  return {
+    name: 'chat',
+    model: options.model,
+    complete
+  };
+};
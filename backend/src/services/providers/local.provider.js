@@ -0,0 +1,33 @@
+/**
+ * Local Provider
+ * LLM adapter for local OpenAI-compatible servers (llama.cpp, Ollama, LM Studio)
+ *
+ * @module services/providers/local
+ */
+
+import { createChatAdapter } from './chat.provider.js';
+
+// ============================================================================
+// Adapter Factory
+// ============================================================================
+
+/**
+ * Create a local server adapter
+ * Local servers rarely enforce auth and support json_schema unevenly,
+ * so this uses a placeholder key and JSON object mode
+ *
+ * @param {Object} options - Adapter options (see createChatAdapter)
+ * @returns {Object} Adapter with complete() method
+ */
+export const createLocalAdapter = (options) => {
+  const adapter = createChatAdapter({
+    ...options,
+    apiKey: options.apiKey || 'local',
+    responseFormat: 'json_object'
+  });
+
+  return {
+    ...adapter,
+    name: 'local'
+  };
+};
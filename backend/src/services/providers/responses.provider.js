@@ -0,0 +1,67 @@
+/**
+ * Responses Provider
+ * LLM adapter for the OpenAI Responses API (OpenAI, Grok)
+ *
+ * @module services/providers/responses
+ */
+
+import OpenAI from 'openai';
+
+// ============================================================================
+// Adapter Factory
+// ============================================================================
+
+/**
+ * Create a Responses API adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.apiKey - Provider API key
+ * @param {string} options.baseURL - Base URL without endpoint
+ * @param {string} options.model - Model name
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Max output tokens
+ * @param {number} options.timeout - Request timeout (ms)
+ * @returns {Object} Adapter with complete() method
+ */
+export const createResponsesAdapter = (options) => {
+  const client = new OpenAI({
+    apiKey: options.apiKey,
+    baseURL: options.baseURL,
+    timeout: options.timeout,
+  });
+
+  /**
+   * Run a structured completion
+   *
+   * @async
+   * @param {Object} request - Completion request
+   * @param {string} request.prompt - Full prompt text
+   * @param {Object} request.schema - JSON schema of the expected output
+   * @param {string} request.schemaName - Schema name
+   * @param {number} [request.maxTokens] - Max output tokens override
+   * @returns {Promise<string>} Raw JSON text
+   */
+  const complete = async ({ prompt, schema, schemaName, maxTokens }) => {
+    const response = await client.responses.create({
+      model: options.model,
+      input: prompt,
+      temperature: options.temperature,
+      max_output_tokens: maxTokens || options.maxTokens,
+      text: {
+        format: {
+          type: 'json_schema',
+          name: schemaName,
+          schema
+        }
+      }
+    });
+
+    return response.output_text;
+  };
+
+  return {
+    name: 'responses',
+    model: options.model,
+    complete
+  };
+};
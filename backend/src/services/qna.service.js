@@ -0,0 +1,227 @@
+/**
+ * QnA Service
+ * Question answering grounded in the current page
+ *
+ * @module services/qna
+ */
+
+import { config } from '../config/env.js';
+import { ApiError } from '../utils/ApiError.js';
+import { chunkText } from '../utils/chunkText.js';
+import { rankPassages } from '../utils/bm25.js';
+import logger from '../utils/logger.js';
+import {
+  isLLMAvailable,
+  generateStructured,
+  getActiveModel
+} from './llm.service.js';
+
+// ============================================================================
+// Response Schema
+// ============================================================================
+
+/**
+ * Answer with citations to the numbered passages
+ */
+const PAGE_ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: "string" },
+    grounded: { type: "boolean" },
+    citations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          passage: { type: "integer" },
+          quote: { type: "string" }
+        },
+        required: ["passage", "quote"],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ["answer", "grounded", "citations"],
+  additionalProperties: false
+};
+
+// ============================================================================
+// Prompts
+// ============================================================================
+
+/**
+ * Build the grounded answering prompt
+ *
+ * @param {string} question - User question
+ * @param {Array<{number: number, text: string}>} passages - Retrieved passages
+ * @param {string} title - Page title
+ * @returns {string} Prompt
+ */
+const buildAnswerPrompt = (question, passages, title) => {
+  const context = passages.length
+    ? passages.map(passage => `[${passage.number}] ${passage.text}`).join('\n\n')
+    : '(no relevant passages found on this page)';
+
+  return `You answer questions for "VoiceReplica", a voice assistant, using the page the user is reading.
+
+Page title: "${title}"
+
+PASSAGES FROM THE PAGE:
+${context}
+
+Rules:
+
+- If the passages contain the answer:
+  - answer ONLY from the passages
+  - set grounded = true
+  - add a citation for every passage used: { "passage": <number>, "quote": <short exact sentence copied from that passage> }
+- If the passages do NOT contain the answer:
+  - answer from general knowledge
+  - set grounded = false and citations = []
+  - start the answer with "This page doesn't say, but"
+- Keep the answer to 1-3 short sentences suitable for reading aloud. No markdown.
+- Keep names, numbers and prices exactly as written in the passages.
+
+Return JSON: { "answer": "", "grounded": true, "citations": [] }
+
+QUESTION: ${question}`;
+};
+
+// ============================================================================
+// Retrieval
+// ============================================================================
+
+/**
+ * Split the page into passages and keep the most relevant ones
+ *
+ * @param {string} question - User question
+ * @param {string} text - Page text
+ * @returns {Array<{number: number, text: string, score: number}>} Relevant passages, best first
+ */
+const retrievePassages = (question, text) => {
+  const passages = chunkText(text, config.qna.passageSize);
+  const ranked = rankPassages(question, passages).filter(({ score }) => score > 0);
+
+  // BM25 scores depend on the passage count (a one-passage page tops out
+  // near 0.3), so the cutoff is relative to the best passage
+  const cutoff = (ranked[0]?.score || 0) * config.qna.minRelativeScore;
+
+  return ranked
+    .filter(({ score }) => score >= cutoff)
+    .slice(0, config.qna.topK)
+    .map(({ index, score }) => ({
+      number: index + 1,
+      text: passages[index],
+      score
+    }));
+};
+
+/**
+ * Attach passage text to the LLM citations, dropping invalid ones
+ *
+ * @param {Array<Object>} citations - Citations from the LLM
+ * @param {Array<Object>} passages - Retrieved passages
+ * @returns {Array<{passage: number, quote: string, text: string}>} Valid citations
+ */
+const resolveCitations = (citations = [], passages) => {
+  return citations
+    .map((citation) => {
+      const passage = passages.find(p => p.number === citation.passage);
+      return passage && {
+        passage: passage.number,
+        quote: citation.quote || '',
+        text: passage.text
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Answer without the LLM - read out the best passage
+ *
+ * @param {Array<Object>} passages - Retrieved passages
+ * @returns {Object} { answer, grounded, citations }
+ */
+const fallbackAnswer = (passages) => {
+  if (passages.length === 0) {
+    return {
+      answer: "I couldn't find that on this page, and I can't answer general questions right now.",
+      grounded: false,
+      citations: []
+    };
+  }
+
+  const [best] = passages;
+  const firstSentence = (best.text.match(/^[\s\S]*?[.!?](?=\s|$)/) || [best.text])[0].trim();
+
+  return {
+    answer: `Here's what this page says: ${firstSentence}`,
+    grounded: true,
+    citations: [{ passage: best.number, quote: firstSentence, text: best.text }]
+  };
+};
+
+// ============================================================================
+// Main Processing Function
+// ============================================================================
+
+/**
+ * Answer a question about the current page
+ *
+ * @async
+ * @param {Object} request - QnA request
+ * @param {string} request.question - User question
+ * @param {string} [request.text] - Page main content
+ * @param {string} [request.title] - Page title
+ * @param {string} [request.url] - Page URL
+ * @returns {Promise<Object>} { answer, grounded, citations, passages, model }
+ * @throws {ApiError} If answering fails
+ */
+export const answerQuestion = async ({ question, text = '', title = '', url = '' }) => {
+  const trimmedQuestion = (question || '').trim();
+  if (trimmedQuestion.length === 0) {
+    throw new ApiError(400, 'Question cannot be empty');
+  }
+
+  const passages = text.trim() ? retrievePassages(trimmedQuestion, text) : [];
+
+  logger.debug(`QnA for ${url || 'page'} - ${passages.length} relevant passage(s)`);
+
+  if (!isLLMAvailable()) {
+    logger.warn('LLM provider not initialized, answering from best passage');
+    return { ...fallbackAnswer(passages), passages: passages.length, model: 'fallback-bm25' };
+  }
+
+  try {
+    const result = await generateStructured({
+      prompt: buildAnswerPrompt(trimmedQuestion, passages, title || url),
+      schema: PAGE_ANSWER_SCHEMA,
+      schemaName: 'page_answer'
+    });
+
+    const citations = resolveCitations(result.citations, passages);
+
+    return {
+      answer: result.answer || '',
+      // Only trust grounding that is backed by a valid citation
+      grounded: Boolean(result.grounded) && citations.length > 0,
+      citations,
+      passages: passages.length,
+      model: getActiveModel()
+    };
+
+  } catch (error) {
+    logger.error('LLM question answering failed:', error);
+
+    if (error.status === 401) {
+      throw new ApiError(502, 'Invalid LLM API key configuration');
+    }
+
+    if (error.status === 429) {
+      throw new ApiError(429, 'Rate limit exceeded. Please try again later.');
+    }
+
+    logger.warn('Answering from best passage due to LLM error');
+    return { ...fallbackAnswer(passages), passages: passages.length, model: 'fallback-bm25' };
+  }
+};
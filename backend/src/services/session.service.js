@@ -0,0 +1,252 @@
+/**
+ * Session Service
+ * Multi-turn conversation state for voice command processing
+ *
+ * @module services/session
+ */
+
+import { randomUUID } from 'crypto';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+
+// ============================================================================
+// Persistence Interface
+// ============================================================================
+
+/**
+ * Session persistence interface
+ * Any object implementing these async methods can be plugged in
+ * through setSessionStore() (e.g. a Redis or database backed store)
+ *
+ * @typedef {Object} SessionStore
+ * @property {function(string): Promise<Object|null>} get - Load a session by id
+ * @property {function(string, Object, number): Promise<void>} set - Save a session with TTL (ms)
+ * @property {function(string): Promise<boolean>} delete - Remove a session
+ * @property {function(): Promise<number>} sweep - Remove expired sessions, returns count
+ */
+
+/**
+ * Create the default in-memory session store
+ *
+ * @returns {SessionStore} In-memory store
+ */
+export const createMemorySessionStore = () => {
+  const sessions = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  return {
+    async get(id) {
+      const entry = sessions.get(id);
+      if (!entry) return null;
+
+      if (isExpired(entry)) {
+        sessions.delete(id);
+        return null;
+      }
+
+      return entry.session;
+    },
+
+    async set(id, session, ttl) {
+      sessions.set(id, { session, expiresAt: Date.now() + ttl });
+    },
+
+    async delete(id) {
+      return sessions.delete(id);
+    },
+
+    async sweep() {
+      let removed = 0;
+      for (const [id, entry] of sessions) {
+        if (isExpired(entry)) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+// ============================================================================
+// Store Initialization
+// ============================================================================
+
+let store = createMemorySessionStore();
+
+/**
+ * Replace the session persistence backend
+ *
+ * @param {SessionStore} customStore - Store implementing the SessionStore interface
+ */
+export const setSessionStore = (customStore) => {
+  const methods = ['get', 'set', 'delete', 'sweep'];
+  const missing = methods.filter(method => typeof customStore?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Session store is missing methods: ${missing.join(', ')}`);
+  }
+
+  store = customStore;
+};
+
+// Periodic cleanup of expired sessions
+const sweepTimer = setInterval(async () => {
+  try {
+    const removed = await store.sweep();
+    if (removed > 0) {
+      logger.debug(`Session sweep removed ${removed} expired session(s)`);
+    }
+  } catch (error) {
+    logger.error('Session sweep failed:', error.message);
+  }
+}, config.session.sweepInterval);
+
+sweepTimer.unref();
+
+// ============================================================================
+// Session Lifecycle
+// ============================================================================
+
+/**
+ * Create an empty session
+ *
+ * @param {string} id - Session id
+ * @returns {Object} New session
+ */
+const createSession = (id) => ({
+  id,
+  turns: [],
+  entities: {},
+  lastIntent: null,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Load an existing session or start a new one
+ * Unknown or expired ids start a fresh session under the same id
+ *
+ * @async
+ * @param {string} [sessionId] - Session id from the client
+ * @returns {Promise<Object>} Session
+ */
+export const getOrCreateSession = async (sessionId) => {
+  const id = sessionId || randomUUID();
+  const existing = await store.get(id);
+
+  if (existing) {
+    return existing;
+  }
+
+  logger.debug(`Starting new session ${id}`);
+  return createSession(id);
+};
+
+/**
+ * Entities tied to a single page snapshot, never carried across turns
+ */
+const PAGE_SPECIFIC_ENTITIES = new Set(['target_id', 'form_targets', 'label_number']);
+
+/**
+ * Intents that run nothing, so follow-ups cannot refer to them
+ */
+const NON_EXECUTED_INTENTS = new Set(['unknown', 'other']);
+
+/**
+ * Merge non-empty entity values into the resolved entities
+ *
+ * @param {Object} resolved - Previously resolved entities
+ * @param {Object} entities - Entities from the latest turn
+ * @returns {Object} Merged entities
+ */
+const mergeEntities = (resolved, entities = {}) => {
+  const merged = { ...resolved };
+
+  for (const [key, value] of Object.entries(entities)) {
+    if (PAGE_SPECIFIC_ENTITIES.has(key)) continue;
+
+    if (key === 'form_fields' && value && typeof value === 'object') {
+      merged.form_fields = { ...(merged.form_fields || {}), ...value };
+    } else if (value !== '' && value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Record a processed turn and persist the session
+ * Only intents the client runs right away become the last intent - not one
+ * still waiting for a "Did you mean...?" answer, nor one that runs nothing
+ *
+ * @async
+ * @param {Object} session - Session to update
+ * @param {string} text - User command
+ * @param {Object} result - Processed intent result
+ * @returns {Promise<Object>} Updated session
+ */
+export const recordTurn = async (session, text, result) => {
+  session.turns.push({
+    text,
+    intent: result.intent,
+    entities: result.entities,
+    message: result.message,
+    timestamp: new Date().toISOString()
+  });
+
+  // Keep only the most recent turns
+  if (session.turns.length > config.session.maxTurns) {
+    session.turns = session.turns.slice(-config.session.maxTurns);
+  }
+
+  if (!result.confirmation && !NON_EXECUTED_INTENTS.has(result.intent)) {
+    session.entities = mergeEntities(session.entities, result.entities);
+    session.lastIntent = {
+      intent: result.intent,
+      entities: result.entities
+    };
+  }
+
+  session.updatedAt = new Date().toISOString();
+
+  await store.set(session.id, session, config.session.ttl);
+  return session;
+};
+
+/**
+ * Reset (delete) a session
+ *
+ * @async
+ * @param {string} sessionId - Session id
+ * @returns {Promise<boolean>} Whether a session existed
+ */
+export const resetSession = async (sessionId) => {
+  const existed = await store.delete(sessionId);
+  logger.debug(`Session ${sessionId} reset (existed: ${existed})`);
+  return existed;
+};
+
+// ============================================================================
+// Prompt Context
+// ============================================================================
+
+/**
+ * Build the conversation context passed to the intent service
+ *
+ * @param {Object} session - Session
+ * @returns {Object|null} Context or null for a fresh session
+ */
+export const buildSessionContext = (session) => {
+  if (!session || session.turns.length === 0) {
+    return null;
+  }
+
+  return {
+    turns: session.turns.map(({ text, intent, message }) => ({ text, intent, message })),
+    entities: session.entities,
+    lastIntent: session.lastIntent
+  };
+};
@@ -0,0 +1,254 @@
+/**
+ * Summarize Service
+ * Map-reduce page summarization through the configured LLM provider
+ *
+ * @module services/summarize
+ */
+
+import { config } from '../config/env.js';
+import { ApiError } from '../utils/ApiError.js';
+import { chunkText } from '../utils/chunkText.js';
+import logger from '../utils/logger.js';
+import {
+  isLLMAvailable,
+  generateStructured,
+  getActiveModel
+} from './llm.service.js';
+
+// ============================================================================
+// Response Schemas
+// ============================================================================
+
+/**
+ * Map step - summary of a single chunk
+ */
+const CHUNK_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" }
+  },
+  required: ["summary"],
+  additionalProperties: false
+};
+
+/**
+ * Reduce step - final spoken summary and bullet points
+ */
+const PAGE_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    spoken_summary: { type: "string" },
+    bullets: {
+      type: "array",
+      items: { type: "string" }
+    }
+  },
+  required: ["spoken_summary", "bullets"],
+  additionalProperties: false
+};
+
+// ============================================================================
+// Prompts
+// ============================================================================
+
+/**
+ * Build the map prompt for one chunk
+ *
+ * @param {string} chunk - Chunk text
+ * @param {number} index - Chunk index (0-based)
+ * @param {number} total - Total chunks
+ * @param {string} title - Page title
+ * @returns {string} Prompt
+ */
+const buildChunkPrompt = (chunk, index, total, title) => `You summarize web pages for "VoiceReplica", a voice assistant.
+
+This is part ${index + 1} of ${total} of the page "${title}".
+
+Summarize this part in at most 5 sentences.
+Keep facts, names, numbers and prices exactly as written.
+Do NOT add information that is not in the text.
+
+Return JSON: { "summary": "" }
+
+PAGE TEXT:
+${chunk}`;
+
+/**
+ * Build the reduce prompt combining chunk summaries (or the full text)
+ *
+ * @param {string} content - Combined summaries or page text
+ * @param {string} title - Page title
+ * @param {boolean} isPartial - Whether content is made of partial summaries
+ * @returns {string} Prompt
+ */
+const buildFinalPrompt = (content, title, isPartial) => `You summarize web pages for "VoiceReplica", a voice assistant.
+
+${isPartial ? 'Below are summaries of consecutive parts of' : 'Below is the main content of'} the page "${title}".
+
+Produce:
+- spoken_summary → 2 to 3 short sentences meant to be read aloud. Plain language, no markdown, no lists.
+- bullets → at most ${config.summarize.maxBullets} concise bullet points with the key facts, in page order.
+
+Keep facts, names, numbers and prices exactly as written.
+Do NOT add information that is not in the content.
+
+Return JSON: { "spoken_summary": "", "bullets": [] }
+
+${isPartial ? 'PART SUMMARIES' : 'PAGE TEXT'}:
+${content}`;
+
+// ============================================================================
+// Map-Reduce
+// ============================================================================
+
+/**
+ * Run an async mapper over items with limited concurrency
+ *
+ * @async
+ * @param {Array} items - Items to map
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+
+  return results;
+};
+
+/**
+ * Summarize through the LLM using map-reduce over chunks
+ *
+ * @async
+ * @param {string[]} chunks - Page chunks
+ * @param {string} title - Page title
+ * @returns {Promise<Object>} { spokenSummary, bullets }
+ */
+const summarizeWithLLM = async (chunks, title) => {
+  let content = chunks[0];
+  let isPartial = false;
+
+  // Map: summarize each chunk when the page does not fit in one call
+  if (chunks.length > 1) {
+    logger.debug(`Summarizing ${chunks.length} chunks`);
+
+    const partials = await mapWithConcurrency(
+      chunks,
+      config.summarize.concurrency,
+      async (chunk, index) => {
+        const result = await generateStructured({
+          prompt: buildChunkPrompt(chunk, index, chunks.length, title),
+          schema: CHUNK_SUMMARY_SCHEMA,
+          schemaName: 'page_chunk_summary'
+        });
+        return result.summary || '';
+      }
+    );
+
+    content = partials
+      .map((summary, index) => `Part ${index + 1}: ${summary}`)
+      .join('\n\n');
+    isPartial = true;
+  }
+
+  // Reduce: combine into spoken summary and bullets
+  const result = await generateStructured({
+    prompt: buildFinalPrompt(content, title, isPartial),
+    schema: PAGE_SUMMARY_SCHEMA,
+    schemaName: 'page_summary'
+  });
+
+  return {
+    spokenSummary: result.spoken_summary || '',
+    bullets: (result.bullets || []).slice(0, config.summarize.maxBullets)
+  };
+};
+
+/**
+ * Extractive fallback when the LLM is unavailable
+ * Uses the first sentence of the leading paragraphs
+ *
+ * @param {string} text - Page text
+ * @returns {Object} { spokenSummary, bullets }
+ */
+const fallbackSummary = (text) => {
+  const firstSentence = (paragraph) => {
+    const match = paragraph.match(/^[\s\S]*?[.!?](?=\s|$)/);
+    return (match ? match[0] : paragraph).replace(/\s+/g, ' ').trim();
+  };
+
+  const bullets = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.split(/\s+/).length >= 8)
+    .slice(0, config.summarize.maxBullets)
+    .map(firstSentence);
+
+  return {
+    spokenSummary: bullets.slice(0, 2).join(' ') || 'I could not find enough text on this page to summarize.',
+    bullets
+  };
+};
+
+// ============================================================================
+// Main Processing Function
+// ============================================================================
+
+/**
+ * Summarize extracted page text
+ *
+ * @async
+ * @param {Object} page - Extracted page content
+ * @param {string} page.text - Main content text (paragraphs separated by blank lines)
+ * @param {string} [page.title] - Page title
+ * @param {string} [page.url] - Page URL
+ * @returns {Promise<Object>} { spokenSummary, bullets, chunks, model }
+ * @throws {ApiError} If summarization fails
+ */
+export const summarizePage = async ({ text, title = '', url = '' }) => {
+  const trimmedText = (text || '').trim();
+  if (trimmedText.length === 0) {
+    throw new ApiError(400, 'Page text cannot be empty');
+  }
+
+  const chunks = chunkText(trimmedText, config.summarize.chunkSize)
+    .slice(0, config.summarize.maxChunks);
+
+  logger.debug(`Summarize request for ${url || 'page'} - ${trimmedText.length} chars, ${chunks.length} chunk(s)`);
+
+  if (!isLLMAvailable()) {
+    logger.warn('LLM provider not initialized, using extractive summary');
+    return { ...fallbackSummary(trimmedText), chunks: chunks.length, model: 'fallback-extractive' };
+  }
+
+  try {
+    const summary = await summarizeWithLLM(chunks, title || url);
+    return { ...summary, chunks: chunks.length, model: getActiveModel() };
+
+  } catch (error) {
+    logger.error('LLM summarization failed:', error);
+
+    if (error.status === 401) {
+      throw new ApiError(502, 'Invalid LLM API key configuration');
+    }
+
+    if (error.status === 429) {
+      throw new ApiError(429, 'Rate limit exceeded. Please try again later.');
+    }
+
+    logger.warn('Using extractive summary due to LLM error');
+    return { ...fallbackSummary(trimmedText), chunks: chunks.length, model: 'fallback-extractive' };
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * BM25 Ranking Utility
+ * Local lexical ranker for page passages
+ *
+ * @module utils/bm25
+ */
+
+// Common English words carrying no retrieval signal
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'page', 'so', 'tell', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Tokenize text into normalized terms
+ * Lowercases, drops stopwords and strips simple plural suffixes
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+export const tokenize = (text) => {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !STOPWORDS.has(term))
+    .map((term) => {
+      if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+      if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+      return term;
+    });
+};
+
+/**
+ * Rank passages against a query with Okapi BM25
+ *
+ * @param {string} query - Search query
+ * @param {string[]} passages - Passages to rank
+ * @param {Object} [options] - BM25 parameters
+ * @param {number} [options.k1=1.2] - Term frequency saturation
+ * @param {number} [options.b=0.75] - Length normalization
+ * @returns {Array<{index: number, score: number}>} Passages sorted by descending score
+ */
+export const rankPassages = (query, passages, { k1 = 1.2, b = 0.75 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const documents = passages.map(tokenize);
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return passages.map((_, index) => ({ index, score: 0 }));
+  }
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+  // Document frequency per query term
+  const documentFrequency = new Map(
+    queryTerms.map(term => [term, documents.filter(doc => doc.includes(term)).length])
+  );
+
+  return documents
+    .map((doc, index) => {
+      const termFrequency = new Map();
+      for (const term of doc) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = termFrequency.get(term) || 0;
+        if (tf === 0) continue;
+
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (doc.length / averageLength)));
+      }
+
+      return { index, score };
+    })
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,55 @@
+/**
+ * Text Chunking Utility
+ * Splits long page text into LLM-sized chunks
+ * 
+ * @module utils/chunkText
+ */
+
+/**
+ * Split text into chunks on paragraph, then sentence boundaries
+ * Chunks never exceed chunkSize characters (except a single oversized word)
+ * 
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Max characters per chunk
+ * @returns {string[]} Chunks in document order
+ */
+export const chunkText = (text, chunkSize) => {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  // Break oversized paragraphs into sentences, then hard-split as a last resort
+  const pieces = paragraphs.flatMap((paragraph) => {
+    if (paragraph.length <= chunkSize) return [paragraph];
+
+    const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph];
+    return sentences.flatMap((sentence) => {
+      const trimmed = sentence.trim();
+      if (trimmed.length <= chunkSize) return [trimmed];
+
+      const parts = [];
+      for (let i = 0; i < trimmed.length; i += chunkSize) {
+        parts.push(trimmed.slice(i, i + chunkSize));
+      }
+      return parts;
+    });
+  });
+
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > chunkSize) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * BM25 ranking tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenize, rankPassages } from '../src/utils/bm25.js';
+
+test('tokenize drops stopwords and simple plurals', () => {
+  assert.deepEqual(tokenize('What are the prices of the batteries?'), ['price', 'battery']);
+});
+
+test('rankPassages puts the passage with the query terms first', () => {
+  const ranked = rankPassages('battery life', [
+    'The screen is bright and sharp.',
+    'Battery life is about ten hours.',
+    'Shipping takes two days.'
+  ]);
+
+  assert.equal(ranked[0].index, 1);
+  assert.ok(ranked[0].score > 0);
+  assert.equal(ranked[1].score, 0);
+});
+
+test('rankPassages scores a single matching passage above zero', () => {
+  const [only] = rankPassages('price', ['The price of the widget is 20 dollars.']);
+
+  assert.equal(only.index, 0);
+  assert.ok(only.score > 0);
+});
+
+test('rankPassages scores nothing for a stopword-only query', () => {
+  const ranked = rankPassages('what is this', ['Anything at all.', 'Something else.']);
+
+  assert.deepEqual(ranked.map(({ score }) => score), [0, 0]);
+});
\ No newline at end of file
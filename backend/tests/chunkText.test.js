@@ -0,0 +1,45 @@
+/**
+ * Text chunking tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chunkText } from '../src/utils/chunkText.js';
+
+test('short paragraphs share a chunk', () => {
+  assert.deepEqual(chunkText('First one.\n\nSecond one.', 100), ['First one.\n\nSecond one.']);
+});
+
+test('whitespace inside a paragraph is collapsed and empty paragraphs dropped', () => {
+  assert.deepEqual(chunkText('  A   line\nwrapped. \n\n\n \n\nNext. ', 100), ['A line wrapped.\n\nNext.']);
+});
+
+test('paragraphs that do not fit start a new chunk', () => {
+  assert.deepEqual(chunkText('Alpha beta.\n\nGamma delta.', 15), ['Alpha beta.', 'Gamma delta.']);
+});
+
+test('an oversized paragraph is split at sentence ends', () => {
+  assert.deepEqual(
+    chunkText('One two three. Four five six! Seven eight?', 16),
+    ['One two three.', 'Four five six!', 'Seven eight?']
+  );
+});
+
+test('an oversized sentence is hard-split', () => {
+  const chunks = chunkText('x'.repeat(25), 10);
+
+  assert.deepEqual(chunks, ['xxxxxxxxxx', 'xxxxxxxxxx', 'xxxxx']);
+});
+
+test('no chunk is longer than the chunk size', () => {
+  const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+  for (const chunk of chunkText(text, 120)) {
+    assert.ok(chunk.length <= 120, `${chunk.length} characters`);
+  }
+});
+
+test('empty text has no chunks', () => {
+  assert.deepEqual(chunkText(' \n\n ', 100), []);
+});
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Custom voice command tests
+ * The extension's shared scripts set globals, loaded in their manifest order
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../../src/services/schema.js');
+await import('../../src/services/siteAdapters.js');
+await import('../../src/services/customCommands.js');
+
+const { matchPhrase, validateCommands } = globalThis.VoiceReplicaCommands;
+
+const command = (fields = {}) => ({
+  id: 'open-board',
+  phrases: ['open the {board} board'],
+  steps: [{ action: 'navigate', entities: { url: 'https://trello.com/search?q={board}' } }],
+  ...fields
+});
+
+test('matchPhrase captures slots', () => {
+  assert.deepEqual(matchPhrase('open the {board} board', 'open the marketing q3 board'), { board: 'marketing q3' });
+});
+
+test('matchPhrase matches a phrase without slots exactly', () => {
+  assert.deepEqual(matchPhrase('Standup notes!', 'standup notes'), {});
+  assert.equal(matchPhrase('standup notes', 'open standup notes'), null);
+});
+
+test('matchPhrase ignores punctuation and case in the phrase', () => {
+  assert.deepEqual(matchPhrase('What\'s on {day}?', 'what s on monday'), { day: 'monday' });
+});
+
+test('matchPhrase needs every slot filled', () => {
+  assert.equal(matchPhrase('open the {board} board', 'open the board'), null);
+});
+
+test('validateCommands accepts a valid command', () => {
+  assert.deepEqual(validateCommands([command()]), []);
+});
+
+test('validateCommands reports schema errors', () => {
+  const errors = validateCommands([command({ id: 'Open Board', steps: [{ action: 'launch' }] })]);
+
+  assert.ok(errors.some(error => error.includes('commands[0].id')));
+  assert.ok(errors.some(error => error.includes('commands[0].steps[0].action')));
+});
+
+test('validateCommands reports a duplicate id', () => {
+  assert.deepEqual(validateCommands([command(), command()]), ['commands: the id "open-board" is used twice']);
+});
+
+test('validateCommands reports a slot a phrase does not capture', () => {
+  const errors = validateCommands([command({ phrases: ['open my board'] })]);
+
+  assert.deepEqual(errors, ['commands[0].steps use {board}, which "open my board" does not capture']);
+});
+
+test('validateCommands lets a default stand in for an uncaptured slot', () => {
+  assert.deepEqual(validateCommands([command({ phrases: ['open my board'], defaults: { board: 'team' } })]), []);
+});
\ No newline at end of file
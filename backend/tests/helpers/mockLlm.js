@@ -0,0 +1,32 @@
+/**
+ * Mock LLM server for tests
+ * Runs src/mocks/llm.mock.js in a child process on a free-looking port
+ */
+
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const MOCK_SCRIPT = fileURLToPath(new URL('../../src/mocks/llm.mock.js', import.meta.url));
+
+/**
+ * Start the mock server
+ *
+ * @returns {Promise<{url: string, stop: Function}>} Base URL and a stop function
+ */
+export const startMockLlm = async () => {
+  const port = 40000 + Math.floor(Math.random() * 10000);
+
+  const server = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: { ...process.env, MOCK_LLM_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  // The server logs once it listens
+  await once(server.stdout, 'data');
+
+  return {
+    url: `http://localhost:${port}/v1`,
+    stop: () => server.kill()
+  };
+};
\ No newline at end of file
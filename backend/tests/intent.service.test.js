@@ -0,0 +1,43 @@
+/**
+ * Intent service tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_API_KEY = '';
+process.env.LOG_LEVEL = 'error';
+
+const { buildConfirmation } = await import('../src/services/intent.service.js');
+
+const heard = { transcript: 'open face book', confidence: 0.9 };
+const unsure = { transcript: 'open face book', confidence: 0.3 };
+const alternative = { transcript: 'open facebook', confidence: 0.5 };
+
+test('a confident, first-choice transcript runs without asking', () => {
+  assert.equal(buildConfirmation('navigation', heard, [heard, alternative]), null);
+});
+
+test('a low-confidence transcript is confirmed', () => {
+  assert.deepEqual(buildConfirmation('navigation', unsure, [unsure]), {
+    transcript: 'open face book',
+    prompt: 'Did you mean "open face book"?'
+  });
+});
+
+test('a command read from an alternative is confirmed', () => {
+  assert.equal(buildConfirmation('navigation', alternative, [heard, alternative]).transcript, 'open facebook');
+});
+
+test('a transcript without a confidence is not confirmed', () => {
+  const noScore = { transcript: 'reload', confidence: null };
+
+  assert.equal(buildConfirmation('reload', noScore, [noScore]), null);
+});
+
+for (const intent of ['unknown', 'other', 'qna', 'summarize', 'read_aloud']) {
+  test(`${intent} is never confirmed`, () => {
+    assert.equal(buildConfirmation(intent, unsure, [unsure]), null);
+    assert.equal(buildConfirmation(intent, alternative, [heard, alternative]), null);
+  });
+}
\ No newline at end of file
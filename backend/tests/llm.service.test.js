@@ -0,0 +1,116 @@
+/**
+ * LLM provider tests
+ * Every provider adapter talks to the mock LLM server (src/mocks/llm.mock.js)
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMockLlm } from './helpers/mockLlm.js';
+
+process.env.LLM_API_KEY = '';
+process.env.LOG_LEVEL = 'error';
+
+const { config } = await import('../src/config/env.js');
+const {
+  generateStructured,
+  getActiveModel,
+  isLLMAvailable,
+  reinitializeLLMClient
+} = await import('../src/services/llm.service.js');
+
+// Unknown schema names get a schema-shaped answer from the mock
+const REQUEST = {
+  prompt: 'Is this a test?',
+  schemaName: 'test_answer',
+  schema: {
+    type: 'object',
+    properties: {
+      answer: { type: 'string', enum: ['yes', 'no'] },
+      confidence: { type: 'number', minimum: 0.5 }
+    },
+    required: ['answer', 'confidence']
+  }
+};
+
+let mock;
+
+before(async () => {
+  mock = await startMockLlm();
+});
+
+after(() => {
+  mock.stop();
+});
+
+beforeEach(() => {
+  Object.assign(config.llm, { provider: 'grok', apiKey: 'mock', apiUrl: mock.url, model: '' });
+});
+
+/**
+ * Switch provider and return the parsed mock answer
+ */
+const askThrough = async (provider, llm = {}) => {
+  Object.assign(config.llm, { provider, ...llm });
+
+  assert.equal(reinitializeLLMClient(), true);
+
+  return generateStructured(REQUEST);
+};
+
+for (const [provider, model] of [
+  ['grok', 'grok-beta'],
+  ['openai', 'gpt-4o-mini'],
+  ['chat', 'gpt-4o-mini'],
+  ['anthropic', 'claude-3-5-haiku-latest'],
+  ['local', 'llama3.1']
+]) {
+  test(`the ${provider} provider parses the mock's answer`, async () => {
+    assert.deepEqual(await askThrough(provider), { answer: 'yes', confidence: 0.5 });
+    assert.equal(getActiveModel(), model);
+  });
+}
+
+test('a full endpoint in LLM_API_URL is trimmed to the base URL', async () => {
+  const answer = await askThrough('chat', { apiUrl: `${mock.url}/chat/completions` });
+
+  assert.equal(answer.answer, 'yes');
+});
+
+test('a trailing slash in LLM_API_URL is ignored', async () => {
+  const answer = await askThrough('anthropic', { apiUrl: `${mock.url}/` });
+
+  assert.equal(answer.answer, 'yes');
+});
+
+test('the configured model replaces the provider default', async () => {
+  await askThrough('openai', { model: 'gpt-4.1' });
+
+  assert.equal(getActiveModel(), 'gpt-4.1');
+});
+
+test('provider errors keep their HTTP status', async () => {
+  Object.assign(config.llm, { provider: 'chat', model: 'mock-error-400' });
+  reinitializeLLMClient();
+
+  await assert.rejects(generateStructured(REQUEST), { status: 400 });
+});
+
+test('a provider without its API key falls back', () => {
+  Object.assign(config.llm, { provider: 'openai', apiKey: '' });
+
+  assert.equal(reinitializeLLMClient(), false);
+  assert.equal(isLLMAvailable(), false);
+});
+
+test('the local provider needs no API key', () => {
+  Object.assign(config.llm, { provider: 'local', apiKey: '' });
+
+  assert.equal(reinitializeLLMClient(), true);
+});
+
+test('an unknown provider falls back', () => {
+  config.llm.provider = 'nope';
+
+  assert.equal(reinitializeLLMClient(), false);
+});
\ No newline at end of file
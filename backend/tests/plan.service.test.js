@@ -0,0 +1,56 @@
+/**
+ * Action plan tests
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMockLlm } from './helpers/mockLlm.js';
+
+process.env.LLM_API_KEY = '';
+process.env.LOG_LEVEL = 'error';
+
+const { config } = await import('../src/config/env.js');
+const { reinitializeLLMClient } = await import('../src/services/llm.service.js');
+const { toExecutableSteps, createActionPlan } = await import('../src/services/plan.service.js');
+
+let mock;
+
+before(async () => {
+  mock = await startMockLlm();
+
+  Object.assign(config.llm, { provider: 'chat', apiKey: 'mock', apiUrl: mock.url, model: '' });
+  reinitializeLLMClient();
+});
+
+after(() => {
+  mock.stop();
+});
+
+const step = (action) => ({ action, description: action, entities: {} });
+
+test('steps the extension cannot run are dropped', () => {
+  const steps = toExecutableSteps([step('navigate'), step('launch_rocket'), step('click')]);
+
+  assert.deepEqual(steps.map(({ action }) => action), ['navigate', 'click']);
+});
+
+test('a plan is cut to ten steps', () => {
+  const steps = toExecutableSteps(Array.from({ length: 14 }, () => step('scroll')));
+
+  assert.equal(steps.length, 10);
+});
+
+test('a command becomes steps in the order they were said', async () => {
+  const plan = await createActionPlan('open amazon and search for headphones then click price');
+
+  assert.deepEqual(
+    plan.steps.map(({ action }) => action),
+    ['navigate', 'wait_for_load', 'website_search', 'wait_for_load', 'click']
+  );
+  assert.equal(plan.steps[2].entities.query, 'headphones');
+});
+
+test('a plan without executable steps is an error', async () => {
+  await assert.rejects(createActionPlan('sing me a song'), { statusCode: 502 });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Page question answering tests
+ * Runs without an LLM provider - answers come from the best passage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_API_KEY = '';
+process.env.LOG_LEVEL = 'error';
+
+const { answerQuestion } = await import('../src/services/qna.service.js');
+
+test('a short single-passage page still grounds the answer', async () => {
+  const result = await answerQuestion({
+    question: 'what is the price?',
+    text: 'The price of the widget is 20 dollars. It ships in two days.'
+  });
+
+  assert.equal(result.passages, 1);
+  assert.equal(result.grounded, true);
+  assert.equal(result.citations[0].quote, 'The price of the widget is 20 dollars.');
+});
+
+test('the passage answering the question is cited on a long page', async () => {
+  const filler = 'Our team builds tools for makers and hobbyists around the world. '.repeat(40);
+  const text = `${filler}\n\nThe warranty covers the motor for five years.\n\n${filler}`;
+
+  const result = await answerQuestion({ question: 'How long is the warranty?', text });
+
+  assert.equal(result.grounded, true);
+  assert.match(result.citations[0].text, /warranty covers the motor/);
+});
+
+test('no passage is used when the page does not mention the question', async () => {
+  const result = await answerQuestion({
+    question: 'who is the CEO?',
+    text: 'The price of the widget is 20 dollars.'
+  });
+
+  assert.equal(result.passages, 0);
+  assert.equal(result.grounded, false);
+});
+
+test('an empty question is rejected', async () => {
+  await assert.rejects(answerQuestion({ question: '  ', text: 'Anything.' }), { statusCode: 400 });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Risk gate tests
+ * The extension's worker module runs against a stubbed chrome API
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const TAB = { id: 7, url: 'https://shop.example.com/cart', status: 'complete' };
+
+const listener = { addListener() {}, removeListener() {} };
+
+// What the page answers: a value, or undefined to never answer
+let pageAnswer;
+let storedSettings;
+let pageAsked;
+
+globalThis.chrome = {
+  tabs: {
+    onUpdated: listener,
+    onRemoved: listener,
+    get: async () => TAB,
+    query: async () => [TAB],
+    sendMessage: (tabId, message) => {
+      pageAsked = true;
+
+      if (pageAnswer === undefined) return new Promise(() => {});
+
+      const { createResponse } = globalThis.VoiceReplicaProtocol;
+      return Promise.resolve(createResponse(message, message.type === 'PING' ? { ready: true } : pageAnswer));
+    }
+  },
+  webNavigation: { onCommitted: listener, getAllFrames: async () => [] },
+  scripting: { executeScript: async () => {} },
+  storage: {
+    sync: { get: async () => ({ voiceReplicaSettings: storedSettings }) },
+    onChanged: listener
+  },
+  runtime: { onMessage: listener }
+};
+
+console.warn = () => {};
+console.log = () => {};
+
+const { checkRisk } = await import('../../src/services/riskGate.js');
+
+beforeEach(() => {
+  pageAnswer = { risk: 'none', category: null, description: '' };
+  storedSettings = { riskPolicy: 'standard' };
+  pageAsked = false;
+});
+
+test('a low-risk action runs without asking', async () => {
+  pageAnswer = { risk: 'low', category: 'edit', description: 'type "hello"' };
+
+  assert.equal(await checkRisk('type_text', { value: 'hello' }), null);
+});
+
+test('a risky action is read back', async () => {
+  pageAnswer = { risk: 'medium', category: 'submit', description: 'click "Sign up"' };
+
+  const { prompt } = await checkRisk('click', { text: 'sign up' });
+
+  assert.equal(prompt, 'This will submit a form. I\'m about to click "Sign up" on shop.example.com. Say yes to confirm, or cancel.');
+});
+
+test('an assessment that times out asks under the standard policy', async () => {
+  pageAnswer = undefined;
+
+  const { prompt } = await checkRisk('click', { text: 'place order' });
+
+  assert.match(prompt, /^I couldn't check what this does on the page\. I'm about to click that/);
+});
+
+test('an assessment that times out lets the action run under the relaxed policy', async () => {
+  pageAnswer = undefined;
+  storedSettings = { riskPolicy: 'relaxed' };
+
+  assert.equal(await checkRisk('click', { text: 'place order' }), null);
+});
+
+test('an answer without a risk level is treated as unchecked', async () => {
+  pageAnswer = { description: 'click "Delete"' };
+
+  const { assessment } = await checkRisk('click', { text: 'delete' });
+
+  assert.equal(assessment.category, 'unchecked');
+});
+
+test('booking is rated high without asking the page', async () => {
+  pageAnswer = undefined;
+  storedSettings = { riskPolicy: 'relaxed' };
+
+  const { prompt } = await checkRisk('book_ticket', { from: 'Pune', to: 'Goa' });
+
+  assert.equal(pageAsked, false);
+  assert.match(prompt, /^This looks like a purchase\. I'm about to book a ticket from Pune to Goa/);
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Session service tests
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as wait } from 'node:timers/promises';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_MAX_TURNS = '3';
+
+const {
+  createMemorySessionStore,
+  setSessionStore,
+  getOrCreateSession,
+  recordTurn,
+  resetSession,
+  buildSessionContext
+} = await import('../src/services/session.service.js');
+
+const turn = (intent, entities = {}, fields = {}) => ({ intent, entities, message: `${intent} done`, ...fields });
+
+beforeEach(() => {
+  setSessionStore(createMemorySessionStore());
+});
+
+test('a new session starts empty and has no context', async () => {
+  const session = await getOrCreateSession();
+
+  assert.ok(session.id);
+  assert.deepEqual(session.turns, []);
+  assert.equal(buildSessionContext(session), null);
+});
+
+test('a recorded session is loaded again by id', async () => {
+  const session = await getOrCreateSession('abc');
+  await recordTurn(session, 'search for shoes', turn('search', { query: 'shoes' }));
+
+  const loaded = await getOrCreateSession('abc');
+
+  assert.equal(loaded.turns.length, 1);
+  assert.deepEqual(loaded.lastIntent, { intent: 'search', entities: { query: 'shoes' } });
+});
+
+test('only the most recent turns are kept', async () => {
+  const session = await getOrCreateSession('abc');
+
+  for (const query of ['a', 'b', 'c', 'd']) {
+    await recordTurn(session, `search ${query}`, turn('search', { query }));
+  }
+
+  assert.deepEqual(session.turns.map(({ text }) => text), ['search b', 'search c', 'search d']);
+});
+
+test('entities merge across turns without the page-specific ones', async () => {
+  const session = await getOrCreateSession('abc');
+
+  await recordTurn(session, 'fill my name', turn('form_fill', {
+    form_fields: { name: 'Asha' },
+    form_targets: { name: 'vr-3' },
+    target_id: 'vr-3'
+  }));
+  await recordTurn(session, 'and my email', turn('form_fill', { form_fields: { email: 'a@b.co' }, label_number: '4' }));
+
+  assert.deepEqual(session.entities, { form_fields: { name: 'Asha', email: 'a@b.co' } });
+});
+
+test('a turn waiting for a "Did you mean" answer is not the last intent', async () => {
+  const session = await getOrCreateSession('abc');
+
+  await recordTurn(session, 'search shoes', turn('search', { query: 'shoes' }));
+  await recordTurn(session, 'open face book', turn('navigation', { url: 'https://facebook.com' }, {
+    confirmation: { prompt: 'Did you mean "open facebook"?' }
+  }));
+
+  assert.equal(session.turns.length, 2);
+  assert.equal(session.lastIntent.intent, 'search');
+  assert.equal(session.entities.url, undefined);
+});
+
+test('intents that run nothing are not the last intent', async () => {
+  const session = await getOrCreateSession('abc');
+
+  await recordTurn(session, 'search shoes', turn('search', { query: 'shoes' }));
+  await recordTurn(session, 'mumble', turn('unknown', { query: 'mumble' }));
+  await recordTurn(session, 'hello there', turn('other'));
+
+  assert.equal(session.lastIntent.intent, 'search');
+  assert.equal(session.entities.query, 'shoes');
+});
+
+test('a reset session starts over', async () => {
+  const session = await getOrCreateSession('abc');
+  await recordTurn(session, 'search shoes', turn('search', { query: 'shoes' }));
+
+  assert.equal(await resetSession('abc'), true);
+  assert.deepEqual((await getOrCreateSession('abc')).turns, []);
+});
+
+test('the memory store expires and sweeps sessions after their TTL', async () => {
+  const store = createMemorySessionStore();
+
+  await store.set('old', { id: 'old' }, 1);
+  await store.set('gone', { id: 'gone' }, 1);
+  await store.set('fresh', { id: 'fresh' }, 60000);
+  await wait(5);
+
+  assert.equal(await store.get('old'), null);
+  assert.equal(await store.sweep(), 1);
+  assert.deepEqual(await store.get('fresh'), { id: 'fresh' });
+});
+
+test('a custom store is used once set', async () => {
+  const saved = new Map();
+
+  setSessionStore({
+    get: async (id) => saved.get(id) || null,
+    set: async (id, session) => { saved.set(id, session); },
+    delete: async (id) => saved.delete(id),
+    sweep: async () => 0
+  });
+
+  const session = await getOrCreateSession('abc');
+  await recordTurn(session, 'reload', turn('reload'));
+
+  assert.equal(saved.get('abc').lastIntent.intent, 'reload');
+});
+
+test('a custom store missing methods is rejected', () => {
+  assert.throws(() => setSessionStore({ get: async () => null }), /missing methods: set, delete, sweep/);
+});
\ No newline at end of file
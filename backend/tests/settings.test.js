@@ -0,0 +1,88 @@
+/**
+ * Extension settings tests
+ * settings.js sets a global, like in the extension's pages and worker
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../../src/services/settings.js');
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+test('missing settings get the defaults', () => {
+  const settings = Settings.normalize();
+
+  assert.equal(settings.wakePhrase, 'Hey Replica');
+  assert.equal(settings.riskPolicy, 'standard');
+  assert.equal(settings.searchEngine, 'google');
+  assert.deepEqual(settings.sitePolicies, {});
+});
+
+test('numbers are clamped into their range and junk falls back', () => {
+  const settings = Settings.normalize({ silenceTimeout: 100, commandTimeout: 'soon', speechRate: 9, speechVolume: -1 });
+
+  assert.equal(settings.silenceTimeout, 800);
+  assert.equal(settings.commandTimeout, 8000);
+  assert.equal(settings.speechRate, 2);
+  assert.equal(settings.speechVolume, 0);
+});
+
+test('a blank wake phrase falls back to the default', () => {
+  assert.equal(Settings.normalize({ wakePhrase: '   ' }).wakePhrase, 'Hey Replica');
+});
+
+test('an unknown risk policy falls back to standard', () => {
+  assert.equal(Settings.normalize({ riskPolicy: 'yolo' }).riskPolicy, 'standard');
+});
+
+test('site policies keep valid hosts and policies, keyed by bare host', () => {
+  const { sitePolicies } = Settings.normalize({
+    sitePolicies: {
+      'https://www.Bank.example.com/login': 'strict',
+      'shop.example.com': 'relaxed',
+      'news.example.com': 'sometimes',
+      '': 'strict'
+    }
+  });
+
+  assert.deepEqual(sitePolicies, { 'bank.example.com': 'strict', 'shop.example.com': 'relaxed' });
+});
+
+test('a custom engine needs an http(s) URL with {query}', () => {
+  const valid = Settings.normalize({ searchEngine: 'custom', customSearchUrl: 'https://search.example.com/?q={query}' });
+  const invalid = Settings.normalize({ searchEngine: 'custom', customSearchUrl: 'ftp://search.example.com/' });
+
+  assert.equal(valid.searchEngine, 'custom');
+  assert.equal(Settings.searchEngineName(valid), 'search.example.com');
+  assert.equal(invalid.searchEngine, 'google');
+  assert.equal(invalid.customSearchUrl, '');
+});
+
+test('the search URL encodes the query', () => {
+  const settings = Settings.normalize({ searchEngine: 'bing' });
+
+  assert.equal(Settings.searchUrl(settings, 'cats & dogs'), 'https://www.bing.com/search?q=cats%20%26%20dogs');
+});
+
+test('a page without an override gets the general policy', () => {
+  const settings = Settings.normalize({ riskPolicy: 'relaxed', sitePolicies: { 'bank.example.com': 'strict' } });
+
+  assert.equal(Settings.policyForUrl(settings, 'https://news.example.com/today'), 'relaxed');
+});
+
+test('an override covers its subdomains, the most specific one wins', () => {
+  const settings = Settings.normalize({
+    sitePolicies: { 'example.com': 'strict', 'shop.example.com': 'relaxed' }
+  });
+
+  assert.equal(Settings.policyForUrl(settings, 'https://www.example.com/'), 'strict');
+  assert.equal(Settings.policyForUrl(settings, 'https://mail.example.com/inbox'), 'strict');
+  assert.equal(Settings.policyForUrl(settings, 'https://eu.shop.example.com/cart'), 'relaxed');
+});
+
+test('an override does not match a host that only ends with the same letters', () => {
+  const settings = Settings.normalize({ sitePolicies: { 'example.com': 'strict' } });
+
+  assert.equal(Settings.policyForUrl(settings, 'https://notexample.com/'), 'standard');
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Spoken name matching tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { normalizeText, matchScore, ordinalOf, hostOf } = await import('../../src/services/textMatch.js');
+
+test('normalizeText lowercases and drops punctuation', () => {
+  assert.equal(normalizeText('  Inbox (3) — Gmail!  '), 'inbox 3 gmail');
+  assert.equal(normalizeText(null), '');
+});
+
+test('an exact name scores 1', () => {
+  assert.equal(matchScore('gmail', 'gmail'), 1);
+});
+
+test('a whole word inside the label scores higher the more of it it covers', () => {
+  const short = matchScore('gmail', 'inbox gmail');
+  const long = matchScore('gmail', 'inbox 3 messages unread gmail');
+
+  assert.ok(short > long);
+  assert.ok(long >= 0.85 && short < 0.95);
+});
+
+test('part of a word is not a whole-word match', () => {
+  assert.ok(matchScore('mail', 'gmail inbox') < 0.85);
+});
+
+test('a misheard name still scores close, an unrelated one does not', () => {
+  assert.ok(matchScore('you tube', 'youtube') > 0.8);
+  assert.ok(matchScore('calendar', 'youtube') < 0.3);
+});
+
+test('empty names never match', () => {
+  assert.equal(matchScore('', 'gmail'), 0);
+  assert.equal(matchScore('gmail', ''), 0);
+});
+
+test('ordinalOf reads spoken and numbered positions', () => {
+  assert.equal(ordinalOf('the third one'), 3);
+  assert.equal(ordinalOf('number 2'), 2);
+  assert.equal(ordinalOf('the tenth result'), 10);
+  assert.equal(ordinalOf('the blue tab'), null);
+});
+
+test('hostOf drops www and survives bad URLs', () => {
+  assert.equal(hostOf('https://www.example.com/path'), 'example.com');
+  assert.equal(hostOf('not a url'), '');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * Request validation tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { validateProcessRequest } = await import('../src/middlewares/validate.middleware.js');
+
+// Runs the middleware chain, resolving to the validated body
+const runProcessValidation = (body) => {
+  const req = { body, originalUrl: '/api/process' };
+
+  for (const middleware of validateProcessRequest) {
+    let called = false;
+    middleware(req, {}, () => { called = true; });
+    if (!called) break;
+  }
+
+  return req.body;
+};
+
+const button = (tag) => ({ id: 'vr-1', tag, text: 'Subscribe' });
+
+test('a valid page snapshot is kept', () => {
+  const body = runProcessValidation({ text: 'click subscribe', page: { buttons: [button('button')] } });
+
+  assert.deepEqual(body.page.buttons, [button('button')]);
+});
+
+test('an invalid page snapshot is dropped instead of failing the command', () => {
+  const body = runProcessValidation({
+    text: 'click subscribe',
+    page: { buttons: [button('tp-yt-paper-button')] }
+  });
+
+  assert.equal(body.text, 'click subscribe');
+  assert.equal(body.page, undefined);
+});
+
+test('an invalid command still fails', () => {
+  assert.throws(() => runProcessValidation({ text: '' }), { statusCode: 400 });
+});
\ No newline at end of file
@@ -1 +1 @@
-const BACKEND_BASE_URL = "http://localhost:3000/api";
\ No newline at end of file
+export const BACKEND_BASE_URL = "http://localhost:3000/api";
\ No newline at end of file
@@ -0,0 +1,586 @@
+/**
+ * VoiceReplica - Offscreen Listener
+ * Runs VoiceEngine outside the popup so listening survives it closing
+ *
+ * @module offscreen
+ * @description Wake phrase detection and command capture for the service worker
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // Shared message protocol (src/services/protocol.js)
+  const {
+    MESSAGE_TYPES,
+    MESSAGE_KINDS,
+    createResponse,
+    createErrorResponse,
+    createEvent,
+    isProtocolMessage,
+    validateMessage
+  } = VoiceReplicaProtocol;
+
+  // Shared settings store (src/services/settings.js) - for the recognition language
+  const Settings = VoiceReplicaSettings;
+
+  // ============================================================================
+  // Listener State
+  // ============================================================================
+
+  const state = {
+    // idle → wake (waiting for the wake phrase) → command (capturing) → wake / idle
+    phase: 'idle',
+    settings: null, // Sent by the service worker with RECOGNITION_START
+    hold: false, // Push-to-talk key held - the release submits, not a pause
+    submitting: false, // Released - waiting for the last final result
+    finalParts: [], // Final transcript pieces of the current command
+    interim: '',
+    finalAlternatives: [], // n-best list of each final piece
+    interimAlternatives: [],
+    stripWakePhrase: false, // Interim results of the waking utterance repeat the phrase
+    dropPendingResult: false, // Result still open when the command window closed (or mixed with a reply)
+    speech: '', // Reply the service worker is speaking - the mic hears it too
+    silenceTimer: null,
+    commandTimer: null
+  };
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+
+  const config = {
+    // Min similarity (0-1) for a heard word to count as a wake phrase word
+    wakeWordSimilarity: 0.6,
+    
+    // Max alternatives sent with a command
+    maxAlternatives: 5,
+    
+    // Pause that still ends a held command if the key release was missed (ms)
+    holdSilenceTimeout: 10000,
+    
+    // Max wait for the final result after push-to-talk is released (ms)
+    releaseGrace: 600,
+
+    // Share of heard words found in the reply for a result to be its echo
+    echoWordShare: 0.6
+  };
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  /**
+   * Wire VoiceEngine and the service worker channel
+   */
+  const initialize = () => {
+    VoiceEngine.configure({ language: Settings.RECOGNITION_LANGUAGE });
+
+    VoiceEngine.onTranscript(handleTranscript);
+    VoiceEngine.onError(handleVoiceError);
+    VoiceEngine.onEnd(handleVoiceEnd);
+
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+
+    console.log('VoiceReplica offscreen listener ready');
+  };
+
+  // ============================================================================
+  // Service Worker Messages
+  // ============================================================================
+
+  /**
+   * Handle RECOGNITION_START / STOP / SUBMIT and SPEECH_STATE from the service worker
+   * Other requests (from the popup) are answered by the service worker
+   *
+   * @param {Object} message - Runtime message
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Reply callback
+   * @returns {boolean} false - replies synchronously
+   */
+  const handleRuntimeMessage = (message, sender, sendResponse) => {
+    if (!isProtocolMessage(message)) {
+      return false;
+    }
+
+    if (message.kind === MESSAGE_KINDS.EVENT) {
+      if (message.type === MESSAGE_TYPES.SPEECH_STATE && validateMessage(message, MESSAGE_KINDS.EVENT).valid) {
+        state.speech = message.payload.speaking ? String(message.payload.text || '') : '';
+      }
+      return false;
+    }
+
+    if (message.kind !== MESSAGE_KINDS.REQUEST) {
+      return false;
+    }
+
+    const handlers = {
+      [MESSAGE_TYPES.RECOGNITION_START]: startRecognition,
+      [MESSAGE_TYPES.RECOGNITION_STOP]: stopRecognition,
+      [MESSAGE_TYPES.RECOGNITION_SUBMIT]: submitCommand
+    };
+
+    if (!handlers[message.type]) {
+      return false;
+    }
+
+    try {
+      const { valid, error } = validateMessage(message, MESSAGE_KINDS.REQUEST);
+      if (!valid) throw error;
+
+      handlers[message.type](message.payload);
+
+      sendResponse(createResponse(message, { phase: state.phase }));
+    } catch (error) {
+      console.error('Recognition control failed:', error);
+      sendResponse(createErrorResponse(message, error));
+    }
+
+    return false;
+  };
+
+  /**
+   * Tell the service worker what happened (fire and forget)
+   * @param {string} type - Event type (MESSAGE_TYPES)
+   * @param {Object} payload - Event payload
+   */
+  const notifyWorker = (type, payload) => {
+    chrome.runtime.sendMessage(createEvent(type, payload, 'offscreen')).catch(() => {});
+  };
+
+  // ============================================================================
+  // Recognition Control
+  // ============================================================================
+
+  /**
+   * Start listening for the wake phrase or open a command window right away
+   * Repeating the current mode only refreshes the settings
+   *
+   * @param {Object} options - RECOGNITION_START payload
+   * @param {string} options.mode - 'wake' or 'command'
+   * @param {Object} options.settings - Listening settings
+   * @param {boolean} [options.hold] - Push-to-talk: the key release submits
+   * @throws {Error} If speech recognition cannot start
+   */
+  const startRecognition = ({ mode, settings, hold = false }) => {
+    state.settings = settings;
+
+    if (mode === state.phase) {
+      if (mode === 'command') state.hold = hold;
+      return;
+    }
+
+    if (!VoiceEngine.start()) {
+      throw new Error('Speech recognition could not start');
+    }
+
+    if (mode === 'command') {
+      openCommandWindow();
+      state.hold = hold;
+    } else {
+      resetCommand();
+      setPhase('wake');
+    }
+  };
+
+  /**
+   * Stop listening altogether
+   */
+  const stopRecognition = () => {
+    resetCommand();
+    VoiceEngine.stop();
+    setPhase('idle');
+  };
+
+  /**
+   * Update the phase and report it to the service worker
+   * @param {string} phase - idle, wake or command
+   * @param {Object} [error] - Error that caused the change
+   */
+  const setPhase = (phase, error = null) => {
+    state.phase = phase;
+    notifyWorker(MESSAGE_TYPES.RECOGNITION_STATE, { phase, error });
+  };
+
+  // ============================================================================
+  // Command Window
+  // ============================================================================
+
+  /**
+   * Start capturing a command
+   * Closes by itself if nothing is said within the command timeout
+   */
+  const openCommandWindow = () => {
+    resetCommand();
+    setPhase('command');
+
+    state.commandTimer = setTimeout(closeCommandWindow, state.settings.commandTimeout);
+  };
+
+  /**
+   * Send the captured command, then go back to the wake phrase or stop
+   */
+  const closeCommandWindow = () => {
+    const command = currentCommand();
+    const alternatives = commandAlternatives();
+
+    // Its final result would otherwise arrive in the wake phase
+    state.dropPendingResult = Boolean(state.interim);
+
+    resetCommand();
+
+    if (command) {
+      notifyWorker(MESSAGE_TYPES.COMMAND_CAPTURED, { transcript: command, alternatives });
+    }
+
+    if (state.settings.wakeWordEnabled) {
+      setPhase('wake');
+    } else {
+      stopRecognition();
+    }
+  };
+
+  /**
+   * Restart the silence timer after each piece of speech
+   */
+  const extendCommandWindow = () => {
+    clearTimeout(state.commandTimer);
+    clearTimeout(state.silenceTimer);
+
+    const timeout = state.hold ? config.holdSilenceTimeout : state.settings.silenceTimeout;
+
+    state.silenceTimer = setTimeout(closeCommandWindow, timeout);
+  };
+
+  /**
+   * Push-to-talk released - send the command once its last result is final
+   */
+  const submitCommand = () => {
+    if (state.phase !== 'command') return;
+
+    state.hold = false;
+
+    if (!state.interim) {
+      closeCommandWindow();
+      return;
+    }
+
+    state.submitting = true;
+
+    clearTimeout(state.silenceTimer);
+    state.silenceTimer = setTimeout(closeCommandWindow, config.releaseGrace);
+  };
+
+  /**
+   * Forget the command being captured
+   */
+  const resetCommand = () => {
+    clearTimeout(state.silenceTimer);
+    clearTimeout(state.commandTimer);
+
+    state.silenceTimer = null;
+    state.commandTimer = null;
+    state.finalParts = [];
+    state.interim = '';
+    state.finalAlternatives = [];
+    state.interimAlternatives = [];
+    state.stripWakePhrase = false;
+    state.hold = false;
+    state.submitting = false;
+  };
+
+  /**
+   * Command heard so far
+   * @returns {string} Final pieces followed by the interim text
+   */
+  const currentCommand = () => {
+    return joinParts([...state.finalParts, state.interim]);
+  };
+
+  /**
+   * n-best list of the command heard so far
+   * Candidate i takes alternative i of every piece (or its best one)
+   *
+   * @returns {Array<{transcript: string, confidence: number|null}>} Unique candidates
+   */
+  const commandAlternatives = () => {
+    const pieces = [...state.finalAlternatives, state.interimAlternatives].filter(piece => piece.length);
+    const count = Math.min(config.maxAlternatives, Math.max(0, ...pieces.map(piece => piece.length)));
+    const candidates = [];
+
+    for (let i = 0; i < count; i++) {
+      const picks = pieces.map(piece => piece[i] || piece[0]);
+      const transcript = joinParts(picks.map(pick => pick.transcript));
+
+      // The least certain piece bounds the whole command
+      const confidences = picks.map(pick => pick.confidence);
+      const confidence = confidences.includes(null) ? null : Math.min(...confidences);
+
+      if (transcript && !candidates.some(candidate => candidate.transcript === transcript)) {
+        candidates.push({ transcript, confidence });
+      }
+    }
+
+    return candidates;
+  };
+
+  /**
+   * Join transcript pieces into one command
+   * @param {string[]} parts - Pieces in order
+   * @returns {string} Command text
+   */
+  const joinParts = (parts) => {
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  };
+
+  // ============================================================================
+  // Event Handlers - VoiceEngine Events
+  // ============================================================================
+
+  /**
+   * Handle transcript data from VoiceEngine
+   * Nothing heard before the wake phrase leaves this document
+   *
+   * @param {Object} data - Transcript data
+   * @param {string} data.transcript - The transcribed text
+   * @param {boolean} data.isFinal - Whether this is a final transcript
+   * @param {number} data.confidence - Recognizer confidence of the transcript
+   * @param {Array<Object>} [data.alternatives] - n-best list, most likely first
+   */
+  const handleTranscript = ({ transcript, isFinal, confidence, alternatives = [{ transcript, confidence }] }) => {
+    if (state.dropPendingResult) {
+      if (isFinal) state.dropPendingResult = false;
+      return;
+    }
+
+    if (state.speech && !handleSpeechOverlap(transcript, isFinal)) return;
+
+    let text = transcript;
+    let stripPhrase = false;
+
+    if (state.phase === 'wake') {
+      const command = textAfterWakePhrase(transcript);
+      if (command === null) return;
+
+      openCommandWindow();
+      state.stripWakePhrase = !isFinal;
+
+      // "Hey Replica, open YouTube" in one breath
+      text = command;
+      stripPhrase = true;
+    } else if (state.phase === 'command' && state.stripWakePhrase) {
+      text = textAfterWakePhrase(transcript) ?? transcript;
+      stripPhrase = true;
+      if (isFinal) state.stripWakePhrase = false;
+    }
+
+    if (state.phase !== 'command') return;
+
+    // Nothing but the wake phrase yet
+    const heard = text ? listAlternatives(text, alternatives, stripPhrase) : [];
+
+    if (isFinal) {
+      if (text) {
+        state.finalParts.push(text);
+        state.finalAlternatives.push(heard);
+      }
+      state.interim = '';
+      state.interimAlternatives = [];
+    } else {
+      state.interim = text;
+      state.interimAlternatives = heard;
+    }
+
+    // Released - the final result completes the command
+    if (state.submitting) {
+      if (isFinal) closeCommandWindow();
+      return;
+    }
+
+    // Only the wake phrase so far - keep waiting for the command
+    if (!currentCommand()) return;
+
+    extendCommandWindow();
+
+    notifyWorker(MESSAGE_TYPES.TRANSCRIPT, { text: currentCommand(), isFinal: false });
+  };
+
+  /**
+   * Decide what to do with a result heard while a reply is spoken
+   * Waiting for the wake phrase, only the phrase stops the reply and is then
+   * handled as usual. In a command window anything but the reply's echo
+   * stops it, and the result - mixed with the reply - is dropped.
+   *
+   * @param {string} transcript - Interim or final transcript
+   * @param {boolean} isFinal - Whether this is a final transcript
+   * @returns {boolean} Whether to handle the result
+   */
+  const handleSpeechOverlap = (transcript, isFinal) => {
+    if (state.phase === 'wake') {
+      const bargeIn = textAfterWakePhrase(transcript) !== null && textAfterWakePhrase(state.speech) === null;
+
+      if (bargeIn) stopReply();
+
+      return bargeIn;
+    }
+
+    if (!isEcho(transcript)) stopReply();
+
+    state.dropPendingResult = !isFinal;
+
+    return false;
+  };
+
+  /**
+   * Whether a transcript is the reply heard through the microphone
+   * Misheard words count when they are close to one of the reply's
+   *
+   * @param {string} transcript - Interim or final transcript
+   * @returns {boolean}
+   */
+  const isEcho = (transcript) => {
+    const spoken = tokenize(state.speech).map(token => token.word);
+    const heard = tokenize(transcript).map(token => token.word);
+
+    const echoed = heard.filter(
+      word => spoken.some(said => wordSimilarity(word, said) >= config.wakeWordSimilarity)
+    );
+
+    return echoed.length >= heard.length * config.echoWordShare;
+  };
+
+  /**
+   * Barge-in: ask the service worker to stop speaking
+   */
+  const stopReply = () => {
+    state.speech = '';
+    notifyWorker(MESSAGE_TYPES.BARGE_IN, {});
+  };
+
+  /**
+   * Alternatives of one result, cleaned up like its best transcript
+   *
+   * @param {string} text - Best transcript (wake phrase already removed)
+   * @param {Array<Object>} alternatives - Recognizer n-best list
+   * @param {boolean} stripPhrase - Whether the result repeats the wake phrase
+   * @returns {Array<{transcript: string, confidence: number|null}>} Non-empty alternatives
+   */
+  const listAlternatives = (text, alternatives, stripPhrase) => {
+    return alternatives
+      .map((alternative, index) => {
+        let transcript = alternative.transcript;
+
+        if (index === 0) {
+          transcript = text;
+        } else if (stripPhrase) {
+          transcript = textAfterWakePhrase(transcript) ?? transcript;
+        }
+
+        // Chrome reports 0 when it has no estimate (always for interim results)
+        const confidence = alternative.confidence > 0 ? alternative.confidence : null;
+
+        return { transcript, confidence };
+      })
+      .filter(alternative => alternative.transcript);
+  };
+
+  /**
+   * Handle errors from VoiceEngine
+   * Recoverable errors (no-speech, network) restart by themselves
+   *
+   * @param {Object} errorInfo - Error information
+   */
+  const handleVoiceError = (errorInfo) => {
+    if (!errorInfo.fatal) {
+      console.log('VoiceEngine recoverable error:', errorInfo.type);
+      return;
+    }
+
+    console.error('VoiceEngine error:', errorInfo);
+
+    resetCommand();
+    setPhase('idle', { type: errorInfo.type, message: errorInfo.message });
+  };
+
+  /**
+   * Results of a recognition session that ended will never finish
+   */
+  const handleVoiceEnd = () => {
+    state.dropPendingResult = false;
+  };
+
+  // ============================================================================
+  // Wake Phrase Detection
+  // ============================================================================
+
+  /**
+   * Split text into lowercase words with their end offsets
+   * @param {string} text - Text to split
+   * @returns {Array<{word: string, end: number}>} Words
+   */
+  const tokenize = (text) => {
+    return [...text.matchAll(/[\p{L}\p{N}']+/gu)]
+      .map(match => ({ word: match[0].toLowerCase(), end: match.index + match[0].length }));
+  };
+
+  /**
+   * Text spoken after the wake phrase
+   * Each phrase word may be slightly misheard ("hey replika")
+   *
+   * @param {string} transcript - Interim or final transcript
+   * @returns {string|null} Remaining text, null when the phrase was not said
+   */
+  const textAfterWakePhrase = (transcript) => {
+    const heard = tokenize(transcript);
+    const phrase = tokenize(state.settings.wakePhrase).map(token => token.word);
+
+    if (phrase.length === 0) return null;
+
+    for (let start = 0; start + phrase.length <= heard.length; start++) {
+      const matches = phrase.every(
+        (word, i) => wordSimilarity(word, heard[start + i].word) >= config.wakeWordSimilarity
+      );
+
+      if (matches) {
+        return transcript.slice(heard[start + phrase.length - 1].end).replace(/^[\s,.!?]+/, '');
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Similarity of two words from their edit distance
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @returns {number} 0 (different) to 1 (equal)
+   */
+  const wordSimilarity = (a, b) => {
+    if (a === b) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  };
+
+  // ============================================================================
+  // Auto-Initialize
+  // ============================================================================
+
+  initialize();
+
+})();
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * VoiceReplica - Microphone Permission Page
+ * Opened by the service worker when the offscreen listener is denied the
+ * microphone - offscreen documents cannot show the permission prompt
+ *
+ * @module permission
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  const { MESSAGE_TYPES, createRequest } = VoiceReplicaProtocol;
+
+  const elements = {
+    message: document.getElementById('permissionMessage'),
+    allowButton: document.getElementById('allowButton')
+  };
+
+  // Delay before closing the tab once access was granted (ms)
+  const CLOSE_DELAY = 1500;
+
+  /**
+   * Ask for the microphone, then resume listening in the background
+   */
+  const requestMicrophone = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      stream.getTracks().forEach(track => track.stop());
+
+      elements.message.textContent = 'Microphone enabled. You can close this tab.';
+
+      await chrome.runtime.sendMessage(createRequest(MESSAGE_TYPES.START_LISTENING, {}, 'permission'));
+
+      setTimeout(() => window.close(), CLOSE_DELAY);
+    } catch (error) {
+      console.error('Microphone access failed:', error);
+      elements.message.textContent = 'Microphone access was blocked. Allow it from the address bar, then try again.';
+    }
+  };
+
+  elements.allowButton.addEventListener('click', requestMicrophone);
+
+  requestMicrophone();
+
+})();
\ No newline at end of file
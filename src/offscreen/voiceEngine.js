@@ -33,7 +33,7 @@ const VoiceEngine = (() => {
     language: 'en-US',
     continuous: true,
     interimResults: true,
-    maxAlternatives: 1,
+    maxAlternatives: 5, // n-best list for intent resolution
     restartDelay: 300 // ms delay before auto-restart
   };
 
@@ -119,7 +119,7 @@ const VoiceEngine = (() => {
 
   /**
    * Handle recognition result event
-   * Processes both interim and final transcripts
+   * Processes both interim and final transcripts with their alternatives
    * 
    * @private
    * @param {SpeechRecognitionEvent} event - Recognition result event
@@ -130,15 +130,20 @@ const VoiceEngine = (() => {
     // Process all results from the last processed index
     for (let i = event.resultIndex; i < results.length; i++) {
       const result = results[i];
-      const transcript = result[0].transcript;
-      const confidence = result[0].confidence;
       const isFinal = result.isFinal;
 
+      // n-best list, most likely first
+      const alternatives = Array.from(result, alternative => ({
+        transcript: alternative.transcript.trim(),
+        confidence: alternative.confidence
+      }));
+
       // Emit transcript with metadata
       emitTranscript({
-        transcript: transcript.trim(),
+        transcript: alternatives[0].transcript,
         isFinal: isFinal,
-        confidence: confidence,
+        confidence: alternatives[0].confidence,
+        alternatives: alternatives,
         timestamp: Date.now()
       });
     }
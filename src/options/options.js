@@ -0,0 +1,954 @@
+/**
+ * VoiceReplica - Settings Page
+ * Keyboard shortcuts, listening preferences, the reply voice, the search engine,
+ * confirmation policies, the saved profile, history and bookmark access, custom
+ * commands and site adapters
+ *
+ * @module options
+ * @description Chrome only lets users rebind extension shortcuts on
+ *              chrome://extensions/shortcuts - this page lists them and links there
+ * @version 1.0.0
+ */
+
+(function() {
+  'use strict';
+
+  // Shared settings store (src/services/settings.js)
+  const Settings = VoiceReplicaSettings;
+
+  // Encrypted profile store (src/services/profileVault.js)
+  const Vault = VoiceReplicaVault;
+
+  // User site adapters and custom commands (src/services/siteAdapters.js, customCommands.js)
+  const SiteAdapters = VoiceReplicaSiteAdapters;
+  const Commands = VoiceReplicaCommands;
+
+  // ============================================================================
+  // DOM Element References
+  // ============================================================================
+  const elements = {
+    // Keyboard shortcuts
+    shortcutList: document.getElementById('shortcutList'),
+    rebindButton: document.getElementById('rebindButton'),
+
+    // Listening settings
+    wakeWordToggle: document.getElementById('wakeWordToggle'),
+    wakePhraseInput: document.getElementById('wakePhraseInput'),
+    silenceTimeoutInput: document.getElementById('silenceTimeoutInput'),
+    commandTimeoutInput: document.getElementById('commandTimeoutInput'),
+
+    // Reply voice
+    voiceSelect: document.getElementById('voiceSelect'),
+    speechRateInput: document.getElementById('speechRateInput'),
+    speechPitchInput: document.getElementById('speechPitchInput'),
+    speechVolumeInput: document.getElementById('speechVolumeInput'),
+    voiceTestButton: document.getElementById('voiceTestButton'),
+
+    // Search engine
+    searchEngineSelect: document.getElementById('searchEngineSelect'),
+    customSearchRow: document.getElementById('customSearchRow'),
+    customSearchInput: document.getElementById('customSearchInput'),
+
+    // Confirmation policies
+    riskPolicySelect: document.getElementById('riskPolicySelect'),
+    sitePolicyList: document.getElementById('sitePolicyList'),
+    sitePolicyForm: document.getElementById('sitePolicyForm'),
+    siteInput: document.getElementById('siteInput'),
+    sitePolicySelect: document.getElementById('sitePolicySelect'),
+
+    // Saved profile
+    vaultCreateForm: document.getElementById('vaultCreateForm'),
+    newPassphraseInput: document.getElementById('newPassphraseInput'),
+    repeatPassphraseInput: document.getElementById('repeatPassphraseInput'),
+    vaultUnlockForm: document.getElementById('vaultUnlockForm'),
+    passphraseInput: document.getElementById('passphraseInput'),
+    vaultDeleteButton: document.getElementById('vaultDeleteButton'),
+    profileForm: document.getElementById('profileForm'),
+    profileFields: document.getElementById('profileFields'),
+    vaultLockButton: document.getElementById('vaultLockButton'),
+
+    // Optional permissions
+    permissionList: document.getElementById('permissionList'),
+
+    // Custom commands
+    commandList: document.getElementById('commandList'),
+    commandForm: document.getElementById('commandForm'),
+    commandInput: document.getElementById('commandInput'),
+    commandErrors: document.getElementById('commandErrors'),
+    commandNewButton: document.getElementById('commandNewButton'),
+
+    // Site adapters
+    adapterList: document.getElementById('adapterList'),
+    adapterForm: document.getElementById('adapterForm'),
+    adapterInput: document.getElementById('adapterInput'),
+    adapterErrors: document.getElementById('adapterErrors'),
+    adapterNewButton: document.getElementById('adapterNewButton'),
+
+    // Import / export
+    importButton: document.getElementById('importButton'),
+    importInput: document.getElementById('importInput'),
+    exportButton: document.getElementById('exportButton'),
+
+    saveStatus: document.getElementById('saveStatus')
+  };
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+  const config = {
+    shortcutsPage: 'chrome://extensions/shortcuts',
+
+    // How long the "Saved" note stays visible (ms)
+    statusDuration: 2000,
+
+    // Settings.RISK_POLICIES, strictest first
+    policyLabels: {
+      strict: 'Strict - confirm every change',
+      standard: 'Standard - submits, messages and unsaved forms',
+      relaxed: 'Relaxed - purchases and deletions only'
+    },
+
+    exportFileName: 'voicereplica-commands.json',
+
+    // Spoken by "Test Voice"
+    voiceSample: 'Hi, I am VoiceReplica. This is how I will sound.',
+
+    // Optional manifest permissions - requesting one needs this page's click
+    permissions: {
+      history: 'Browsing history',
+      bookmarks: 'Bookmarks'
+    },
+
+    // Filled into the editor by "New"
+    templates: {
+      commands: {
+        id: 'jira-search',
+        description: 'Search our Jira',
+        phrases: ['search jira for {query}', 'find {query} in jira'],
+        reply: 'Searching Jira',
+        steps: [
+          { action: 'navigate', entities: { url: 'https://jira.example.com/issues/?jql=text~"{query}"' } },
+          { action: 'wait_for_load' }
+        ]
+      },
+      adapters: {
+        id: 'wiki',
+        name: 'Team Wiki',
+        aliases: ['wiki'],
+        hosts: ['wiki.example.com'],
+        homeUrl: 'https://wiki.example.com',
+        search: {
+          url: '{origin}/search?q={query}',
+          input: 'input[name="q"]',
+          submit: 'form'
+        }
+      }
+    }
+  };
+
+  /**
+   * The two JSON collections edited on this page
+   * Both are saved as a whole - the stores validate before writing
+   */
+  const collections = {
+    commands: {
+      load: Commands.load,
+      save: Commands.save,
+      validate: Commands.validateCommands,
+      describe: command => `"${command.phrases[0]}"${command.description ? ` - ${command.description}` : ''}`,
+      list: elements.commandList,
+      form: elements.commandForm,
+      input: elements.commandInput,
+      errors: elements.commandErrors,
+      newButton: elements.commandNewButton
+    },
+    adapters: {
+      load: SiteAdapters.loadUserAdapters,
+      save: SiteAdapters.saveUserAdapters,
+      validate: SiteAdapters.validateAdapters,
+      describe: adapter => `${adapter.name} (${adapter.hosts.join(', ')})`,
+      list: elements.adapterList,
+      form: elements.adapterForm,
+      input: elements.adapterInput,
+      errors: elements.adapterErrors,
+      newButton: elements.adapterNewButton
+    }
+  };
+
+  const state = {
+    settings: null, // Last saved settings - site policies are saved as a whole
+    editingCustomSearch: false, // "Custom" picked, its URL not valid yet
+    statusTimer: null,
+    commands: [],
+    adapters: [],
+    editing: { commands: null, adapters: null } // id of the item in each editor, null for a new one
+  };
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  /**
+   * Fill the page and bind the form
+   */
+  const initialize = () => {
+    elements.rebindButton.addEventListener('click', openShortcutsPage);
+
+    elements.wakeWordToggle.addEventListener('change', () => {
+      saveSettings({ wakeWordEnabled: elements.wakeWordToggle.checked });
+    });
+
+    elements.wakePhraseInput.addEventListener('change', () => {
+      saveSettings({ wakePhrase: elements.wakePhraseInput.value });
+    });
+
+    elements.silenceTimeoutInput.addEventListener('change', () => {
+      saveSettings({ silenceTimeout: elements.silenceTimeoutInput.value });
+    });
+
+    elements.commandTimeoutInput.addEventListener('change', () => {
+      saveSettings({ commandTimeout: elements.commandTimeoutInput.value });
+    });
+
+    elements.voiceSelect.addEventListener('change', () => {
+      saveSettings({ voiceName: elements.voiceSelect.value });
+    });
+
+    elements.speechRateInput.addEventListener('change', () => {
+      saveSettings({ speechRate: elements.speechRateInput.value });
+    });
+
+    elements.speechPitchInput.addEventListener('change', () => {
+      saveSettings({ speechPitch: elements.speechPitchInput.value });
+    });
+
+    elements.speechVolumeInput.addEventListener('change', () => {
+      saveSettings({ speechVolume: elements.speechVolumeInput.value });
+    });
+
+    elements.voiceTestButton.addEventListener('click', testVoice);
+
+    // Voices load asynchronously
+    speechSynthesis.addEventListener('voiceschanged', () => renderVoices(state.settings));
+
+    fillSearchEngineOptions();
+
+    elements.searchEngineSelect.addEventListener('change', handleSearchEngineChange);
+    elements.customSearchInput.addEventListener('change', handleSearchEngineChange);
+
+    fillPolicyOptions(elements.riskPolicySelect);
+    fillPolicyOptions(elements.sitePolicySelect);
+
+    elements.riskPolicySelect.addEventListener('change', () => {
+      saveSettings({ riskPolicy: elements.riskPolicySelect.value });
+    });
+
+    elements.sitePolicyForm.addEventListener('submit', handleAddSite);
+
+    createProfileFields();
+
+    elements.vaultCreateForm.addEventListener('submit', handleCreateVault);
+    elements.vaultUnlockForm.addEventListener('submit', handleUnlockVault);
+    elements.profileForm.addEventListener('submit', handleSaveProfile);
+    elements.vaultLockButton.addEventListener('click', handleLockVault);
+    elements.vaultDeleteButton.addEventListener('click', handleDeleteVault);
+
+    for (const kind of Object.keys(collections)) {
+      collections[kind].form.addEventListener('submit', event => handleSaveItem(kind, event));
+      collections[kind].newButton.addEventListener('click', () => editItem(kind, null));
+      loadCollection(kind);
+    }
+
+    chrome.permissions.onAdded.addListener(renderPermissions);
+    chrome.permissions.onRemoved.addListener(renderPermissions);
+
+    elements.importButton.addEventListener('click', () => elements.importInput.click());
+    elements.importInput.addEventListener('change', handleImport);
+    elements.exportButton.addEventListener('click', handleExport);
+
+    // Changes made from the popup
+    Settings.onChange(renderSettings);
+
+    // Rebinding happens in another tab
+    window.addEventListener('focus', renderShortcuts);
+
+    renderShortcuts();
+    renderVault();
+    renderPermissions();
+    Settings.load()
+      .then(renderSettings)
+      .catch(error => console.error('Failed to load settings:', error));
+  };
+
+  // ============================================================================
+  // Keyboard Shortcuts
+  // ============================================================================
+
+  /**
+   * List the extension's commands with their current keys
+   */
+  const renderShortcuts = async () => {
+    try {
+      const commands = await chrome.commands.getAll();
+
+      elements.shortcutList.replaceChildren(
+        ...commands
+          .filter(command => command.description)
+          .map(createShortcutItem)
+      );
+    } catch (error) {
+      console.error('Failed to load shortcuts:', error);
+    }
+  };
+
+  /**
+   * Build one shortcut row
+   * @param {chrome.commands.Command} command - Extension command
+   * @returns {HTMLElement} List item
+   */
+  const createShortcutItem = (command) => {
+    const item = document.createElement('li');
+    item.className = 'shortcut-item';
+
+    const description = document.createElement('span');
+    description.textContent = command.description;
+
+    const key = document.createElement('kbd');
+    key.className = command.shortcut ? 'shortcut-key' : 'shortcut-key unbound';
+    key.textContent = command.shortcut || 'Not set';
+
+    item.append(description, key);
+    return item;
+  };
+
+  /**
+   * Open Chrome's shortcut editor (links to chrome:// pages are blocked)
+   */
+  const openShortcutsPage = () => {
+    chrome.tabs.create({ url: config.shortcutsPage });
+  };
+
+  // ============================================================================
+  // Listening Settings
+  // ============================================================================
+
+  /**
+   * Show the stored settings in the form
+   * @param {Object} settings - Complete settings
+   */
+  const renderSettings = (settings) => {
+    state.settings = settings;
+
+    elements.wakeWordToggle.checked = settings.wakeWordEnabled;
+    elements.wakePhraseInput.value = settings.wakePhrase;
+    elements.silenceTimeoutInput.value = settings.silenceTimeout;
+    elements.commandTimeoutInput.value = settings.commandTimeout;
+
+    renderVoices(settings);
+    elements.speechRateInput.value = settings.speechRate;
+    elements.speechPitchInput.value = settings.speechPitch;
+    elements.speechVolumeInput.value = settings.speechVolume;
+
+    // A custom engine stays selected while its URL is being typed
+    if (!state.editingCustomSearch) {
+      elements.searchEngineSelect.value = settings.searchEngine;
+      elements.customSearchInput.value = settings.customSearchUrl;
+    }
+    elements.customSearchRow.hidden = elements.searchEngineSelect.value !== 'custom';
+
+    elements.riskPolicySelect.value = settings.riskPolicy;
+    renderSitePolicies(settings.sitePolicies);
+  };
+
+  /**
+   * Save a change - out of range values come back clamped
+   * @param {Object} changes - Settings to change
+   */
+  const saveSettings = async (changes) => {
+    try {
+      renderSettings(await Settings.save(changes));
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      showStatus('Could not save: ' + error.message);
+    }
+  };
+
+  // ============================================================================
+  // Reply Voice
+  // ============================================================================
+
+  /**
+   * Fill the voice select with the voices for the recognition language
+   * A chosen voice missing on this device (settings sync) stays listed
+   *
+   * @param {Object|null} settings - Complete settings (null before they load)
+   */
+  const renderVoices = (settings) => {
+    const language = Settings.RECOGNITION_LANGUAGE;
+    const prefix = language.split('-')[0].toLowerCase();
+    const voiceName = settings?.voiceName || '';
+
+    // Exact language first, then its other regions ("en-GB" for "en-US")
+    const voices = speechSynthesis.getVoices()
+      .filter(voice => voice.lang.toLowerCase().startsWith(prefix))
+      .sort((a, b) => (b.lang === language) - (a.lang === language) || a.name.localeCompare(b.name));
+
+    const choices = [
+      ['', `Browser default (${language})`],
+      ...voices.map(voice => [voice.name, `${voice.name} (${voice.lang})`])
+    ];
+
+    if (voiceName && !voices.some(voice => voice.name === voiceName)) {
+      choices.push([voiceName, `${voiceName} (not on this device)`]);
+    }
+
+    elements.voiceSelect.replaceChildren(...choices.map(([name, label]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      return option;
+    }));
+
+    elements.voiceSelect.value = voiceName;
+  };
+
+  /**
+   * Speak a sample with the saved voice settings
+   */
+  const testVoice = () => {
+    const settings = state.settings || Settings.normalize();
+    const options = Settings.speechOptions(settings);
+    const utterance = new SpeechSynthesisUtterance(config.voiceSample);
+
+    utterance.lang = options.lang;
+    utterance.rate = options.rate;
+    utterance.pitch = options.pitch;
+    utterance.volume = options.volume;
+    utterance.voice = speechSynthesis.getVoices().find(voice => voice.name === options.voiceName) || null;
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+  };
+
+  // ============================================================================
+  // Search Engine
+  // ============================================================================
+
+  /**
+   * Fill the engine select: the built-ins, then "Custom"
+   */
+  const fillSearchEngineOptions = () => {
+    const engines = Object.entries(Settings.SEARCH_ENGINES).map(([id, engine]) => [id, engine.name]);
+
+    elements.searchEngineSelect.replaceChildren(...[...engines, ['custom', 'Custom']].map(([id, name]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      return option;
+    }));
+  };
+
+  /**
+   * Save the engine - a custom one only once its URL is valid
+   */
+  const handleSearchEngineChange = () => {
+    const searchEngine = elements.searchEngineSelect.value;
+    const customSearchUrl = elements.customSearchInput.value.trim();
+
+    state.editingCustomSearch = searchEngine === 'custom' && !/^https?:\/\/\S+\{query\}/.test(customSearchUrl);
+    elements.customSearchRow.hidden = searchEngine !== 'custom';
+
+    if (state.editingCustomSearch) {
+      showStatus('Enter an http(s) results URL with {query} where the search goes');
+      return;
+    }
+
+    saveSettings({ searchEngine, customSearchUrl });
+  };
+
+  // ============================================================================
+  // Confirmation Policies
+  // ============================================================================
+
+  /**
+   * Add one option per policy to a select
+   * @param {HTMLSelectElement} select - Policy select
+   */
+  const fillPolicyOptions = (select) => {
+    select.replaceChildren(...Object.entries(config.policyLabels).map(([policy, label]) => {
+      const option = document.createElement('option');
+      option.value = policy;
+      option.textContent = label;
+      option.selected = policy === Settings.DEFAULT_SETTINGS.riskPolicy;
+      return option;
+    }));
+  };
+
+  /**
+   * List the per-site overrides
+   * @param {Object} sitePolicies - Host → policy
+   */
+  const renderSitePolicies = (sitePolicies) => {
+    const sites = Object.keys(sitePolicies).sort();
+
+    elements.sitePolicyList.replaceChildren(...sites.map(host => createSitePolicyItem(host, sitePolicies[host])));
+  };
+
+  /**
+   * Build one override row: host, policy and remove button
+   * @param {string} host - Site host
+   * @param {string} policy - Policy for the site
+   * @returns {HTMLElement} List item
+   */
+  const createSitePolicyItem = (host, policy) => {
+    const item = document.createElement('li');
+    item.className = 'site-policy-item';
+
+    const name = document.createElement('span');
+    name.className = 'site-policy-host';
+    name.textContent = host;
+
+    const select = document.createElement('select');
+    select.className = 'wake-phrase-input';
+    select.setAttribute('aria-label', `Policy for ${host}`);
+    fillPolicyOptions(select);
+    select.value = policy;
+    select.addEventListener('change', () => saveSitePolicy(host, select.value));
+
+    const remove = document.createElement('button');
+    remove.className = 'clear-button options-remove-button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => saveSitePolicy(host, null));
+
+    item.append(name, select, remove);
+    return item;
+  };
+
+  /**
+   * Handle the add-site form
+   * @param {SubmitEvent} event - Form submit
+   */
+  const handleAddSite = async (event) => {
+    event.preventDefault();
+
+    const host = Settings.normalizeHost(elements.siteInput.value);
+
+    if (!host) {
+      showStatus('Enter a site like example.com');
+      return;
+    }
+
+    await saveSitePolicy(host, elements.sitePolicySelect.value);
+
+    elements.siteInput.value = '';
+  };
+
+  /**
+   * Set or remove (policy null) the override of one site
+   * @param {string} host - Site host
+   * @param {string|null} policy - New policy
+   */
+  const saveSitePolicy = (host, policy) => {
+    const sitePolicies = { ...state.settings?.sitePolicies };
+
+    if (policy) {
+      sitePolicies[host] = policy;
+    } else {
+      delete sitePolicies[host];
+    }
+
+    return saveSettings({ sitePolicies });
+  };
+
+  // ============================================================================
+  // Saved Profile
+  // ============================================================================
+
+  /**
+   * Add one input per profile field
+   */
+  const createProfileFields = () => {
+    elements.profileFields.replaceChildren(...Vault.PROFILE_FIELDS.map(field => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+
+      const label = document.createElement('span');
+      label.className = 'options-label';
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.type = field.sensitive ? 'password' : 'text';
+      input.className = 'wake-phrase-input';
+      input.name = field.key;
+      input.autocomplete = 'off';
+
+      row.append(label, input);
+      return row;
+    }));
+  };
+
+  /**
+   * Show the form for the vault's state - the profile only while unlocked
+   * @param {Object} [profile] - Unlocked profile (loaded when omitted)
+   */
+  const renderVault = async (profile) => {
+    try {
+      const { exists, unlocked } = await Vault.getStatus();
+
+      if (unlocked && !profile) profile = await Vault.load();
+
+      elements.vaultCreateForm.hidden = exists;
+      elements.vaultUnlockForm.hidden = !exists || unlocked;
+      elements.profileForm.hidden = !unlocked;
+
+      for (const input of elements.profileFields.querySelectorAll('input')) {
+        input.value = profile?.[input.name] || '';
+      }
+    } catch (error) {
+      console.error('Failed to load profile:', error);
+      showStatus('Could not load the profile: ' + error.message);
+    }
+  };
+
+  /**
+   * Handle the create-profile form
+   * @param {SubmitEvent} event - Form submit
+   */
+  const handleCreateVault = async (event) => {
+    event.preventDefault();
+
+    if (elements.newPassphraseInput.value !== elements.repeatPassphraseInput.value) {
+      showStatus('The passphrases do not match');
+      return;
+    }
+
+    try {
+      await renderVault(await Vault.create(elements.newPassphraseInput.value));
+      elements.vaultCreateForm.reset();
+      showStatus('Profile created');
+    } catch (error) {
+      showStatus(error.message);
+    }
+  };
+
+  /**
+   * Handle the unlock form
+   * @param {SubmitEvent} event - Form submit
+   */
+  const handleUnlockVault = async (event) => {
+    event.preventDefault();
+
+    try {
+      await renderVault(await Vault.unlock(elements.passphraseInput.value));
+      showStatus('Unlocked until the browser closes');
+    } catch (error) {
+      showStatus(error.message);
+    } finally {
+      elements.passphraseInput.value = '';
+    }
+  };
+
+  /**
+   * Handle the profile form
+   * @param {SubmitEvent} event - Form submit
+   */
+  const handleSaveProfile = async (event) => {
+    event.preventDefault();
+
+    try {
+      const profile = Object.fromEntries(new FormData(elements.profileForm));
+      await renderVault(await Vault.save(profile));
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Failed to save profile:', error);
+      showStatus('Could not save: ' + error.message);
+    }
+  };
+
+  /**
+   * Lock the vault and clear the profile from the page
+   */
+  const handleLockVault = async () => {
+    await Vault.lock();
+    await renderVault();
+    showStatus('Locked');
+  };
+
+  /**
+   * Delete the profile after asking - there is no way to recover it
+   */
+  const handleDeleteVault = async () => {
+    if (!confirm('Delete your saved profile? This cannot be undone.')) return;
+
+    await Vault.clear();
+    await renderVault();
+    showStatus('Profile deleted');
+  };
+
+  // ============================================================================
+  // Browser Access
+  // ============================================================================
+
+  /**
+   * List the optional permissions with an Allow or Remove button
+   */
+  const renderPermissions = async () => {
+    const { permissions = [] } = await chrome.permissions.getAll();
+
+    elements.permissionList.replaceChildren(...Object.entries(config.permissions).map(([permission, label]) => {
+      const granted = permissions.includes(permission);
+
+      const item = document.createElement('li');
+      item.className = 'site-policy-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-policy-host';
+      name.textContent = `${label} - ${granted ? 'allowed' : 'not allowed'}`;
+
+      const button = document.createElement('button');
+      button.className = `clear-button ${granted ? 'options-remove-button' : 'options-add-button'}`;
+      button.textContent = granted ? 'Remove' : 'Allow';
+      button.addEventListener('click', () => handlePermission(permission, !granted));
+
+      item.append(name, button);
+      return item;
+    }));
+  };
+
+  /**
+   * Ask Chrome for a permission, or give it back
+   * @param {string} permission - Optional permission name
+   * @param {boolean} allow - Request (true) or remove (false)
+   */
+  const handlePermission = async (permission, allow) => {
+    try {
+      const changed = allow
+        ? await chrome.permissions.request({ permissions: [permission] })
+        : await chrome.permissions.remove({ permissions: [permission] });
+
+      if (!changed) showStatus(allow ? 'Access was not allowed' : 'Access could not be removed');
+    } catch (error) {
+      showStatus(`Could not change access: ${error.message}`);
+    }
+
+    renderPermissions();
+  };
+
+  // ============================================================================
+  // Custom Commands and Site Adapters
+  // ============================================================================
+
+  /**
+   * Load a collection and open an empty editor
+   * @param {string} kind - 'commands' or 'adapters'
+   */
+  const loadCollection = async (kind) => {
+    try {
+      state[kind] = await collections[kind].load();
+      renderCollection(kind);
+      editItem(kind, null);
+    } catch (error) {
+      console.error(`Failed to load ${kind}:`, error);
+      showStatus(`Could not load the ${kind}: ${error.message}`);
+    }
+  };
+
+  /**
+   * List a collection with edit and remove buttons
+   * @param {string} kind - 'commands' or 'adapters'
+   */
+  const renderCollection = (kind) => {
+    const { list, describe } = collections[kind];
+
+    list.replaceChildren(...state[kind].map(item => {
+      const row = document.createElement('li');
+      row.className = 'site-policy-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-policy-host';
+      name.textContent = describe(item);
+      name.title = item.id;
+
+      const edit = document.createElement('button');
+      edit.className = 'clear-button options-add-button';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => editItem(kind, item.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'clear-button options-remove-button';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => handleRemoveItem(kind, item.id));
+
+      row.append(name, edit, remove);
+      return row;
+    }));
+  };
+
+  /**
+   * Put an item (or the template for a new one) into the editor
+   * @param {string} kind - 'commands' or 'adapters'
+   * @param {string|null} id - Item to edit, null for a new one
+   */
+  const editItem = (kind, id) => {
+    const item = state[kind].find(entry => entry.id === id) || config.templates[kind];
+
+    state.editing[kind] = id;
+    collections[kind].input.value = JSON.stringify(item, null, 2);
+    collections[kind].errors.replaceChildren();
+  };
+
+  /**
+   * Handle an editor's save button - replaces the edited item, or adds a new one
+   * @param {string} kind - 'commands' or 'adapters'
+   * @param {SubmitEvent} event - Form submit
+   */
+  const handleSaveItem = async (kind, event) => {
+    event.preventDefault();
+
+    let item;
+
+    try {
+      item = JSON.parse(collections[kind].input.value);
+    } catch (error) {
+      showErrors(kind, [`Not valid JSON: ${error.message}`]);
+      return;
+    }
+
+    const replaced = state.editing[kind] ?? item?.id;
+    const others = state[kind].filter(entry => entry.id !== replaced);
+
+    if (await saveCollection(kind, [...others, item])) {
+      state.editing[kind] = item.id;
+      showStatus('Saved');
+    }
+  };
+
+  /**
+   * Remove one item after asking
+   * @param {string} kind - 'commands' or 'adapters'
+   * @param {string} id - Item id
+   */
+  const handleRemoveItem = async (kind, id) => {
+    if (!confirm(`Remove "${id}"?`)) return;
+
+    if (await saveCollection(kind, state[kind].filter(entry => entry.id !== id))) {
+      if (state.editing[kind] === id) editItem(kind, null);
+      showStatus('Removed');
+    }
+  };
+
+  /**
+   * Validate and store a whole collection
+   * @param {string} kind - 'commands' or 'adapters'
+   * @param {Object[]} items - New collection
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const saveCollection = async (kind, items) => {
+    try {
+      state[kind] = await collections[kind].save(items);
+      renderCollection(kind);
+      collections[kind].errors.replaceChildren();
+      return true;
+    } catch (error) {
+      console.error(`Failed to save ${kind}:`, error);
+      showErrors(kind, error.details || [error.message]);
+      return false;
+    }
+  };
+
+  /**
+   * List validation problems under an editor
+   * @param {string} kind - 'commands' or 'adapters'
+   * @param {string[]} errors - Problems
+   */
+  const showErrors = (kind, errors) => {
+    collections[kind].errors.replaceChildren(...errors.map(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      return item;
+    }));
+  };
+
+  /**
+   * Download the commands and adapters as one JSON file
+   */
+  const handleExport = () => {
+    const data = { version: 1, commands: state.commands, adapters: state.adapters };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = config.exportFileName;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Merge an exported file into the saved collections - imported items
+   * replace saved ones with the same id. Nothing is saved unless both are valid.
+   * @param {Event} event - File input change
+   */
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+
+    if (!file) return;
+
+    let data;
+
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      showStatus(`${file.name} is not valid JSON`);
+      return;
+    }
+
+    const merged = {};
+
+    for (const kind of Object.keys(collections)) {
+      const imported = data?.[kind] ?? [];
+      const ids = new Set(Array.isArray(imported) ? imported.map(item => item?.id) : []);
+
+      merged[kind] = Array.isArray(imported)
+        ? [...state[kind].filter(item => !ids.has(item.id)), ...imported]
+        : imported;
+
+      const errors = collections[kind].validate(merged[kind]);
+
+      if (errors.length) {
+        showErrors(kind, errors);
+        showStatus(`Nothing imported - ${file.name} has problems`);
+        return;
+      }
+    }
+
+    for (const kind of Object.keys(collections)) {
+      if (!(await saveCollection(kind, merged[kind]))) return;
+    }
+
+    showStatus(`Imported ${data.commands?.length || 0} commands and ${data.adapters?.length || 0} adapters`);
+  };
+
+  /**
+   * Show a short note under the form
+   * @param {string} text - Note text
+   */
+  const showStatus = (text) => {
+    clearTimeout(state.statusTimer);
+
+    elements.saveStatus.textContent = text;
+
+    state.statusTimer = setTimeout(() => {
+      elements.saveStatus.textContent = '';
+    }, config.statusDuration);
+  };
+
+  // ============================================================================
+  // Auto-Initialize
+  // ============================================================================
+
+  initialize();
+
+})();
\ No newline at end of file
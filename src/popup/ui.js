@@ -3,14 +3,29 @@
  * Manages user interface, application state, and user interactions
  * 
  * @module ui
- * @description Pure UI controller with no speech recognition logic
+ * @description Viewer / controller of the background voice session -
+ *              recognition runs in the offscreen document, commands are
+ *              processed by the service worker
  * @version 1.0.0
  */
 
-const BACKEND_BASE_URL = "http://localhost:3000/api";
 (function() {
   'use strict';
 
+  // Shared message protocol (src/services/protocol.js)
+  const {
+    MESSAGE_TYPES,
+    MESSAGE_KINDS,
+    createRequest,
+    isProtocolMessage,
+    validateMessage,
+    unwrapResponse,
+    withTimeout
+  } = VoiceReplicaProtocol;
+
+  // Shared settings store (src/services/settings.js)
+  const Settings = VoiceReplicaSettings;
+
   // ============================================================================
   // DOM Element References
   // ============================================================================
@@ -18,6 +33,7 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     // Control buttons
     micButton: document.getElementById('micButton'),
     clearButton: document.getElementById('clearButton'),
+    settingsButton: document.getElementById('settingsButton'),
     
     // Status display
     statusText: document.getElementById('statusText'),
@@ -27,6 +43,10 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     transcriptArea: document.getElementById('transcriptArea'),
     responseArea: document.getElementById('responseArea'),
     
+    // Wake word settings
+    wakeWordToggle: document.getElementById('wakeWordToggle'),
+    wakePhraseInput: document.getElementById('wakePhraseInput'),
+    
     // Labels
     micLabel: null // Will be selected dynamically
   };
@@ -36,10 +56,13 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
   // ============================================================================
 
   const state = {
-    isListening: false,
+    isListening: false, // A command window is open
+    phase: 'idle', // Recognition phase in the offscreen document
+    wakePhrase: Settings.DEFAULT_SETTINGS.wakePhrase,
     currentTranscript: '',
     finalTranscript: '',
     currentResponse: '',
+    renderedResponseId: null, // Last session response shown
     hasError: false,
     sessionStartTime: null
   };
@@ -58,6 +81,7 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     // Status messages
     statusMessages: {
       ready: 'Ready',
+      waiting: 'Say "{phrase}" to start',
       listening: 'Listening...',
       processing: 'Processing...',
       responding: 'Responding...',
@@ -68,7 +92,10 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     placeholders: {
       transcript: 'Your voice transcript will appear here...',
       response: 'AI response will appear here...'
-    }
+    },
+    
+    // Max wait for the service worker (ms) - starting may create the offscreen document
+    requestTimeout: 5000
   };
 
   // ============================================================================
@@ -85,25 +112,18 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
       elements.statusDot = document.querySelector('.status-dot');
       elements.micLabel = document.querySelector('.mic-label');
       
-      // Verify VoiceEngine is available
-      if (typeof VoiceEngine === 'undefined') {
-        showError({
-          type: 'initialization-failed',
-          message: 'VoiceEngine is not available. Please check voiceEngine.js is loaded.',
-          fatal: true
-        });
-        return;
-      }
-      
       // Bind event listeners
       bindEventListeners();
       
-      // Initialize VoiceEngine event handlers
-      initializeVoiceEngine();
-      
       // Set initial UI state
       setUIState('ready');
       
+      // Show the wake word settings
+      loadSettings();
+      
+      // Pick up the background session (it outlives the popup)
+      restoreSession();
+      
       console.log('VoiceReplica UI initialized successfully');
       
     } catch (error) {
@@ -130,35 +150,25 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
       elements.clearButton.addEventListener('click', handleClearButtonClick);
     }
     
-    // Keyboard shortcuts
-    document.addEventListener('keydown', handleKeyboardShortcuts);
-  };
-
-  /**
-   * Initialize VoiceEngine event handlers
-   */
-  const initializeVoiceEngine = () => {
-    // Listen for transcripts
-    VoiceEngine.onTranscript((data) => {
-      handleTranscript(data);
-    });
-    
-    // Listen for errors
-    VoiceEngine.onError((errorInfo) => {
-      handleVoiceError(errorInfo);
-    });
+    // Settings button - shortcuts and listening settings
+    if (elements.settingsButton) {
+      elements.settingsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
     
-    // Listen for end events
-    VoiceEngine.onEnd((data) => {
-      handleVoiceEnd(data);
-    });
+    // Wake word settings
+    if (elements.wakeWordToggle) {
+      elements.wakeWordToggle.addEventListener('change', handleWakeWordToggle);
+    }
     
-    // Listen for state changes (if available)
-    if (typeof VoiceEngine.onStateChange === 'function') {
-      VoiceEngine.onStateChange((data) => {
-        handleVoiceStateChange(data);
-      });
+    if (elements.wakePhraseInput) {
+      elements.wakePhraseInput.addEventListener('change', handleWakePhraseChange);
     }
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', handleKeyboardShortcuts);
+    
+    // Session updates and progress reports from the service worker
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
   };
 
   // ============================================================================
@@ -190,6 +200,9 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     // Clear all content
     clearAllContent();
     
+    // Start a fresh conversation
+    resetConversation();
+    
     // Reset to ready state
     setUIState('ready');
     
@@ -221,88 +234,127 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     }
   };
 
-  // ============================================================================
-  // Event Handlers - VoiceEngine Events
-  // ============================================================================
+  /**
+   * Handle the always-on listening toggle
+   * The service worker starts or stops the background listener
+   */
+  const handleWakeWordToggle = () => {
+    Settings.save({ wakeWordEnabled: elements.wakeWordToggle.checked })
+      .catch(error => console.error('Failed to save settings:', error));
+  };
 
   /**
-   * Handle transcript data from VoiceEngine
-   * @param {Object} data - Transcript data
-   * @param {string} data.transcript - The transcribed text
-   * @param {boolean} data.isFinal - Whether this is a final transcript
-   * @param {number} data.confidence - Confidence score (0-1)
-   * @param {number} data.timestamp - Timestamp of transcript
+   * Handle a new wake phrase (on blur / Enter)
    */
-  const handleTranscript = (data) => {
-    const { transcript, isFinal, confidence } = data;
-    
-    if (isFinal) {
-      // Store final transcript
-      state.finalTranscript = transcript;
-      state.currentTranscript = '';
-      
-      // Display final transcript
-      displayTranscript(transcript, true);
-      
-      // Process the final transcript (get AI response)
-      processTranscript(transcript);
-      
-    } else {
-      // Store interim transcript
-      state.currentTranscript = transcript;
+  const handleWakePhraseChange = async () => {
+    try {
+      const settings = await Settings.save({ wakePhrase: elements.wakePhraseInput.value });
       
-      // Display interim transcript
-      displayTranscript(transcript, false);
+      // An empty phrase falls back to the default
+      elements.wakePhraseInput.value = settings.wakePhrase;
+      state.wakePhrase = settings.wakePhrase;
+    } catch (error) {
+      console.error('Failed to save settings:', error);
     }
   };
 
   /**
-   * Handle errors from VoiceEngine
-   * @param {Object} errorInfo - Error information
-   * @param {string} errorInfo.type - Error type
-   * @param {string} errorInfo.message - Error message
-   * @param {boolean} errorInfo.fatal - Whether error is fatal
-   * @param {boolean} errorInfo.recoverable - Whether error is recoverable
+   * Handle messages broadcast by the service worker
+   * @param {Object} message - Runtime message
    */
-  const handleVoiceError = (errorInfo) => {
-    console.error('VoiceEngine error:', errorInfo);
-    
-    state.hasError = true;
-    state.isListening = false;
+  const handleRuntimeMessage = (message) => {
+    // Requests are answered by the service worker or the offscreen document
+    if (!isProtocolMessage(message) || !validateMessage(message, MESSAGE_KINDS.EVENT).valid) {
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SESSION_UPDATE) {
+      renderSession(message.payload);
+    } else if (message.type === MESSAGE_TYPES.PLAN_PROGRESS) {
+      displayPlanProgress(message.payload);
+    }
+  };
+
+  // ============================================================================
+  // Session Rendering
+  // ============================================================================
+
+  /**
+   * Render a snapshot of the background voice session
+   * @param {Object} session - Session state from the service worker
+   * @param {string} session.phase - idle, wake or command
+   * @param {string} session.status - ready, processing, responding or error
+   * @param {string} session.transcript - Command heard so far
+   * @param {boolean} session.isFinal - Whether the command is complete
+   * @param {Object|null} session.response - Last response ({ id, text, bullets, citations })
+   * @param {Object|null} session.error - Last error ({ type, message })
+   */
+  const renderSession = (session) => {
+    state.phase = session.phase;
+    state.isListening = session.phase === 'command';
+    state.wakePhrase = session.wakePhrase || state.wakePhrase;
+    
+    updateMicButton(state.isListening);
+    
+    // Transcript
+    if (session.transcript) {
+      state.currentTranscript = session.isFinal ? '' : session.transcript;
+      state.finalTranscript = session.isFinal ? session.transcript : '';
+      displayTranscript(session.transcript, session.isFinal);
+    } else {
+      clearTranscript();
+    }
     
-    // Show error in UI
-    showError(errorInfo);
+    // Response - re-rendering would drop plan progress shown under it
+    if (!session.response) {
+      if (state.renderedResponseId) clearResponse();
+      state.renderedResponseId = null;
+    } else if (session.response.id !== state.renderedResponseId) {
+      state.renderedResponseId = session.response.id;
+      displaySessionResponse(session.response);
+    }
     
-    // Update UI state
-    setUIState('error');
+    // Status
+    if (session.status === 'error' && session.error) {
+      state.hasError = true;
+      showError(session.error);
+      setUIState('error');
+      return;
+    }
     
-    // Update mic button to stopped state
-    updateMicButton(false);
+    state.hasError = false;
+    setUIState(sessionUIState(session));
   };
 
   /**
-   * Handle end event from VoiceEngine
-   * @param {Object} data - End event data
+   * Pick the UI state for a session snapshot
+   * @param {Object} session - Session state
+   * @returns {string} UI state name
    */
-  const handleVoiceEnd = (data) => {
-    // Only update if we think we're still listening
-    // (prevents race conditions)
-    if (state.isListening) {
-      console.log('VoiceEngine ended unexpectedly');
+  const sessionUIState = (session) => {
+    if (session.status === 'processing' || session.status === 'responding') {
+      return session.status;
     }
+    
+    if (session.phase === 'command') return 'listening';
+    if (session.phase === 'wake') return 'waiting';
+    
+    return 'ready';
   };
 
   /**
-   * Handle state change from VoiceEngine
-   * @param {Object} data - State change data
+   * Display a session response as a summary, an answer, a result list or plain text
+   * @param {Object} response - Session response
    */
-  const handleVoiceStateChange = (data) => {
-    console.log('VoiceEngine state change:', data);
-    
-    // Sync UI state with engine state
-    if (data.isListening !== state.isListening) {
-      state.isListening = data.isListening;
-      updateMicButton(data.isListening);
+  const displaySessionResponse = ({ text, bullets = [], citations = [], results = [] }) => {
+    if (bullets.length > 0) {
+      displaySummary(text, bullets);
+    } else if (citations.length > 0) {
+      displayAnswer(text, citations);
+    } else if (results.length > 0) {
+      displayResults(text, results);
+    } else {
+      displayResponse(text);
     }
   };
 
@@ -311,74 +363,109 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
   // ============================================================================
 
   /**
-   * Start listening for voice input
+   * Send a protocol request to the service worker
+   * Shows the error and resolves to null on failure
+   * 
+   * @param {string} type - Message type (MESSAGE_TYPES)
+   * @param {Object} [payload] - Request payload
+   * @returns {Promise<*>} Response data
    */
-  const startListening = () => {
+  const sendToWorker = async (type, payload = {}) => {
     try {
-      // Clear any previous errors
-      state.hasError = false;
-      
-      // Clear previous transcript and response
-      state.currentTranscript = '';
-      state.finalTranscript = '';
-      clearTranscript();
-      clearResponse();
-      
-      // Record session start time
-      state.sessionStartTime = Date.now();
-      
-      // Start the voice engine
-      const success = VoiceEngine.start();
-      
-      if (success) {
-        state.isListening = true;
-        setUIState('listening');
-        updateMicButton(true);
-      } else {
-        showError({
-          type: 'start-failed',
-          message: 'Failed to start voice recognition',
-          recoverable: true
-        });
-      }
+      const response = await withTimeout(
+        chrome.runtime.sendMessage(createRequest(type, payload, 'popup')),
+        config.requestTimeout,
+        type
+      );
       
+      return unwrapResponse(response);
     } catch (error) {
-      console.error('Error starting voice recognition:', error);
+      console.error(`${type} failed:`, error.code || '', error.message);
       showError({
-        type: 'start-failed',
+        type: 'request-failed',
         message: error.message,
         recoverable: true
       });
+      setUIState('error');
+      return null;
+    }
+  };
+
+  /**
+   * Show the background session as it is now
+   */
+  const restoreSession = async () => {
+    const session = await sendToWorker(MESSAGE_TYPES.GET_SESSION);
+    
+    if (session) {
+      renderSession(session);
     }
   };
 
   /**
-   * Stop listening for voice input
+   * Load the wake word settings into the form
    */
-  const stopListening = () => {
+  const loadSettings = async () => {
     try {
-      // Stop the voice engine
-      VoiceEngine.stop();
+      const settings = await Settings.load();
       
-      state.isListening = false;
-      setUIState('ready');
-      updateMicButton(false);
+      state.wakePhrase = settings.wakePhrase;
       
+      if (elements.wakeWordToggle) elements.wakeWordToggle.checked = settings.wakeWordEnabled;
+      if (elements.wakePhraseInput) elements.wakePhraseInput.value = settings.wakePhrase;
     } catch (error) {
-      console.error('Error stopping voice recognition:', error);
+      console.error('Failed to load settings:', error);
+    }
+  };
+
+  /**
+   * Open a command window in the background listener
+   * Keeps listening after the popup closes
+   */
+  const startListening = async () => {
+    // Clear any previous errors
+    state.hasError = false;
+    
+    // Record session start time
+    state.sessionStartTime = Date.now();
+    
+    const session = await sendToWorker(MESSAGE_TYPES.START_LISTENING, { mode: 'command' });
+    
+    if (session) {
+      renderSession(session);
+    }
+  };
+
+  /**
+   * Close the command window
+   * With always-on listening the listener goes back to the wake phrase
+   */
+  const stopListening = async () => {
+    const session = await sendToWorker(MESSAGE_TYPES.STOP_LISTENING);
+    
+    if (session) {
+      renderSession(session);
     }
   };
 
+  /**
+   * Start a fresh conversation with the backend
+   */
+  const resetConversation = () => {
+    return sendToWorker(MESSAGE_TYPES.RESET_CONVERSATION);
+  };
+
   // ============================================================================
   // UI State Management
   // ============================================================================
 
   /**
    * Set the overall UI state
-   * @param {string} stateName - State name (ready, listening, processing, error)
+   * @param {string} stateName - State name (ready, waiting, listening, processing, error)
    */
   const setUIState = (stateName) => {
-    const statusMessage = config.statusMessages[stateName] || stateName;
+    const statusMessage = (config.statusMessages[stateName] || stateName)
+      .replace('{phrase}', state.wakePhrase);
     
     // Update status text
     updateStatusText(statusMessage);
@@ -408,7 +495,7 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     if (!elements.statusDot) return;
     
     // Remove all state classes
-    elements.statusDot.classList.remove('ready', 'listening', 'processing', 'error');
+    elements.statusDot.classList.remove('ready', 'waiting', 'listening', 'processing', 'responding', 'error');
     
     // Add current state class
     elements.statusDot.classList.add(stateName);
@@ -439,6 +526,7 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     
     const labels = {
       ready: 'Click to Start',
+      waiting: 'Click to Talk',
       listening: 'Listening...',
       processing: 'Processing...',
       error: 'Try Again'
@@ -520,6 +608,140 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     state.currentResponse = text;
   };
 
+  /**
+   * Display a page summary with bullet points
+   * @param {string} spokenSummary - Short summary (also spoken)
+   * @param {string[]} bullets - Key points
+   */
+  const displaySummary = (spokenSummary, bullets = []) => {
+    if (!elements.responseArea) return;
+    
+    displayResponse(spokenSummary || 'No summary available');
+    
+    if (bullets.length === 0) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'summary-bullets';
+    
+    bullets.forEach((bullet) => {
+      const item = document.createElement('li');
+      item.textContent = bullet;
+      list.appendChild(item);
+    });
+    
+    elements.responseArea.appendChild(list);
+  };
+
+  /**
+   * Display a page answer with the passages it cites
+   * @param {string} answer - Answer text (also spoken)
+   * @param {Array<Object>} citations - Cited passages ({ passage, quote })
+   */
+  const displayAnswer = (answer, citations = []) => {
+    if (!elements.responseArea) return;
+    
+    displayResponse(answer || 'No answer available');
+    
+    if (citations.length === 0) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'summary-bullets answer-citations';
+    
+    citations.forEach((citation) => {
+      const item = document.createElement('li');
+      item.textContent = `[${citation.passage}] “${citation.quote}”`;
+      list.appendChild(item);
+    });
+    
+    elements.responseArea.appendChild(list);
+  };
+
+  /**
+   * Display search, history or bookmark results - the spoken text reads the
+   * first few, the list shows all of them
+   * @param {string} text - Spoken text
+   * @param {Array<Object>} results - Results ({ index, title, url, host, snippet })
+   */
+  const displayResults = (text, results = []) => {
+    if (!elements.responseArea) return;
+    
+    displayResponse(text);
+    
+    elements.responseArea.querySelector('.search-results')?.remove();
+    
+    const list = document.createElement('ol');
+    list.className = 'summary-bullets search-results';
+    
+    results.forEach((result) => {
+      const item = document.createElement('li');
+      
+      const link = document.createElement('a');
+      link.className = 'search-result-title';
+      link.href = result.url;
+      link.textContent = result.title || result.url;
+      
+      // Open in the page's tab, like "open the second result"
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.tabs.update({ url: result.url });
+      });
+      
+      const host = document.createElement('span');
+      host.className = 'search-result-host';
+      host.textContent = result.host || '';
+      
+      item.append(link, host);
+      
+      if (result.snippet) {
+        const snippet = document.createElement('p');
+        snippet.className = 'search-result-snippet';
+        snippet.textContent = result.snippet;
+        item.appendChild(snippet);
+      }
+      
+      list.appendChild(item);
+    });
+    
+    elements.responseArea.appendChild(list);
+  };
+
+  /**
+   * Display progress of a multi-step plan
+   * One list item per step, updated in place
+   * @param {Object} progress - Step progress from the service worker
+   * @param {number} progress.step - Step number (1-based)
+   * @param {number} progress.total - Total steps
+   * @param {string} progress.description - Step description
+   * @param {string} progress.status - running, done or failed
+   * @param {string} [progress.error] - Failure reason
+   */
+  const displayPlanProgress = (progress) => {
+    if (!elements.responseArea) return;
+    
+    let list = elements.responseArea.querySelector('.plan-steps');
+    
+    if (!list) {
+      list = document.createElement('ol');
+      list.className = 'summary-bullets plan-steps';
+      elements.responseArea.classList.add('has-content');
+      elements.responseArea.appendChild(list);
+    }
+    
+    let item = list.querySelector(`[data-step="${progress.step}"]`);
+    
+    if (!item) {
+      item = document.createElement('li');
+      item.dataset.step = progress.step;
+      list.appendChild(item);
+    }
+    
+    const icons = { running: '⏳', done: '✅', failed: '❌' };
+    
+    item.className = `plan-step ${progress.status}`;
+    item.textContent = `${icons[progress.status] || ''} ${progress.description || progress.action}` +
+      (progress.error ? ` — ${progress.error}` : '');
+  };
+
   /**
    * Show error message in UI
    * @param {Object} errorInfo - Error information
@@ -584,69 +806,6 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
   // AI Response Processing (Mock Backend)
   // ============================================================================
 
-  /**
-   * Process final transcript and generate AI response
-   * @param {string} transcript - Final transcript text
-   */
-  const processTranscript = async (transcript) => {
-    if (!transcript || transcript.trim().length === 0) {
-      return;
-    }
-    
-    // Update UI to processing state
-    setUIState('processing');
-    
-    try {
-      const response = await fetch(`${BACKEND_BASE_URL}/process`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          text: transcript
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error('Backend request failed');
-      }
-
-      const result = await response.json();
-
-      // console.log("Backend Result:", result);
-
-      setUIState('responding');
-
-      // Show AI message
-      displayResponse(result.message || 'Done');
-
-      // 🔊 Speak response (optional for now)
-      speakText(result.message);
-
-      // 👉 Send intent to router (Phase 2)
-      sendToRouter(result);
-
-      await delay(500);
-      setUIState('ready');
-    } catch (error) {
-      console.error('Error processing transcript:', error);
-      showError({
-        type: 'processing-failed',
-        message: 'Failed to process your message',
-        recoverable: true
-      });
-      setUIState('error');
-    }
-  };
-
-  const sendToRouter = (data) => {
-    chrome.runtime.sendMessage({
-      type: 'PROCESS_INTENT',
-      data: data
-    });
-  };
-
-
   /**
    * Generate a mock AI response based on transcript
    * Replace this with actual API call to your backend
@@ -709,18 +868,6 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     }, 150);
   };
 
-  const speakText = (text) => {
-    if (!text) return;
-
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1;
-    utterance.pitch = 1;
-    utterance.volume = 1;
-
-    speechSynthesis.speak(utterance);
-  };
-
-
   /**
    * Format timestamp for display
    * @param {number} timestamp - Unix timestamp
@@ -739,6 +886,7 @@ const BACKEND_BASE_URL = "http://localhost:3000/api";
     // Expose only necessary methods for external use
     getState: () => ({ ...state }),
     clearAll: clearAllContent,
+    resetConversation,
     startListening,
     stopListening
   };
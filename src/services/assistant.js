@@ -0,0 +1,473 @@
+/**
+ * VoiceReplica - Assistant
+ * Turns captured commands into backend calls, page actions and spoken replies
+ */
+
+'use strict';
+
+import './protocol.js';
+import { BACKEND_BASE_URL } from '../const/backendURL.js';
+import { sendToTab } from './injectionManager.js';
+import { getSession, updateSession, startListening } from './voiceSession.js';
+import { speak } from './speech.js';
+import './schema.js';
+import './siteAdapters.js';
+import './customCommands.js';
+import { parseMacroCommand, runMacroCommand } from './macroRecorder.js';
+import { answerTabChoice } from './tabManager.js';
+import { answerResultChoice } from './resultList.js';
+import { answerSearchPaging } from './searchResults.js';
+import { answerReaderCommand } from './pageReader.js';
+
+const {
+  MESSAGE_TYPES,
+  ProtocolError,
+  withTimeout
+} = globalThis.VoiceReplicaProtocol;
+
+const Commands = globalThis.VoiceReplicaCommands;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.storage.session key for the backend conversation session id
+const CONVERSATION_STORAGE_KEY = 'voiceReplicaConversationId';
+
+// Max wait for the page snapshot from content.js (ms)
+const SNAPSHOT_TIMEOUT = 1500;
+
+// Max wait for main-content extraction from content.js (ms)
+const EXTRACT_TIMEOUT = 3000;
+
+// How long a confirmation question waits for its answer (ms)
+const CONFIRMATION_TTL = 60000;
+
+const AFFIRMATIVE_ANSWER = /^(yes|yeah|yep|yup|sure|correct|right|ok|okay|confirm|do it|go ahead)\b/;
+
+const NEGATIVE_ANSWER = /^(no|nope|nah|cancel|wrong|stop|never mind|don't|do not)\b/;
+
+// Said once a confirmed risky action has run
+const CONFIRMED_MESSAGE = 'Okay, done.';
+
+
+/* ============================================================================
+   COMMAND PROCESSING
+============================================================================ */
+
+// Process a captured command end to end. executeIntent is the router's
+// dispatcher - page actions stay in one place. alternatives is the
+// recognizer's n-best list, the backend picks the most plausible one.
+export async function processCommand({ transcript, alternatives = [] }, executeIntent) {
+
+  if (!transcript?.trim()) return;
+
+  await updateSession({ status: 'processing', transcript, isFinal: true, error: null });
+
+  try {
+
+    // A yes / no to "Did you mean…?" - anything else is a new command
+    if (await answerConfirmation(transcript, executeIntent)) {
+      await updateSession({ status: 'ready' });
+      return;
+    }
+
+    // "pause", "faster", "skip paragraph" while a page is read aloud - shown,
+    // not spoken, so the reply does not talk over the reading
+    const readerControl = await answerReaderCommand(transcript);
+
+    if (readerControl) {
+      await display(readerControl.message);
+      await updateSession({ status: 'ready' });
+      return;
+    }
+
+    // "the second one" after "I found 3 tabs: …", "open the third result"
+    // or "next page" after search, history or bookmark results were read out
+    const choice = await answerTabChoice(transcript)
+      .then(result => result || answerResultChoice(transcript))
+      .then(result => result || answerSearchPaging(transcript))
+      .then(
+        result => result && { ok: true, data: result },
+        error => ({ ok: false, error })
+      );
+
+    if (choice) {
+      if (choice.ok) await reply(choice.data.message, { results: choice.data.results });
+      else await reportActionOutcome(choice);
+      await updateSession({ status: 'ready' });
+      return;
+    }
+
+    // "start recording macro", "stop recording as <name>"
+    const macroCommand = parseMacroCommand(transcript);
+
+    if (macroCommand) {
+      await controlMacroRecording(macroCommand);
+      await updateSession({ status: 'ready' });
+      return;
+    }
+
+    // The user's own commands (and recorded macros) run as written, without the backend
+    if (await runCustomCommand(transcript, alternatives, executeIntent)) {
+      await updateSession({ status: 'ready' });
+      return;
+    }
+
+    // Describe the current page so the backend can pick exact targets
+    const page = await requestFromActiveTab(MESSAGE_TYPES.PAGE_SNAPSHOT, {}, SNAPSHOT_TIMEOUT);
+
+    const conversationId = await getConversationId();
+
+    const response = await fetch(`${BACKEND_BASE_URL}/process`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text: transcript,
+        ...(conversationId && { sessionId: conversationId }),
+        ...(page && { page }),
+        ...(alternatives.length && { alternatives })
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error('Backend request failed');
+    }
+
+    const result = await response.json();
+
+    // Carry the conversation session into the next command
+    await saveConversationId(result.data?.sessionId);
+
+    if (result.data?.confirmation) {
+      // 🤔 Unsure what was said - nothing runs until the user says yes
+      await askConfirmation(result.data.confirmation.prompt, result.data, result.message);
+    } else {
+      await handleIntent(result.data, result.message, executeIntent);
+    }
+
+    await updateSession({ status: 'ready' });
+
+  } catch (err) {
+
+    console.error('[Assistant] Command failed:', err);
+
+    await updateSession({
+      status: 'error',
+      error: { type: 'processing-failed', message: 'Failed to process your message' }
+    });
+
+    speak('Sorry, something went wrong.');
+  }
+}
+
+
+async function handleIntent(data, message, executeIntent) {
+
+  if (data?.intent === 'summarize') {
+    // 📝 Summaries are produced by /api/summarize from the page content
+    await summarizeCurrentPage();
+  } else if (data?.intent === 'qna') {
+    // ❓ Answers are grounded in the page through /api/qna
+    await answerFromPage(data.entities?.query || data.transcript);
+  } else {
+    const outcome = await executeIntent(data).then(
+      result => ({ ok: true, data: result }),
+      error => ({ ok: false, error })
+    );
+
+    // ⚠️ Risky action held back - read it back and wait for a yes
+    if (outcome.ok && outcome.data?.needsConfirmation) {
+      await askConfirmation(outcome.data.prompt, outcome.data.resume, CONFIRMED_MESSAGE);
+      return;
+    }
+
+    await reply(message || 'Done');
+
+    await reportActionOutcome(outcome);
+  }
+}
+
+
+// Run the first custom command the transcript (or an alternative) triggers
+// Resolves false when none matches
+async function runCustomCommand(transcript, alternatives, executeIntent) {
+
+  const commands = await Commands.load();
+
+  if (!commands.length) return false;
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  const match = Commands.findCommand(
+    [transcript, ...alternatives.map(alt => alt.transcript)],
+    commands,
+    tab?.url
+  );
+
+  if (!match) return false;
+
+  console.log(`[Assistant] Custom command "${match.command.id}"`, match.slots);
+
+  await handleIntent(
+    Commands.toIntent(match.command, match.slots),
+    match.command.reply || 'Done',
+    executeIntent
+  );
+
+  return true;
+}
+
+
+async function controlMacroRecording(command) {
+
+  try {
+    const { message } = await runMacroCommand(command);
+    await reply(message);
+  } catch (err) {
+    console.error('[Assistant] Macro recording failed:', err.code || '', err.message);
+    await reply(err instanceof ProtocolError ? err.message : `Sorry, I couldn't save that: ${err.message}`);
+  }
+}
+
+
+// Tell the user when a page action was ambiguous, partial, ran in an iframe,
+// found results to choose from or failed
+async function reportActionOutcome({ ok, data, error }) {
+
+  if (ok && (data?.ambiguous || data?.partial || data?.frame || data?.results)) {
+    // e.g. two "Sign in" elements - ask which one, form fields left empty,
+    // "Clicked Pay now (in a frame from pay.example.com)" or search results
+    await reply(data.message, { results: data.results });
+  } else if (!ok) {
+    console.error('[Assistant] Intent execution failed:', error.code || '', error.message);
+    await reply(`Sorry, I couldn't do that: ${error.message}`);
+  }
+}
+
+
+/* ============================================================================
+   CONFIRMATION
+   "Did you mean…?" and risky actions: the intent waits in the session
+   (the worker may restart) until the next command answers it.
+============================================================================ */
+
+async function askConfirmation(prompt, data, message) {
+
+  await updateSession({
+    confirmation: { prompt, data, message, expiresAt: Date.now() + CONFIRMATION_TTL }
+  });
+
+  await display(prompt, {}, { status: 'responding' });
+
+  // Listening during the question would capture it as the answer
+  await speak(prompt);
+
+  try {
+    await startListening('command');
+  } catch (err) {
+    console.warn('[Assistant] Could not listen for the answer:', err.message);
+  }
+}
+
+
+// Resolves to true when the transcript answered a pending question
+async function answerConfirmation(transcript, executeIntent) {
+
+  const { confirmation } = await getSession();
+
+  if (!confirmation) return false;
+
+  await updateSession({ confirmation: null });
+
+  if (Date.now() > confirmation.expiresAt) return false;
+
+  const answer = transcript.trim().toLowerCase();
+
+  if (AFFIRMATIVE_ANSWER.test(answer)) {
+    await handleIntent(confirmation.data, confirmation.message, executeIntent);
+    return true;
+  }
+
+  if (NEGATIVE_ANSWER.test(answer)) {
+    await reply("Okay, I won't do that.");
+    return true;
+  }
+
+  return false;
+}
+
+
+/* ============================================================================
+   PAGE SUMMARIZATION & QUESTION ANSWERING
+============================================================================ */
+
+// content.js extracts the main content, /api/summarize condenses it
+async function summarizeCurrentPage() {
+
+  await display('Reading this page...');
+
+  const page = await requestFromActiveTab(MESSAGE_TYPES.SUMMARIZE, {}, EXTRACT_TIMEOUT);
+
+  if (!page?.text) {
+    throw new Error('Could not read the content of this page');
+  }
+
+  const response = await fetch(`${BACKEND_BASE_URL}/summarize`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      text: page.text,
+      title: page.title,
+      url: page.url
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error('Summarization request failed');
+  }
+
+  const { data } = await response.json();
+
+  await reply(data.spokenSummary || 'No summary available', { bullets: data.bullets });
+}
+
+
+// Falls back to general knowledge when the page has no relevant content
+async function answerFromPage(question) {
+
+  await display('Looking for the answer on this page...');
+
+  // Restricted pages still get a general-knowledge answer
+  const page = await requestFromActiveTab(MESSAGE_TYPES.EXTRACT_CONTENT, {}, EXTRACT_TIMEOUT);
+
+  const response = await fetch(`${BACKEND_BASE_URL}/qna`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      question,
+      text: page?.text || '',
+      title: page?.title || '',
+      url: page?.url || ''
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error('Question answering request failed');
+  }
+
+  const { data } = await response.json();
+
+  await reply(data.answer || 'No answer available', { citations: data.citations });
+
+  // Show the user where the answer came from
+  const [citation] = data.citations || [];
+  if (data.grounded && citation) {
+    requestFromActiveTab(MESSAGE_TYPES.HIGHLIGHT_PASSAGE, citation, EXTRACT_TIMEOUT);
+  }
+}
+
+
+/* ============================================================================
+   CONVERSATION SESSION
+============================================================================ */
+
+async function getConversationId() {
+
+  const stored = await chrome.storage.session.get(CONVERSATION_STORAGE_KEY);
+
+  return stored[CONVERSATION_STORAGE_KEY] || null;
+}
+
+
+async function saveConversationId(sessionId) {
+
+  if (!sessionId) return;
+
+  await chrome.storage.session.set({ [CONVERSATION_STORAGE_KEY]: sessionId });
+}
+
+
+// Reset the conversation on the backend and clear what the popup shows
+export async function resetConversation() {
+
+  const sessionId = await getConversationId();
+
+  await chrome.storage.session.remove(CONVERSATION_STORAGE_KEY);
+
+  if (sessionId) {
+    try {
+      await fetch(`${BACKEND_BASE_URL}/session/reset`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sessionId })
+      });
+    } catch (err) {
+      console.error('[Assistant] Failed to reset conversation:', err);
+    }
+  }
+
+  return updateSession({
+    transcript: '', isFinal: false, response: null, confirmation: null, status: 'ready', error: null
+  });
+}
+
+
+/* ============================================================================
+   REPLIES
+============================================================================ */
+
+// Show a response in the popup without speaking it
+function display(text, details = {}, changes = {}) {
+
+  return updateSession({
+    ...changes,
+    response: {
+      id: crypto.randomUUID(),
+      text,
+      bullets: details.bullets || [],
+      citations: details.citations || [],
+      results: details.results || []
+    }
+  });
+}
+
+
+async function reply(text, details = {}) {
+
+  await display(text, details, { status: 'responding' });
+
+  speak(text);
+}
+
+
+
+/* ============================================================================
+   UTILITIES
+============================================================================ */
+
+// Resolves to null on restricted pages, errors or timeout
+async function requestFromActiveTab(type, payload, timeout) {
+
+  try {
+
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+    if (!tab?.id) return null;
+
+    return await withTimeout(sendToTab(tab.id, type, payload), timeout, type);
+
+  } catch (err) {
+    console.warn(`[Assistant] ${type} unavailable:`, err.code || '', err.message);
+    return null;
+  }
+}
\ No newline at end of file
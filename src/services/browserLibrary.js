@@ -0,0 +1,376 @@
+/**
+ * VoiceReplica - Browser Library
+ * Runs the browser_history and bookmark intents - finds pages the user visited
+ * or saved by spoken topic and time, and bookmarks the current page - with the
+ * history and bookmarks APIs. Searching stays on this machine; only the spoken
+ * command went to the backend.
+ */
+
+'use strict';
+
+import './protocol.js';
+import { normalizeText, matchScore, hostOf } from './textMatch.js';
+import { offerResults, openPage, pageName } from './resultList.js';
+
+const {
+  ERROR_CODES,
+  ProtocolError
+} = globalThis.VoiceReplicaProtocol;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// Same scale as tab and page element lookup
+const RESULT_MATCH_THRESHOLD = 0.6;
+
+// "open" goes straight to the best page when it leads by this much
+const RESULT_AMBIGUITY_MARGIN = 0.1;
+
+const MAX_SPOKEN_RESULTS = 3;
+
+// Visits scanned per search (newest first)
+const MAX_HISTORY_ITEMS = 5000;
+
+// How far back history is searched when no time is said (days)
+const DEFAULT_HISTORY_DAYS = 90;
+
+// Optional manifest permissions - only a click can grant them, so the
+// settings page asks (#permissions)
+const PERMISSION_NAMES = {
+  history: 'your browsing history',
+  bookmarks: 'your bookmarks'
+};
+
+const PERMISSIONS_PAGE = 'src/options/options.html#permissions';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Days in a spoken unit ("2 weeks ago")
+const UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+
+/* ============================================================================
+   INTENTS
+============================================================================ */
+
+// entities.action is search or open, entities.query the topic and
+// entities.date the spoken time ("yesterday", "last week")
+export async function executeHistoryAction(data) {
+
+  const entities = data.entities || {};
+
+  checkAction(entities.action, ['search', 'open'], 'history');
+
+  await requirePermission('history');
+
+  const range = parseTimeRange(entities.date);
+
+  const visits = await chrome.history.search({
+    text: '',
+    startTime: range.start,
+    endTime: range.end,
+    maxResults: MAX_HISTORY_ITEMS
+  });
+
+  const pages = visits
+    .filter(item => /^https?:/.test(item.url))
+    .map(item => ({ url: item.url, title: item.title, visitedAt: item.lastVisitTime }));
+
+  const ranked = rankPages(entities.query, pages);
+
+  if (!ranked.length) {
+    const about = entities.query ? ` about ${entities.query}` : '';
+    const when = entities.date ? ` ${entities.date}` : '';
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `I couldn't find a page${about} in your history${when}`);
+  }
+
+  return presentResults(ranked, entities.action);
+}
+
+
+// entities.action is add (entities.text names the folder), search or open
+// (entities.query is what to look for)
+export async function executeBookmarkAction(data) {
+
+  const entities = data.entities || {};
+
+  checkAction(entities.action, ['add', 'search', 'open'], 'bookmark');
+
+  await requirePermission('bookmarks');
+
+  if (entities.action === 'add') return bookmarkActiveTab(entities.text);
+
+  if (!entities.query) {
+    throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'Which bookmark should I look for?');
+  }
+
+  const ranked = rankPages(entities.query, listBookmarks(await chrome.bookmarks.getTree()));
+
+  if (!ranked.length) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No bookmark matches "${entities.query}"`);
+  }
+
+  return presentResults(ranked, entities.action);
+}
+
+
+function checkAction(action, allowed, intent) {
+
+  if (!allowed.includes(action)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, `Unknown ${intent} action "${action || ''}"`);
+  }
+}
+
+
+/* ============================================================================
+   PERMISSIONS
+============================================================================ */
+
+async function requirePermission(permission) {
+
+  if (await chrome.permissions.contains({ permissions: [permission] })) return;
+
+  // chrome.permissions.request needs a user gesture the worker cannot have
+  await chrome.tabs.create({ url: chrome.runtime.getURL(PERMISSIONS_PAGE) });
+
+  throw new ProtocolError(
+    ERROR_CODES.PERMISSION_REQUIRED,
+    `I need access to ${PERMISSION_NAMES[permission]} first. I opened the settings - click Allow there, then ask again.`
+  );
+}
+
+
+/* ============================================================================
+   RESULTS
+============================================================================ */
+
+// "open" with one clear winner opens it; anything else reads the best few
+// out and offers them for "open the second one"
+async function presentResults(ranked, action) {
+
+  const clear = ranked.length === 1 || ranked[0].score - ranked[1].score > RESULT_AMBIGUITY_MARGIN;
+
+  if (action === 'open' && clear) return openPage(ranked[0].page);
+
+  const pages = ranked.slice(0, MAX_SPOKEN_RESULTS).map(match => match.page);
+
+  await offerResults(pages);
+
+  const spoken = pages.map((page, i) => `${i + 1}. ${describePage(page)}`).join('. ');
+
+  return {
+    message: ranked.length === 1
+      ? `I found ${describePage(pages[0])}. Say "open it" to go there.`
+      : `I found ${ranked.length} pages. ${spoken}. Which one should I open?`,
+    results: pages.map((page, i) => ({ index: i + 1, title: pageName(page), url: page.url, host: hostOf(page.url) }))
+  };
+}
+
+
+// Pages scoring at least RESULT_MATCH_THRESHOLD, best first - input order
+// (newest first for history) breaks ties. No query keeps every page.
+function rankPages(query, pages) {
+
+  const wanted = normalizeText(query).replace(/^(the|my|a|an)\s+/, '');
+
+  if (!wanted) return pages.map(page => ({ page, score: 0 }));
+
+  return pages
+    .map(page => ({ page, score: pageScore(wanted, page) }))
+    .filter(match => match.score >= RESULT_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+
+// Best of the title and the host, or the share of the spoken words found in
+// the title, URL and folder ("rust ownership" → ".../rust/ownership-explained")
+function pageScore(wanted, page) {
+
+  const host = hostOf(page.url);
+  const words = wanted.split(' ');
+  const text = ` ${normalizeText(page.title)} ${normalizeText(page.url)} ${normalizeText(page.folder)} `;
+  const found = words.filter(word => text.includes(` ${word} `)).length;
+
+  return Math.max(
+    matchScore(wanted, normalizeText(page.title)),
+    matchScore(wanted, host),
+    matchScore(wanted, normalizeText(host.replace(/\./g, ' '))),
+    0.9 * (found / words.length)
+  );
+}
+
+
+// "Ownership in Rust, yesterday" / "Sprint board, in Work"
+function describePage(page) {
+
+  if (page.folder) return `${pageName(page)}, in ${page.folder}`;
+
+  if (page.visitedAt) return `${pageName(page)}, ${spokenDay(page.visitedAt)}`;
+
+  return pageName(page);
+}
+
+
+function spokenDay(time) {
+
+  const days = Math.round((dayStart(new Date(), 0) - dayStart(new Date(time), 0)) / 86400000);
+
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  if (days < 7) return `${days} days ago`;
+
+  return `on ${new Date(time).toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`;
+}
+
+
+/* ============================================================================
+   BOOKMARKS
+============================================================================ */
+
+// Bookmarked pages with the name of the folder they are in
+function listBookmarks(nodes, folder = '') {
+
+  return nodes.flatMap(node => node.url
+    ? [{ url: node.url, title: node.title, folder }]
+    : listBookmarks(node.children || [], node.title || folder));
+}
+
+
+function listFolders(nodes) {
+
+  return nodes.flatMap(node => node.url
+    ? []
+    : [...(node.title ? [node] : []), ...listFolders(node.children || [])]);
+}
+
+
+// "bookmark this page in Work" - the folder is found by name, or created
+async function bookmarkActiveTab(folderName) {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (!tab?.id) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'No active tab');
+
+  if (!/^https?:/.test(tab.url || '')) {
+    throw new ProtocolError(ERROR_CODES.RESTRICTED_PAGE, 'I can only bookmark web pages');
+  }
+
+  const folder = folderName ? await findOrCreateFolder(folderName) : null;
+  const where = folder ? ` in ${folder.title}` : '';
+
+  const existing = await chrome.bookmarks.search({ url: tab.url });
+
+  if (existing.some(bookmark => !folder || bookmark.parentId === folder.id)) {
+    return { message: `${pageName(tab)} is already bookmarked${where}` };
+  }
+
+  await chrome.bookmarks.create({
+    title: tab.title || tab.url,
+    url: tab.url,
+    ...(folder && { parentId: folder.id })
+  });
+
+  return { message: `Bookmarked ${pageName(tab)}${folder?.created ? ` in a new folder, ${folder.title}` : where}` };
+}
+
+
+async function findOrCreateFolder(name) {
+
+  const wanted = normalizeText(name).replace(/^(the|my)\s+/, '').replace(/\s+folder$/, '');
+
+  const [best] = listFolders(await chrome.bookmarks.getTree())
+    .map(folder => ({ folder, score: matchScore(wanted, normalizeText(folder.title)) }))
+    .filter(match => match.score >= RESULT_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (best) return best.folder;
+
+  // Chrome puts it in "Other bookmarks"
+  const created = await chrome.bookmarks.create({ title: String(name).trim() });
+
+  return { ...created, created: true };
+}
+
+
+/* ============================================================================
+   TIME RANGES
+============================================================================ */
+
+// Local midnight `offset` days before `date` (ms)
+function dayStart(date, offset) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset).getTime();
+}
+
+
+// Spoken time → { start, end } (ms). Unknown or missing times search the
+// last DEFAULT_HISTORY_DAYS.
+function parseTimeRange(spoken, now = new Date()) {
+
+  const text = normalizeText(spoken);
+  const end = now.getTime();
+
+  // Monday-based weeks
+  const weekday = (now.getDay() + 6) % 7;
+
+  let match;
+
+  if (!text) return { start: dayStart(now, DEFAULT_HISTORY_DAYS), end };
+
+  if (/\b(today|this morning|this afternoon|tonight|earlier)\b/.test(text)) {
+    return { start: dayStart(now, 0), end };
+  }
+
+  if (/\bday before yesterday\b/.test(text)) return { start: dayStart(now, 2), end: dayStart(now, 1) };
+
+  if (/\b(yesterday|last night)\b/.test(text)) return { start: dayStart(now, 1), end: dayStart(now, 0) };
+
+  if (/\b(recently|lately)\b/.test(text)) return { start: dayStart(now, 7), end };
+
+  if (/\bthis week\b/.test(text)) return { start: dayStart(now, weekday), end };
+
+  if (/\blast week\b/.test(text)) return { start: dayStart(now, weekday + 7), end: dayStart(now, weekday) };
+
+  if (/\bthis month\b/.test(text)) return { start: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), end };
+
+  if (/\blast month\b/.test(text)) {
+    return {
+      start: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+      end: new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+    };
+  }
+
+  // "3 days ago" is that day; weeks and months ago are a span centred on it
+  if ((match = text.match(/\b(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten) (day|week|month)s? ago\b/))) {
+
+    const count = NUMBER_WORDS[match[1]] || Number(match[1]);
+    const days = count * UNIT_DAYS[match[2]];
+    const spread = Math.floor(UNIT_DAYS[match[2]] / 2);
+
+    return { start: dayStart(now, days + spread), end: dayStart(now, days - spread - 1) };
+  }
+
+  // "on Monday", "last Friday" - the latest one before today
+  if ((match = text.match(new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`)))) {
+
+    const offset = (now.getDay() - WEEKDAYS.indexOf(match[1]) + 7) % 7 || 7;
+
+    return { start: dayStart(now, offset), end: dayStart(now, offset - 1) };
+  }
+
+  // An ISO date ("2024-03-18")
+  if ((match = String(spoken).match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+
+    const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    return { start: day.getTime(), end: dayStart(day, -1) };
+  }
+
+  return { start: dayStart(now, DEFAULT_HISTORY_DAYS), end };
+}
\ No newline at end of file
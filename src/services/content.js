@@ -2,97 +2,171 @@
 
 console.log('✅ VoiceReplica Content Loaded:', location.href);
 
+// Shared message protocol (protocol.js is injected first)
+var {
+  MESSAGE_TYPES,
+  MESSAGE_KINDS,
+  ERROR_CODES,
+  ProtocolError,
+  createResponse,
+  createErrorResponse,
+  createEvent,
+  isProtocolMessage,
+  validateMessage
+} = VoiceReplicaProtocol;
+
+// Per-site selectors for website_search and book_ticket (siteAdapters.js is injected before this file)
+var SiteAdapters = VoiceReplicaSiteAdapters;
+
 
 /* ======================================================
    MAIN LISTENER
+   The router may inject this file again on top of the
+   manifest copy: keep top-level declarations to var and
+   function, and register the listener only once.
 ====================================================== */
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+if (!window.__voiceReplicaListening) {
+  window.__voiceReplicaListening = true;
+  chrome.runtime.onMessage.addListener(handleMessage);
+}
+
+
+function handleMessage(msg, sender, sendResponse) {
 
-  console.log('[Content] Got:', msg);
+  // Not a VoiceReplica request
+  if (!isProtocolMessage(msg)) return false;
+
+  console.log('[Content] Got:', msg.type, msg.id);
 
   (async () => {
 
     try {
 
-      let result = {success: true};
+      const { valid, error } = validateMessage(msg, MESSAGE_KINDS.REQUEST);
+
+      if (!valid) throw error;
+
+      let result;
 
       switch (msg.type) {
 
-        case 'SEARCH':
-          result = await googleSearch(msg.payload);
+        case MESSAGE_TYPES.PING:
+          result = { ready: true, url: location.href };
           break;
 
-        case 'NAVIGATION':
+        case MESSAGE_TYPES.NAVIGATION:
           result = await handleNavigation(msg.payload);
           break;
 
-        case 'WEBSITE_SEARCH':
+        case MESSAGE_TYPES.WEBSITE_SEARCH:
           console.log('[Content] Website Search:', msg.payload);
           result = await websiteSearch(msg.payload);
           break;
 
-        case 'FORM_FILL':
+        case MESSAGE_TYPES.FORM_FILL:
           result = await formFill(msg.payload);
           break;
 
-        case 'BOOK_TICKET':
+        case MESSAGE_TYPES.BOOK_TICKET:
           result = await bookTicket(msg.payload);
           break;
 
-        case 'SUMMARIZE':
+        case MESSAGE_TYPES.CLICK:
+          result = await clickElement(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.SCROLL:
+          result = await scrollPage(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.TYPE_TEXT:
+          result = await typeText(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.SELECT_OPTION:
+          result = await selectOption(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.PRESS_KEY:
+          result = await pressKey(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.SHOW_LABELS:
+          result = showLabels();
+          break;
+
+        case MESSAGE_TYPES.HIDE_LABELS:
+          result = hideLabels();
+          break;
+
+        case MESSAGE_TYPES.LISTENING_INDICATOR:
+          result = updateListeningIndicator(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.SUMMARIZE:
+          result = await summarize();
+          break;
+
+        case MESSAGE_TYPES.PAGE_SNAPSHOT:
+          result = collectPageSnapshot();
+          break;
+
+        case MESSAGE_TYPES.EXTRACT_CONTENT:
           result = await summarize();
           break;
 
+        case MESSAGE_TYPES.HIGHLIGHT_PASSAGE:
+          result = highlightPassage(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.ASSESS_RISK:
+          result = assessRisk(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.MACRO_RECORD:
+          result = setMacroRecording(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.LINK_URL:
+          result = linkUrl(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.SEARCH_RESULTS:
+          result = await readSearchResults();
+          break;
+
+        case MESSAGE_TYPES.SEARCH_PAGE:
+          result = await turnSearchPage(msg.payload);
+          break;
+
+        case MESSAGE_TYPES.READ_ALOUD:
+          result = await readAloud(msg.payload);
+          break;
+
         default:
-          throw new Error('Unknown command');
+          throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown command ${msg.type}`);
       }
 
-      sendResponse({
-        success: true,
-        data: result
-      });
+      sendResponse(createResponse(msg, result));
 
     } catch (err) {
 
       console.error('[Content]', err);
 
-      sendResponse({
-        success: false,
-        error: err.message
-      });
+      sendResponse(createErrorResponse(msg, err));
     }
 
   })();
 
   return true;
-});
+}
 
 
 /* ======================================================
    FEATURES
 ====================================================== */
 
-async function googleSearch(data) {
-  console.log('[Content] Google Search:', data);
-  const q = data.entities.query;
-
-  if (!q) throw new Error('No query');
-
-  console.log('[Content] Searching:', q);
-
-  setTimeout(() => {
-
-    window.location.href =
-      `https://www.google.com/search?q=${encodeURIComponent(q)}`;
-
-  }, 200);
-
-  return {
-    message: 'Redirecting to Google'
-  };
-}
-
 async function handleNavigation(data) {
   console.log('[Content] Navigation:', data);
   const url = data.entities.url;
@@ -113,6 +187,8 @@ async function handleNavigation(data) {
 }
 
 
+// Types into the site's search box - the worker already opened the
+// results URL instead when the site's adapter has one
 async function websiteSearch(data) {
 
   console.log('[Content] Website search');
@@ -123,63 +199,127 @@ async function websiteSearch(data) {
     throw new Error('Missing query');
   }
 
-  const input = document.querySelector(
-    'input[type="search"], input[name*="search"], input[placeholder*="search"]'
-  );
+  const generic = SiteAdapters.GENERIC_ADAPTER.search;
+  const adapter = SiteAdapters.findByUrl(location.href, await SiteAdapters.loadAll());
+  const search = adapter?.search || generic;
+
+  const input =
+    findSnapshotElement(data.entities?.target_id) ||
+    (search.input && firstVisible(search.input)) ||
+    firstVisible(generic.input);
 
   if (!input) {
-    throw new Error('Search box not found');
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, 'Search box not found');
   }
 
   input.focus();
-  input.value = query;
 
-  input.dispatchEvent(new Event('input', { bubbles: true }));
+  if (!setEditableValue(input, query)) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, 'The search box is not editable');
+  }
 
-  input.form?.submit();
+  submitSearch(input, search);
 
   return { message: 'Search submitted' };
 }
 
 
+// Adapter submit strategy - falls back to auto when its element is missing
+function submitSearch(input, { submit = 'auto', button = '' }) {
+
+  const control = button ? firstVisible(button) : null;
+
+  switch (submit) {
+
+    case 'click':
+      if (control) return control.click();
+      break;
+
+    case 'form':
+      if (input.form) return input.form.requestSubmit();
+      break;
+
+    case 'enter':
+      return sendKey(input, 'Enter');
+  }
+
+  if (control) {
+    control.click();
+  } else if (input.form) {
+    input.form.requestSubmit();
+  } else {
+    sendKey(input, 'Enter');
+  }
+}
+
+
 
+// Reports filled, skipped and unresolved (ambiguous) field keys - never values
 async function formFill(data) {
 
   const fields = data.entities.form_fields;
+  const targets = data.entities.form_targets || {};
 
-  if (!fields) throw new Error('No fields');
-
-  let count = 0;
+  if (!fields || !Object.keys(fields).length) throw new Error('No fields');
 
-  for (const k in fields) {
+  const candidates = fieldCandidates();
+  const values = splitFullName(fields, candidates);
+  const { matches, skipped, unresolved } = matchFormFields(values, targets, candidates);
 
-    const el =
-      document.querySelector(`input[name*="${k}"], textarea[name*="${k}"]`);
+  const filled = [];
 
-    if (!el) continue;
+  for (const { key, elements } of matches) {
 
-    el.value = fields[k];
+    const done = elements.filter(el => fillField(el, values[key]));
 
-    el.dispatchEvent(new Event('input', { bubbles: true }));
+    if (done.length) {
+      filled.push(key);
+    } else {
+      const choice = elements.some(el => el.tagName === 'SELECT' || el.type === 'radio');
+      skipped.push({ key, reason: choice ? 'no matching option' : 'not editable' });
+    }
+  }
 
-    count++;
+  // Fields that exist but refused the value are reported, not "not found"
+  if (!filled.length && !unresolved.length && skipped.every(s => s.reason === 'not found')) {
+    throw new ProtocolError(
+      ERROR_CODES.TARGET_NOT_FOUND,
+      `No field found for ${listWords(skipped.map(s => identifierText(s.key)))}`
+    );
   }
 
   return {
-    message: `Filled ${count} fields`
+    message: formFillMessage(filled, skipped, unresolved),
+    filled,
+    skipped,
+    unresolved,
+    ambiguous: unresolved.length > 0,
+    partial: skipped.length > 0
   };
 }
 
 
 async function bookTicket(data) {
 
-  await auto('from', data.entities.from);
-  await auto('to', data.entities.to);
-  await auto('date', data.entities.date);
+  const targets = data.entities.form_targets || {};
+  const adapter = SiteAdapters.findByUrl(location.href, await SiteAdapters.loadAll());
+  const booking = adapter?.booking || {};
+  const selectors = booking.fields || {};
+
+  const fields = [
+    await auto('from', data.entities.from, targets.from, selectors.from),
+    await auto('to', data.entities.to, targets.to, selectors.to),
+    await auto('date', data.entities.date, targets.date, selectors.date)
+  ];
+
+  // Submit the form that was just filled, not whichever comes first
+  const form = fields.find(el => el?.form)?.form || document;
 
-  document
-    .querySelector('button[type=submit]')
-    ?.click();
+  const submit =
+    (booking.submit && firstVisible(booking.submit)) ||
+    form.querySelector('button[type=submit], input[type=submit]');
+
+  submit?.click();
 
   return {
     message: 'Booking submitted'
@@ -189,37 +329,2577 @@ async function bookTicket(data) {
 
 async function summarize() {
 
-  const text = document.body.innerText
-    .replace(/\s+/g, ' ')
-    .slice(0, 5000);
+  return {
+    title: document.title,
+    url: location.href,
+    text: extractMainContent()
+  };
+}
+
+
+/* ======================================================
+   SEARCH RESULTS
+   Reads the organic results of a search engine's page
+   with the site adapter's results selectors, and turns
+   the page. The engine's own links (related searches,
+   "People also ask") are skipped.
+====================================================== */
+
+var MAX_SEARCH_RESULTS = 10;
+
+
+async function readSearchResults() {
+
+  const selectors = await searchResultSelectors();
+  const seen = new Set();
+  const results = [];
+
+  for (const link of queryAllDeep(selectors.link)) {
+
+    if (results.length >= MAX_SEARCH_RESULTS) break;
+
+    const url = resultUrl(link.href);
+
+    if (!url || seen.has(url) || !isVisible(link)) continue;
+
+    seen.add(url);
+
+    const heading = selectors.title && link.querySelector(selectors.title);
+    const item = selectors.item && link.closest(selectors.item);
+    const snippet = item && selectors.snippet ? item.querySelector(selectors.snippet) : null;
+
+    results.push({
+      title: clip((heading || link).textContent, 120),
+      url,
+      snippet: clip(snippet?.textContent, 240)
+    });
+  }
 
   return {
-    summary: text
+    url: location.href,
+    results,
+    hasNext: Boolean(selectors.next && firstVisible(selectors.next)),
+    hasPrevious: Boolean(selectors.previous && firstVisible(selectors.previous))
   };
 }
 
 
+// Clicks the page button after answering - the click unloads this page
+async function turnSearchPage({ direction }) {
+
+  const selectors = await searchResultSelectors();
+  const selector = direction === 'previous' ? selectors.previous : selectors.next;
+  const button = selector ? firstVisible(selector) : null;
+
+  if (!button) {
+    throw new ProtocolError(
+      ERROR_CODES.TARGET_NOT_FOUND,
+      direction === 'previous' ? 'This is the first page of results' : 'There are no more results'
+    );
+  }
+
+  setTimeout(() => button.click(), 200);
+
+  return { message: direction === 'previous' ? 'Previous page' : 'Next page' };
+}
+
+
+async function searchResultSelectors() {
+
+  const adapter = SiteAdapters.findByUrl(location.href, await SiteAdapters.loadAll());
+
+  return adapter?.results || SiteAdapters.GENERIC_ADAPTER.results;
+}
+
+
+// The result's own address - engines link through redirects
+// (/url?q=…, DuckDuckGo's /l/?uddg=…, Bing's /ck/a?u=a1<base64>)
+function resultUrl(href) {
+
+  let url;
+
+  try {
+    url = new URL(href, location.href);
+  } catch {
+    return '';
+  }
+
+  const bing = url.pathname === '/ck/a' ? url.searchParams.get('u') || '' : '';
+
+  let target = url.searchParams.get('uddg') || (url.pathname === '/url' && url.searchParams.get('q'));
+
+  if (bing.startsWith('a1')) {
+    try {
+      target = atob(bing.slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+    } catch {
+      return '';
+    }
+  }
+
+  if (target) {
+    try {
+      url = new URL(target);
+    } catch {
+      return '';
+    }
+  }
+
+  const sameSite = url.hostname.replace(/^www\./, '') === location.hostname.replace(/^www\./, '');
+
+  return /^https?:$/.test(url.protocol) && !sameSite ? url.href : '';
+}
+
+
 /* ======================================================
-   UTIL
+   MAIN CONTENT EXTRACTION
+   Readability-style: find the container holding most of
+   the paragraph text, then keep only its content blocks.
 ====================================================== */
 
-async function auto(name, val) {
+var MAIN_CONTENT_MAX = 100000;
 
-  if (!val) return;
+var BOILERPLATE_SELECTOR =
+  'nav, aside, footer, header, form, script, style, noscript, iframe, ' +
+  '[role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], ' +
+  '[aria-hidden="true"], .ad, .ads, .advert, .cookie, .newsletter, .share, .social, .comments';
 
-  const el =
-    document.querySelector(`input[name*="${name}"]`);
+var CONTENT_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, li, blockquote, pre, td';
 
-  if (!el) return;
 
-  el.value = val;
+function extractMainContent() {
 
-  el.dispatchEvent(new Event('input', { bubbles: true }));
+  const root = findMainContainer();
 
-  await wait(200);
+  const blocks = Array.from(root.querySelectorAll(CONTENT_BLOCK_SELECTOR))
+    .filter(el => !el.closest(BOILERPLATE_SELECTOR))
+    // Skip blocks nested in another kept block (li > p, td > p)
+    .filter(el => !el.parentElement?.closest(CONTENT_BLOCK_SELECTOR))
+    .map(el => el.innerText.replace(/\s+/g, ' ').trim())
+    .filter(text => text.length > 0);
+
+  let text = blocks.join('\n\n');
+
+  // Pages without semantic blocks: fall back to visible body text
+  if (text.length < 200) {
+    text = document.body.innerText
+      .split(/\n+/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  return text.slice(0, MAIN_CONTENT_MAX);
 }
 
 
-function wait(ms) {
-  return new Promise(r => setTimeout(r, ms));
+function findMainContainer() {
+
+  // Prefer explicit landmarks
+  const landmarks = Array.from(
+    document.querySelectorAll('article, main, [role="main"]')
+  ).filter(el => !el.closest(BOILERPLATE_SELECTOR));
+
+  if (landmarks.length) {
+    return landmarks.reduce((best, el) =>
+      el.innerText.length > best.innerText.length ? el : best
+    );
+  }
+
+  // Score containers by the paragraph text they hold, penalizing link-heavy blocks
+  const scores = new Map();
+
+  for (const p of document.querySelectorAll('p')) {
+
+    if (p.closest(BOILERPLATE_SELECTOR)) continue;
+
+    const length = p.innerText.trim().length;
+    if (length < 25) continue;
+
+    const linkLength = Array.from(p.querySelectorAll('a'))
+      .reduce((sum, a) => sum + a.innerText.length, 0);
+
+    const score = length * (1 - linkLength / length);
+
+    const parent = p.parentElement;
+    const grandparent = parent?.parentElement;
+
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  }
+
+  let best = document.body;
+  let bestScore = 0;
+
+  for (const [el, score] of scores) {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+
+/* ======================================================
+   PASSAGE HIGHLIGHT
+   Scrolls to and highlights the page blocks a QnA
+   citation came from. Prefers the exact quote.
+====================================================== */
+
+var HIGHLIGHT_ATTR = 'data-voicereplica-highlight';
+
+var HIGHLIGHT_DURATION = 8000;
+
+var HIGHLIGHT_PROPERTIES = ['background-color', 'outline'];
+
+// Highlighted element -> the page's own inline values of HIGHLIGHT_PROPERTIES
+var highlightedStyles = new Map();
+
+var highlightTimer = null;
+
+
+function highlightPassage(data) {
+
+  const quote = normalizeText(data?.quote);
+  const passage = normalizeText(data?.text);
+
+  if (!quote && !passage) throw new Error('No passage to highlight');
+
+  clearHighlights();
+
+  const blocks = Array.from(
+    findMainContainer().querySelectorAll(CONTENT_BLOCK_SELECTOR)
+  ).filter(el => !el.parentElement?.closest(CONTENT_BLOCK_SELECTOR));
+
+  // 1. Block containing the quoted sentence
+  let matches = quote
+    ? blocks.filter(el => normalizeText(el.innerText).includes(quote))
+    : [];
+
+  // 2. Blocks that make up the cited passage
+  if (!matches.length && passage) {
+    matches = blocks.filter(el => {
+      const text = normalizeText(el.innerText);
+      return text.length >= 20 && passage.includes(text);
+    });
+  }
+
+  if (!matches.length) {
+    return { highlighted: 0, message: 'Passage not found on page' };
+  }
+
+  for (const el of matches) {
+    highlightedStyles.set(el, HIGHLIGHT_PROPERTIES.map(property => ({
+      property,
+      value: el.style.getPropertyValue(property),
+      priority: el.style.getPropertyPriority(property)
+    })));
+
+    el.setAttribute(HIGHLIGHT_ATTR, '');
+    el.style.setProperty('background-color', 'rgba(167, 139, 250, 0.35)', 'important');
+    el.style.setProperty('outline', '2px solid #7c3aed', 'important');
+  }
+
+  matches[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  highlightTimer = setTimeout(clearHighlights, HIGHLIGHT_DURATION);
+
+  return { highlighted: matches.length };
+}
+
+
+// Puts back the page's own inline styles - an earlier highlight's timer
+// must not clear a newer highlight
+function clearHighlights() {
+
+  clearTimeout(highlightTimer);
+  highlightTimer = null;
+
+  for (const [el, styles] of highlightedStyles) {
+    el.removeAttribute(HIGHLIGHT_ATTR);
+
+    for (const { property, value, priority } of styles) {
+      if (value) el.style.setProperty(property, value, priority);
+      else el.style.removeProperty(property);
+    }
+  }
+
+  highlightedStyles.clear();
+}
+
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+
+/* ======================================================
+   READ ALOUD
+   Speaks the main content with speechSynthesis, one
+   sentence per utterance (long utterances get cut off by
+   some voices), and highlights the sentence being read.
+   The reader lives on window so a re-injected copy of
+   this file can still pause or stop it. Each sentence
+   is announced to the offscreen listener like a reply,
+   so it is not heard as a command and the user can
+   talk over it.
+====================================================== */
+
+var READER_HIGHLIGHT = 'voicereplica-reading';
+
+var READER_STYLE_ID = 'voicereplica-reader-style';
+
+// "faster" / "slower" step and limits of the speech rate
+var READER_RATE_STEP = 0.25;
+var READER_MIN_RATE = 0.5;
+var READER_MAX_RATE = 2.5;
+
+// Longer sentences are spoken in parts, split at a comma
+var MAX_UTTERANCE_LENGTH = 250;
+
+// Speech that has not started by then is assumed to be on its way (ms)
+var READER_START_TIMEOUT = 2000;
+
+
+function readAloud({ action, voice }) {
+
+  if (action === 'start') return startReading(voice);
+
+  const reader = window.__voiceReplicaReader;
+
+  // Nothing is being read - the worker treats the words as a new command
+  if (!reader) return { handled: false };
+
+  switch (action) {
+
+    case 'pause':
+      if (!reader.paused) {
+        // Cancelled rather than speechSynthesis.pause(), which some voices
+        // ignore - resume starts the sentence again
+        reader.paused = true;
+        interruptSentence(reader);
+      }
+      return { message: 'Paused. Say "resume" to carry on.' };
+
+    case 'resume':
+      if (reader.paused) {
+        reader.paused = false;
+        speakSentence(reader);
+      }
+      return { message: 'Reading' };
+
+    case 'faster':
+    case 'slower': {
+      const step = action === 'faster' ? READER_RATE_STEP : -READER_RATE_STEP;
+      const rate = Math.min(READER_MAX_RATE, Math.max(READER_MIN_RATE, reader.rate + step));
+
+      if (rate === reader.rate) {
+        return { message: `That is already the ${action === 'faster' ? 'fastest' : 'slowest'} I can read` };
+      }
+
+      reader.rate = rate;
+
+      // The new rate applies from the current sentence
+      if (!reader.paused) {
+        interruptSentence(reader);
+        speakSentence(reader);
+      }
+
+      return { message: `Reading at ${rate}x speed` };
+    }
+
+    case 'skip': {
+      const { paragraph } = reader.sentences[reader.index];
+      const next = reader.sentences.findIndex((sentence, i) => i > reader.index && sentence.paragraph !== paragraph);
+
+      if (next === -1) {
+        stopReading();
+        return { message: 'That was the last paragraph' };
+      }
+
+      reader.index = next;
+
+      if (reader.paused) highlightSentence(reader.sentences[next]);
+      else {
+        interruptSentence(reader);
+        speakSentence(reader);
+      }
+
+      return { message: 'Skipped to the next paragraph' };
+    }
+
+    case 'stop':
+      stopReading();
+      return { message: 'Stopped reading' };
+
+    default:
+      throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, `Unknown reading control "${action}"`);
+  }
+}
+
+
+// Resolves once the first sentence is being spoken; rejects when Chrome
+// refuses to speak (the page needs a click first). voice is the reply
+// voice's { voiceName, rate, pitch, volume }
+async function startReading(voice = {}) {
+
+  stopReading();
+
+  const sentences = collectSentences();
+
+  if (!sentences.length) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, 'I could not find any text to read on this page');
+  }
+
+  const reader = {
+    sentences,
+    index: 0,
+    voice: readerVoice(voice.voiceName),
+    rate: Math.min(READER_MAX_RATE, Math.max(READER_MIN_RATE, voice.rate || 1)),
+    pitch: voice.pitch ?? 1,
+    volume: voice.volume ?? 1,
+    paused: false,
+    utterance: null,
+    settle: null
+  };
+
+  window.__voiceReplicaReader = reader;
+
+  installReaderStyle();
+
+  const started = new Promise(resolve => { reader.settle = resolve; });
+
+  speakSentence(reader);
+
+  const error = await Promise.race([started, wait(READER_START_TIMEOUT)]);
+
+  reader.settle = null;
+
+  if (error) {
+    stopReading();
+    throw new ProtocolError(ERROR_CODES.ACTION_FAILED, error);
+  }
+
+  return { reading: true, sentences: sentences.length };
+}
+
+
+function speakSentence(reader) {
+
+  const sentence = reader.sentences[reader.index];
+
+  if (!sentence) {
+    stopReading();
+    return;
+  }
+
+  const utterance = new SpeechSynthesisUtterance(sentence.text);
+
+  utterance.rate = reader.rate;
+  utterance.pitch = reader.pitch;
+  utterance.volume = reader.volume;
+  utterance.lang = document.documentElement.lang || '';
+
+  if (reader.voice) utterance.voice = reader.voice;
+
+  // Events of an utterance a control cut short are ignored
+  utterance.onstart = () => reader.settle?.(null);
+
+  utterance.onend = () => {
+    if (reader.utterance !== utterance) return;
+
+    reader.index++;
+    speakSentence(reader);
+  };
+
+  utterance.onerror = (event) => {
+    if (reader.utterance !== utterance) return;
+
+    console.warn('[Content] Reading stopped:', event.error);
+
+    reader.settle?.(event.error === 'not-allowed'
+      ? 'Chrome only lets a page speak after you click on it. Click the page, then ask me again.'
+      : `Speech failed (${event.error})`);
+
+    stopReading();
+  };
+
+  reader.utterance = utterance;
+
+  highlightSentence(sentence);
+
+  announceReading(sentence.text);
+
+  speechSynthesis.speak(utterance);
+}
+
+
+// The chosen voice, unless the page is in another language - the browser
+// then picks one for the page's
+function readerVoice(voiceName) {
+
+  const voice = speechSynthesis.getVoices().find(v => v.name === voiceName);
+  const language = (document.documentElement.lang || '').split('-')[0].toLowerCase();
+
+  if (!voice || (language && !voice.lang.toLowerCase().startsWith(language))) return null;
+
+  return voice;
+}
+
+
+function interruptSentence(reader) {
+
+  reader.utterance = null;
+
+  speechSynthesis.cancel();
+
+  announceReading('');
+}
+
+
+// What the offscreen listener should treat as the assistant's own voice
+function announceReading(text) {
+
+  chrome.runtime.sendMessage(
+    createEvent(MESSAGE_TYPES.SPEECH_STATE, { speaking: Boolean(text), text }, 'content')
+  ).catch(() => {});
+}
+
+
+function stopReading() {
+
+  const reader = window.__voiceReplicaReader;
+
+  if (!reader) return;
+
+  window.__voiceReplicaReader = null;
+
+  interruptSentence(reader);
+
+  CSS.highlights.delete(READER_HIGHLIGHT);
+}
+
+
+// Sentences of the main content in page order, each with the
+// Range it covers: { text, paragraph, block, range }
+function collectSentences() {
+
+  const blocks = Array.from(findMainContainer().querySelectorAll(CONTENT_BLOCK_SELECTOR))
+    .filter(el => !el.closest(BOILERPLATE_SELECTOR))
+    .filter(el => !el.parentElement?.closest(CONTENT_BLOCK_SELECTOR))
+    .filter(isVisible);
+
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  const sentences = [];
+
+  blocks.forEach((block, paragraph) => {
+
+    const { text, nodes } = blockText(block);
+
+    for (const { segment, index } of segmenter.segment(text)) {
+      for (const [start, end] of utteranceSpans(segment)) {
+
+        const spoken = segment.slice(start, end).replace(/\s+/g, ' ');
+
+        // Bullets, separators and stray punctuation
+        if (!/[\p{L}\p{N}]/u.test(spoken)) continue;
+
+        sentences.push({
+          text: spoken,
+          paragraph,
+          block,
+          range: textRange(nodes, index + start, index + end)
+        });
+      }
+    }
+  });
+
+  return sentences;
+}
+
+
+// A block's text with the text node each part comes from
+function blockText(block) {
+
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = '';
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+
+    if (node.parentElement?.closest('script, style, noscript, [aria-hidden="true"]')) continue;
+
+    nodes.push({ node, start: text.length });
+    text += node.data;
+  }
+
+  return { text, nodes };
+}
+
+
+// [start, end) spans of a sentence, trimmed, at most MAX_UTTERANCE_LENGTH
+// long - split at the last comma, semicolon or space that fits
+function utteranceSpans(sentence) {
+
+  const spans = [];
+  const end = sentence.trimEnd().length;
+  let start = sentence.length - sentence.trimStart().length;
+
+  while (end - start > MAX_UTTERANCE_LENGTH) {
+
+    const part = sentence.slice(start, start + MAX_UTTERANCE_LENGTH);
+    const pause = Math.max(part.lastIndexOf(', '), part.lastIndexOf('; '), part.lastIndexOf(': '));
+    const space = part.lastIndexOf(' ');
+    const cut = pause > 0 ? pause + 1 : space > 0 ? space : MAX_UTTERANCE_LENGTH;
+
+    spans.push([start, start + cut]);
+
+    start += cut;
+    while (start < end && /\s/.test(sentence[start])) start++;
+  }
+
+  if (end > start) spans.push([start, end]);
+
+  return spans;
+}
+
+
+// Range over [start, end) of blockText's text
+function textRange(nodes, start, end) {
+
+  const locate = (offset, isEnd) => {
+    const entry = nodes.find(({ node, start: from }) =>
+      isEnd ? offset <= from + node.data.length : offset < from + node.data.length
+    );
+
+    return [entry.node, offset - entry.start];
+  };
+
+  const range = document.createRange();
+
+  range.setStart(...locate(start, false));
+  range.setEnd(...locate(end, true));
+
+  return range;
+}
+
+
+function highlightSentence(sentence) {
+
+  CSS.highlights.set(READER_HIGHLIGHT, new Highlight(sentence.range));
+
+  const rect = sentence.range.getBoundingClientRect();
+
+  if (rect.top < 0 || rect.bottom > window.innerHeight) {
+    sentence.block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+}
+
+
+function installReaderStyle() {
+
+  if (document.getElementById(READER_STYLE_ID)) return;
+
+  const style = document.createElement('style');
+
+  style.id = READER_STYLE_ID;
+  style.textContent = `::highlight(${READER_HIGHLIGHT}) { background-color: rgba(167, 139, 250, 0.45); }`;
+
+  (document.head || document.documentElement).appendChild(style);
+}
+
+
+/* ======================================================
+   PAGE SNAPSHOT
+   Compact, privacy-filtered description of the page sent
+   with the command so the backend can pick exact targets.
+   Field values are never included.
+====================================================== */
+
+var SNAPSHOT_ATTR = 'data-voicereplica-id';
+
+// Kept within the backend's page schema, which rejects larger snapshots
+var SNAPSHOT_LIMITS = {
+  fields: 60,
+  buttons: 40,
+  searchInputs: 20,
+  headings: 20,
+  text: 80,
+  tag: 16,
+  type: 32,
+  autocomplete: 64
+};
+
+// Fields whose metadata alone is too sensitive to share
+var SENSITIVE_AUTOCOMPLETE = /^(cc-|one-time-code|new-password|current-password)/;
+
+
+function collectPageSnapshot() {
+
+  const fields = [];
+  const searchInputs = [];
+
+  const fieldEls = queryAllDeep(
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea, select'
+  );
+
+  for (const el of fieldEls) {
+
+    if (fields.length >= SNAPSHOT_LIMITS.fields) break;
+    if (!isVisible(el) || el.disabled) continue;
+
+    const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+    if (SENSITIVE_AUTOCOMPLETE.test(autocomplete)) continue;
+
+    const field = {
+      id: snapshotId(el),
+      tag: snapshotTag(el),
+      type: (el.getAttribute('type') || '').toLowerCase().slice(0, SNAPSHOT_LIMITS.type),
+      name: clip(el.getAttribute('name')),
+      label: clip(getLabel(el)),
+      placeholder: clip(el.getAttribute('placeholder')),
+      autocomplete: autocomplete.slice(0, SNAPSHOT_LIMITS.autocomplete)
+    };
+
+    if (el.tagName === 'SELECT') {
+      field.options = Array.from(el.options)
+        .slice(0, 20)
+        .map(o => clip(o.text));
+    }
+
+    fields.push(field);
+
+    if (isSearchInput(el) && searchInputs.length < SNAPSHOT_LIMITS.searchInputs) {
+      searchInputs.push(field.id);
+    }
+  }
+
+  const buttons = [];
+
+  const buttonEls = queryAllDeep(
+    'button, input[type="submit"], input[type="button"], [role="button"], a[href]'
+  );
+
+  for (const el of buttonEls) {
+
+    if (buttons.length >= SNAPSHOT_LIMITS.buttons) break;
+    if (!isVisible(el)) continue;
+
+    const text = clip(el.innerText || el.value || el.getAttribute('aria-label'));
+    if (!text) continue;
+
+    buttons.push({
+      id: snapshotId(el),
+      tag: snapshotTag(el),
+      text
+    });
+  }
+
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3'))
+    .filter(isVisible)
+    .map(h => clip(h.innerText))
+    .filter(Boolean)
+    .slice(0, SNAPSHOT_LIMITS.headings);
+
+  return {
+    url: location.origin + location.pathname,
+    title: clip(document.title, 200),
+    fields,
+    buttons,
+    searchInputs,
+    headings
+  };
+}
+
+
+// Custom elements (tp-yt-paper-button...) are described by their role
+function snapshotTag(el) {
+
+  const tag = el.tagName.toLowerCase();
+
+  if (tag.length <= SNAPSHOT_LIMITS.tag) return tag;
+
+  return (el.getAttribute('role') || 'custom').slice(0, SNAPSHOT_LIMITS.tag);
+}
+
+
+function snapshotId(el) {
+
+  let id = el.getAttribute(SNAPSHOT_ATTR);
+
+  if (!id) {
+    window.__voiceReplicaNextId = (window.__voiceReplicaNextId || 0) + 1;
+    id = `vr-${window.__voiceReplicaNextId}`;
+    el.setAttribute(SNAPSHOT_ATTR, id);
+  }
+
+  return id;
+}
+
+
+function findSnapshotElement(id) {
+
+  if (!id) return null;
+
+  const selector = `[${SNAPSHOT_ATTR}="${CSS.escape(id)}"]`;
+
+  return document.querySelector(selector) || queryAllDeep(selector)[0] || null;
+}
+
+
+function getLabel(el) {
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+
+  const text =
+    el.labels?.[0]?.innerText ||
+    el.getAttribute('aria-label') ||
+    (labelledBy && findById(el, labelledBy)?.innerText) ||
+    el.closest('label')?.innerText ||
+    el.getAttribute('title');
+
+  return text || '';
+}
+
+
+function isSearchInput(el) {
+
+  if (el.tagName !== 'INPUT') return false;
+
+  const hints = [
+    el.type,
+    el.name,
+    el.id,
+    el.getAttribute('placeholder'),
+    el.getAttribute('aria-label'),
+    el.getAttribute('role')
+  ].join(' ').toLowerCase();
+
+  return /search|query|\bq\b/.test(hints) || el.closest('form[role="search"]') !== null;
+}
+
+
+function isVisible(el) {
+
+  if (!el.getClientRects().length) return false;
+
+  const style = getComputedStyle(el);
+
+  return style.visibility !== 'hidden' && style.display !== 'none';
+}
+
+
+// Trim, collapse whitespace and redact personal data from page text
+function clip(text, max = SNAPSHOT_LIMITS.text) {
+
+  if (!text) return '';
+
+  return String(text)
+    .replace(/\s+/g, ' ')
+    .replace(/[\w.%+-]+@[\w.-]+\.[a-z]{2,}/gi, '[email]')
+    .replace(/\d{6,}/g, '[number]')
+    .trim()
+    .slice(0, max);
+}
+
+
+/* ======================================================
+   PAGE ACTIONS
+   Click, scroll, type, select and key presses on any page.
+   Elements are located by visible text, ARIA label and
+   role. When several elements match about equally well
+   the candidates are reported back instead of guessing.
+====================================================== */
+
+var CLICKABLE_SELECTOR =
+  'button, a[href], input[type="submit"], input[type="button"], input[type="checkbox"], input[type="radio"], ' +
+  '[role="button"], [role="link"], [role="tab"], [role="option"], [role="menuitem"], [role="checkbox"], ' +
+  '[role="radio"], [role="switch"], label, summary';
+
+var TYPEABLE_SELECTOR =
+  'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]):not([type="submit"]):not([type="button"]), ' +
+  'textarea, [contenteditable="true"], [contenteditable=""], [role="textbox"], [role="searchbox"]';
+
+var SELECTABLE_SELECTOR = 'select, [role="listbox"], [role="radiogroup"], fieldset';
+
+var SECTION_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"], [role="tab"], section[aria-label], summary, legend';
+
+// Minimum fuzzy score for an element to count as a match
+var MATCH_THRESHOLD = 0.6;
+
+// Candidates within this margin of the best score are ambiguous
+var AMBIGUITY_MARGIN = 0.1;
+
+var MAX_CANDIDATES = 5;
+
+// Fraction of the viewport scrolled by "scroll up / down"
+var SCROLL_STEP = 0.8;
+
+// Role words users add to element names ("the sign in button")
+var ROLE_WORDS = {
+  button: 'button',
+  link: 'link',
+  tab: 'tab',
+  checkbox: 'checkbox',
+  option: 'option',
+  menu: 'menuitem',
+  field: 'textbox',
+  box: 'textbox',
+  dropdown: 'combobox'
+};
+
+var KEY_ALIASES = {
+  enter: 'Enter',
+  return: 'Enter',
+  escape: 'Escape',
+  esc: 'Escape',
+  tab: 'Tab',
+  space: 'Space',
+  spacebar: 'Space',
+  backspace: 'Backspace',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight'
+};
+
+var KEY_CODES = {
+  Enter: 13,
+  Escape: 27,
+  Tab: 9,
+  Space: 32,
+  Backspace: 8,
+  ArrowUp: 38,
+  ArrowDown: 40,
+  ArrowLeft: 37,
+  ArrowRight: 39
+};
+
+
+async function clickElement(data) {
+
+  const text = data.entities?.text;
+  const target = resolveTarget(data, CLICKABLE_SELECTOR);
+
+  if (target.ambiguous) return ambiguityReport(text, target.candidates);
+
+  if (!target.element) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `Nothing to click for "${text || ''}"`);
+  }
+
+  target.element.scrollIntoView({ block: 'center' });
+  target.element.focus?.();
+  target.element.click();
+
+  return { message: `Clicked ${accessibleName(target.element) || text || 'element'}` };
+}
+
+
+async function scrollPage(data) {
+
+  const text = data.entities?.text;
+  const direction = normalizeText(data.entities?.direction);
+
+  // "scroll to the reviews" - headings first, then any text block
+  if (text) {
+    const target = locateElement(text, SECTION_SELECTOR).element ||
+      locateElement(text, CONTENT_BLOCK_SELECTOR).element;
+
+    if (!target) throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `Could not find "${text}" on this page`);
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    return { message: `Scrolled to ${clip(accessibleName(target), 60) || text}` };
+  }
+
+  const container = findScrollContainer();
+  const step = container.clientHeight * SCROLL_STEP;
+
+  switch (direction) {
+
+    case 'down':
+      container.scrollBy({ top: step, behavior: 'smooth' });
+      break;
+
+    case 'up':
+      container.scrollBy({ top: -step, behavior: 'smooth' });
+      break;
+
+    case 'top':
+      container.scrollTo({ top: 0, behavior: 'smooth' });
+      break;
+
+    case 'bottom':
+      container.scrollTo({ top: container.scrollHeight, behavior: 'smooth' });
+      break;
+
+    default:
+      throw new Error('Missing scroll direction');
+  }
+
+  return { message: `Scrolled ${direction}` };
+}
+
+
+async function typeText(data) {
+
+  const value = data.entities?.value;
+
+  if (!value) throw new Error('Nothing to type');
+
+  let el;
+
+  if (data.entities?.label_number || data.entities?.target_id || data.entities?.text) {
+
+    const target = resolveTarget(data, TYPEABLE_SELECTOR);
+
+    if (target.ambiguous) return ambiguityReport(data.entities.text, target.candidates);
+
+    el = target.element;
+
+  } else {
+
+    // No field named - use the focused field or the only visible one
+    const active = document.activeElement;
+
+    el = active?.matches?.(TYPEABLE_SELECTOR)
+      ? active
+      : singleVisible(TYPEABLE_SELECTOR);
+  }
+
+  if (!el) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No text field found${data.entities?.text ? ` for "${data.entities.text}"` : ''}`);
+  }
+
+  // A numbered label can point at a button or link
+  if (!el.matches(TYPEABLE_SELECTOR)) {
+    throw new Error('That element is not a text field');
+  }
+
+  el.scrollIntoView({ block: 'center' });
+  el.focus();
+
+  if (!setEditableValue(el, value)) {
+    throw new Error('That text field is not editable');
+  }
+
+  return { message: `Typed "${value}"` };
+}
+
+
+async function selectOption(data) {
+
+  const value = data.entities?.value;
+
+  if (!value) throw new Error('No option given');
+
+  let scope = null;
+
+  // "select Economy in class" - narrow to the named field when it exists
+  if (data.entities?.label_number || data.entities?.target_id || data.entities?.text) {
+
+    const field = resolveTarget(data, `${SELECTABLE_SELECTOR}, ${TYPEABLE_SELECTOR}`);
+
+    if (field.ambiguous) return ambiguityReport(data.entities.text, field.candidates);
+
+    scope = field.element;
+  }
+
+  const ranked = rankCandidates(value, collectOptions(scope));
+
+  if (ranked.ambiguous) return ambiguityReport(value, ranked.candidates);
+
+  if (!ranked.element) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No option "${value}"${data.entities?.text ? ` in ${data.entities.text}` : ''}`);
+  }
+
+  chooseOption(ranked.element);
+
+  return { message: `Selected ${clip(optionLabel(ranked.element), 60)}` };
+}
+
+
+// "open the pricing link in a new tab" - the worker opens it
+function linkUrl(data) {
+
+  const target = resolveTarget(data, 'a[href], [role="link"]');
+
+  if (target.ambiguous) return ambiguityReport(data.entities?.text, target.candidates);
+
+  const href = target.element?.closest('a[href]')?.href || target.element?.querySelector?.('a[href]')?.href;
+
+  if (!href) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No link found for "${data.entities?.text || ''}"`);
+  }
+
+  return { url: href, label: clip(accessibleName(target.element), 80) };
+}
+
+
+async function pressKey(data) {
+
+  const key = resolveKey(data.entities?.key);
+
+  if (!key) throw new Error(`Unsupported key "${data.entities?.key || ''}"`);
+
+  sendKey(document.activeElement || document.body, key);
+
+  return { message: `Pressed ${key}` };
+}
+
+
+// Key events as a user would fire them, then the browser's default action
+function sendKey(el, key) {
+
+  const init = {
+    key: key === 'Space' ? ' ' : key,
+    code: key,
+    keyCode: KEY_CODES[key],
+    which: KEY_CODES[key],
+    bubbles: true,
+    cancelable: true
+  };
+
+  const proceed = el.dispatchEvent(new KeyboardEvent('keydown', init));
+
+  if (key === 'Enter') el.dispatchEvent(new KeyboardEvent('keypress', init));
+
+  el.dispatchEvent(new KeyboardEvent('keyup', init));
+
+  // Synthetic events never run the browser's default action
+  if (proceed) runDefaultKeyAction(el, key);
+}
+
+
+// "arrow down", "enter key" → KeyboardEvent key name
+function resolveKey(name) {
+  return KEY_ALIASES[normalizeText(name).replace(/^arrow\s*|\s*(arrow|key)$/g, '')];
+}
+
+
+function runDefaultKeyAction(el, key) {
+
+  const isTextField = el.matches?.('input, textarea');
+
+  switch (key) {
+
+    case 'Enter':
+      if (el.tagName === 'INPUT' && el.form) {
+        el.form.requestSubmit();
+      } else if (el.matches?.('button, a[href], [role="button"], [role="link"], summary')) {
+        el.click();
+      }
+      break;
+
+    case 'Space':
+      if (el.matches?.('button, input[type="checkbox"], input[type="radio"], [role="button"], [role="checkbox"]')) {
+        el.click();
+      }
+      break;
+
+    case 'Tab':
+      focusNext(el);
+      break;
+
+    case 'Backspace':
+      if (isTextField) setNativeValue(el, el.value.slice(0, -1));
+      break;
+
+    case 'Escape':
+      if (el !== document.body) el.blur?.();
+      break;
+  }
+}
+
+
+function focusNext(el) {
+
+  const focusable = queryAllDeep(
+    'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+  ).filter(node => !node.disabled && isVisible(node));
+
+  const next = focusable[focusable.indexOf(el) + 1] || focusable[0];
+
+  next?.focus();
+}
+
+
+/* ======================================================
+   ELEMENT LOCATOR
+====================================================== */
+
+// Overlay number or snapshot id from the backend first, then fuzzy text lookup
+function resolveTarget(data, selector) {
+
+  const el = data.entities?.label_number
+    ? findLabeledElement(data.entities.label_number)
+    : findSnapshotElement(data.entities?.target_id);
+
+  if (el) return { element: el, ambiguous: false, candidates: [] };
+
+  return locateElement(data.entities?.text, selector);
+}
+
+
+function locateElement(description, selector) {
+
+  const elements = queryAllDeep(selector).filter(isVisible);
+
+  return rankCandidates(description, elements);
+}
+
+
+/**
+ * Score elements against a spoken description.
+ * Returns the single best element, or ambiguous: true with
+ * the close candidates when more than one fits.
+ */
+function rankCandidates(description, elements) {
+
+  const { name, role } = parseDescription(description);
+
+  if (!name) return { element: null, ambiguous: false, candidates: [] };
+
+  const ranked = elements
+    .map((el) => {
+      const label = el.tagName === 'OPTION' ? optionLabel(el) : accessibleName(el);
+      let score = matchScore(name, matchText(label));
+
+      // "the sign in button" prefers buttons over same-named links
+      if (score > 0 && role && elementRole(el) === role) score += 0.15;
+
+      return { el, label, score };
+    })
+    .filter(c => c.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  // A label wrapping its own input or a button wrapping a span count once
+  const distinct = ranked.filter((c, i) =>
+    !ranked.slice(0, i).some(o => o.el.contains(c.el) || c.el.contains(o.el))
+  );
+
+  if (distinct.length === 0) return { element: null, ambiguous: false, candidates: [] };
+
+  const close = distinct.filter(c => distinct[0].score - c.score <= AMBIGUITY_MARGIN);
+
+  if (close.length > 1) {
+    return { element: null, ambiguous: true, candidates: close.slice(0, MAX_CANDIDATES) };
+  }
+
+  return { element: distinct[0].el, ambiguous: false, candidates: [] };
+}
+
+
+function parseDescription(description) {
+
+  const words = matchText(description).replace(/^the\s+/, '').split(' ');
+  const role = words.length > 1 ? ROLE_WORDS[words[words.length - 1]] : null;
+
+  return {
+    name: (role ? words.slice(0, -1) : words).join(' '),
+    role
+  };
+}
+
+
+/**
+ * Fuzzy score in [0, 1]:
+ * exact 1, whole-word containment 0.85-0.95, else bigram similarity (max 0.9)
+ */
+function matchScore(wanted, label) {
+
+  if (!wanted || !label) return 0;
+
+  if (label === wanted) return 1;
+
+  if (` ${label} `.includes(` ${wanted} `)) {
+    return 0.85 + 0.1 * (wanted.length / label.length);
+  }
+
+  return Math.min(0.9, bigramSimilarity(wanted, label));
+}
+
+
+// Dice coefficient over character bigrams, ignoring spaces ("check out" = "checkout")
+function bigramSimilarity(a, b) {
+
+  const bigrams = (s) => {
+    const compact = s.replace(/\s+/g, '');
+    const counts = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+      const gram = compact.slice(i, i + 2);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+
+  let total = 0;
+  let overlap = 0;
+
+  for (const count of first.values()) total += count;
+  for (const [gram, count] of second) {
+    total += count;
+    overlap += Math.min(count, first.get(gram) || 0);
+  }
+
+  return total ? (2 * overlap) / total : 0;
+}
+
+
+function matchText(text) {
+  return normalizeText(text).replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+
+function accessibleName(el) {
+
+  if (el.matches('input[type="submit"], input[type="button"]')) {
+    return el.value || el.getAttribute('aria-label') || '';
+  }
+
+  if (el.matches('input, textarea, select')) {
+    return getLabel(el) || el.getAttribute('placeholder') || el.name || '';
+  }
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+
+  return (
+    el.getAttribute('aria-label') ||
+    (labelledBy && findById(el, labelledBy)?.innerText) ||
+    el.querySelector('legend')?.innerText ||
+    el.innerText ||
+    el.getAttribute('title') ||
+    el.querySelector('img[alt]')?.alt ||
+    ''
+  ).slice(0, 300);
+}
+
+
+function elementRole(el) {
+
+  const role = el.getAttribute('role');
+  if (role) return role === 'searchbox' ? 'textbox' : role;
+
+  switch (el.tagName) {
+    case 'A': return 'link';
+    case 'BUTTON':
+    case 'SUMMARY': return 'button';
+    case 'SELECT': return 'combobox';
+    case 'TEXTAREA': return 'textbox';
+    case 'INPUT':
+      if (['submit', 'button', 'reset'].includes(el.type)) return 'button';
+      if (['checkbox', 'radio'].includes(el.type)) return el.type;
+      return 'textbox';
+    default: return el.isContentEditable ? 'textbox' : '';
+  }
+}
+
+
+function ambiguityReport(description, candidates) {
+
+  const options = candidates.map((c, i) => ({
+    index: i + 1,
+    id: snapshotId(c.el),
+    label: clip(c.label, 80),
+    role: elementRole(c.el)
+  }));
+
+  const spoken = options
+    .map(o => `${o.index}. ${o.label}${o.role ? ` (${o.role})` : ''}`)
+    .join(', ');
+
+  return {
+    ambiguous: true,
+    message: `I found ${options.length} matches for "${description}": ${spoken}. Which one did you mean?`,
+    candidates: options
+  };
+}
+
+
+function firstVisible(selector) {
+
+  return queryAllDeep(selector).find(isVisible) || null;
+}
+
+
+function singleVisible(selector) {
+
+  const visible = queryAllDeep(selector).filter(isVisible);
+
+  return visible.length === 1 ? visible[0] : null;
+}
+
+
+function findScrollContainer() {
+
+  const root = document.scrollingElement || document.documentElement;
+
+  if (root.scrollHeight > root.clientHeight) return root;
+
+  // Apps that scroll an inner pane instead of the document
+  const panes = Array.from(document.querySelectorAll('main, [role="main"], div'))
+    .filter((el) => {
+      const { overflowY } = getComputedStyle(el);
+      return /(auto|scroll)/.test(overflowY) && el.scrollHeight > el.clientHeight && isVisible(el);
+    })
+    .sort((a, b) => b.clientHeight - a.clientHeight);
+
+  return panes[0] || root;
+}
+
+
+/* ======================================================
+   OPTIONS & VALUES
+====================================================== */
+
+// <option>s, radios and ARIA options inside scope (whole page when null)
+function collectOptions(scope) {
+
+  const root = scope || document;
+
+  if (scope?.tagName === 'SELECT') return Array.from(scope.options);
+
+  const selectOptions = queryAllDeep('select', root)
+    .filter(isVisible)
+    .flatMap(select => Array.from(select.options));
+
+  const choices = queryAllDeep(
+    'input[type="radio"], [role="option"], [role="radio"], [role="menuitemradio"]',
+    root
+  ).filter(el => isVisible(el) || (el.type === 'radio' && el.labels?.[0] && isVisible(el.labels[0])));
+
+  return [...selectOptions, ...choices];
+}
+
+
+function optionLabel(el) {
+
+  if (el.tagName === 'OPTION') return el.text || el.value;
+
+  if (el.type === 'radio') return getLabel(el) || el.value;
+
+  return accessibleName(el);
+}
+
+
+function chooseOption(el) {
+
+  if (el.tagName === 'OPTION') {
+    const select = el.closest('select');
+    setNativeValue(select, el.value);
+    return;
+  }
+
+  el.scrollIntoView({ block: 'center' });
+  el.click();
+}
+
+
+// Framework-friendly value update (React/Vue track the native setter).
+// False when the element has no native value, e.g. a <div role="textbox">
+function setNativeValue(el, value) {
+
+  const proto =
+    el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype :
+    el instanceof HTMLSelectElement ? HTMLSelectElement.prototype :
+    el instanceof HTMLInputElement ? HTMLInputElement.prototype :
+    null;
+
+  if (!proto) return false;
+
+  Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+
+  return true;
+}
+
+
+// False when the element can't be edited
+function setEditableValue(el, value) {
+
+  if (el.isContentEditable) {
+    el.textContent = value;
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, data: value, inputType: 'insertText' }));
+    return true;
+  }
+
+  return setNativeValue(el, value);
+}
+
+
+/* ======================================================
+   FORM FIELDS
+   Matches form_fields keys to the page's controls. Each
+   control is scored on its autocomplete tokens, input
+   type, label, placeholder and name/id; the most certain
+   keys claim their field first. Values go in through the
+   native setters so framework-controlled inputs update.
+====================================================== */
+
+var FILLABLE_SELECTOR = `${TYPEABLE_SELECTOR}, select, input[type="checkbox"], input[type="radio"]`;
+
+var UNFILLABLE_TYPES = ['file', 'reset', 'image', 'range', 'color'];
+
+// Stricter than MATCH_THRESHOLD - a wrong field is worse than none
+var FIELD_MATCH_THRESHOLD = 0.75;
+
+// Tighter than AMBIGUITY_MARGIN - an exact synonym beats "Address line 2"
+var FIELD_AMBIGUITY_MARGIN = 0.05;
+
+// Words pages use for each standard key (the backend prompt's keys)
+var FIELD_SYNONYMS = {
+  name: ['name', 'full name', 'your name'],
+  first_name: ['first name', 'given name', 'forename', 'fname'],
+  last_name: ['last name', 'surname', 'family name', 'lname'],
+  email: ['email', 'email address', 'email id', 'mail'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile number', 'telephone', 'tel', 'contact number'],
+  username: ['username', 'user name', 'user id', 'login'],
+  password: ['password', 'passcode', 'passphrase', 'pin'],
+  address: ['address', 'street address', 'address line 1', 'street'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region'],
+  pincode: ['pincode', 'pin code', 'zip', 'zip code', 'postal code', 'postcode'],
+  dob: ['date of birth', 'dob', 'birthday', 'birth date'],
+  age: ['age'],
+  gender: ['gender', 'sex'],
+  from: ['from', 'origin', 'source', 'leaving from', 'departure city'],
+  to: ['to', 'destination', 'going to', 'arrival city'],
+  date: ['date', 'departure date', 'travel date', 'journey date']
+};
+
+// HTML autocomplete tokens - a match is certain
+var FIELD_AUTOCOMPLETE = {
+  name: ['name'],
+  first_name: ['given-name'],
+  last_name: ['family-name'],
+  email: ['email'],
+  phone: ['tel', 'tel-national', 'tel-local'],
+  username: ['username'],
+  password: ['current-password', 'new-password'],
+  address: ['street-address', 'address-line1'],
+  city: ['address-level2'],
+  state: ['address-level1'],
+  pincode: ['postal-code'],
+  dob: ['bday'],
+  gender: ['sex']
+};
+
+// Input types that give a key away without a label
+var FIELD_INPUT_TYPES = {
+  email: 'email',
+  phone: 'tel',
+  password: 'password'
+};
+
+var INPUT_TYPE_SCORE = 0.9;
+
+// "Confirm password", "Re-enter email" take the same value
+var CONFIRM_FIELD_PATTERN = /\b(confirm|repeat|re ?enter|retype|verify|again)\b/;
+
+var CHECKED_VALUE = /^(yes|true|on|checked|check|tick|agree|1)$/i;
+
+
+// Visible, editable controls - one per radio group
+function fieldCandidates() {
+
+  const groups = new Set();
+
+  return queryAllDeep(FILLABLE_SELECTOR).filter((el) => {
+
+    if (el.disabled || el.readOnly || UNFILLABLE_TYPES.includes(el.type)) return false;
+
+    // Styled radios and checkboxes often hide the input behind its label
+    if (!isVisible(el) && !(el.labels?.[0] && isVisible(el.labels[0]))) return false;
+
+    if (el.type !== 'radio' || !el.name) return true;
+
+    if (groups.has(el.name)) return false;
+    groups.add(el.name);
+    return true;
+  });
+}
+
+
+/**
+ * Assign each key its field(s).
+ * Backend snapshot ids win; then the most confident keys
+ * pick first, so a weak match cannot take another key's field.
+ */
+function matchFormFields(values, targets, candidates) {
+
+  const claimed = new Set();
+  const matches = [];
+  const skipped = [];
+  const unresolved = [];
+  const pending = [];
+
+  for (const key of Object.keys(values)) {
+
+    const el = findSnapshotElement(targets[key]);
+
+    if (el && !claimed.has(el)) {
+      claimed.add(el);
+      matches.push({ key, elements: [el] });
+    } else {
+      pending.push({ key, ranked: rankFields(key, candidates) });
+    }
+  }
+
+  pending.sort((a, b) => (b.ranked[0]?.score || 0) - (a.ranked[0]?.score || 0));
+
+  for (const { key, ranked } of pending) {
+
+    const open = ranked.filter(c => !claimed.has(c.el));
+    const confirms = open.filter(c => CONFIRM_FIELD_PATTERN.test(matchText(c.label)));
+    const main = open.filter(c => !confirms.includes(c));
+
+    if (!main.length) {
+      skipped.push({ key, reason: 'not found' });
+      continue;
+    }
+
+    const close = main.filter(c => main[0].score - c.score <= FIELD_AMBIGUITY_MARGIN);
+
+    if (close.length > 1) {
+      unresolved.push({
+        key,
+        candidates: close.slice(0, MAX_CANDIDATES).map((c, i) => ({
+          index: i + 1,
+          id: snapshotId(c.el),
+          label: clip(c.label, 80)
+        }))
+      });
+      continue;
+    }
+
+    const chosen = [main[0], ...confirms];
+
+    chosen.forEach(c => claimed.add(c.el));
+    matches.push({ key, elements: chosen.map(c => c.el) });
+  }
+
+  return { matches, skipped, unresolved };
+}
+
+
+function rankFields(key, candidates) {
+
+  return candidates
+    .map(el => ({ el, label: fieldLabel(el), score: fieldScore(key, el) }))
+    .filter(c => c.score >= FIELD_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+
+// Best of the field's signals, each weighted by how much it is trusted
+function fieldScore(key, el) {
+
+  // Passwords only go into password inputs, and nothing else does
+  if ((key === 'password') !== (el.type === 'password')) return 0;
+
+  const tokens = (el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+
+  if (FIELD_AUTOCOMPLETE[key]?.some(token => tokens.includes(token))) return 1;
+
+  let score = FIELD_INPUT_TYPES[key] === el.type ? INPUT_TYPE_SCORE : 0;
+
+  const words = FIELD_SYNONYMS[key] || [identifierText(key)];
+
+  for (const [text, weight] of fieldSignals(el)) {
+
+    const label = matchText(text);
+    if (!label) continue;
+
+    for (const word of words) {
+      score = Math.max(score, weight * matchScore(word, label));
+    }
+  }
+
+  return score;
+}
+
+
+function fieldSignals(el) {
+
+  return [
+    [el.type === 'radio' ? radioGroupLabel(el) : getLabel(el), 1],
+    [el.getAttribute('placeholder'), 0.9],
+    [identifierText(el.getAttribute('name')), 0.85],
+    [identifierText(el.id), 0.85]
+  ];
+}
+
+
+function fieldLabel(el) {
+
+  const label = el.type === 'radio' ? radioGroupLabel(el) : accessibleName(el);
+
+  return label || identifierText(el.getAttribute('name'));
+}
+
+
+function radioGroupLabel(el) {
+
+  const group = el.closest('fieldset, [role="radiogroup"]');
+
+  if (!group) return '';
+
+  const labelledBy = group.getAttribute('aria-labelledby');
+
+  return (
+    group.getAttribute('aria-label') ||
+    (labelledBy && findById(group, labelledBy)?.innerText) ||
+    group.querySelector('legend')?.innerText ||
+    ''
+  );
+}
+
+
+function radioGroup(el) {
+
+  if (!el.name) return [el];
+
+  return Array.from((el.form || el.getRootNode()).querySelectorAll('input[type="radio"]'))
+    .filter(radio => radio.name === el.name);
+}
+
+
+// "billing_postalCode" → "billing postal code"
+function identifierText(text) {
+
+  return matchText(
+    String(text || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_\-.[\]]+/g, ' ')
+  );
+}
+
+
+// "name" on a form that asks for first and last name separately
+function splitFullName(values, candidates) {
+
+  if (!values.name || values.first_name || values.last_name) return values;
+
+  const full = rankFields('name', candidates)[0];
+  const first = rankFields('first_name', candidates)[0];
+  const last = rankFields('last_name', candidates)[0];
+
+  // A real full name field scores higher than both halves
+  if (!first || !last || (full && full.el !== first.el && full.el !== last.el)) return values;
+
+  const { name, ...others } = values;
+  const [given, ...family] = String(name).trim().split(/\s+/);
+
+  return family.length
+    ? { ...others, first_name: given, last_name: family.join(' ') }
+    : { ...others, first_name: given };
+}
+
+
+// Set one field the way a user would - false when the value does not fit it
+function fillField(el, value) {
+
+  const text = String(value ?? '').trim();
+
+  if (el.tagName === 'SELECT' || el.type === 'radio') {
+
+    const options = el.type === 'radio' ? radioGroup(el) : Array.from(el.options);
+    const ranked = rankCandidates(text, options);
+
+    if (!ranked.element) return false;
+
+    chooseOption(ranked.element);
+    return true;
+  }
+
+  if (el.type === 'checkbox') {
+    if (el.checked !== CHECKED_VALUE.test(text)) el.click();
+    return true;
+  }
+
+  if (el.type === 'date') {
+
+    const date = toDateValue(text);
+
+    if (!date) return false;
+
+    return setNativeValue(el, date);
+  }
+
+  return setEditableValue(el, text);
+}
+
+
+// Spoken or typed date → yyyy-mm-dd for <input type="date"> ('' when unreadable)
+function toDateValue(text) {
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const pad = n => String(n).padStart(2, '0');
+  const format = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+  const lower = text.toLowerCase();
+
+  if (lower === 'today' || lower === 'tomorrow') {
+    const date = new Date();
+    if (lower === 'tomorrow') date.setDate(date.getDate() + 1);
+    return format(date);
+  }
+
+  // Day first, as written in India and most of the world
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+
+  if (numeric) return `${numeric[3]}-${pad(numeric[2])}-${pad(numeric[1])}`;
+
+  const parsed = new Date(text);
+
+  return Number.isNaN(parsed.getTime()) ? '' : format(parsed);
+}
+
+
+// "Filled name and email. Couldn't find city. For address I found 2 fields: ..."
+function formFillMessage(filled, skipped, unresolved) {
+
+  const parts = [];
+
+  if (filled.length) parts.push(`Filled ${listWords(filled.map(identifierText))}.`);
+
+  const skippedFor = (reason) => listWords(
+    skipped.filter(s => s.reason === reason).map(s => identifierText(s.key))
+  );
+
+  const notFound = skippedFor('not found');
+  const noOption = skippedFor('no matching option');
+  const notEditable = skippedFor('not editable');
+
+  if (notFound) parts.push(`Couldn't find ${notFound}.`);
+  if (noOption) parts.push(`No option matches the ${noOption} given.`);
+  if (notEditable) parts.push(`Couldn't type into ${notEditable}.`);
+
+  for (const { key, candidates } of unresolved) {
+    const spoken = candidates.map(c => `${c.index}. ${c.label}`).join(', ');
+    parts.push(`For ${identifierText(key)} I found ${candidates.length} fields: ${spoken}.`);
+  }
+
+  if (unresolved.length) parts.push('Which one did you mean?');
+
+  return parts.join(' ');
+}
+
+
+/* ======================================================
+   LABEL OVERLAY
+   "show labels" puts a numbered badge on every visible
+   interactive element so "click 12" works when a target
+   has no usable name. Badges follow scrolling and DOM
+   changes; Escape or "hide labels" removes them.
+====================================================== */
+
+var LABEL_OVERLAY_ID = 'voicereplica-label-overlay';
+
+var LABELABLE_SELECTOR = `${CLICKABLE_SELECTOR}, ${TYPEABLE_SELECTOR}, select`;
+
+var MAX_LABELS = 300;
+
+// Batch DOM mutations before renumbering
+var LABEL_REFRESH_DELAY = 250;
+
+var LABEL_BADGE_STYLE = {
+  position: 'absolute',
+  padding: '1px 4px',
+  borderRadius: '3px',
+  background: '#ffd60a',
+  color: '#000',
+  font: 'bold 12px/1.2 Arial, sans-serif',
+  boxShadow: '0 1px 3px rgba(0, 0, 0, 0.4)',
+  whiteSpace: 'nowrap'
+};
+
+
+function showLabels() {
+
+  if (!window.__voiceReplicaLabels) {
+
+    const container = document.createElement('div');
+    container.id = LABEL_OVERLAY_ID;
+    container.setAttribute('aria-hidden', 'true');
+
+    Object.assign(container.style, {
+      position: 'fixed',
+      inset: '0',
+      pointerEvents: 'none',
+      zIndex: '2147483647'
+    });
+
+    document.documentElement.appendChild(container);
+
+    const overlay = { container, elements: [], frame: 0, timer: 0 };
+
+    // Scroll / resize: reposition on the next frame
+    overlay.onScroll = () => {
+      cancelAnimationFrame(overlay.frame);
+      overlay.frame = requestAnimationFrame(renderLabels);
+    };
+
+    overlay.onKeyDown = (event) => {
+      if (event.key === 'Escape') hideLabels();
+    };
+
+    // Throttled, so constantly animating pages still get refreshed
+    overlay.observer = new MutationObserver((mutations) => {
+      if (mutations.every(m => container.contains(m.target))) return;
+      if (overlay.timer) return;
+
+      overlay.timer = setTimeout(() => {
+        overlay.timer = 0;
+        renderLabels();
+      }, LABEL_REFRESH_DELAY);
+    });
+
+    // Capture phase also catches scrolling inner panes
+    window.addEventListener('scroll', overlay.onScroll, true);
+    window.addEventListener('resize', overlay.onScroll);
+    document.addEventListener('keydown', overlay.onKeyDown, true);
+
+    overlay.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style', 'hidden']
+    });
+
+    window.__voiceReplicaLabels = overlay;
+  }
+
+  const count = renderLabels();
+
+  return { message: `Showing ${count} labels`, count };
+}
+
+
+function hideLabels() {
+
+  const overlay = window.__voiceReplicaLabels;
+
+  if (!overlay) return { message: 'Labels are not shown' };
+
+  overlay.observer.disconnect();
+  cancelAnimationFrame(overlay.frame);
+  clearTimeout(overlay.timer);
+
+  window.removeEventListener('scroll', overlay.onScroll, true);
+  window.removeEventListener('resize', overlay.onScroll);
+  document.removeEventListener('keydown', overlay.onKeyDown, true);
+
+  overlay.container.remove();
+  window.__voiceReplicaLabels = null;
+
+  return { message: 'Labels hidden' };
+}
+
+
+// Number the interactive elements currently in the viewport
+function renderLabels() {
+
+  const overlay = window.__voiceReplicaLabels;
+
+  if (!overlay) return 0;
+
+  const candidates = queryAllDeep(LABELABLE_SELECTOR)
+    .filter(el =>
+      el.tagName !== 'LABEL' &&
+      !el.disabled &&
+      !overlay.container.contains(el) &&
+      isInViewport(el) &&
+      isVisible(el)
+    );
+
+  // Nested controls (a button inside a link) get one badge
+  const candidateSet = new Set(candidates);
+
+  const elements = candidates
+    .filter((el) => {
+      for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+        if (candidateSet.has(parent)) return false;
+      }
+      return true;
+    })
+    .slice(0, MAX_LABELS);
+
+  const fragment = document.createDocumentFragment();
+
+  elements.forEach((el, i) => {
+
+    const rect = el.getBoundingClientRect();
+    const badge = document.createElement('span');
+
+    badge.textContent = String(i + 1);
+
+    Object.assign(badge.style, LABEL_BADGE_STYLE, {
+      left: `${Math.max(0, rect.left - 4)}px`,
+      top: `${Math.max(0, rect.top - 4)}px`
+    });
+
+    fragment.appendChild(badge);
+  });
+
+  overlay.container.replaceChildren(fragment);
+  overlay.elements = elements;
+
+  return elements.length;
+}
+
+
+function findLabeledElement(number) {
+
+  const overlay = window.__voiceReplicaLabels;
+
+  if (!overlay) {
+    throw new Error('Labels are not shown. Say "show labels" first.');
+  }
+
+  const el = overlay.elements[Number(number) - 1];
+
+  if (!el || !el.isConnected) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `There is no label ${number}`);
+  }
+
+  return el;
+}
+
+
+function isInViewport(el) {
+
+  const rect = el.getBoundingClientRect();
+
+  return (
+    rect.bottom > 0 &&
+    rect.right > 0 &&
+    rect.top < window.innerHeight &&
+    rect.left < window.innerWidth
+  );
+}
+
+
+/* ======================================================
+   RISK ASSESSMENT
+   Describes what an intent would do on this page without
+   doing it. The worker compares the risk with the site's
+   confirmation policy and asks the user first.
+====================================================== */
+
+// First match wins - names of the clicked control or submitted form
+var RISK_PATTERNS = [
+  {
+    category: 'purchase',
+    risk: 'high',
+    pattern: /\b(buy|purchase|pay|checkout|check out|place (your )?order|order now|book now|confirm (booking|order|payment)|subscribe)\b/i
+  },
+  {
+    category: 'delete',
+    risk: 'high',
+    pattern: /\b(delete|remove|discard|erase|destroy|unsubscribe|deactivate|close account|cancel (order|subscription|booking|account))\b/i
+  },
+  {
+    category: 'send',
+    risk: 'medium',
+    pattern: /\b(send|post|publish|reply|comment|tweet|share)\b/i
+  }
+];
+
+var SUBMIT_CONTROL_SELECTOR =
+  'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]';
+
+// The search one names the user's engine when the worker sends it
+var LEAVE_DESCRIPTIONS = {
+  navigation: 'open another page',
+  search: 'search the web',
+  website_search: 'search this site',
+  go_back: 'go back',
+  reload: 'reload this page',
+  tab: 'close this tab',
+  browser_history: 'open a page from your history',
+  bookmark: 'open a bookmark'
+};
+
+
+function assessRisk(data) {
+
+  const entities = data.entities || {};
+
+  switch (data.intent) {
+
+    case 'click': {
+      const target = resolveTarget(data, CLICKABLE_SELECTOR);
+
+      // Ambiguous targets are reported by the click itself; missing ones
+      // may be in another frame (found: false lets the worker look there)
+      if (target.ambiguous) return riskResult('none');
+      if (!target.element) return { ...riskResult('none'), found: false };
+
+      const name = clip(accessibleName(target.element), 60) || entities.text || 'that';
+
+      return assessControl(target.element, `click "${name}"`);
+    }
+
+    case 'press_key':
+      return assessKey(resolveKey(entities.key));
+
+    case 'form_fill': {
+      const count = Object.keys(entities.form_fields || {}).length;
+      return riskResult('low', 'edit', `fill in ${count} field${count === 1 ? '' : 's'}`);
+    }
+
+    case 'type_text':
+      return riskResult('low', 'edit', `type "${clip(entities.value, 60)}"`);
+
+    case 'select_option':
+      return riskResult('low', 'edit', `select "${clip(entities.value, 60)}"`);
+
+    // Only "close this tab" - other tabs are not this page's business
+    case 'tab':
+      if (entities.action !== 'close' || entities.text) return riskResult('none');
+      // falls through
+
+    case 'navigation':
+    case 'search':
+    case 'website_search':
+    case 'go_back':
+    case 'reload':
+      return hasUnsavedChanges()
+        ? riskResult('medium', 'leave_unsaved', leaveDescription(data))
+        : riskResult('none');
+
+    // Opening a found page replaces this one
+    case 'browser_history':
+    case 'bookmark':
+      if (entities.action !== 'open' || !hasUnsavedChanges()) return riskResult('none');
+      return riskResult('medium', 'leave_unsaved', LEAVE_DESCRIPTIONS[data.intent]);
+
+    default:
+      return riskResult('none');
+  }
+}
+
+
+function leaveDescription(data) {
+
+  if (data.intent === 'search' && data.engine) return `search on ${data.engine}`;
+
+  return LEAVE_DESCRIPTIONS[data.intent];
+}
+
+
+function riskResult(risk, category = null, description = '') {
+  return { risk, category, description };
+}
+
+
+// A clicked (or Enter / Space pressed) button or link
+function assessControl(el, description) {
+
+  const form = el.matches(SUBMIT_CONTROL_SELECTOR) ? el.form : null;
+
+  const names = [accessibleName(el), form && formName(form)].filter(Boolean).join(' ');
+
+  const match = RISK_PATTERNS.find(({ pattern }) => pattern.test(names));
+
+  if (match) return riskResult(match.risk, match.category, description);
+
+  if (form && !isSearchForm(form)) return riskResult('medium', 'submit', description);
+
+  if (leavesPage(el) && hasUnsavedChanges()) return riskResult('medium', 'leave_unsaved', description);
+
+  return riskResult('low', 'click', description);
+}
+
+
+function assessKey(key) {
+
+  if (!key) return riskResult('none');
+
+  const el = document.activeElement;
+
+  // Enter in a text field submits its form
+  if (key === 'Enter' && el?.tagName === 'INPUT' && el.form) {
+
+    if (isSearchForm(el.form)) return riskResult('low', 'key', 'press Enter');
+
+    const names = [formName(el.form), submitControlName(el.form)].join(' ');
+    const match = RISK_PATTERNS.find(({ pattern }) => pattern.test(names));
+
+    return riskResult(match?.risk || 'medium', match?.category || 'submit', 'press Enter and submit this form');
+  }
+
+  if ((key === 'Enter' || key === 'Space') && el?.matches?.(CLICKABLE_SELECTOR)) {
+    return assessControl(el, `press ${key} on "${clip(accessibleName(el), 60) || 'the focused element'}"`);
+  }
+
+  return riskResult('low', 'key', `press ${key}`);
+}
+
+
+function formName(form) {
+  return [
+    form.getAttribute('aria-label'),
+    form.getAttribute('name'),
+    form.getAttribute('action')
+  ].filter(Boolean).join(' ');
+}
+
+
+// The button Enter activates
+function submitControlName(form) {
+
+  const control = form.querySelector(SUBMIT_CONTROL_SELECTOR);
+
+  return control ? accessibleName(control) : '';
+}
+
+
+function isSearchForm(form) {
+  return form.getAttribute('role') === 'search' ||
+    Array.from(form.elements).some(el => isSearchInput(el));
+}
+
+
+// A link to another document (same-page anchors and scripts stay)
+function leavesPage(el) {
+
+  const link = el.closest('a[href]');
+
+  if (!link || /^(javascript:|#)/i.test(link.getAttribute('href'))) return false;
+
+  const target = new URL(link.href, location.href);
+
+  return target.origin + target.pathname + target.search !==
+    location.origin + location.pathname + location.search;
+}
+
+
+// Fields edited since the page loaded (by the user or by VoiceReplica)
+function hasUnsavedChanges() {
+
+  return queryAllDeep('input, textarea, select').some(el => {
+
+    if (el.type === 'hidden' || el.disabled || isSearchInput(el) || !isVisible(el)) return false;
+
+    if (el.matches('input[type="checkbox"], input[type="radio"]')) {
+      return el.checked !== el.defaultChecked;
+    }
+
+    if (el.tagName === 'SELECT') {
+      const options = Array.from(el.options);
+
+      if (el.multiple) return options.some(option => option.selected !== option.defaultSelected);
+
+      // Without a default the browser selects the first option
+      return el.selectedIndex !== Math.max(options.findIndex(option => option.defaultSelected), 0);
+    }
+
+    return el.value !== el.defaultValue;
+  });
+}
+
+
+/* ======================================================
+   LISTENING INDICATOR
+   Small badge shown while the background session listens
+   or works, so keyboard users know without the popup.
+   While push-to-talk is held it also reports the key
+   release - chrome.commands only sees the key press.
+====================================================== */
+
+var LISTENING_INDICATOR_ID = 'voicereplica-listening-indicator';
+
+var INDICATOR_LABELS = {
+  listening: 'Listening…',
+  processing: 'Working on it…'
+};
+
+var INDICATOR_STYLE = {
+  position: 'fixed',
+  right: '16px',
+  bottom: '16px',
+  padding: '8px 14px',
+  borderRadius: '9999px',
+  background: '#5b21b6',
+  color: '#fff',
+  font: '600 13px/1.2 Arial, sans-serif',
+  boxShadow: '0 4px 14px rgba(0, 0, 0, 0.25)',
+  pointerEvents: 'none',
+  zIndex: '2147483647'
+};
+
+
+function updateListeningIndicator({ state, pushToTalk = false, shortcut = '' }) {
+
+  if (!INDICATOR_LABELS[state]) {
+    removeListeningIndicator();
+    return { shown: false };
+  }
+
+  if (!window.__voiceReplicaIndicator) {
+
+    const badge = document.createElement('div');
+    badge.id = LISTENING_INDICATOR_ID;
+    badge.setAttribute('role', 'status');
+
+    Object.assign(badge.style, INDICATOR_STYLE);
+
+    document.documentElement.appendChild(badge);
+
+    window.__voiceReplicaIndicator = { badge, onRelease: null };
+  }
+
+  const indicator = window.__voiceReplicaIndicator;
+
+  const hint = pushToTalk ? ` Release ${shortcut || 'the shortcut'} to send.` : '';
+
+  indicator.badge.textContent = `🎙️ ${INDICATOR_LABELS[state]}${hint}`;
+  indicator.badge.style.background = state === 'listening' ? '#059669' : INDICATOR_STYLE.background;
+
+  if (pushToTalk && state === 'listening') {
+    trackKeyRelease(indicator);
+  } else {
+    stopTrackingKeyRelease(indicator);
+  }
+
+  return { shown: true };
+}
+
+
+function removeListeningIndicator() {
+
+  const indicator = window.__voiceReplicaIndicator;
+
+  if (!indicator) return;
+
+  stopTrackingKeyRelease(indicator);
+  indicator.badge.remove();
+
+  window.__voiceReplicaIndicator = null;
+}
+
+
+// Any key coming up (or the page losing focus) ends the hold
+function trackKeyRelease(indicator) {
+
+  if (indicator.onRelease) return;
+
+  indicator.onRelease = () => {
+    stopTrackingKeyRelease(indicator);
+
+    chrome.runtime.sendMessage(
+      createEvent(MESSAGE_TYPES.PUSH_TO_TALK_RELEASED, {}, 'content')
+    ).catch(() => {});
+  };
+
+  window.addEventListener('keyup', indicator.onRelease, true);
+  window.addEventListener('blur', indicator.onRelease);
+}
+
+
+function stopTrackingKeyRelease(indicator) {
+
+  if (!indicator.onRelease) return;
+
+  window.removeEventListener('keyup', indicator.onRelease, true);
+  window.removeEventListener('blur', indicator.onRelease);
+
+  indicator.onRelease = null;
+}
+
+
+/* ======================================================
+   MACRO RECORDING
+   While the worker records a macro, the user's own clicks,
+   typing and choices are reported as plan steps. Elements
+   are described by visible text and role, not by position,
+   so replays survive layout changes. Our own synthetic
+   events are never recorded.
+====================================================== */
+
+// Role → the word rankCandidates understands ("Search button")
+var ROLE_NAMES = Object.entries(ROLE_WORDS).reduce((names, [word, role]) => {
+  names[role] = names[role] || word;
+  return names;
+}, {});
+
+// Last typed value reported per field - Enter and change both report it
+var recordedValues = new WeakMap();
+
+
+function setMacroRecording({ active }) {
+
+  window.__voiceReplicaRecording = Boolean(active);
+
+  // Listeners stay registered; they do nothing while not recording
+  if (active && !window.__voiceReplicaRecorder) {
+    window.__voiceReplicaRecorder = true;
+    document.addEventListener('click', recordClick, true);
+    document.addEventListener('change', recordChange, true);
+    document.addEventListener('keydown', recordEnter, true);
+  }
+
+  return { recording: window.__voiceReplicaRecording };
+}
+
+
+function recordClick(event) {
+
+  if (!window.__voiceReplicaRecording || !event.isTrusted) return;
+
+  const el = event.composedPath()[0]?.closest?.(CLICKABLE_SELECTOR);
+
+  // Clicking into a field is not a step - what is typed there is.
+  // A label passes its click on to its control, which is recorded instead.
+  if (!el || el.matches(TYPEABLE_SELECTOR) || (el.tagName === 'LABEL' && el.control)) return;
+
+  const name = clip(matchText(accessibleName(el)), 80);
+
+  if (!name) return;
+
+  const role = ROLE_NAMES[elementRole(el)];
+
+  reportMacroStep({
+    action: 'click',
+    description: `Click ${name}`,
+    entities: { text: role ? `${name} ${role}` : name }
+  });
+}
+
+
+function recordChange(event) {
+
+  if (!window.__voiceReplicaRecording || !event.isTrusted) return;
+
+  const el = event.composedPath()[0];
+
+  if (el?.tagName === 'SELECT') {
+    const option = el.selectedOptions[0];
+    if (!option) return;
+
+    reportMacroStep({
+      action: 'select_option',
+      description: `Choose ${clip(optionLabel(option), 60)}`,
+      entities: { text: fieldLabel(el), value: optionLabel(option) }
+    });
+  } else if (el?.matches?.('input, textarea') && el.matches(TYPEABLE_SELECTOR)) {
+    recordTyping(el);
+  }
+}
+
+
+// Enter submits before the field's change event - report the typing first
+function recordEnter(event) {
+
+  if (!window.__voiceReplicaRecording || !event.isTrusted || event.key !== 'Enter') return;
+
+  const el = event.composedPath()[0];
+
+  if (el?.tagName !== 'INPUT' || !el.matches(TYPEABLE_SELECTOR)) return;
+
+  recordTyping(el);
+
+  reportMacroStep({ action: 'press_key', description: 'Press Enter', entities: { key: 'enter' } });
+}
+
+
+function recordTyping(el) {
+
+  if (!el.value || recordedValues.get(el) === el.value) return;
+
+  recordedValues.set(el, el.value);
+
+  const label = fieldLabel(el);
+
+  // Passwords come from the saved profile on replay - never stored in the macro
+  if (el.type === 'password') {
+    reportMacroStep({
+      action: 'form_fill',
+      description: 'Fill the saved password',
+      entities: { form_fields: { password: '' } }
+    });
+    return;
+  }
+
+  if (SENSITIVE_AUTOCOMPLETE.test(el.autocomplete || '')) return;
+
+  reportMacroStep({
+    action: 'type_text',
+    description: `Type into ${clip(label, 60) || 'the field'}`,
+    entities: { text: label, value: el.value }
+  });
+}
+
+
+function reportMacroStep(step) {
+
+  chrome.runtime.sendMessage(
+    createEvent(MESSAGE_TYPES.MACRO_STEP, { step }, 'content')
+  ).catch(() => {});
+}
+
+
+/* ======================================================
+   UTIL
+====================================================== */
+
+// Resolves to the filled field (null when there was nothing to fill)
+// selector is the site adapter's field, when it has one
+async function auto(name, val, targetId, selector) {
+
+  if (!val) return null;
+
+  const el =
+    findSnapshotElement(targetId) ||
+    (selector && firstVisible(selector)) ||
+    rankFields(name, fieldCandidates())[0]?.el;
+
+  if (!el || !fillField(el, val)) return null;
+
+  await wait(200);
+
+  return el;
+}
+
+
+function wait(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+
+// querySelectorAll that also looks inside open shadow roots (web components)
+function queryAllDeep(selector, root = document) {
+
+  const found = Array.from(root.querySelectorAll(selector));
+
+  for (const host of root.querySelectorAll('*')) {
+    if (host.shadowRoot) found.push(...queryAllDeep(selector, host.shadowRoot));
+  }
+
+  return found;
+}
+
+
+// aria-labelledby ids resolve inside the element's own shadow root first
+function findById(el, id) {
+
+  return el.getRootNode().getElementById?.(id) || document.getElementById(id);
+}
+
+
+// ['a', 'b', 'c'] → "a, b and c"
+function listWords(words) {
+
+  if (words.length < 2) return words.join('');
+
+  return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
 }
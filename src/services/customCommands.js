@@ -0,0 +1,307 @@
+/*
+ * VoiceReplica - Custom Commands
+ * Shared by the settings page and the service worker
+ *
+ * @module customCommands
+ * @description User-defined voice commands kept in chrome.storage.sync. A command
+ *              maps trigger phrases ("open the {board} board") to plan steps and
+ *              is matched before the backend is asked, so it runs offline and
+ *              exactly as written. Needs schema.js and siteAdapters.js.
+ * @version 1.0.0
+ */
+
+// var: may be loaded by several scripts of the same page
+var VoiceReplicaCommands = globalThis.VoiceReplicaCommands || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  const STORAGE_KEY = 'voiceReplicaCommands';
+
+  const MAX_COMMANDS = 50;
+
+  // Plan step actions the router runs (executePlanStep)
+  const STEP_ACTIONS = Object.freeze([
+    'navigate',
+    'search',
+    'website_search',
+    'wait_for_load',
+    'go_back',
+    'reload',
+    'click',
+    'form_fill',
+    'scroll',
+    'type_text',
+    'select_option',
+    'press_key'
+  ]);
+
+  // "{query}" in a phrase captures words, in a step it inserts them
+  const SLOT_PATTERN = /\{([a-z_]+)\}/g;
+
+  // Schema of one command (schema.js subset of JSON Schema)
+  const COMMAND_SCHEMA = Object.freeze({
+    type: 'object',
+    required: ['id', 'phrases', 'steps'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,39}$', patternMessage: 'must be lowercase letters, digits, - or _' },
+      description: { type: 'string', maxLength: 120 },
+      phrases: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: { type: 'string', minLength: 1, maxLength: 80 }
+      },
+      // Only on these sites (any site when missing)
+      hosts: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'string',
+          pattern: VoiceReplicaSiteAdapters.HOST_PATTERN,
+          patternMessage: 'must be a host name like tools.example.com'
+        }
+      },
+      // Said when the steps are done
+      reply: { type: 'string', maxLength: 200 },
+      // Slot values used when a phrase does not capture the slot
+      defaults: { type: 'object', additionalProperties: { type: 'string', maxLength: 200 } },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 20,
+        items: {
+          type: 'object',
+          required: ['action'],
+          additionalProperties: false,
+          properties: {
+            action: { type: 'string', enum: STEP_ACTIONS },
+            description: { type: 'string', maxLength: 120 },
+            entities: { type: 'object' }
+          }
+        }
+      }
+    }
+  });
+
+  // ============================================================================
+  // Validation
+  // ============================================================================
+
+  /**
+   * Slot names of a phrase or of a step's values
+   * @param {*} value - Phrase, or step entities
+   * @returns {string[]}
+   */
+  const slotNames = (value) =>
+    [...JSON.stringify(value ?? '').matchAll(SLOT_PATTERN)].map(match => match[1]);
+
+  /**
+   * Check a list of commands
+   * @param {*} commands - Parsed JSON
+   * @returns {string[]} Problems (empty when valid)
+   */
+  const validateCommands = (commands) => {
+    const errors = VoiceReplicaSchema.validate(
+      commands,
+      { type: 'array', maxItems: MAX_COMMANDS, items: COMMAND_SCHEMA },
+      'commands'
+    );
+
+    if (errors.length) return errors;
+
+    const ids = commands.map(command => command.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+
+    if (duplicate) errors.push(`commands: the id "${duplicate}" is used twice`);
+
+    // Every slot a step uses has to be said in every phrase, or have a default
+    commands.forEach((command, i) => {
+      const used = new Set(slotNames(command.steps));
+
+      for (const phrase of command.phrases) {
+        const said = slotNames(phrase);
+        const missing = [...used].filter(name => !said.includes(name) && command.defaults?.[name] === undefined);
+
+        if (missing.length) {
+          errors.push(`commands[${i}].steps use {${missing[0]}}, which "${phrase}" does not capture`);
+        }
+      }
+    });
+
+    return errors;
+  };
+
+  // ============================================================================
+  // Matching
+  // ============================================================================
+
+  /**
+   * Lowercase words only - how phrases and transcripts are compared
+   * @param {string} text - Phrase or transcript
+   * @returns {string}
+   */
+  const normalizePhrase = (text) =>
+    String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s{}_]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+  /**
+   * Match one phrase against a transcript
+   * @param {string} phrase - Trigger phrase with {slots}
+   * @param {string} text - Normalized transcript
+   * @returns {Object|null} Slot values, null when it does not match
+   */
+  const matchPhrase = (phrase, text) => {
+    const names = [];
+
+    const source = normalizePhrase(phrase)
+      .split(SLOT_PATTERN)
+      .map((part, i) => {
+        // split() puts the captured slot names at odd positions
+        if (i % 2) {
+          names.push(part);
+          return '(.+?)';
+        }
+        return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    const match = text.match(new RegExp(`^${source}$`, 'u'));
+
+    if (!match) return null;
+
+    return Object.fromEntries(names.map((name, i) => [name, match[i + 1].trim()]));
+  };
+
+  /**
+   * First command one of the transcripts triggers
+   * @param {string[]} transcripts - Transcript, then the recognizer's alternatives
+   * @param {Object[]} commands - Saved commands
+   * @param {string} [url] - Active tab URL, for commands limited to some sites
+   * @returns {{command: Object, slots: Object}|null}
+   */
+  const findCommand = (transcripts, commands, url = '') => {
+    const available = commands.filter(command =>
+      !command.hosts?.length || VoiceReplicaSiteAdapters.matchesUrl(command, url)
+    );
+
+    for (const transcript of transcripts) {
+      const text = normalizePhrase(transcript);
+      if (!text) continue;
+
+      for (const command of available) {
+        for (const phrase of command.phrases) {
+          const slots = matchPhrase(phrase, text);
+          if (slots) return { command, slots };
+        }
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Put slot values into a step value (URL-encoded inside entities.url)
+   * @param {*} value - Entity value
+   * @param {Object} slots - Slot values
+   * @param {string} key - Entity name
+   * @returns {*}
+   */
+  const fillSlots = (value, slots, key) => {
+    if (typeof value === 'string') {
+      return value.replace(SLOT_PATTERN, (text, name) => {
+        if (!(name in slots)) return text;
+        return key === 'url' ? encodeURIComponent(slots[name]) : slots[name];
+      });
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, fillSlots(item, slots, name)]));
+    }
+
+    return value;
+  };
+
+  /**
+   * The multi_step intent a matched command runs
+   * @param {Object} command - Matched command
+   * @param {Object} captured - Captured slot values
+   * @returns {Object} Intent data for the router's executeIntent
+   */
+  const toIntent = (command, captured) => {
+    const slots = { ...command.defaults, ...captured };
+
+    return {
+      intent: 'multi_step',
+      entities: {},
+      plan: {
+        steps: command.steps.map(step => ({
+          action: step.action,
+          description: fillSlots(step.description || step.action.replace(/_/g, ' '), slots, 'description'),
+          entities: fillSlots(step.entities || {}, slots, 'entities')
+        }))
+      },
+      command: command.id
+    };
+  };
+
+  // ============================================================================
+  // Storage
+  // ============================================================================
+
+  /**
+   * @returns {Promise<Object[]>} Saved commands
+   */
+  const load = async () => {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    const commands = stored[STORAGE_KEY];
+
+    return Array.isArray(commands) ? commands.filter(command => Array.isArray(command?.phrases)) : [];
+  };
+
+  /**
+   * Replace the saved commands
+   * @param {Object[]} commands - New commands
+   * @returns {Promise<Object[]>} Saved commands
+   * @throws {Error} With the validation problems in error.details
+   */
+  const save = async (commands) => {
+    const errors = validateCommands(commands);
+
+    if (errors.length) {
+      throw Object.assign(new Error(errors[0]), { details: errors });
+    }
+
+    await chrome.storage.sync.set({ [STORAGE_KEY]: commands });
+    return commands;
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    STORAGE_KEY,
+    STEP_ACTIONS,
+    COMMAND_SCHEMA,
+    validateCommands,
+    matchPhrase,
+    findCommand,
+    toIntent,
+    load,
+    save
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// The settings page and the module service worker read the global
+globalThis.VoiceReplicaCommands = VoiceReplicaCommands;
\ No newline at end of file
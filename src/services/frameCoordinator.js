@@ -0,0 +1,289 @@
+/**
+ * VoiceReplica - Frame Coordinator
+ * Runs form fills and clicks across a tab's frames - login, checkout and
+ * booking widgets often live in iframes the top frame's content.js can't reach
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+import { sendToTab, sendToFrame, getRestrictedReason } from './injectionManager.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError,
+  withTimeout
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// Max wait for one subframe (ms) - a hung widget must not stall the command
+const FRAME_TIMEOUT = 3000;
+
+// Frames content.js can run in
+const SCRIPTABLE_FRAME_URL = /^(https?|file):/i;
+
+
+/* ============================================================================
+   DISPATCH
+   The top frame always goes first and keeps the page snapshot targets.
+   Subframes never saw the snapshot, so they get the request without them.
+============================================================================ */
+
+// Send a protocol request to the tab's content scripts - frame-aware for
+// form fills and clicks, top frame only for everything else
+export function sendAcrossFrames(tabId, type, payload = {}) {
+
+  switch (type) {
+
+    case MESSAGE_TYPES.FORM_FILL:
+      return fillAcrossFrames(tabId, type, payload);
+
+    case MESSAGE_TYPES.CLICK:
+      return clickAcrossFrames(tabId, type, payload);
+
+    default:
+      return sendToTab(tabId, type, payload);
+  }
+}
+
+
+// Each frame gets the keys no earlier frame could place, so a field is never
+// filled twice. Keys a frame found ambiguous are asked about, not passed on,
+// and so are keys whose field refused the value (no matching option...).
+async function fillAcrossFrames(tabId, type, payload) {
+
+  const fields = payload.entities?.form_fields || {};
+  const handled = [];
+
+  let remaining = Object.keys(fields);
+  let notFound = null;
+
+  try {
+    const result = await sendToTab(tabId, type, payload);
+    handled.push({ frame: null, result });
+    remaining = unplacedKeys(result);
+  } catch (err) {
+    if (!isNotFound(err)) throw err;
+    notFound = err;
+  }
+
+  for (const frame of await listSubframes(tabId)) {
+
+    if (!remaining.length) break;
+
+    const subset = Object.fromEntries(remaining.map(key => [key, fields[key]]));
+
+    const result = await sendToSubframe(tabId, frame, type, {
+      ...payload,
+      entities: { ...withoutTargets(payload.entities), form_fields: subset }
+    });
+
+    if (!result) continue;
+
+    handled.push({ frame, result });
+    remaining = unplacedKeys(result);
+  }
+
+  if (!handled.length) throw notFound;
+
+  // The common case - everything happened in the top frame
+  if (handled.length === 1 && !handled[0].frame) return handled[0].result;
+
+  return mergeFormFills(handled, remaining);
+}
+
+
+// Keys the frame found no field for
+function unplacedKeys(result) {
+  return result.skipped.filter(s => s.reason === 'not found').map(s => s.key);
+}
+
+
+// First frame with a match wins; an ambiguous top frame asks instead
+async function clickAcrossFrames(tabId, type, payload) {
+
+  let notFound;
+
+  try {
+    return await sendToTab(tabId, type, payload);
+  } catch (err) {
+    // Overlay numbers and snapshot ids only exist in the top frame
+    if (!isNotFound(err) || payload.entities?.label_number || payload.entities?.target_id) throw err;
+    notFound = err;
+  }
+
+  const request = { ...payload, entities: withoutTargets(payload.entities) };
+
+  for (const frame of await listSubframes(tabId)) {
+
+    const result = await sendToSubframe(tabId, frame, type, request);
+
+    if (result) {
+      return {
+        ...result,
+        message: `${result.message} (in a frame from ${frame.host})`,
+        frame: describeFrame(frame)
+      };
+    }
+  }
+
+  throw notFound;
+}
+
+
+// Risk assessment of a click the top frame could not find
+// Resolves with the first subframe that found the target, null otherwise
+export async function assessInFrames(tabId, payload) {
+
+  const request = { ...payload, entities: withoutTargets(payload.entities) };
+
+  for (const frame of await listSubframes(tabId)) {
+
+    const assessment = await sendToSubframe(tabId, frame, MESSAGE_TYPES.ASSESS_RISK, request);
+
+    if (assessment && assessment.found !== false) {
+      return { ...assessment, frame: describeFrame(frame) };
+    }
+  }
+
+  return null;
+}
+
+
+/* ============================================================================
+   FRAMES
+============================================================================ */
+
+// Scriptable subframes in document order (webNavigation lists the top frame too)
+async function listSubframes(tabId) {
+
+  let frames;
+
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId });
+  } catch (err) {
+    console.warn('[Frames] Could not list frames:', err.message);
+    return [];
+  }
+
+  return (frames || [])
+    .filter(frame =>
+      frame.frameId !== 0 &&
+      !frame.errorOccurred &&
+      SCRIPTABLE_FRAME_URL.test(frame.url) &&
+      !getRestrictedReason(frame.url)
+    )
+    .map(frame => ({ ...frame, host: Settings.normalizeHost(frame.url) }));
+}
+
+
+// Resolves with the frame's result, null when the frame had nothing or failed
+async function sendToSubframe(tabId, frame, type, payload) {
+
+  try {
+    return await withTimeout(
+      sendToFrame(tabId, frame.frameId, type, payload),
+      FRAME_TIMEOUT,
+      `Frame ${frame.host}`
+    );
+  } catch (err) {
+    if (!isNotFound(err)) console.warn(`[Frames] ${type} in ${frame.host} failed:`, err.code || '', err.message);
+    return null;
+  }
+}
+
+
+function describeFrame(frame) {
+  return { frameId: frame.frameId, url: frame.url, host: frame.host };
+}
+
+
+// Snapshot ids and overlay numbers belong to the top frame
+function withoutTargets(entities = {}) {
+  return { ...entities, target_id: '', form_targets: {}, label_number: '' };
+}
+
+
+function isNotFound(err) {
+  return err instanceof ProtocolError && err.code === ERROR_CODES.TARGET_NOT_FOUND;
+}
+
+
+/* ============================================================================
+   RESULTS
+============================================================================ */
+
+// One form_fill result for all frames: "Filled name. Filled email and
+// password in a frame from pay.example.com. Couldn't find city."
+function mergeFormFills(handled, remaining) {
+
+  const parts = [];
+  const unresolved = [];
+
+  for (const { frame, result } of handled) {
+
+    if (result.filled.length) {
+      const where = frame ? ` in a frame from ${frame.host}` : '';
+      parts.push(`Filled ${listKeys(result.filled)}${where}.`);
+    }
+
+    unresolved.push(...result.unresolved.map(entry => ({ ...entry, frame: frame && describeFrame(frame) })));
+  }
+
+  // Keys a frame's field refused stay with that frame's reason
+  const refused = handled.flatMap(({ result }) => result.skipped.filter(s => s.reason !== 'not found'));
+  const skipped = [...refused, ...remaining.map(key => ({ key, reason: 'not found' }))];
+
+  const skippedFor = (reason) => listKeys(skipped.filter(s => s.reason === reason).map(s => s.key));
+
+  const notFound = skippedFor('not found');
+  const noOption = skippedFor('no matching option');
+  const notEditable = skippedFor('not editable');
+
+  if (notFound) parts.push(`Couldn't find ${notFound}.`);
+  if (noOption) parts.push(`No option matches the ${noOption} given.`);
+  if (notEditable) parts.push(`Couldn't type into ${notEditable}.`);
+
+  for (const { key, candidates } of unresolved) {
+    const spoken = candidates.map(c => `${c.index}. ${c.label}`).join(', ');
+    parts.push(`For ${key.replace(/_/g, ' ')} I found ${candidates.length} fields: ${spoken}.`);
+  }
+
+  if (unresolved.length) parts.push('Which one did you mean?');
+
+  // The first iframe that filled something - tells the assistant to say where
+  const subframe = handled.find(({ frame }) => frame)?.frame;
+
+  return {
+    message: parts.join(' '),
+    frame: subframe ? describeFrame(subframe) : null,
+    filled: handled.flatMap(({ result }) => result.filled),
+    skipped,
+    unresolved,
+    ambiguous: unresolved.length > 0,
+    partial: skipped.length > 0,
+    frames: handled.map(({ frame, result }) => ({
+      ...(frame ? describeFrame(frame) : { frameId: 0 }),
+      filled: result.filled
+    }))
+  };
+}
+
+
+// ['first_name', 'email'] → "first name and email"
+function listKeys(keys) {
+
+  const words = keys.map(key => key.replace(/_/g, ' '));
+
+  if (words.length < 2) return words.join('');
+
+  return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * VoiceReplica - Content Script Injection Manager
+ * Makes sure content.js is loaded and listening before the worker messages a tab
+ */
+
+'use strict';
+
+import './protocol.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError,
+  createRequest,
+  unwrapResponse,
+  withTimeout
+} = globalThis.VoiceReplicaProtocol;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+const CONTENT_SCRIPT_FILES = ['src/services/protocol.js', 'src/services/siteAdapters.js', 'src/services/content.js'];
+
+const PING_TIMEOUT = 500;
+
+const TAB_LOAD_TIMEOUT = 15000;
+
+const MAX_SEND_ATTEMPTS = 3;
+
+// Time a delivered command has to start the navigation that closed its channel
+const NAVIGATION_GRACE = 500;
+
+// Pages Chrome never lets extensions script, with the spoken explanation
+const RESTRICTED_PAGES = [
+  {
+    pattern: /^(chrome|edge|brave|about|devtools|view-source|chrome-search|chrome-untrusted):/i,
+    message: "I can't control browser pages like settings or the new tab page. Open a website and try again."
+  },
+  {
+    pattern: /^https:\/\/(chrome\.google\.com\/webstore|chromewebstore\.google\.com)/i,
+    message: "Chrome doesn't let extensions control the Web Store."
+  },
+  {
+    pattern: /^chrome-extension:/i,
+    message: "I can't control extension pages."
+  },
+  {
+    pattern: /\.pdf([?#]|$)/i,
+    message: "I can't control PDF documents. Open a web page and try again."
+  }
+];
+
+
+/* ============================================================================
+   READINESS TRACKING
+   Tabs whose content.js answered a ping since their last navigation.
+   The worker may be restarted at any time - a cache miss just pings again.
+============================================================================ */
+
+const readyTabs = new Set();
+
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  if (info.status === 'loading') readyTabs.delete(tabId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  readyTabs.delete(tabId);
+});
+
+
+/* ============================================================================
+   PUBLIC API
+============================================================================ */
+
+// Spoken explanation when the URL cannot be scripted, otherwise null
+export function getRestrictedReason(url) {
+
+  if (!url) return null;
+
+  return RESTRICTED_PAGES.find(page => page.pattern.test(url))?.message || null;
+}
+
+
+// Wait for the tab to load, then ping content.js and inject it only if silent
+export async function ensureContentScript(tabId) {
+
+  const tab = await chrome.tabs.get(tabId);
+
+  const restricted = getRestrictedReason(tab.url || tab.pendingUrl);
+
+  if (restricted) {
+    throw new ProtocolError(ERROR_CODES.RESTRICTED_PAGE, restricted);
+  }
+
+  if (tab.status !== 'complete') {
+    await waitForTabLoad(tabId);
+  }
+
+  if (readyTabs.has(tabId)) return;
+
+  // Usually the manifest copy is already listening
+  if (await ping(tabId)) {
+    readyTabs.add(tabId);
+    return;
+  }
+
+  console.log('[Injector] Injecting content.js into', tabId);
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: CONTENT_SCRIPT_FILES
+    });
+  } catch (err) {
+    throw toInjectionError(err);
+  }
+
+  if (!(await ping(tabId))) {
+    throw new ProtocolError(ERROR_CODES.CONTENT_UNAVAILABLE, 'content.js did not answer after injection');
+  }
+
+  readyTabs.add(tabId);
+}
+
+
+// Send a protocol request to content.js in the tab's top frame.
+// Retries when the page was between documents; a command that navigates
+// away before answering counts as done instead of being sent twice.
+export async function sendToTab(tabId, type, payload = {}) {
+
+  const request = createRequest(type, payload, 'worker');
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+
+    await ensureContentScript(tabId);
+
+    const navigation = watchNavigation(tabId);
+
+    try {
+
+      const response = await chrome.tabs.sendMessage(tabId, request, { frameId: 0 });
+
+      return unwrapResponse(response);
+
+    } catch (err) {
+
+      // content.js answered with an error - do not retry the action
+      if (err instanceof ProtocolError) throw err;
+
+      lastError = err;
+      readyTabs.delete(tabId);
+
+      if (isChannelClosed(err) && await navigation.started(NAVIGATION_GRACE)) {
+        await waitForTabLoad(tabId).catch(() => {});
+        return { navigated: true, message: 'Page changed' };
+      }
+
+      console.warn(`[Injector] ${type} attempt ${attempt} failed:`, err.message);
+
+    } finally {
+      navigation.stop();
+    }
+  }
+
+  throw new ProtocolError(
+    ERROR_CODES.CONTENT_UNAVAILABLE,
+    lastError?.message || 'content.js is not reachable'
+  );
+}
+
+
+// Send a protocol request to content.js in one subframe (iframe) of the tab.
+// No retries - frames come and go with their page.
+export async function sendToFrame(tabId, frameId, type, payload = {}) {
+
+  if (!(await ping(tabId, frameId))) {
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [frameId] },
+        files: CONTENT_SCRIPT_FILES
+      });
+    } catch (err) {
+      throw toInjectionError(err);
+    }
+
+    if (!(await ping(tabId, frameId))) {
+      throw new ProtocolError(ERROR_CODES.CONTENT_UNAVAILABLE, 'content.js did not answer in the frame');
+    }
+  }
+
+  const response = await chrome.tabs.sendMessage(tabId, createRequest(type, payload, 'worker'), { frameId });
+
+  return unwrapResponse(response);
+}
+
+
+export function waitForTabLoad(tabId, { expectNavigation = false, timeout = TAB_LOAD_TIMEOUT } = {}) {
+
+  return new Promise((resolve, reject) => {
+
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new ProtocolError(ERROR_CODES.TIMEOUT, 'Page load timed out'));
+    }, timeout);
+
+    function listener(updatedId, info) {
+      if (updatedId === tabId && info.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve({ loaded: true });
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    if (expectNavigation) return;
+
+    // Already loaded
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === 'complete') listener(tabId, { status: 'complete' });
+    }).catch(() => {});
+  });
+}
+
+
+export async function navigateAndWait(tabId, url) {
+
+  // Listen before navigating so the old page's 'complete' is not mistaken
+  const loaded = waitForTabLoad(tabId, { expectNavigation: true });
+
+  await chrome.tabs.update(tabId, { url });
+
+  return loaded;
+}
+
+
+/* ============================================================================
+   HELPERS
+============================================================================ */
+
+async function ping(tabId, frameId = 0) {
+
+  try {
+
+    const response = await withTimeout(
+      chrome.tabs.sendMessage(tabId, createRequest(MESSAGE_TYPES.PING, {}, 'worker'), { frameId }),
+      PING_TIMEOUT,
+      'Ping'
+    );
+
+    return Boolean(unwrapResponse(response)?.ready);
+
+  } catch (err) {
+    return false;
+  }
+}
+
+
+// Records whether the tab starts loading a new document
+function watchNavigation(tabId) {
+
+  let started = false;
+  let notify = null;
+
+  const listener = (updatedId, info) => {
+    if (updatedId === tabId && info.status === 'loading') {
+      started = true;
+      notify?.();
+    }
+  };
+
+  chrome.tabs.onUpdated.addListener(listener);
+
+  return {
+    started(grace) {
+      if (started) return Promise.resolve(true);
+
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(started), grace);
+        notify = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+      });
+    },
+
+    stop() {
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+  };
+}
+
+
+// The message reached content.js but the page unloaded before it answered
+function isChannelClosed(err) {
+  return /message (channel|port) closed/i.test(err.message || '');
+}
+
+
+function toInjectionError(err) {
+
+  if (/cannot access|cannot be scripted|extensions gallery|chrome:\/\/ url/i.test(err.message || '')) {
+    return new ProtocolError(ERROR_CODES.RESTRICTED_PAGE, "Chrome doesn't allow me to control this page.");
+  }
+
+  return new ProtocolError(ERROR_CODES.CONTENT_UNAVAILABLE, err.message);
+}
\ No newline at end of file
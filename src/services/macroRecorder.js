@@ -0,0 +1,352 @@
+/**
+ * VoiceReplica - Macro Recorder
+ * Records clicks, typing and navigations in one tab as plan steps and saves
+ * them as a custom command, so "run <name>" replays them across page loads
+ */
+
+'use strict';
+
+import './protocol.js';
+import './schema.js';
+import './siteAdapters.js';
+import './customCommands.js';
+import { sendToFrame, getRestrictedReason } from './injectionManager.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError
+} = globalThis.VoiceReplicaProtocol;
+
+const Commands = globalThis.VoiceReplicaCommands;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.storage.session key of the recording in progress (the worker may restart)
+const RECORDING_STORAGE_KEY = 'voiceReplicaMacroRecording';
+
+// Saved macros are custom commands with this id prefix
+const MACRO_ID_PREFIX = 'macro-';
+
+const MAX_NAME_LENGTH = 30;
+
+const MAX_STEPS = Commands.COMMAND_SCHEMA.properties.steps.maxItems;
+
+// Spoken controls - matched locally, never sent to the backend
+const MACRO_COMMANDS = [
+  { action: 'start', pattern: /^(start|begin) recording( a| the)?( macro)?$/ },
+  { action: 'stop', pattern: /^(stop|finish|end) recording(?: (?:the )?(?:macro )?(?:it )?(?:as|named|called) (.+))?$/ },
+  { action: 'cancel', pattern: /^(cancel|discard) (the )?(recording|macro)$/ }
+];
+
+// Steps content.js records from the user's own input
+const PAGE_STEP_ACTIONS = new Set(['click', 'type_text', 'select_option', 'press_key', 'form_fill']);
+
+// Page loads these steps start are replayed by waiting, not by opening the URL
+const NAVIGATING_STEP_ACTIONS = new Set(['click', 'press_key']);
+
+const PAGE_TRANSITIONS = new Set(['link', 'form_submit']);
+
+
+/* ============================================================================
+   VOICE CONTROLS
+============================================================================ */
+
+// "stop recording as order lookup" → { action: 'stop', name: 'order lookup' }
+export function parseMacroCommand(transcript) {
+
+  const text = String(transcript || '').toLowerCase().replace(/[.!?,]+$/, '').replace(/\s+/g, ' ').trim();
+
+  for (const { action, pattern } of MACRO_COMMANDS) {
+
+    const match = text.match(pattern);
+
+    if (match) return { action, name: action === 'stop' ? (match[2] || '').trim() : '' };
+  }
+
+  return null;
+}
+
+
+// Resolves with { message } to say - spoken failures are thrown as ProtocolError
+export function runMacroCommand({ action, name }) {
+
+  switch (action) {
+
+    case 'start':
+      return startRecording();
+
+    case 'stop':
+      return stopRecording(name);
+
+    case 'cancel':
+      return cancelRecording();
+
+    default:
+      throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown macro command ${action}`);
+  }
+}
+
+
+/* ============================================================================
+   RECORDING
+   The recording lives in session storage; every change goes through one
+   queue so a click and the navigation it starts cannot overwrite each other.
+============================================================================ */
+
+let queue = Promise.resolve();
+
+function update(change) {
+
+  const next = queue.then(async () => {
+
+    const recording = await readRecording();
+    const updated = await change(recording);
+
+    if (updated !== undefined) {
+      await chrome.storage.session.set({ [RECORDING_STORAGE_KEY]: updated });
+    }
+
+    return updated;
+  });
+
+  queue = next.catch(() => {});
+
+  return next;
+}
+
+
+async function readRecording() {
+
+  const stored = await chrome.storage.session.get(RECORDING_STORAGE_KEY);
+
+  return stored[RECORDING_STORAGE_KEY] || null;
+}
+
+
+async function startRecording() {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (!tab?.id) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'There is no tab to record.');
+
+  const restricted = getRestrictedReason(tab.url);
+
+  if (restricted) throw new ProtocolError(ERROR_CODES.RESTRICTED_PAGE, restricted);
+
+  // Replays start where the recording did
+  await update(() => ({
+    tabId: tab.id,
+    steps: [{ action: 'navigate', description: 'Open the start page', entities: { url: tab.url } }],
+    dropped: 0,
+    startedAt: Date.now()
+  }));
+
+  await armFrames(tab.id, true);
+
+  return { message: 'Recording. Click and type as usual, then say "stop recording as" and a name.' };
+}
+
+
+async function stopRecording(name) {
+
+  const recording = await readRecording();
+
+  if (!recording) throw new ProtocolError(ERROR_CODES.ACTION_FAILED, "I'm not recording a macro.");
+
+  // Keep recording until it has a name
+  if (!name) return { message: 'What should I call it? Say "stop recording as" and a name.' };
+
+  if (name.length > MAX_NAME_LENGTH) {
+    return { message: `Please use a shorter name, up to ${MAX_NAME_LENGTH} characters.` };
+  }
+
+  if (recording.steps.length < 2) {
+    return { message: 'Nothing was recorded yet. Click or type something first, or say "cancel recording".' };
+  }
+
+  const command = toCommand(name, recording.steps);
+  const commands = await Commands.load();
+
+  // Recording a name again replaces the old macro
+  await Commands.save([...commands.filter(c => c.id !== command.id), command]);
+
+  await endRecording(recording);
+
+  const dropped = recording.dropped ? ` Only the first ${MAX_STEPS} steps were kept.` : '';
+  const slot = command.defaults ? ` or "run ${name} for" and a new value` : '';
+
+  return { message: `Saved ${name}. Say "run ${name}"${slot}.${dropped}`, command: command.id };
+}
+
+
+async function cancelRecording() {
+
+  const recording = await readRecording();
+
+  if (!recording) throw new ProtocolError(ERROR_CODES.ACTION_FAILED, "I'm not recording a macro.");
+
+  await endRecording(recording);
+
+  return { message: 'Recording discarded.' };
+}
+
+
+async function endRecording(recording) {
+
+  await update(async () => {
+    await chrome.storage.session.remove(RECORDING_STORAGE_KEY);
+  });
+
+  await armFrames(recording.tabId, false);
+}
+
+
+// A step content.js saw the user take (MACRO_STEP event)
+export function recordStep(tabId, step) {
+
+  if (!PAGE_STEP_ACTIONS.has(step.action)) return Promise.resolve();
+
+  return update((recording) => {
+
+    if (recording?.tabId !== tabId) return undefined;
+
+    return addStep(recording, {
+      action: step.action,
+      ...(step.description && { description: String(step.description).slice(0, 120) }),
+      entities: step.entities || {}
+    });
+  });
+}
+
+
+// Typed URLs, bookmarks and voice navigation become navigate steps; pages the
+// recorded click or Enter opened are waited for
+function recordNavigation(details) {
+
+  if (details.frameId !== 0 || getRestrictedReason(details.url)) return;
+
+  return update((recording) => {
+
+    if (recording?.tabId !== details.tabId) return undefined;
+
+    const last = recording.steps[recording.steps.length - 1];
+
+    let step;
+
+    if (details.transitionQualifiers?.includes('forward_back')) {
+      step = { action: 'go_back', description: 'Go back' };
+    } else if (details.transitionType === 'reload') {
+      step = { action: 'reload', description: 'Reload the page' };
+    } else if (PAGE_TRANSITIONS.has(details.transitionType) && NAVIGATING_STEP_ACTIONS.has(last?.action)) {
+      step = { action: 'wait_for_load', description: 'Wait for the page' };
+    } else if (last?.action === 'navigate' && last.entities.url === details.url) {
+      return undefined;
+    } else {
+      step = { action: 'navigate', description: `Open ${new URL(details.url).hostname}`, entities: { url: details.url } };
+    }
+
+    return addStep(recording, step);
+  });
+}
+
+
+function addStep(recording, step) {
+
+  if (recording.steps.length >= MAX_STEPS) {
+    return { ...recording, dropped: recording.dropped + 1 };
+  }
+
+  return { ...recording, steps: [...recording.steps, step] };
+}
+
+
+/* ============================================================================
+   SAVED MACROS
+============================================================================ */
+
+// Typed values become slots with the recorded text as default:
+// "run order lookup for 12345" replaces the first one
+function toCommand(name, steps) {
+
+  const defaults = {};
+
+  const slotted = steps.map((step) => {
+
+    if (step.action !== 'type_text' || !step.entities.value) return step;
+
+    const slot = Object.keys(defaults).length ? `value_${Object.keys(defaults).length + 1}` : 'value';
+
+    defaults[slot] = step.entities.value;
+
+    return { ...step, entities: { ...step.entities, value: `{${slot}}` } };
+  });
+
+  const slots = Object.keys(defaults);
+
+  // Longest first - "{value}" alone would swallow "a and b"
+  const phrases = [
+    slots.length > 1 && `run ${name} for ${slots.map(slot => `{${slot}}`).join(' and ')}`,
+    slots.length && `run ${name} for {value}`,
+    `run ${name}`
+  ].filter(Boolean);
+
+  return {
+    id: MACRO_ID_PREFIX + name.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    description: `Recorded macro "${name}"`,
+    phrases,
+    reply: `Finished ${name}`,
+    steps: slotted,
+    ...(slots.length && { defaults })
+  };
+}
+
+
+/* ============================================================================
+   CONTENT SCRIPTS
+   content.js only listens for the user's clicks and typing while armed.
+   Every page the recorded tab loads is armed again.
+============================================================================ */
+
+async function armFrames(tabId, active) {
+
+  let frames;
+
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId });
+  } catch (err) {
+    frames = [{ frameId: 0 }];
+  }
+
+  await Promise.all((frames || []).map(frame => armFrame(tabId, frame.frameId, active)));
+}
+
+
+async function armFrame(tabId, frameId, active) {
+
+  try {
+    await sendToFrame(tabId, frameId, MESSAGE_TYPES.MACRO_RECORD, { active });
+  } catch (err) {
+    console.warn(`[Macro] Could not ${active ? 'arm' : 'disarm'} frame ${frameId}:`, err.message);
+  }
+}
+
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  recordNavigation(details)?.catch((err) => {
+    console.error('[Macro] Recording navigation failed:', err);
+  });
+});
+
+
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+
+  const recording = await readRecording();
+
+  if (recording?.tabId === details.tabId && !getRestrictedReason(details.url)) {
+    armFrame(details.tabId, details.frameId, true);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * VoiceReplica - Page Reader
+ * Has content.js read the active page aloud and passes the spoken controls
+ * ("pause", "faster", "skip paragraph", "stop"...) to the tab being read
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+import { sendToTab } from './injectionManager.js';
+import { normalizeText } from './textMatch.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.storage.session key of the tab being read (the worker may restart)
+const READER_TAB_STORAGE_KEY = 'voiceReplicaReaderTab';
+
+// Spoken controls - matched locally while a page is read
+const READER_COMMANDS = [
+  { action: 'pause', pattern: /^(?:pause|hold on|wait)(?: reading)?$/ },
+  { action: 'resume', pattern: /^(?:resume|continue|carry on|keep going|go on)(?: reading)?$/ },
+  { action: 'faster', pattern: /^(?:read )?(?:faster|quicker|speed up)$/ },
+  { action: 'slower', pattern: /^(?:read )?(?:slower|slow down)$/ },
+  { action: 'skip', pattern: /^(?:skip|next)(?: this| the)? paragraph$/ },
+  { action: 'stop', pattern: /^(?:stop|stop reading|that s enough)$/ }
+];
+
+
+/* ============================================================================
+   READ ALOUD
+============================================================================ */
+
+// content.js speaks the page, in the reply voice - the reply only announces it
+export async function startReading() {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (!tab?.id) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'There is no page to read');
+
+  const voice = Settings.speechOptions(await Settings.load());
+
+  const result = await sendToTab(tab.id, MESSAGE_TYPES.READ_ALOUD, { action: 'start', voice });
+
+  await chrome.storage.session.set({ [READER_TAB_STORAGE_KEY]: tab.id });
+
+  return result;
+}
+
+
+// Resolves to { message } when the transcript controlled the page being
+// read, null when it is a new command (or nothing is being read)
+export async function answerReaderCommand(transcript) {
+
+  const text = normalizeText(transcript);
+  const command = READER_COMMANDS.find(({ pattern }) => pattern.test(text));
+
+  if (!command) return null;
+
+  return controlReader(command.action);
+}
+
+
+// The user talked over the page being read - it waits for their command
+export function pauseReading() {
+  return controlReader('pause');
+}
+
+
+async function controlReader(action) {
+
+  const stored = await chrome.storage.session.get(READER_TAB_STORAGE_KEY);
+  const tabId = stored[READER_TAB_STORAGE_KEY];
+
+  if (!tabId) return null;
+
+  try {
+    const result = await sendToTab(tabId, MESSAGE_TYPES.READ_ALOUD, { action });
+
+    if (result?.handled !== false) return result;
+  } catch (err) {
+    console.warn('[Reader] Could not reach the page being read:', err.code || '', err.message);
+  }
+
+  // Reading finished, or the tab was closed or left
+  await chrome.storage.session.remove(READER_TAB_STORAGE_KEY);
+
+  return null;
+}
\ No newline at end of file
@@ -0,0 +1,382 @@
+/*
+ * VoiceReplica - Profile Vault
+ * Shared by the settings page and the service worker
+ *
+ * @module profileVault
+ * @description The user's form details, encrypted with a passphrase (WebCrypto)
+ *              and kept in chrome.storage.local. Profile values are only ever
+ *              handed to content.js for filling - never to the backend.
+ * @version 1.0.0
+ */
+
+// var: may be loaded by several scripts of the same page
+var VoiceReplicaVault = globalThis.VoiceReplicaVault || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  // Encrypted profile (chrome.storage.local - never synced)
+  const STORAGE_KEY = 'voiceReplicaVault';
+
+  // Key of the unlocked vault (chrome.storage.session - memory only,
+  // not readable by content scripts, gone when the browser closes)
+  const SESSION_KEY = 'voiceReplicaVaultKey';
+
+  const VERSION = 1;
+
+  const KDF_ITERATIONS = 310000;
+
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  /**
+   * Profile fields - the standard form_fields keys of the intent prompt
+   * Sensitive values are masked in the settings page
+   */
+  const PROFILE_FIELDS = Object.freeze([
+    { key: 'name', label: 'Full name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'username', label: 'Username' },
+    { key: 'password', label: 'Password', sensitive: true },
+    { key: 'address', label: 'Address' },
+    { key: 'city', label: 'City' },
+    { key: 'state', label: 'State' },
+    { key: 'pincode', label: 'Pincode' },
+    { key: 'dob', label: 'Date of birth' },
+    { key: 'age', label: 'Age' },
+    { key: 'gender', label: 'Gender' }
+  ].map(Object.freeze));
+
+  const PROFILE_KEYS = PROFILE_FIELDS.map(field => field.key);
+
+  const ERROR_CODES = Object.freeze({
+    NO_VAULT: 'NO_VAULT',
+    LOCKED: 'LOCKED',
+    WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+    WEAK_PASSPHRASE: 'WEAK_PASSPHRASE'
+  });
+
+  class VaultError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'VaultError';
+      this.code = code;
+    }
+  }
+
+  // ============================================================================
+  // Encoding
+  // ============================================================================
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} buffer - Raw bytes
+   * @returns {string} Base64 text
+   */
+  const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+
+    return btoa(binary);
+  };
+
+  /**
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array} Raw bytes
+   */
+  const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+  // ============================================================================
+  // Profile
+  // ============================================================================
+
+  /**
+   * Keep the known fields with a non-empty value
+   * @param {Object} profile - Raw profile
+   * @returns {Object} Clean profile
+   */
+  const normalizeProfile = (profile) => {
+    const entries = PROFILE_KEYS
+      .map(key => [key, String(profile?.[key] ?? '').trim()])
+      .filter(([, value]) => value);
+
+    return Object.fromEntries(entries);
+  };
+
+  /**
+   * Resolve the form_fields of a form_fill intent against the profile
+   *
+   * Spoken values always win. An empty value ("fill my email") asks for the
+   * saved one; useProfile (entities.action "profile") adds every saved field.
+   *
+   * @param {Object} formFields - entities.form_fields
+   * @param {Object} profile - Unlocked profile
+   * @param {boolean} [useProfile] - Fill every saved field
+   * @returns {{fields: Object, missing: string[]}} Values to fill and the
+   *          requested keys the profile has no value for (left out of fields,
+   *          so they are not mistaken for fields missing from the page)
+   */
+  const mergeFormFields = (formFields = {}, profile = {}, useProfile = false) => {
+    const fields = useProfile ? { ...profile } : {};
+    const missing = [];
+
+    for (const [key, value] of Object.entries(formFields)) {
+      const spoken = String(value ?? '').trim();
+
+      if (spoken) {
+        fields[key] = spoken;
+      } else if (profile[key]) {
+        fields[key] = profile[key];
+      } else {
+        missing.push(key);
+      }
+    }
+
+    return { fields, missing };
+  };
+
+  /**
+   * Whether a form_fill intent refers to the saved profile
+   * @param {Object} entities - Intent entities
+   * @returns {boolean}
+   */
+  const wantsProfile = (entities = {}) =>
+    entities.action === 'profile' ||
+    Object.values(entities.form_fields || {}).some(value => !String(value ?? '').trim());
+
+  // ============================================================================
+  // Crypto
+  // ============================================================================
+
+  /**
+   * Derive the AES-GCM key of a passphrase (PBKDF2-SHA-256)
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt stored with the vault
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  const deriveKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    // Extractable so the unlocked key can be kept in session storage
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  };
+
+  /**
+   * @param {CryptoKey} key - Vault key
+   * @param {Object} profile - Clean profile
+   * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+   */
+  const encrypt = async (key, profile) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(profile))
+    );
+
+    return { iv: toBase64(iv), data: toBase64(data) };
+  };
+
+  /**
+   * @param {CryptoKey} key - Vault key
+   * @param {Object} vault - Stored vault
+   * @returns {Promise<Object>} Profile
+   * @throws {VaultError} WRONG_PASSPHRASE when the key does not match
+   */
+  const decrypt = async (key, vault) => {
+    let plain;
+
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(vault.iv) },
+        key,
+        fromBase64(vault.data)
+      );
+    } catch {
+      // AES-GCM authentication fails for any other key
+      throw new VaultError(ERROR_CODES.WRONG_PASSPHRASE, 'Wrong passphrase');
+    }
+
+    return normalizeProfile(JSON.parse(new TextDecoder().decode(plain)));
+  };
+
+  // ============================================================================
+  // Storage
+  // ============================================================================
+
+  /**
+   * @returns {Promise<Object|null>} Stored vault
+   */
+  const readVault = async () => {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || null;
+  };
+
+  /**
+   * @returns {Promise<CryptoKey|null>} Key of the unlocked vault
+   */
+  const readSessionKey = async () => {
+    const stored = await chrome.storage.session.get(SESSION_KEY);
+    if (!stored[SESSION_KEY]) return null;
+
+    return crypto.subtle.importKey('raw', fromBase64(stored[SESSION_KEY]), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  };
+
+  /**
+   * @param {CryptoKey} key - Key to keep until lock() or the browser closes
+   */
+  const writeSessionKey = async (key) => {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ [SESSION_KEY]: toBase64(raw) });
+  };
+
+  /**
+   * Vault state for the settings page
+   * @returns {Promise<{exists: boolean, unlocked: boolean}>}
+   */
+  const getStatus = async () => {
+    const vault = await readVault();
+    const unlocked = Boolean(vault) && Boolean((await chrome.storage.session.get(SESSION_KEY))[SESSION_KEY]);
+
+    return { exists: Boolean(vault), unlocked };
+  };
+
+  /**
+   * Create the vault (replaces an existing one) and leave it unlocked
+   * @param {string} passphrase - New passphrase
+   * @param {Object} [profile] - Initial profile
+   * @returns {Promise<Object>} Saved profile
+   */
+  const create = async (passphrase, profile = {}) => {
+    if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+      throw new VaultError(
+        ERROR_CODES.WEAK_PASSPHRASE,
+        `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+    const clean = normalizeProfile(profile);
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: {
+        version: VERSION,
+        kdf: { salt: toBase64(salt), iterations: KDF_ITERATIONS },
+        ...(await encrypt(key, clean))
+      }
+    });
+
+    await writeSessionKey(key);
+    return clean;
+  };
+
+  /**
+   * Unlock the vault for this browser session
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<Object>} Profile
+   */
+  const unlock = async (passphrase) => {
+    const vault = await readVault();
+    if (!vault) throw new VaultError(ERROR_CODES.NO_VAULT, 'No saved profile');
+
+    const key = await deriveKey(String(passphrase || ''), fromBase64(vault.kdf.salt), vault.kdf.iterations);
+    const profile = await decrypt(key, vault);
+
+    await writeSessionKey(key);
+    return profile;
+  };
+
+  /**
+   * Forget the unlocked key
+   */
+  const lock = () => chrome.storage.session.remove(SESSION_KEY);
+
+  /**
+   * Read the unlocked profile
+   * @returns {Promise<Object>} Profile
+   * @throws {VaultError} NO_VAULT or LOCKED
+   */
+  const load = async () => {
+    const vault = await readVault();
+    if (!vault) throw new VaultError(ERROR_CODES.NO_VAULT, 'No saved profile');
+
+    const key = await readSessionKey();
+    if (!key) throw new VaultError(ERROR_CODES.LOCKED, 'Saved profile is locked');
+
+    return decrypt(key, vault);
+  };
+
+  /**
+   * Replace the profile of the unlocked vault
+   * @param {Object} profile - New profile
+   * @returns {Promise<Object>} Saved profile
+   */
+  const save = async (profile) => {
+    const vault = await readVault();
+    if (!vault) throw new VaultError(ERROR_CODES.NO_VAULT, 'No saved profile');
+
+    const key = await readSessionKey();
+    if (!key) throw new VaultError(ERROR_CODES.LOCKED, 'Saved profile is locked');
+
+    const clean = normalizeProfile(profile);
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: { ...vault, ...(await encrypt(key, clean)) }
+    });
+
+    return clean;
+  };
+
+  /**
+   * Delete the vault - the only way out of a forgotten passphrase
+   */
+  const clear = async () => {
+    await chrome.storage.local.remove(STORAGE_KEY);
+    await lock();
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    PROFILE_FIELDS,
+    ERROR_CODES,
+    MIN_PASSPHRASE_LENGTH,
+    VaultError,
+    normalizeProfile,
+    mergeFormFields,
+    wantsProfile,
+    getStatus,
+    create,
+    unlock,
+    lock,
+    load,
+    save,
+    clear
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// The settings page and the module service worker read the global
+globalThis.VoiceReplicaVault = VoiceReplicaVault;
\ No newline at end of file
@@ -0,0 +1,429 @@
+/*
+ * VoiceReplica - Message Protocol
+ * Shared by the popup, the service worker and the content script
+ *
+ * @module protocol
+ * @description Versioned request / response / event envelopes with
+ *              correlation ids, error codes and a validator
+ * @version 1.0.0
+ */
+
+// var: content.js may be injected again into the same page
+var VoiceReplicaProtocol = globalThis.VoiceReplicaProtocol || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  const PROTOCOL_NAME = 'voicereplica';
+
+  // Bump when envelopes or payloads change incompatibly
+  const PROTOCOL_VERSION = 1;
+
+  const MESSAGE_KINDS = Object.freeze({
+    REQUEST: 'request',
+    RESPONSE: 'response',
+    EVENT: 'event'
+  });
+
+  /**
+   * Message types
+   * EXECUTE_INTENT and the listening controls go popup → service worker,
+   * PLAN_PROGRESS and SESSION_UPDATE are service worker → popup events,
+   * RECOGNITION_* / TRANSCRIPT / COMMAND_CAPTURED pass between the service
+   * worker and the offscreen document (SPEECH_STATE tells it what the reply
+   * voice is saying, BARGE_IN reports the user talking over it),
+   * PUSH_TO_TALK_RELEASED and MACRO_STEP are content.js → service worker
+   * events, everything else is handled by content.js
+   * (PING is the readiness handshake used before injecting it, ASSESS_RISK
+   * describes what an intent would do without doing it, LINK_URL finds a
+   * link's address for "open it in a new tab", SEARCH_RESULTS reads a results
+   * page, SEARCH_PAGE turns it and READ_ALOUD starts reading the page out or
+   * passes a spoken control - pause, faster, stop - while it reads)
+   */
+  const MESSAGE_TYPES = Object.freeze({
+    EXECUTE_INTENT: 'EXECUTE_INTENT',
+    PLAN_PROGRESS: 'PLAN_PROGRESS',
+    PING: 'PING',
+
+    START_LISTENING: 'START_LISTENING',
+    STOP_LISTENING: 'STOP_LISTENING',
+    GET_SESSION: 'GET_SESSION',
+    RESET_CONVERSATION: 'RESET_CONVERSATION',
+    SESSION_UPDATE: 'SESSION_UPDATE',
+
+    RECOGNITION_START: 'RECOGNITION_START',
+    RECOGNITION_STOP: 'RECOGNITION_STOP',
+    RECOGNITION_SUBMIT: 'RECOGNITION_SUBMIT',
+    RECOGNITION_STATE: 'RECOGNITION_STATE',
+    TRANSCRIPT: 'TRANSCRIPT',
+    COMMAND_CAPTURED: 'COMMAND_CAPTURED',
+    SPEECH_STATE: 'SPEECH_STATE',
+    BARGE_IN: 'BARGE_IN',
+    PUSH_TO_TALK_RELEASED: 'PUSH_TO_TALK_RELEASED',
+    MACRO_STEP: 'MACRO_STEP',
+
+    NAVIGATION: 'NAVIGATION',
+    WEBSITE_SEARCH: 'WEBSITE_SEARCH',
+    FORM_FILL: 'FORM_FILL',
+    BOOK_TICKET: 'BOOK_TICKET',
+    CLICK: 'CLICK',
+    SCROLL: 'SCROLL',
+    TYPE_TEXT: 'TYPE_TEXT',
+    SELECT_OPTION: 'SELECT_OPTION',
+    PRESS_KEY: 'PRESS_KEY',
+    SHOW_LABELS: 'SHOW_LABELS',
+    HIDE_LABELS: 'HIDE_LABELS',
+    LISTENING_INDICATOR: 'LISTENING_INDICATOR',
+    SUMMARIZE: 'SUMMARIZE',
+    PAGE_SNAPSHOT: 'PAGE_SNAPSHOT',
+    EXTRACT_CONTENT: 'EXTRACT_CONTENT',
+    HIGHLIGHT_PASSAGE: 'HIGHLIGHT_PASSAGE',
+    ASSESS_RISK: 'ASSESS_RISK',
+    MACRO_RECORD: 'MACRO_RECORD',
+    LINK_URL: 'LINK_URL',
+    SEARCH_RESULTS: 'SEARCH_RESULTS',
+    SEARCH_PAGE: 'SEARCH_PAGE',
+    READ_ALOUD: 'READ_ALOUD'
+  });
+
+  const ERROR_CODES = Object.freeze({
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    NO_ACTIVE_TAB: 'NO_ACTIVE_TAB',
+    RESTRICTED_PAGE: 'RESTRICTED_PAGE',
+    CONTENT_UNAVAILABLE: 'CONTENT_UNAVAILABLE',
+    TARGET_NOT_FOUND: 'TARGET_NOT_FOUND',
+    TIMEOUT: 'TIMEOUT',
+    ACTION_FAILED: 'ACTION_FAILED',
+    PROFILE_UNAVAILABLE: 'PROFILE_UNAVAILABLE',
+    PERMISSION_REQUIRED: 'PERMISSION_REQUIRED'
+  });
+
+  /**
+   * Backend intent → content.js message type
+   * Intents missing here are not executed by content.js
+   */
+  const INTENT_MESSAGE_TYPES = Object.freeze({
+    navigation: MESSAGE_TYPES.NAVIGATION,
+    website_search: MESSAGE_TYPES.WEBSITE_SEARCH,
+    form_fill: MESSAGE_TYPES.FORM_FILL,
+    book_ticket: MESSAGE_TYPES.BOOK_TICKET,
+    summarize: MESSAGE_TYPES.SUMMARIZE,
+    click: MESSAGE_TYPES.CLICK,
+    scroll: MESSAGE_TYPES.SCROLL,
+    type_text: MESSAGE_TYPES.TYPE_TEXT,
+    select_option: MESSAGE_TYPES.SELECT_OPTION,
+    press_key: MESSAGE_TYPES.PRESS_KEY,
+    show_labels: MESSAGE_TYPES.SHOW_LABELS,
+    hide_labels: MESSAGE_TYPES.HIDE_LABELS
+  });
+
+  /**
+   * Risk of a page action, lowest first (ASSESS_RISK results)
+   */
+  const RISK_LEVELS = Object.freeze(['none', 'low', 'medium', 'high']);
+
+  /**
+   * Required payload paths per message type
+   * Types not listed accept any (or no) payload
+   */
+  const PAYLOAD_RULES = Object.freeze({
+    EXECUTE_INTENT: ['intent', 'entities'],
+    PLAN_PROGRESS: ['step', 'total', 'status'],
+    SESSION_UPDATE: ['phase', 'status'],
+    RECOGNITION_START: ['mode', 'settings'],
+    RECOGNITION_STATE: ['phase'],
+    COMMAND_CAPTURED: ['transcript'],
+    SPEECH_STATE: ['speaking'],
+    NAVIGATION: ['entities.url'],
+    WEBSITE_SEARCH: ['entities.query'],
+    FORM_FILL: ['entities.form_fields'],
+    BOOK_TICKET: ['entities'],
+    CLICK: ['entities'],
+    SCROLL: ['entities'],
+    TYPE_TEXT: ['entities.value'],
+    SELECT_OPTION: ['entities.value'],
+    PRESS_KEY: ['entities.key'],
+    LISTENING_INDICATOR: ['state'],
+    ASSESS_RISK: ['intent', 'entities'],
+    MACRO_RECORD: ['active'],
+    LINK_URL: ['entities'],
+    SEARCH_PAGE: ['direction'],
+    READ_ALOUD: ['action'],
+    MACRO_STEP: ['step.action']
+  });
+
+  // ============================================================================
+  // Errors
+  // ============================================================================
+
+  /**
+   * Error carrying a protocol error code across contexts
+   */
+  class ProtocolError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable message
+     */
+    constructor(code, message) {
+      super(message);
+      this.name = 'ProtocolError';
+      this.code = code;
+    }
+  }
+
+  // ============================================================================
+  // Envelopes
+  // ============================================================================
+
+  /**
+   * Generate a correlation id
+   * @returns {string} Unique id
+   */
+  const createId = () => {
+    return globalThis.crypto?.randomUUID?.() ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  };
+
+  /**
+   * Create a request envelope
+   *
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {Object} [payload] - Request payload
+   * @param {string} [source] - Sender context ('popup', 'worker', 'content')
+   * @returns {Object} Request envelope
+   */
+  const createRequest = (type, payload = {}, source = 'unknown') => ({
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    kind: MESSAGE_KINDS.REQUEST,
+    id: createId(),
+    type,
+    source,
+    payload,
+    timestamp: Date.now()
+  });
+
+  /**
+   * Create a successful response to a request
+   *
+   * @param {Object} request - Request being answered
+   * @param {*} data - Result data
+   * @returns {Object} Response envelope
+   */
+  const createResponse = (request, data = {}) => ({
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    kind: MESSAGE_KINDS.RESPONSE,
+    id: request?.id || null,
+    type: request?.type || null,
+    ok: true,
+    data
+  });
+
+  /**
+   * Create an error response to a request
+   * Plain errors are reported as ACTION_FAILED
+   *
+   * @param {Object} request - Request being answered
+   * @param {Error|ProtocolError} error - Failure
+   * @returns {Object} Response envelope
+   */
+  const createErrorResponse = (request, error) => ({
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    kind: MESSAGE_KINDS.RESPONSE,
+    id: request?.id || null,
+    type: request?.type || null,
+    ok: false,
+    error: {
+      code: error?.code || ERROR_CODES.ACTION_FAILED,
+      message: error?.message || 'Unknown error'
+    }
+  });
+
+  /**
+   * Create a fire-and-forget event envelope
+   *
+   * @param {string} type - One of MESSAGE_TYPES
+   * @param {Object} payload - Event payload
+   * @param {string} [source] - Sender context
+   * @returns {Object} Event envelope
+   */
+  const createEvent = (type, payload = {}, source = 'unknown') => ({
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    kind: MESSAGE_KINDS.EVENT,
+    id: createId(),
+    type,
+    source,
+    payload,
+    timestamp: Date.now()
+  });
+
+  // ============================================================================
+  // Validation
+  // ============================================================================
+
+  /**
+   * Read a dotted path from an object
+   * @param {Object} object - Source object
+   * @param {string} path - e.g. 'entities.query'
+   * @returns {*} Value or undefined
+   */
+  const readPath = (object, path) => {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  };
+
+  /**
+   * Whether a value looks like a VoiceReplica envelope at all
+   * @param {*} message - Incoming message
+   * @returns {boolean}
+   */
+  const isProtocolMessage = (message) => {
+    return message?.protocol === PROTOCOL_NAME;
+  };
+
+  /**
+   * Validate an incoming envelope
+   *
+   * @param {*} message - Incoming message
+   * @param {string} [expectedKind] - Required kind (request / response / event)
+   * @returns {{valid: boolean, error: ProtocolError|null}} Validation result
+   */
+  const validateMessage = (message, expectedKind = null) => {
+    const fail = (code, text) => ({ valid: false, error: new ProtocolError(code, text) });
+
+    if (!isProtocolMessage(message)) {
+      return fail(ERROR_CODES.INVALID_MESSAGE, 'Not a VoiceReplica message');
+    }
+
+    if (message.version !== PROTOCOL_VERSION) {
+      return fail(
+        ERROR_CODES.UNSUPPORTED_VERSION,
+        `Protocol version ${message.version} is not supported (expected ${PROTOCOL_VERSION})`
+      );
+    }
+
+    if (!Object.values(MESSAGE_KINDS).includes(message.kind) || (expectedKind && message.kind !== expectedKind)) {
+      return fail(ERROR_CODES.INVALID_MESSAGE, `Unexpected message kind "${message.kind}"`);
+    }
+
+    if (typeof message.id !== 'string' || !message.id) {
+      return fail(ERROR_CODES.INVALID_MESSAGE, 'Missing correlation id');
+    }
+
+    // Responses are matched by id - their payload is checked by the caller
+    if (message.kind === MESSAGE_KINDS.RESPONSE) {
+      return { valid: true, error: null };
+    }
+
+    if (!MESSAGE_TYPES[message.type]) {
+      return fail(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${message.type}"`);
+    }
+
+    if (message.payload !== undefined && (typeof message.payload !== 'object' || message.payload === null)) {
+      return fail(ERROR_CODES.INVALID_PAYLOAD, 'Payload must be an object');
+    }
+
+    const missing = (PAYLOAD_RULES[message.type] || [])
+      .filter(path => {
+        const value = readPath(message.payload, path);
+        return value === undefined || value === null || value === '';
+      });
+
+    if (missing.length > 0) {
+      return fail(ERROR_CODES.INVALID_PAYLOAD, `${message.type} is missing ${missing.join(', ')}`);
+    }
+
+    return { valid: true, error: null };
+  };
+
+  /**
+   * Unwrap a response envelope
+   *
+   * @param {Object} response - Response envelope
+   * @returns {*} Response data
+   * @throws {ProtocolError} When the response is missing, invalid or an error
+   */
+  const unwrapResponse = (response) => {
+    if (!response) {
+      throw new ProtocolError(ERROR_CODES.CONTENT_UNAVAILABLE, 'No response received');
+    }
+
+    const { valid, error } = validateMessage(response, MESSAGE_KINDS.RESPONSE);
+    if (!valid) {
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new ProtocolError(
+        response.error?.code || ERROR_CODES.ACTION_FAILED,
+        response.error?.message || 'Request failed'
+      );
+    }
+
+    return response.data;
+  };
+
+  /**
+   * Reject with a TIMEOUT error when a promise takes too long
+   *
+   * @param {Promise} promise - Pending operation
+   * @param {number} ms - Timeout
+   * @param {string} [label] - What was being waited for
+   * @returns {Promise} Result of the operation
+   */
+  const withTimeout = (promise, ms, label = 'Request') => {
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new ProtocolError(ERROR_CODES.TIMEOUT, `${label} timed out after ${ms}ms`)),
+        ms
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    // Constants
+    PROTOCOL_VERSION,
+    MESSAGE_KINDS,
+    MESSAGE_TYPES,
+    ERROR_CODES,
+    INTENT_MESSAGE_TYPES,
+    RISK_LEVELS,
+
+    // Errors
+    ProtocolError,
+
+    // Envelopes
+    createRequest,
+    createResponse,
+    createErrorResponse,
+    createEvent,
+
+    // Validation
+    isProtocolMessage,
+    validateMessage,
+    unwrapResponse,
+    withTimeout
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// Popup, content script and the module service worker all read the global
+globalThis.VoiceReplicaProtocol = VoiceReplicaProtocol;
\ No newline at end of file
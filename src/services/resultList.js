@@ -0,0 +1,103 @@
+/**
+ * VoiceReplica - Result List
+ * The pages last read out - search results, history or bookmarks - and the
+ * spoken pick from them ("open the third result", "open it"). The newest
+ * list replaces the previous one.
+ */
+
+'use strict';
+
+import { normalizeText, ordinalOf, hostOf } from './textMatch.js';
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.storage.session key of the list (the worker may restart)
+const RESULT_LIST_STORAGE_KEY = 'voiceReplicaResultList';
+
+// How long the list can be picked from (ms)
+const RESULT_LIST_TTL = 300000;
+
+// "open the second one", "show me number 3", "open the last result", "open it"
+const RESULT_CHOICE_ANSWER = /^(?:open|show me|go to) (?:the )?(.+?)(?: (?:one|result|link|page|bookmark))?$/;
+
+
+/* ============================================================================
+   LIST
+============================================================================ */
+
+// pages are { url, title }; search is the results page they came from, for
+// turning it ("next page") - null for history and bookmarks
+export async function offerResults(pages, search = null) {
+
+  await chrome.storage.session.set({
+    [RESULT_LIST_STORAGE_KEY]: { pages, search, expiresAt: Date.now() + RESULT_LIST_TTL }
+  });
+}
+
+
+// Resolves to { pages, search }, null when there is none or it expired
+export async function readResultList() {
+
+  const stored = await chrome.storage.session.get(RESULT_LIST_STORAGE_KEY);
+  const list = stored[RESULT_LIST_STORAGE_KEY];
+
+  if (!list) return null;
+
+  if (Date.now() > list.expiresAt) {
+    await chrome.storage.session.remove(RESULT_LIST_STORAGE_KEY);
+    return null;
+  }
+
+  return list;
+}
+
+
+// Resolves to the opened page's { message } when the transcript picked one of
+// the listed pages, null when it is a new command
+export async function answerResultChoice(transcript) {
+
+  const answer = normalizeText(transcript).match(RESULT_CHOICE_ANSWER);
+
+  if (!answer) return null;
+
+  const list = await readResultList();
+
+  if (!list) return null;
+
+  // Kept until it expires - "open the first one", then "now the third one"
+  const pages = list.pages;
+
+  let picked;
+
+  if (answer[1] === 'it') picked = pages.length === 1 ? pages[0] : null;
+  else if (/\blast\b/.test(answer[1])) picked = pages[pages.length - 1];
+  else picked = pages[ordinalOf(answer[1]) - 1];
+
+  return picked ? openPage(picked) : null;
+}
+
+
+// Opens in the active tab, like navigation
+export async function openPage(page) {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (tab?.id) await chrome.tabs.update(tab.id, { url: page.url });
+  else await chrome.tabs.create({ url: page.url });
+
+  return { message: `Opened ${pageName(page)}` };
+}
+
+
+// What a page is called out loud
+export function pageName(page) {
+
+  const title = String(page.title || '').trim();
+
+  if (title) return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+
+  return hostOf(page.url) || 'the page';
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * VoiceReplica - Risk Gate
+ * Holds back risky page actions until the user confirms them out loud
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+import { sendToTab, getRestrictedReason } from './injectionManager.js';
+import { assessInFrames } from './frameCoordinator.js';
+
+const {
+  MESSAGE_TYPES,
+  RISK_LEVELS,
+  withTimeout
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// Intents content.js can assess - the rest never change the page
+const ASSESSED_INTENTS = new Set([
+  'click',
+  'press_key',
+  'form_fill',
+  'type_text',
+  'select_option',
+  'navigation',
+  'search',
+  'website_search',
+  'go_back',
+  'reload',
+  'tab',
+  'browser_history',
+  'bookmark'
+]);
+
+const ASSESS_TIMEOUT = 1500;
+
+// Intents rated without asking the page: booking always ends in a purchase
+const PRESET_RISKS = {
+  book_ticket: (entities) => {
+    const route = [
+      entities.from && `from ${entities.from}`,
+      entities.to && `to ${entities.to}`,
+      entities.date && `on ${entities.date}`
+    ].filter(Boolean).join(' ');
+
+    return { risk: 'high', category: 'purchase', description: `book a ticket ${route}`.trim() };
+  }
+};
+
+// Policies that ask anyway when the page could not be assessed
+const ASK_WHEN_UNCHECKED = new Set(['strict', 'standard']);
+
+// Read back when the page could not say what an action would do
+const UNCHECKED_DESCRIPTIONS = {
+  click: 'click that',
+  press_key: 'press that key',
+  form_fill: 'fill in the form',
+  type_text: 'type that',
+  select_option: 'select that option',
+  navigation: 'open another page',
+  search: 'search the web',
+  website_search: 'search this site',
+  go_back: 'go back',
+  reload: 'reload this page',
+  tab: 'change tabs',
+  browser_history: 'open a page from your history',
+  bookmark: 'open a bookmark'
+};
+
+// Said before the read-back, by risk category
+const RISK_WARNINGS = {
+  purchase: 'This looks like a purchase.',
+  delete: 'This may delete something.',
+  send: 'This will send something.',
+  submit: 'This will submit a form.',
+  leave_unsaved: 'You have unsaved changes on this page.',
+  unchecked: "I couldn't check what this does on the page."
+};
+
+
+/* ============================================================================
+   RISK CHECK
+============================================================================ */
+
+// Resolves to { prompt, assessment } when the site's policy wants a spoken
+// "yes" first, null when the action can run (active tab unless tabId is given)
+export async function checkRisk(intent, entities = {}, tabId = null) {
+
+  if (!ASSESSED_INTENTS.has(intent) && !PRESET_RISKS[intent]) return null;
+
+  const tab = tabId
+    ? await chrome.tabs.get(tabId)
+    : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+
+  // Nothing content.js could describe - the action reports its own error
+  if (!tab?.id || !tab.url || getRestrictedReason(tab.url)) return null;
+
+  const settings = await Settings.load();
+  const policy = Settings.policyForUrl(settings, tab.url);
+
+  // Names the engine in "I'm about to search on DuckDuckGo"
+  const engine = intent === 'search' ? Settings.searchEngineName(settings) : '';
+
+  let assessment = PRESET_RISKS[intent]?.(entities) || null;
+
+  if (!assessment) {
+    try {
+      assessment = await withTimeout(
+        sendToTab(tab.id, MESSAGE_TYPES.ASSESS_RISK, { intent, entities, engine }),
+        ASSESS_TIMEOUT,
+        'Risk assessment'
+      );
+    } catch (err) {
+      console.warn('[RiskGate] Assessment unavailable:', err.code || '', err.message);
+    }
+  }
+
+  // A click target the top frame lacks may sit in a payment or login iframe
+  if (assessment?.found === false) {
+    assessment = await assessInFrames(tab.id, { intent, entities }) || assessment;
+  }
+
+  // No answer, or one without a risk level - stricter policies ask anyway
+  if (!RISK_LEVELS.includes(assessment?.risk)) {
+    if (!ASK_WHEN_UNCHECKED.has(policy)) return null;
+
+    assessment = { risk: null, category: 'unchecked', description: UNCHECKED_DESCRIPTIONS[intent] };
+  }
+
+  const threshold = RISK_LEVELS.indexOf(Settings.RISK_POLICIES[policy]);
+
+  if (assessment.risk && RISK_LEVELS.indexOf(assessment.risk) < threshold) return null;
+
+  console.log('[RiskGate] Confirmation needed:', intent, assessment, `(${policy})`);
+
+  return {
+    prompt: confirmationPrompt(assessment, Settings.normalizeHost(tab.url)),
+    assessment
+  };
+}
+
+
+// "This will submit a form. I'm about to click "Sign up" on example.com. ..."
+function confirmationPrompt({ category, description }, host) {
+
+  return [
+    RISK_WARNINGS[category],
+    `I'm about to ${description || 'do that'}${host ? ` on ${host}` : ''}.`,
+    'Say yes to confirm, or cancel.'
+  ].filter(Boolean).join(' ');
+}
\ No newline at end of file
@@ -1,73 +1,108 @@
 /**
- * VoiceReplica - Content Automation Engine
- * Runs inside webpages and performs actions
+ * VoiceReplica - Service Worker Router
+ * Routes intents to content.js, orchestrates multi-step plans and
+ * drives the background voice session
  */
 
 'use strict';
 
-console.log('✅ VoiceReplica Content Loaded:', location.href);
+import './protocol.js';
+import { waitForTabLoad, navigateAndWait, getRestrictedReason } from './injectionManager.js';
+import { getSession, startListening, stopListening, submitCommand, handleRecognitionEvent } from './voiceSession.js';
+import { processCommand, resetConversation } from './assistant.js';
+import { checkRisk } from './riskGate.js';
+import { sendAcrossFrames } from './frameCoordinator.js';
+import { recordStep } from './macroRecorder.js';
+import { executeTabAction } from './tabManager.js';
+import { executeHistoryAction, executeBookmarkAction } from './browserLibrary.js';
+import { executeSearch } from './searchResults.js';
+import { cancelSpeech } from './speech.js';
+import { startReading, pauseReading } from './pageReader.js';
+import './settings.js';
+import './siteAdapters.js';
+import './profileVault.js';
+import './shortcuts.js';
+
+const {
+  MESSAGE_TYPES,
+  MESSAGE_KINDS,
+  ERROR_CODES,
+  INTENT_MESSAGE_TYPES,
+  ProtocolError,
+  createResponse,
+  createErrorResponse,
+  createEvent,
+  isProtocolMessage,
+  validateMessage
+} = globalThis.VoiceReplicaProtocol;
+
+const Vault = globalThis.VoiceReplicaVault;
+
+const SiteAdapters = globalThis.VoiceReplicaSiteAdapters;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+console.log('✅ VoiceReplica Router Loaded');
 
 
 /* ============================================================================
    MAIN MESSAGE LISTENER
+   The worker only routes and orchestrates - all DOM work is
+   requested from content.js, all listening from the offscreen
+   document, through the message protocol.
 ============================================================================ */
 
+// Requests from the popup (and the microphone permission page)
+const REQUEST_HANDLERS = {
+  [MESSAGE_TYPES.EXECUTE_INTENT]: (payload) => executeIntent(payload),
+  [MESSAGE_TYPES.START_LISTENING]: (payload) => startListening(payload.mode),
+  [MESSAGE_TYPES.STOP_LISTENING]: () => stopListening(),
+  [MESSAGE_TYPES.GET_SESSION]: () => getSession(),
+  [MESSAGE_TYPES.RESET_CONVERSATION]: () => resetConversation()
+};
+
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
-  console.log('[Content] Got:', message.data.data.intent.toUpperCase());
+  if (!isProtocolMessage(message)) return false;
 
-  (async () => {
+  if (message.kind === MESSAGE_KINDS.EVENT) {
+    handleEvent(message, sender);
+    return false;
+  }
 
-    try {
+  // Responses are not addressed to the router
+  if (message.kind !== MESSAGE_KINDS.REQUEST) return false;
 
-      let result;
+  (async () => {
 
-      switch ( message.data.data.intent.toUpperCase()) {
+    try {
 
-        case 'SEARCH':
-          result = await handleGoogleSearch(message.data.data);
-          break;
+      const { valid, error } = validateMessage(message, MESSAGE_KINDS.REQUEST);
 
-        case 'NAVIGATION':
-          result = await handleNavigation(message.data.data);
-          break;
+      if (!valid) throw error;
 
-        case 'FORM_FILL':
-          result = await handleFormFill(message.data.data);
-          break;
+      const handler = REQUEST_HANDLERS[message.type];
 
-        case 'WEBSITE_SEARCH':
-          result = await handleWebsiteSearch(message.data.data);
-          // console.log('[Content] Website Search in router.js:', message.data.data);
-          break;
+      if (!handler) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Router does not handle ${message.type}`);
+      }
 
-        case 'BOOK_TICKET':
-          result = await handleBooking(message.data.data);
-          break;
+      const payload = message.payload || {};
 
-        case 'SUMMARIZE':
-          result = await handleSummarize();
-          break;
+      console.log('[Router] Request:', message.type, payload.intent || '', message.id);
 
-        default:
-          result = { success: false, error: 'Unknown command' };
-      }
+      const result = await handler(payload);
 
       // ✅ ALWAYS reply
-      sendResponse({
-        success: true,
-        data: result
-      });
+      sendResponse(createResponse(message, result));
 
     } catch (err) {
 
-      console.error('[Content] Handler error:', err);
+      console.error('[Router] Handler error:', err);
 
       // ✅ ALWAYS reply even on error
-      sendResponse({
-        success: false,
-        error: err.message
-      });
+      sendResponse(createErrorResponse(message, err));
     }
 
   })();
@@ -77,249 +112,445 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 
+// Events from the offscreen listener, the in-page indicator and the macro recorder
+function handleEvent(message, sender) {
 
-/* ============================================================================
-   GOOGLE SEARCH
-============================================================================ */
+  const { valid, error } = validateMessage(message, MESSAGE_KINDS.EVENT);
 
-function handleGoogleSearch(data) {
-  console.log('[Content] Google Search:', data);
-  return sendToContent({
-    type: 'SEARCH',
-    payload: data   // send intent payload
-  });
-}
+  if (!valid) {
+    console.warn('[Router] Dropped event:', error.message);
+    return;
+  }
+
+  switch (message.type) {
+
+    case MESSAGE_TYPES.COMMAND_CAPTURED:
+      console.log('[Router] Command:', message.payload.transcript);
+      processCommand(message.payload, executeIntent);
+      break;
+
+    case MESSAGE_TYPES.RECOGNITION_STATE:
+    case MESSAGE_TYPES.TRANSCRIPT:
+      handleRecognitionEvent(message).catch((err) => {
+        console.error('[Router] Session update failed:', err);
+      });
+      break;
 
+    case MESSAGE_TYPES.BARGE_IN:
+      console.log('[Router] User talked over the reply');
+      cancelSpeech();
+      pauseReading().catch(() => {});
+      break;
 
+    case MESSAGE_TYPES.PUSH_TO_TALK_RELEASED:
+      submitCommand().catch((err) => {
+        console.error('[Router] Push-to-talk submit failed:', err);
+      });
+      break;
+
+    case MESSAGE_TYPES.MACRO_STEP:
+      if (!sender.tab?.id) break;
+      recordStep(sender.tab.id, message.payload.step).catch((err) => {
+        console.error('[Router] Recording macro step failed:', err);
+      });
+      break;
+  }
+}
 
 
 /* ============================================================================
-   WEBSITE SEARCH BAR
+   INTENT DISPATCH
+   Risky actions come back as { needsConfirmation, prompt, resume } instead
+   of running - executing `resume` (marked confirmed) carries on.
 ============================================================================ */
 
-async function handleWebsiteSearch(data) {
-  console.log('[Content] Website Search:', data);
-  return sendToContent({
-    type: "WEBSITE_SEARCH",
-    payload: data
-  });
+async function executeIntent(data) {
+
+  const intent = data.intent.toLowerCase();
+
+  // Plans check each step as they reach it
+  if (intent !== 'multi_step' && !data.confirmed) {
+
+    const risk = await checkRisk(intent, data.entities);
+
+    if (risk) return needsConfirmation(risk.prompt, { ...data, confirmed: true });
+  }
+
+  switch (intent) {
+
+    case 'multi_step':
+      return executePlan(data);
+
+    case 'go_back':
+    case 'reload':
+      return handleHistory(intent);
+
+    case 'search':
+      return executeSearch(data);
+
+    case 'website_search':
+      return searchWebsite(data);
+
+    case 'tab':
+      return executeTabAction(data);
+
+    case 'browser_history':
+      return executeHistoryAction(data);
+
+    case 'bookmark':
+      return executeBookmarkAction(data);
+
+    case 'read_aloud':
+      return startReading();
+
+    default: {
+      const type = INTENT_MESSAGE_TYPES[intent];
+
+      // Conversational intents (other, qna, ...) have nothing to run
+      if (!type) return { handled: false };
+
+      if (intent === 'form_fill') return fillForm(type, data);
+
+      return sendToContent(type, data);
+    }
+  }
 }
 
-async function handleNavigation(data) {
 
-  return sendToContent({
-    type: "NAVIGATION",
-    payload: data
-  });
+function needsConfirmation(prompt, resume) {
+  return { needsConfirmation: true, prompt, resume };
 }
 
 
 /* ============================================================================
-   FORM FILL
+   SAVED PROFILE
+   Profile values are merged here, after the backend call, and only
+   sent on to content.js - they never reach the backend.
 ============================================================================ */
 
-async function handleFormFill(data) {
+// Requested keys the saved profile has no value for are said apart from the
+// fields the page could not take ("no option matches the country given")
+async function fillForm(type, data, tabId = null) {
 
-  const fields = data.entities.form_fields;
+  const { payload, missing } = await withProfileValues(data);
 
-  if (!fields || Object.keys(fields).length === 0) {
-    throw new Error('No form fields provided');
-  }
+  const result = await sendToContent(type, payload, tabId);
 
-  console.log('[Content] Form Fill:', fields);
+  if (!missing.length) return result;
 
-  let filled = 0;
+  return {
+    ...result,
+    message: `${result.message} Your saved profile has no ${profileKeys(missing)}.`,
+    partial: true
+  };
+}
 
-  for (const [key, value] of Object.entries(fields)) {
 
-    const input =
-      document.querySelector(
-        `input[name*="${key}"], input[id*="${key}"], textarea[name*="${key}"]`
-      );
+// Fill "my email" / "my details" from the unlocked vault - spoken values win
+// Resolves to { payload, missing } - missing keys are not sent to the page
+async function withProfileValues(data) {
+
+  const entities = data.entities || {};
 
-    if (!input) continue;
+  if (!Vault.wantsProfile(entities)) return { payload: data, missing: [] };
 
-    input.focus();
-    input.value = value;
+  let profile;
+
+  try {
+    profile = await Vault.load();
+  } catch (err) {
+    if (!(err instanceof Vault.VaultError)) throw err;
+
+    throw new ProtocolError(
+      ERROR_CODES.PROFILE_UNAVAILABLE,
+      err.code === Vault.ERROR_CODES.LOCKED
+        ? 'your saved profile is locked. Unlock it in VoiceReplica settings'
+        : 'you have no saved profile yet. Add your details in VoiceReplica settings'
+    );
+  }
 
-    input.dispatchEvent(new Event('input', { bubbles: true }));
-    input.dispatchEvent(new Event('change', { bubbles: true }));
+  const { fields, missing } = Vault.mergeFormFields(entities.form_fields, profile, entities.action === 'profile');
 
-    filled++;
+  if (!Object.keys(fields).length) {
+    throw new ProtocolError(
+      ERROR_CODES.PROFILE_UNAVAILABLE,
+      missing.length ? `your saved profile has no ${profileKeys(missing)}` : 'your saved profile is empty'
+    );
   }
 
   return {
-    success: true,
-    message: `Filled ${filled} fields`
+    payload: { ...data, entities: { ...entities, form_fields: fields } },
+    missing
   };
 }
 
 
+// ["first_name", "phone"] → "first name or phone"
+function profileKeys(keys) {
+  return keys.map(key => key.replace(/_/g, ' ')).join(' or ');
+}
+
+
 /* ============================================================================
-   BOOKING (BASIC SUPPORT)
+   WEBSITE SEARCH
+   Site adapters (siteAdapters.js) say how each site searches: a results
+   URL template is opened directly, otherwise content.js types into the
+   site's search box - after opening the named site when the tab is elsewhere.
 ============================================================================ */
 
-async function handleBooking(data) {
+async function searchWebsite(data, tabId = null) {
+
+  const entities = data.entities || {};
+
+  const tab = tabId
+    ? await chrome.tabs.get(tabId)
+    : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
 
-  console.log('[Content] Booking automation');
+  if (!tab) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'No active tab');
 
-  // Example for ticket booking
-  const { from, to, date } = data.entities;
+  const adapters = await SiteAdapters.loadAll();
 
-  await autoFill('from', from);
-  await autoFill('to', to);
-  await autoFill('date', date);
+  const adapter =
+    (entities.website && SiteAdapters.findByName(entities.website, adapters)) ||
+    SiteAdapters.findByUrl(tab.url, adapters);
 
-  // Try submit
-  const submit =
-    document.querySelector('button[type="submit"], input[type="submit"]');
+  const url = SiteAdapters.searchUrl(adapter, entities.query, tab.url);
 
-  if (submit) {
-    submit.click();
+  if (url) {
+    console.log('[Router] Search URL for', adapter.id, '→', url);
+    await navigateAndWait(tab.id, url);
+    return { navigated: true, message: `Searched ${adapter.name} for "${entities.query}"` };
   }
 
-  return {
-    success: true,
-    message: 'Booking form processed'
-  };
-}
+  if (adapter && !SiteAdapters.matchesUrl(adapter, tab.url)) {
+    await navigateAndWait(tab.id, adapter.homeUrl);
 
+    // The snapshot target belonged to the previous page
+    return sendToContent(MESSAGE_TYPES.WEBSITE_SEARCH, { ...data, entities: { ...entities, target_id: '' } }, tab.id);
+  }
 
-async function autoFill(name, value) {
+  return sendToContent(MESSAGE_TYPES.WEBSITE_SEARCH, data, tab.id);
+}
 
-  if (!value) return;
 
-  const el =
-    document.querySelector(`input[name*="${name}"], input[id*="${name}"]`);
+/* ============================================================================
+   HISTORY
+============================================================================ */
 
-  if (!el) return;
+// Back / reload go through the tabs API - they work without content.js
+async function handleHistory(intent, tabId = null) {
 
-  el.focus();
-  el.value = value;
+  if (!tabId) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'No active tab');
+    tabId = tab.id;
+  }
 
-  el.dispatchEvent(new Event('input', { bubbles: true }));
-  el.dispatchEvent(new Event('change', { bubbles: true }));
+  if (intent === 'go_back') {
+    await chrome.tabs.goBack(tabId);
+    return { message: 'Went back' };
+  }
 
-  await wait(200);
+  await chrome.tabs.reload(tabId);
+  return { message: 'Reloaded' };
 }
 
 
 /* ============================================================================
-   PAGE SUMMARIZATION
+   MULTI-STEP PLAN EXECUTION
+   Runs backend plans step by step on one tab, waiting for
+   navigations; the injection manager re-checks content.js after each load.
 ============================================================================ */
 
-async function handleSummarize() {
+// Grace period for a click/submit to start a navigation
+const PLAN_SETTLE_DELAY = 800;
+
+// Plan step action → intent assessed by the risk gate
+const STEP_RISK_INTENTS = {
+  navigate: 'navigation'
+};
+
+
+// A confirmed plan resumes at the step that needed the confirmation
+async function executePlan(data) {
 
-  console.log('[Content] Summarizing page');
+  const plan = data.plan;
+  const steps = plan?.steps || [];
 
-  const text = document.body.innerText;
+  if (steps.length === 0) {
+    throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'Plan has no steps');
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (!tab) {
+    throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'No active tab for plan');
+  }
+
+  const tabId = tab.id;
+
+  console.log('[Router] Executing plan:', steps.map(s => s.action).join(' → '));
+
+  for (let i = 0; i < steps.length; i++) {
+
+    const step = steps[i];
+
+    if (i > 0 || !data.confirmed) {
+
+      const risk = await checkRisk(STEP_RISK_INTENTS[step.action] || step.action, step.entities, tabId);
+
+      if (risk) {
+        return needsConfirmation(risk.prompt, {
+          ...data,
+          plan: { ...plan, steps: steps.slice(i) },
+          confirmed: true
+        });
+      }
+    }
+
+    reportPlanProgress(i, steps.length, step, 'running');
+
+    try {
+
+      await executePlanStep(tabId, step);
+
+      reportPlanProgress(i, steps.length, step, 'done');
 
-  const clean = text
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 5000);
+    } catch (err) {
+
+      console.error(`[Router] Plan step ${i + 1} failed:`, err);
+
+      reportPlanProgress(i, steps.length, step, 'failed', err.message);
+
+      throw new ProtocolError(
+        err.code || ERROR_CODES.ACTION_FAILED,
+        `Step ${i + 1} of ${steps.length} failed: ${err.message}`
+      );
+    }
+  }
 
   return {
-    success: true,
-    summary: clean,
-    message: 'Page content extracted'
+    completed: steps.length,
+    total: steps.length,
+    message: 'Plan completed'
   };
 }
 
 
-/* ============================================================================
-   UTILITIES
-============================================================================ */
+async function executePlanStep(tabId, step) {
 
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+  const entities = step.entities || {};
 
-// Send message to content.js safely
-async function sendToContent(payload) {
+  switch (step.action) {
 
-  try {
+    case 'navigate':
+      if (!entities.url) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'No URL');
+      return navigateAndWait(tabId, entities.url);
 
-    // 1️⃣ Try active tab
-    let tabs = await chrome.tabs.query({
-      active: true,
-      currentWindow: true
-    });
+    case 'search':
+      if (!entities.query) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'No query');
+      return navigateAndWait(tabId, Settings.searchUrl(await Settings.load(), entities.query));
 
-    let tab = tabs[0];
+    case 'wait_for_load':
+      return waitForTabLoad(tabId);
 
-    // 2️⃣ If no active tab → find any valid tab
-    if (!tab) {
+    case 'go_back':
+    case 'reload': {
+      // Listen first so the current page's 'complete' is not mistaken
+      const loaded = waitForTabLoad(tabId, { expectNavigation: true });
+      await handleHistory(step.action, tabId);
+      return loaded;
+    }
 
-      const allTabs = await chrome.tabs.query({});
+    case 'website_search': {
+      const result = await searchWebsite({ intent: step.action, entities }, tabId);
 
-      tab = allTabs.find(t =>
-        t.url &&
-        !t.url.startsWith('chrome://') &&
-        !t.url.startsWith('edge://') &&
-        !t.url.startsWith('about:')
-      );
+      // A typed search starts its navigation after answering
+      if (!result?.navigated) await new Promise(r => setTimeout(r, PLAN_SETTLE_DELAY));
+
+      return result;
     }
 
-    // 3️⃣ If still none → create new tab
-    if (!tab) {
+    case 'click':
+    case 'form_fill':
+    case 'scroll':
+    case 'type_text':
+    case 'select_option':
+    case 'press_key': {
+      const payload = { intent: step.action, entities };
+
+      const result = step.action === 'form_fill'
+        ? await fillForm(INTENT_MESSAGE_TYPES.form_fill, payload, tabId)
+        : await sendToContent(INTENT_MESSAGE_TYPES[step.action], payload, tabId);
+
+      // A plan cannot ask which element was meant - stop instead
+      if (result?.ambiguous) {
+        throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, result.message);
+      }
 
-      console.log('[Router] No tab → creating new tab');
+      // Let a triggered navigation start before the next step
+      await new Promise(r => setTimeout(r, PLAN_SETTLE_DELAY));
+
+      return result;
+    }
 
-      tab = await new Promise((resolve) => {
+    default:
+      throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unsupported step: ${step.action}`);
+  }
+}
 
-        chrome.tabs.create(
-          { url: 'https://www.google.com' },
-          resolve
-        );
 
-      });
+// Popup may be closed - progress is best effort
+function reportPlanProgress(index, total, step, status, error) {
 
-      // Wait for load
-      await new Promise(r => setTimeout(r, 2000));
-    }
+  chrome.runtime.sendMessage(createEvent(MESSAGE_TYPES.PLAN_PROGRESS, {
+    step: index + 1,
+    total,
+    action: step.action,
+    description: step.description,
+    status,
+    error
+  }, 'worker')).catch(() => {});
+}
 
-    const tabId = tab.id;
 
-    // 4️⃣ Inject content.js
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['src/services/content.js']
-    });
+/* ============================================================================
+   UTILITIES
+============================================================================ */
 
-    console.log('[Router] content.js injected in', tabId);
-
-    // 5️⃣ Wait for listener
-    await new Promise(r => setTimeout(r, 600));
-    // 6️⃣ Send message
-    return await new Promise((resolve, reject) => {
-      
-      chrome.tabs.sendMessage(tabId, payload, (response) => {
-        
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        
-        if (!response) {
-          reject(new Error('No response from content.js'));
-          return;
-        }
-        console.log('[Router] Sending payload to content.js:', payload);
-        
-        resolve(response);
-      });
+// Send a protocol request to content.js (active tab unless tabId is given)
+// Resolves with the response data, throws ProtocolError on failure
+async function sendToContent(type, payload = {}, tabId = null) {
 
+  if (!tabId) {
+
+    // 1️⃣ Try active tab
+    let [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true
     });
 
-  } catch (err) {
+    // 2️⃣ If no active tab → find any scriptable tab
+    if (!tab) {
+
+      const allTabs = await chrome.tabs.query({});
 
-    console.error('[Router] sendToContent failed:', err.message);
+      tab = allTabs.find(t => t.url && !getRestrictedReason(t.url));
+    }
 
-    return {
-      success: false,
-      error: err.message
-    };
+    // 3️⃣ If still none → create new tab (the injection manager waits for it to load)
+    if (!tab) {
+
+      console.log('[Router] No tab → creating new tab');
+
+      tab = await chrome.tabs.create({ url: 'https://www.google.com' });
+    }
+
+    tabId = tab.id;
   }
-}
 
+  // 4️⃣ Ping / inject content.js, then send (form fills and clicks also try the tab's iframes)
+  console.log('[Router] Sending', type, 'to tab', tabId);
+
+  return sendAcrossFrames(tabId, type, payload);
+}
\ No newline at end of file
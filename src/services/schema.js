@@ -0,0 +1,115 @@
+/*
+ * VoiceReplica - Schema Validation
+ * Shared by the settings page and the service worker
+ *
+ * @module schema
+ * @description A small JSON Schema subset for user-written JSON (site adapters,
+ *              custom commands): type, required, properties, additionalProperties,
+ *              items, enum, pattern, min/maxLength, min/maxItems and format "selector"
+ * @version 1.0.0
+ */
+
+// var: may be loaded by several scripts of the same page
+var VoiceReplicaSchema = globalThis.VoiceReplicaSchema || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Type Checks
+  // ============================================================================
+
+  const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean'
+  };
+
+  /**
+   * Whether a CSS selector parses (only where a DOM exists - the worker has none)
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
+   */
+  const isValidSelector = (selector) => {
+    if (typeof document === 'undefined') return true;
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // ============================================================================
+  // Validation
+  // ============================================================================
+
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema (subset of JSON Schema)
+   * @param {string} [path] - Name of the value in messages
+   * @returns {string[]} Problems, e.g. 'steps[0].action must be one of: click, ...'
+   *          (empty when valid)
+   */
+  const validate = (value, schema, path = 'value') => {
+    const errors = [];
+
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+      return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path} must not be empty`);
+      if (schema.maxLength && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} ${schema.patternMessage || 'has an invalid format'}`);
+      if (schema.format === 'selector' && !isValidSelector(value)) errors.push(`${path} is not a valid CSS selector`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path} can have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+      const properties = schema.properties || {};
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      }
+
+      for (const [key, item] of Object.entries(value)) {
+        if (properties[key]) {
+          errors.push(...validate(item, properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validate(item, schema.additionalProperties, `${path}.${key}`));
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    validate
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// Extension pages and the module service worker read the global
+globalThis.VoiceReplicaSchema = VoiceReplicaSchema;
\ No newline at end of file
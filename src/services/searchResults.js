@@ -0,0 +1,132 @@
+/**
+ * VoiceReplica - Search Results
+ * Runs the search intent with the engine chosen in settings, reads the top
+ * organic results out and turns the results page ("next page")
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+import { sendToTab, waitForTabLoad, navigateAndWait } from './injectionManager.js';
+import { offerResults, readResultList, pageName } from './resultList.js';
+import { normalizeText, hostOf } from './textMatch.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+const MAX_SPOKEN_RESULTS = 3;
+
+// Spoken page turns - matched locally while a results list is offered
+const PAGE_COMMANDS = [
+  { direction: 'next', pattern: /^(?:go to )?(?:the )?(?:next page(?: of results)?|more results)$/ },
+  { direction: 'previous', pattern: /^(?:go (?:back )?to )?(?:the )?previous page(?: of results)?$/ }
+];
+
+
+/* ============================================================================
+   SEARCH INTENT
+============================================================================ */
+
+// Opens the results in the active tab, then reads them
+export async function executeSearch(data) {
+
+  const query = data.entities?.query;
+
+  if (!query) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'What should I search for?');
+
+  const settings = await Settings.load();
+  const url = Settings.searchUrl(settings, query);
+
+  let [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (tab) await navigateAndWait(tab.id, url);
+  else tab = await chrome.tabs.create({ url });
+
+  return readResults(tab.id, { query, engine: Settings.searchEngineName(settings), page: 1 });
+}
+
+
+// Resolves to the new page's results when the transcript turned the results
+// page last read out, null when it is a new command
+export async function answerSearchPaging(transcript) {
+
+  const text = normalizeText(transcript);
+  const command = PAGE_COMMANDS.find(({ pattern }) => pattern.test(text));
+
+  if (!command) return null;
+
+  const list = await readResultList();
+
+  if (!list?.search) return null;
+
+  const { search } = list;
+
+  const tab = await chrome.tabs.get(search.tabId).catch(() => null);
+
+  if (!tab) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'The results tab was closed');
+
+  // A result was opened since - back to the results first
+  if (tab.url !== search.url) await navigateAndWait(tab.id, search.url);
+
+  await sendToTab(tab.id, MESSAGE_TYPES.SEARCH_PAGE, { direction: command.direction });
+
+  // content.js clicks the page button after answering
+  await waitForTabLoad(tab.id, { expectNavigation: true });
+
+  return readResults(tab.id, {
+    ...search,
+    page: Math.max(1, search.page + (command.direction === 'next' ? 1 : -1))
+  });
+}
+
+
+/* ============================================================================
+   RESULTS
+============================================================================ */
+
+// Offers the page's results for "open the third result"; a page content.js
+// cannot read (a consent or captcha page) is left to the user quietly
+async function readResults(tabId, search) {
+
+  let page;
+
+  try {
+    page = await sendToTab(tabId, MESSAGE_TYPES.SEARCH_RESULTS, {});
+  } catch (err) {
+    console.warn('[Search] Could not read the results:', err.message);
+  }
+
+  if (!page?.results?.length) return { navigated: true };
+
+  const results = page.results.map((result, i) => ({ index: i + 1, ...result, host: hostOf(result.url) }));
+
+  await offerResults(
+    results.map(({ url, title }) => ({ url, title })),
+    { ...search, tabId, url: page.url }
+  );
+
+  const spoken = results
+    .slice(0, MAX_SPOKEN_RESULTS)
+    .map(result => `${result.index}. ${pageName(result)}, from ${result.host}`)
+    .join('. ');
+
+  const where = search.page > 1 ? `Page ${search.page} of the results` : `Top ${search.engine} results`;
+  const pick = results.length === 1 ? '"open it"' : '"open the second result"';
+  const more = page.hasNext ? ' or "next page"' : '';
+
+  return {
+    message: `${where} for ${search.query}: ${spoken}. Say ${pick}${more}.`,
+    results
+  };
+}
\ No newline at end of file
@@ -0,0 +1,289 @@
+/*
+ * VoiceReplica - User Settings
+ * Shared by the popup and the service worker
+ *
+ * @module settings
+ * @description Listening, reply voice, confirmation and search engine preferences kept in chrome.storage.sync
+ * @version 1.0.0
+ */
+
+// var: may be loaded by several scripts of the same page
+var VoiceReplicaSettings = globalThis.VoiceReplicaSettings || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  const STORAGE_KEY = 'voiceReplicaSettings';
+
+  const DEFAULT_SETTINGS = Object.freeze({
+    // Keep listening in the background for the wake phrase
+    wakeWordEnabled: false,
+    wakePhrase: 'Hey Replica',
+
+    // Pause that ends a command (ms)
+    silenceTimeout: 1500,
+
+    // Max wait for a command to start after the wake phrase (ms)
+    commandTimeout: 8000,
+
+    // Reply voice - a speechSynthesis voice name, '' for the browser's
+    // voice for RECOGNITION_LANGUAGE
+    voiceName: '',
+    speechRate: 1,
+    speechPitch: 1,
+    speechVolume: 1,
+
+    // Spoken confirmation before risky page actions (RISK_POLICIES)
+    riskPolicy: 'standard',
+
+    // Per-site overrides: { 'example.com': 'strict' }
+    sitePolicies: Object.freeze({}),
+
+    // Where "search for…" goes (SEARCH_ENGINES key, or 'custom')
+    searchEngine: 'google',
+
+    // Results URL of the custom engine, with {query}
+    customSearchUrl: ''
+  });
+
+  const SILENCE_TIMEOUT_RANGE = [800, 5000];
+  const COMMAND_TIMEOUT_RANGE = [3000, 20000];
+  const SPEECH_RATE_RANGE = [0.5, 2];
+  const SPEECH_PITCH_RANGE = [0, 2];
+  const SPEECH_VOLUME_RANGE = [0, 1];
+
+  // Language VoiceEngine listens in - replies are spoken in it too
+  const RECOGNITION_LANGUAGE = 'en-US';
+
+  /**
+   * Confirmation policy → lowest risk level that needs a spoken "yes"
+   * (levels are VoiceReplicaProtocol.RISK_LEVELS)
+   */
+  const RISK_POLICIES = Object.freeze({
+    strict: 'low',      // Anything that changes the page
+    standard: 'medium', // Submits, sends and leaving unsaved forms
+    relaxed: 'high'     // Purchases and deletions only
+  });
+
+  /**
+   * Built-in search engines → results URL ({query} is URL-encoded)
+   * DuckDuckGo's HTML version pages with plain links and forms
+   */
+  const SEARCH_ENGINES = Object.freeze({
+    google: Object.freeze({ name: 'Google', url: 'https://www.google.com/search?q={query}' }),
+    bing: Object.freeze({ name: 'Bing', url: 'https://www.bing.com/search?q={query}' }),
+    duckduckgo: Object.freeze({ name: 'DuckDuckGo', url: 'https://html.duckduckgo.com/html/?q={query}' })
+  });
+
+  const SEARCH_URL_PATTERN = /^https?:\/\/[^\s]+\{query\}/;
+
+  // ============================================================================
+  // Normalization
+  // ============================================================================
+
+  /**
+   * Clamp a number into a range, falling back when it is not a number
+   * @param {*} value - Stored value
+   * @param {number[]} range - [min, max]
+   * @param {number} fallback - Default value
+   * @returns {number}
+   */
+  const clamp = (value, [min, max], fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+  };
+
+  /**
+   * Reduce a URL or host to the key used in sitePolicies
+   * @param {string} site - Host name or URL
+   * @returns {string} Lowercase host without "www." ('' when invalid)
+   */
+  const normalizeHost = (site) => {
+    const text = String(site || '').trim().toLowerCase();
+
+    try {
+      const host = new URL(text.includes('://') ? text : `https://${text}`).hostname;
+      return host.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  };
+
+  /**
+   * Keep the site overrides with a valid host and policy
+   * @param {Object} sites - Stored overrides
+   * @returns {Object} Clean overrides
+   */
+  const normalizeSitePolicies = (sites) => {
+    const entries = Object.entries(sites && typeof sites === 'object' ? sites : {})
+      .map(([site, policy]) => [normalizeHost(site), policy])
+      .filter(([host, policy]) => host && RISK_POLICIES[policy]);
+
+    return Object.fromEntries(entries);
+  };
+
+  /**
+   * Keep a custom results URL only when it is http(s) and has {query}
+   * @param {string} url - Stored template
+   * @returns {string} Template, or ''
+   */
+  const normalizeSearchUrl = (url) => {
+    const template = String(url || '').trim();
+    return SEARCH_URL_PATTERN.test(template) ? template : '';
+  };
+
+  /**
+   * Merge stored values over the defaults and drop invalid ones
+   * @param {Object} [stored] - Raw stored settings
+   * @returns {Object} Complete settings
+   */
+  const normalize = (stored = {}) => {
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    const customSearchUrl = normalizeSearchUrl(settings.customSearchUrl);
+    const searchEngine = (SEARCH_ENGINES[settings.searchEngine] || (settings.searchEngine === 'custom' && customSearchUrl))
+      ? settings.searchEngine
+      : DEFAULT_SETTINGS.searchEngine;
+
+    return {
+      ...settings,
+      wakeWordEnabled: Boolean(settings.wakeWordEnabled),
+      wakePhrase: String(settings.wakePhrase || '').trim() || DEFAULT_SETTINGS.wakePhrase,
+      silenceTimeout: clamp(settings.silenceTimeout, SILENCE_TIMEOUT_RANGE, DEFAULT_SETTINGS.silenceTimeout),
+      commandTimeout: clamp(settings.commandTimeout, COMMAND_TIMEOUT_RANGE, DEFAULT_SETTINGS.commandTimeout),
+      voiceName: String(settings.voiceName || '').trim(),
+      speechRate: clamp(settings.speechRate, SPEECH_RATE_RANGE, DEFAULT_SETTINGS.speechRate),
+      speechPitch: clamp(settings.speechPitch, SPEECH_PITCH_RANGE, DEFAULT_SETTINGS.speechPitch),
+      speechVolume: clamp(settings.speechVolume, SPEECH_VOLUME_RANGE, DEFAULT_SETTINGS.speechVolume),
+      riskPolicy: RISK_POLICIES[settings.riskPolicy] ? settings.riskPolicy : DEFAULT_SETTINGS.riskPolicy,
+      sitePolicies: normalizeSitePolicies(settings.sitePolicies),
+      searchEngine,
+      customSearchUrl
+    };
+  };
+
+  /**
+   * chrome.tts options of the reply voice
+   * The language still picks a voice when the chosen one is not installed
+   *
+   * @param {Object} settings - Complete settings
+   * @returns {{voiceName?: string, lang: string, rate: number, pitch: number, volume: number}}
+   */
+  const speechOptions = (settings) => ({
+    ...(settings.voiceName && { voiceName: settings.voiceName }),
+    lang: RECOGNITION_LANGUAGE,
+    rate: settings.speechRate,
+    pitch: settings.speechPitch,
+    volume: settings.speechVolume
+  });
+
+  /**
+   * Results URL of a web search with the chosen engine
+   * @param {Object} settings - Complete settings
+   * @param {string} query - Search text
+   * @returns {string}
+   */
+  const searchUrl = (settings, query) => {
+    const template = settings.searchEngine === 'custom'
+      ? settings.customSearchUrl
+      : SEARCH_ENGINES[settings.searchEngine].url;
+
+    return template.replace('{query}', encodeURIComponent(query));
+  };
+
+  /**
+   * Spoken name of the chosen engine ("Google", or the custom URL's site)
+   * @param {Object} settings - Complete settings
+   * @returns {string}
+   */
+  const searchEngineName = (settings) =>
+    settings.searchEngine === 'custom'
+      ? normalizeHost(settings.customSearchUrl.replace('{query}', ''))
+      : SEARCH_ENGINES[settings.searchEngine].name;
+
+  /**
+   * Confirmation policy for a page
+   * The most specific override wins ("mail.example.com" over "example.com")
+   *
+   * @param {Object} settings - Complete settings
+   * @param {string} url - Page URL
+   * @returns {string} strict, standard or relaxed
+   */
+  const policyForUrl = (settings, url) => {
+    const host = normalizeHost(url);
+
+    const site = Object.keys(settings.sitePolicies)
+      .filter(key => host === key || host.endsWith(`.${key}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return site ? settings.sitePolicies[site] : settings.riskPolicy;
+  };
+
+  // ============================================================================
+  // Storage
+  // ============================================================================
+
+  /**
+   * Load the settings
+   * @returns {Promise<Object>} Complete settings
+   */
+  const load = async () => {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return normalize(stored[STORAGE_KEY]);
+  };
+
+  /**
+   * Update some settings
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Complete settings after the update
+   */
+  const save = async (changes) => {
+    const settings = normalize({ ...(await load()), ...changes });
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  };
+
+  /**
+   * Watch for settings changes made by any extension page
+   * @param {Function} callback - Called with (settings, previous)
+   * @returns {Function} Unsubscribe function
+   */
+  const onChange = (callback) => {
+    const listener = (changes, area) => {
+      if (area !== 'sync' || !changes[STORAGE_KEY]) return;
+      callback(normalize(changes[STORAGE_KEY].newValue), normalize(changes[STORAGE_KEY].oldValue));
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    STORAGE_KEY,
+    DEFAULT_SETTINGS,
+    RISK_POLICIES,
+    SEARCH_ENGINES,
+    RECOGNITION_LANGUAGE,
+    normalize,
+    normalizeHost,
+    policyForUrl,
+    speechOptions,
+    searchUrl,
+    searchEngineName,
+    load,
+    save,
+    onChange
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// Extension pages and the module service worker read the global
+globalThis.VoiceReplicaSettings = VoiceReplicaSettings;
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * VoiceReplica - Keyboard Shortcuts
+ * Global chrome.commands shortcuts that work on any page without the popup
+ */
+
+'use strict';
+
+import { getSession, startListening, stopListening } from './voiceSession.js';
+
+
+/* ============================================================================
+   CONFIGURATION
+   Names match the "commands" entries in manifest.json. Users rebind them
+   on chrome://extensions/shortcuts (linked from the settings page).
+============================================================================ */
+
+export const COMMANDS = Object.freeze({
+  PUSH_TO_TALK: 'push-to-talk',
+  TOGGLE_LISTENING: 'toggle-listening'
+});
+
+
+/* ============================================================================
+   COMMAND LISTENER
+============================================================================ */
+
+chrome.commands.onCommand.addListener(async (command) => {
+
+  console.log('[Shortcuts] Command:', command);
+
+  try {
+
+    switch (command) {
+
+      case COMMANDS.PUSH_TO_TALK:
+        return await pushToTalk();
+
+      case COMMANDS.TOGGLE_LISTENING:
+        return await toggleListening();
+    }
+
+  } catch (err) {
+    console.error(`[Shortcuts] ${command} failed:`, err);
+  }
+});
+
+
+// Holding the shortcut captures one utterance, releasing it submits
+async function pushToTalk() {
+
+  const { phase, hold } = await getSession();
+
+  // Key repeat while the shortcut is held
+  if (phase === 'command' && hold) return;
+
+  await startListening('command', { hold: true, shortcut: await getShortcut(COMMANDS.PUSH_TO_TALK) });
+}
+
+
+// Same as the popup's mic button
+async function toggleListening() {
+
+  const { phase } = await getSession();
+
+  if (phase === 'command') return stopListening();
+
+  return startListening('command');
+}
+
+
+/* ============================================================================
+   BINDINGS
+============================================================================ */
+
+// Current key combination of a command ('' when unbound)
+export async function getShortcut(name) {
+
+  const commands = await chrome.commands.getAll();
+
+  return commands.find(command => command.name === name)?.shortcut || '';
+}
\ No newline at end of file
@@ -0,0 +1,456 @@
+/*
+ * VoiceReplica - Site Adapters
+ * Shared by content.js and the service worker
+ *
+ * @module siteAdapters
+ * @description Declarative per-site knowledge for website_search and book_ticket:
+ *              where the search box is, how to submit it, the results URL,
+ *              how to read a results page and the booking form's fields.
+ *              Sites without an adapter use GENERIC_ADAPTER.
+ *              User adapters (settings page) live in chrome.storage.sync and win
+ *              over the built-ins.
+ * @version 1.0.0
+ */
+
+// var: content.js is injected again on top of itself, and pages may load several scripts
+var VoiceReplicaSiteAdapters = globalThis.VoiceReplicaSiteAdapters || (() => {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  // User adapters (chrome.storage.sync)
+  const STORAGE_KEY = 'voiceReplicaSiteAdapters';
+
+  const MAX_USER_ADAPTERS = 20;
+
+  /**
+   * How a typed search is sent
+   * auto  - the adapter's button, else the form, else Enter
+   * form  - requestSubmit() on the input's form
+   * enter - Enter key events on the input (sites that listen for keys)
+   * click - click search.button
+   */
+  const SUBMIT_STRATEGIES = Object.freeze(['auto', 'form', 'enter', 'click']);
+
+  /**
+   * Adapter shape (plain JSON):
+   * {
+   *   id, name, aliases?: [], hosts: ['example.com'], homeUrl,
+   *   search?: { url?, input?, submit?, button? },
+   *   results?: { link, title?, item?, snippet?, next?, previous? },
+   *   booking?: { fields: { from?, to?, date? }, submit? }
+   * }
+   * search.url placeholders: {query} (URL-encoded) and {origin} (the page's
+   * origin when it is already on the site, else homeUrl's)
+   * results: link matches each organic result's anchor, title is inside the
+   * link (its text when missing), snippet is inside the link's closest item;
+   * next / previous are the page buttons
+   */
+  const BUILT_IN_ADAPTERS = deepFreeze([
+    {
+      id: 'google',
+      name: 'Google',
+      hosts: ['google.com', 'google.co.in'],
+      homeUrl: 'https://www.google.com',
+      search: {
+        url: '{origin}/search?q={query}',
+        input: 'textarea[name="q"], input[name="q"]',
+        submit: 'form'
+      },
+      results: {
+        link: '#search a[href]:has(h3)',
+        title: 'h3',
+        item: 'div.g, div.MjjYud',
+        snippet: '.VwiC3b, [data-sncf="1"]',
+        next: '#pnnext',
+        previous: '#pnprev'
+      }
+    },
+    {
+      id: 'bing',
+      name: 'Bing',
+      hosts: ['bing.com'],
+      homeUrl: 'https://www.bing.com',
+      search: {
+        url: '{origin}/search?q={query}',
+        input: 'textarea[name="q"], input[name="q"]',
+        submit: 'form'
+      },
+      results: {
+        link: '#b_results li.b_algo h2 a[href]',
+        item: 'li.b_algo',
+        snippet: '.b_caption p, .b_lineclamp2',
+        next: 'a.sb_pagN',
+        previous: 'a.sb_pagP'
+      }
+    },
+    {
+      id: 'duckduckgo',
+      name: 'DuckDuckGo',
+      aliases: ['duck duck go', 'ddg'],
+      hosts: ['duckduckgo.com'],
+      homeUrl: 'https://duckduckgo.com',
+      search: {
+        url: 'https://html.duckduckgo.com/html/?q={query}'
+      },
+      results: {
+        link: 'a.result__a[href]',
+        item: '.result',
+        snippet: '.result__snippet',
+        next: '.nav-link input[type="submit"][value="Next"]',
+        previous: '.nav-link input[type="submit"][value="Previous"]'
+      }
+    },
+    {
+      id: 'youtube',
+      name: 'YouTube',
+      aliases: ['you tube', 'yt'],
+      hosts: ['youtube.com'],
+      homeUrl: 'https://www.youtube.com',
+      search: {
+        url: '{origin}/results?search_query={query}',
+        input: 'input[name="search_query"]',
+        submit: 'click',
+        button: 'button[aria-label="Search"], #search-icon-legacy'
+      }
+    },
+    {
+      id: 'amazon',
+      name: 'Amazon',
+      hosts: ['amazon.in', 'amazon.com'],
+      homeUrl: 'https://www.amazon.in',
+      search: {
+        url: '{origin}/s?k={query}',
+        input: '#twotabsearchtextbox',
+        submit: 'click',
+        button: '#nav-search-submit-button'
+      }
+    },
+    {
+      id: 'flipkart',
+      name: 'Flipkart',
+      hosts: ['flipkart.com'],
+      homeUrl: 'https://www.flipkart.com',
+      search: {
+        url: '{origin}/search?q={query}',
+        input: 'input[name="q"]',
+        submit: 'form'
+      }
+    },
+    {
+      id: 'irctc',
+      name: 'IRCTC',
+      hosts: ['irctc.co.in'],
+      homeUrl: 'https://www.irctc.co.in/nget/train-search',
+      booking: {
+        fields: {
+          from: '#origin input',
+          to: '#destination input',
+          date: '#jDate input'
+        },
+        submit: 'button.search_btn.train_Search'
+      }
+    },
+    {
+      id: 'facebook',
+      name: 'Facebook',
+      aliases: ['fb'],
+      hosts: ['facebook.com'],
+      homeUrl: 'https://www.facebook.com',
+      search: {
+        url: '{origin}/search/top/?q={query}',
+        input: 'input[type="search"]',
+        submit: 'enter'
+      }
+    },
+    {
+      id: 'instagram',
+      name: 'Instagram',
+      aliases: ['insta'],
+      hosts: ['instagram.com'],
+      homeUrl: 'https://www.instagram.com',
+      search: {
+        url: '{origin}/explore/search/keyword/?q={query}'
+      }
+    }
+  ]);
+
+  // Any other site - the page's own search box
+  const GENERIC_ADAPTER = deepFreeze({
+    id: 'generic',
+    name: 'this site',
+    hosts: [],
+    search: {
+      input:
+        'input[type="search"], [role="searchbox"], input[name*="search" i], ' +
+        'input[placeholder*="search" i], input[aria-label*="search" i], input[name="q"]',
+      submit: 'auto'
+    },
+    // Most engines put result titles in headings inside the link
+    results: {
+      link: 'main a[href]:has(h3), #search a[href]:has(h3), a[href]:has(> h2), a[href]:has(> h3)',
+      next: 'a[rel="next"], a[aria-label="Next page" i]',
+      previous: 'a[rel="prev"], a[aria-label="Previous page" i]'
+    }
+  });
+
+  const HOST_PATTERN = '^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$';
+
+  const SELECTOR = { type: 'string', minLength: 1, maxLength: 300, format: 'selector' };
+
+  // Schema of one user adapter (schema.js subset of JSON Schema)
+  const ADAPTER_SCHEMA = deepFreeze({
+    type: 'object',
+    required: ['id', 'name', 'hosts', 'homeUrl'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,39}$', patternMessage: 'must be lowercase letters, digits, - or _' },
+      name: { type: 'string', minLength: 1, maxLength: 60 },
+      aliases: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 60 } },
+      hosts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: { type: 'string', pattern: HOST_PATTERN, patternMessage: 'must be a host name like tools.example.com' }
+      },
+      homeUrl: { type: 'string', pattern: '^https?://', patternMessage: 'must start with http:// or https://' },
+      search: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          url: {
+            type: 'string',
+            pattern: '^(https?://|\\{origin\\}).*\\{query\\}',
+            patternMessage: 'must start with http(s):// or {origin} and contain {query}'
+          },
+          input: SELECTOR,
+          submit: { type: 'string', enum: SUBMIT_STRATEGIES },
+          button: SELECTOR
+        }
+      },
+      results: {
+        type: 'object',
+        required: ['link'],
+        additionalProperties: false,
+        properties: {
+          link: SELECTOR,
+          title: SELECTOR,
+          item: SELECTOR,
+          snippet: SELECTOR,
+          next: SELECTOR,
+          previous: SELECTOR
+        }
+      },
+      booking: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          fields: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { from: SELECTOR, to: SELECTOR, date: SELECTOR }
+          },
+          submit: SELECTOR
+        }
+      }
+    }
+  });
+
+  // ============================================================================
+  // Lookup
+  // ============================================================================
+
+  /**
+   * Freeze an adapter tree so callers cannot change the built-ins
+   * @param {*} value - Adapter data
+   * @returns {*} The same value, frozen
+   */
+  function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+      Object.values(value).forEach(deepFreeze);
+      Object.freeze(value);
+    }
+    return value;
+  }
+
+  /**
+   * @param {string} url - Page URL or host
+   * @returns {string} Lowercase host without "www." ('' when invalid)
+   */
+  const hostOf = (url) => {
+    const text = String(url || '').trim().toLowerCase();
+
+    try {
+      return new URL(text.includes('://') ? text : `https://${text}`).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  };
+
+  /**
+   * "You Tube", "youtube.com" → "youtube"
+   * @param {string} name - Spoken site name
+   * @returns {string}
+   */
+  const compactName = (name) =>
+    String(name || '').toLowerCase().replace(/^www\./, '').replace(/\.[a-z.]+$/, '').replace(/[^a-z0-9]/g, '');
+
+  /**
+   * Whether a URL belongs to the adapter's site (subdomains included)
+   * @param {Object} adapter - Site adapter
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  const matchesUrl = (adapter, url) => {
+    const host = hostOf(url);
+    return Boolean(host) && (adapter.hosts || []).some(site => host === site || host.endsWith(`.${site}`));
+  };
+
+  /**
+   * Adapter of the site a URL is on - the most specific host wins
+   * @param {string} url - Page URL
+   * @param {Object[]} [adapters] - Adapters to search
+   * @returns {Object|null}
+   */
+  const findByUrl = (url, adapters = BUILT_IN_ADAPTERS) => {
+    const host = hostOf(url);
+
+    const longest = (adapter) => Math.max(
+      ...adapter.hosts.filter(site => host === site || host.endsWith(`.${site}`)).map(site => site.length)
+    );
+
+    return adapters
+      .filter(adapter => matchesUrl(adapter, url))
+      .sort((a, b) => longest(b) - longest(a))[0] || null;
+  };
+
+  /**
+   * Adapter for a site named by the user ("YouTube", "amazon.in", "fb")
+   * @param {string} name - entities.website
+   * @param {Object[]} [adapters] - Adapters to search
+   * @returns {Object|null}
+   */
+  const findByName = (name, adapters = BUILT_IN_ADAPTERS) => {
+    const wanted = compactName(name);
+    if (!wanted) return null;
+
+    return adapters.find(adapter =>
+      [adapter.id, adapter.name, ...(adapter.aliases || []), ...(adapter.hosts || [])]
+        .some(candidate => compactName(candidate) === wanted)
+    ) || findByUrl(name, adapters);
+  };
+
+  /**
+   * Results URL of a search, when the adapter has a template
+   * @param {Object} adapter - Site adapter
+   * @param {string} query - Search text
+   * @param {string} [pageUrl] - Current page, kept when it is on the site
+   * @returns {string|null}
+   */
+  const searchUrl = (adapter, query, pageUrl = '') => {
+    const template = adapter?.search?.url;
+    if (!template || !query) return null;
+
+    const origin = matchesUrl(adapter, pageUrl)
+      ? new URL(pageUrl).origin
+      : new URL(adapter.homeUrl).origin;
+
+    return template
+      .replace('{origin}', origin)
+      .replace('{query}', encodeURIComponent(query));
+  };
+
+  // ============================================================================
+  // User Adapters
+  // ============================================================================
+
+  /**
+   * Check a list of user adapters (needs schema.js - not loaded in content.js)
+   * @param {*} adapters - Parsed JSON
+   * @returns {string[]} Problems (empty when valid)
+   */
+  const validateAdapters = (adapters) => {
+    const errors = globalThis.VoiceReplicaSchema.validate(
+      adapters,
+      { type: 'array', maxItems: MAX_USER_ADAPTERS, items: ADAPTER_SCHEMA },
+      'adapters'
+    );
+
+    if (errors.length) return errors;
+
+    const ids = adapters.map(adapter => adapter.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+
+    return duplicate ? [`adapters: the id "${duplicate}" is used twice`] : [];
+  };
+
+  /**
+   * @returns {Promise<Object[]>} User adapters
+   */
+  const loadUserAdapters = async () => {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    const adapters = stored[STORAGE_KEY];
+
+    // Written by the settings page after validation - skip anything malformed
+    return Array.isArray(adapters) ? adapters.filter(adapter => Array.isArray(adapter?.hosts)) : [];
+  };
+
+  /**
+   * Replace the user adapters
+   * @param {Object[]} adapters - New adapters
+   * @returns {Promise<Object[]>} Saved adapters
+   * @throws {Error} With the validation problems in error.details
+   */
+  const saveUserAdapters = async (adapters) => {
+    const errors = validateAdapters(adapters);
+
+    if (errors.length) {
+      throw Object.assign(new Error(errors[0]), { details: errors });
+    }
+
+    await chrome.storage.sync.set({ [STORAGE_KEY]: adapters });
+    return adapters;
+  };
+
+  /**
+   * User adapters first (a user "amazon" replaces the built-in one), then built-ins
+   * @returns {Promise<Object[]>}
+   */
+  const loadAll = async () => {
+    const user = await loadUserAdapters();
+    const ids = new Set(user.map(adapter => adapter.id));
+
+    return [...user, ...BUILT_IN_ADAPTERS.filter(adapter => !ids.has(adapter.id))];
+  };
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  return Object.freeze({
+    STORAGE_KEY,
+    SUBMIT_STRATEGIES,
+    BUILT_IN_ADAPTERS,
+    GENERIC_ADAPTER,
+    HOST_PATTERN,
+    ADAPTER_SCHEMA,
+    validateAdapters,
+    loadUserAdapters,
+    saveUserAdapters,
+    loadAll,
+    hostOf,
+    matchesUrl,
+    findByUrl,
+    findByName,
+    searchUrl
+  });
+})();
+
+// ============================================================================
+// Export
+// ============================================================================
+
+// content.js and the module service worker read the global
+globalThis.VoiceReplicaSiteAdapters = VoiceReplicaSiteAdapters;
\ No newline at end of file
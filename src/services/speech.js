@@ -0,0 +1,118 @@
+/**
+ * VoiceReplica - Speech
+ * Speaks replies one at a time with the user's voice settings. The offscreen
+ * listener is told what is being said, so it can ignore the assistant's own
+ * voice and report the user talking over it (barge-in).
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+
+const {
+  MESSAGE_TYPES,
+  createEvent
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.tts events that end an utterance
+const SPEECH_END_EVENTS = new Set(['end', 'interrupted', 'cancelled', 'error']);
+
+
+/* ============================================================================
+   UTTERANCE QUEUE
+============================================================================ */
+
+// Replies waiting to be spoken: { text, resolve }
+const queue = [];
+
+// The reply being spoken, null when silent
+let current = null;
+
+
+// Resolves when the utterance is over - spoken, cancelled or failed
+export function speak(text) {
+
+  if (!text) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    queue.push({ text, resolve });
+
+    if (!current) speakNext();
+  });
+}
+
+
+// Stops the reply being spoken and drops the queued ones
+export function cancelSpeech() {
+
+  const utterances = [current, ...queue.splice(0)].filter(Boolean);
+
+  if (!utterances.length) return;
+
+  current = null;
+
+  chrome.tts.stop();
+
+  utterances.forEach(utterance => utterance.resolve());
+
+  announce('');
+}
+
+
+async function speakNext() {
+
+  const utterance = queue.shift();
+
+  current = utterance || null;
+
+  if (!utterance) {
+    announce('');
+    return;
+  }
+
+  const settings = await Settings.load().catch(() => Settings.normalize());
+
+  // Cancelled while the settings loaded
+  if (current !== utterance) return;
+
+  announce(utterance.text);
+
+  chrome.tts.speak(utterance.text, {
+    ...Settings.speechOptions(settings),
+    // Queued behind speech of other pages and extensions instead of cutting it off
+    enqueue: true,
+    onEvent: (event) => {
+      if (SPEECH_END_EVENTS.has(event.type)) finish(utterance);
+    }
+  }, () => {
+    if (chrome.runtime.lastError) finish(utterance);
+  });
+}
+
+
+function finish(utterance) {
+
+  utterance.resolve();
+
+  // A cancelled utterance still reports its end
+  if (current !== utterance) return;
+
+  speakNext();
+}
+
+
+// What the offscreen listener should treat as the assistant's own voice
+function announce(text) {
+
+  chrome.runtime.sendMessage(
+    createEvent(MESSAGE_TYPES.SPEECH_STATE, { speaking: Boolean(text), text }, 'worker')
+  ).catch(() => {});
+}
\ No newline at end of file
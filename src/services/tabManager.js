@@ -0,0 +1,320 @@
+/**
+ * VoiceReplica - Tab Manager
+ * Runs the tab intent - switch, close, pin, move and reopen tabs found by
+ * spoken title or site - with the tabs, windows and sessions APIs
+ */
+
+'use strict';
+
+import './protocol.js';
+import { sendToTab } from './injectionManager.js';
+import { normalizeText, matchScore, ordinalOf, hostOf } from './textMatch.js';
+
+const {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  ProtocolError
+} = globalThis.VoiceReplicaProtocol;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// chrome.storage.session key of the "which tab?" question waiting for its answer
+const TAB_CHOICE_STORAGE_KEY = 'voiceReplicaTabChoice';
+
+// How long the question waits (ms)
+const TAB_CHOICE_TTL = 60000;
+
+// Same scale as content.js element lookup
+const TAB_MATCH_THRESHOLD = 0.6;
+
+const TAB_AMBIGUITY_MARGIN = 0.1;
+
+const MAX_TAB_CHOICES = 5;
+
+// Actions that work on one tab - the active one unless entities.text names another
+const SINGLE_TAB_ACTIONS = {
+  switch: switchToTab,
+  close: closeTab,
+  pin: (tab) => setPinned(tab, true),
+  unpin: (tab) => setPinned(tab, false),
+  new_window: moveToNewWindow
+};
+
+
+/* ============================================================================
+   TAB INTENT
+============================================================================ */
+
+// entities.action says what to do, entities.text which tab ("Gmail", "youtube")
+export async function executeTabAction(data) {
+
+  const entities = data.entities || {};
+  const action = entities.action;
+
+  if (SINGLE_TAB_ACTIONS[action]) {
+
+    // Switching needs a tab to switch to - the others default to this one
+    if (action === 'switch' && !entities.text) {
+      throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'Which tab should I switch to?');
+    }
+
+    const target = entities.text
+      ? await findTab(entities.text, action)
+      : { tab: await getActiveTab() };
+
+    return target.tab ? SINGLE_TAB_ACTIONS[action](target.tab) : target;
+  }
+
+  switch (action) {
+
+    case 'close_all':
+      return closeMatchingTabs(entities.text);
+
+    case 'open_new':
+      return openInNewTab(data);
+
+    case 'reopen':
+      return reopenClosedTab();
+
+    default:
+      throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, `Unknown tab action "${action || ''}"`);
+  }
+}
+
+
+// Resolves to the action's result when the transcript picked one of the
+// tabs last listed ("the second one"), null when it is a new command
+export async function answerTabChoice(transcript) {
+
+  const stored = await chrome.storage.session.get(TAB_CHOICE_STORAGE_KEY);
+  const choice = stored[TAB_CHOICE_STORAGE_KEY];
+
+  if (!choice) return null;
+
+  await chrome.storage.session.remove(TAB_CHOICE_STORAGE_KEY);
+
+  if (Date.now() > choice.expiresAt) return null;
+
+  const tabs = (await chrome.tabs.query({})).filter(tab => choice.tabIds.includes(tab.id));
+  const listed = choice.tabIds.map(id => tabs.find(tab => tab.id === id)).filter(Boolean);
+
+  const picked = pickTab(transcript, listed);
+
+  return picked ? SINGLE_TAB_ACTIONS[choice.action](picked) : null;
+}
+
+
+/* ============================================================================
+   ACTIONS
+============================================================================ */
+
+async function switchToTab(tab) {
+
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+
+  return { message: `Switched to ${tabName(tab)}` };
+}
+
+
+async function closeTab(tab) {
+
+  await chrome.tabs.remove(tab.id);
+
+  return { message: `Closed ${tabName(tab)}` };
+}
+
+
+async function setPinned(tab, pinned) {
+
+  await chrome.tabs.update(tab.id, { pinned });
+
+  return { message: `${pinned ? 'Pinned' : 'Unpinned'} ${tabName(tab)}` };
+}
+
+
+async function moveToNewWindow(tab) {
+
+  const siblings = await chrome.tabs.query({ windowId: tab.windowId });
+
+  if (siblings.length === 1) {
+    return { message: `${tabName(tab)} already has its own window` };
+  }
+
+  await chrome.windows.create({ tabId: tab.id, focused: true });
+
+  return { message: `Moved ${tabName(tab)} to a new window` };
+}
+
+
+// "close all YouTube tabs" - every match, no question asked
+async function closeMatchingTabs(text) {
+
+  if (!text) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, 'Which tabs should I close?');
+
+  const matches = rankTabs(text, await chrome.tabs.query({}));
+
+  if (!matches.length) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No tabs match "${text}"`);
+  }
+
+  await chrome.tabs.remove(matches.map(match => match.tab.id));
+
+  return { message: `Closed ${matches.length} ${matches.length === 1 ? 'tab' : 'tabs'} matching ${text}` };
+}
+
+
+// A URL, a link on the page ("open the reviews link in a new tab"), or the
+// current page itself ("open this in a new tab")
+async function openInNewTab(data) {
+
+  const entities = data.entities || {};
+  const active = await getActiveTab();
+
+  let url = entities.url;
+
+  if (!url && (entities.text || entities.target_id || entities.label_number)) {
+    const link = await sendToTab(active.id, MESSAGE_TYPES.LINK_URL, data);
+
+    // Several links fit - content.js lists them
+    if (link.ambiguous) return link;
+
+    url = link.url;
+  }
+
+  if (!url) {
+    const copy = await chrome.tabs.duplicate(active.id);
+    return { message: `Opened ${tabName(copy || active)} in a new tab` };
+  }
+
+  await chrome.tabs.create({ url, index: active.index + 1, openerTabId: active.id });
+
+  return { message: `Opened ${hostOf(url) || url} in a new tab` };
+}
+
+
+async function reopenClosedTab() {
+
+  const [recent] = await chrome.sessions.getRecentlyClosed({ maxResults: 1 });
+
+  if (!recent) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, 'There is no recently closed tab');
+  }
+
+  const restored = await chrome.sessions.restore();
+
+  return {
+    message: restored?.window
+      ? 'Reopened the closed window'
+      : `Reopened ${restored?.tab ? tabName(restored.tab) : 'the closed tab'}`
+  };
+}
+
+
+/* ============================================================================
+   TAB LOOKUP
+============================================================================ */
+
+async function getActiveTab() {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (!tab) throw new ProtocolError(ERROR_CODES.NO_ACTIVE_TAB, 'No active tab');
+
+  return tab;
+}
+
+
+// Resolves to { tab } for one clear match; several close matches are listed
+// and asked about instead (the answer goes through answerTabChoice)
+async function findTab(text, action) {
+
+  const ranked = rankTabs(text, await chrome.tabs.query({}));
+
+  if (!ranked.length) {
+    throw new ProtocolError(ERROR_CODES.TARGET_NOT_FOUND, `No tab matches "${text}"`);
+  }
+
+  const close = ranked.filter(match => ranked[0].score - match.score <= TAB_AMBIGUITY_MARGIN);
+
+  if (close.length === 1) return { tab: close[0].tab };
+
+  const choices = close.slice(0, MAX_TAB_CHOICES).map(match => match.tab);
+
+  await chrome.storage.session.set({
+    [TAB_CHOICE_STORAGE_KEY]: {
+      action,
+      tabIds: choices.map(tab => tab.id),
+      expiresAt: Date.now() + TAB_CHOICE_TTL
+    }
+  });
+
+  const spoken = choices.map((tab, i) => `${i + 1}. ${tabName(tab)}`).join(', ');
+
+  return {
+    ambiguous: true,
+    message: `I found ${choices.length} tabs: ${spoken}. Which one did you mean?`,
+    candidates: choices.map((tab, i) => ({ index: i + 1, tabId: tab.id, label: tabName(tab), host: hostOf(tab.url) }))
+  };
+}
+
+
+// Tabs scoring at least TAB_MATCH_THRESHOLD on title or site, best first
+function rankTabs(text, tabs) {
+
+  const wanted = normalizeText(text).replace(/^(the|my)\s+/, '').replace(/\s+(tabs?|windows?|pages?)$/, '');
+
+  if (!wanted) return [];
+
+  return tabs
+    .map(tab => ({ tab, score: tabScore(wanted, tab) }))
+    .filter(match => match.score >= TAB_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+
+// Best of the title and the host, with and without its dots
+// ("gmail" → "Inbox (3) - Gmail", "youtube" → youtube.com)
+function tabScore(wanted, tab) {
+
+  const host = hostOf(tab.url);
+
+  return Math.max(
+    matchScore(wanted, normalizeText(tab.title)),
+    matchScore(wanted, host),
+    matchScore(wanted, normalizeText(host.replace(/\./g, ' ')))
+  );
+}
+
+
+// "the second one", "number 2", "the last", or part of a listed tab's title
+function pickTab(transcript, tabs) {
+
+  const text = normalizeText(transcript);
+
+  if (/\blast\b/.test(text)) return tabs[tabs.length - 1] || null;
+
+  const ordinal = ordinalOf(text);
+
+  if (ordinal) return tabs[ordinal - 1] || null;
+
+  return rankTabs(text, tabs)[0]?.tab || null;
+}
+
+
+/* ============================================================================
+   NAMES
+============================================================================ */
+
+// What a tab is called out loud
+function tabName(tab) {
+
+  const title = String(tab.title || '').trim();
+
+  if (title) return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+
+  return hostOf(tab.url) || 'the tab';
+}
\ No newline at end of file
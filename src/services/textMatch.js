@@ -0,0 +1,95 @@
+/**
+ * VoiceReplica - Text Matching
+ * Fuzzy matching of spoken names against tab titles, history and bookmarks.
+ * Mirrors content.js matchScore so pages, tabs and saved pages match alike.
+ */
+
+'use strict';
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+// "the third one", "number 2", "the tenth result"
+const ORDINALS = {
+  first: 1, one: 1, '1': 1,
+  second: 2, two: 2, '2': 2,
+  third: 3, three: 3, '3': 3,
+  fourth: 4, four: 4, '4': 4,
+  fifth: 5, five: 5, '5': 5,
+  sixth: 6, six: 6, '6': 6,
+  seventh: 7, seven: 7, '7': 7,
+  eighth: 8, eight: 8, '8': 8,
+  ninth: 9, nine: 9, '9': 9,
+  tenth: 10, ten: 10, '10': 10
+};
+
+
+/* ============================================================================
+   TEXT MATCHING
+============================================================================ */
+
+export function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+
+// exact 1, whole-word containment 0.85-0.95, else bigram similarity (max 0.9)
+export function matchScore(wanted, label) {
+
+  if (!wanted || !label) return 0;
+
+  if (label === wanted) return 1;
+
+  if (` ${label} `.includes(` ${wanted} `)) {
+    return 0.85 + 0.1 * (wanted.length / label.length);
+  }
+
+  return Math.min(0.9, bigramSimilarity(wanted, label));
+}
+
+
+// Dice coefficient over character bigrams, ignoring spaces
+function bigramSimilarity(a, b) {
+
+  const bigrams = (s) => {
+    const compact = s.replace(/\s+/g, '');
+    const counts = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+      const gram = compact.slice(i, i + 2);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+
+  let total = 0;
+  let overlap = 0;
+
+  for (const count of first.values()) total += count;
+  for (const [gram, count] of second) {
+    total += count;
+    overlap += Math.min(count, first.get(gram) || 0);
+  }
+
+  return total ? (2 * overlap) / total : 0;
+}
+
+
+// 1-based position a normalized answer names ("the second one" → 2), else null
+export function ordinalOf(text) {
+  return text.split(' ').map(word => ORDINALS[word]).find(Boolean) || null;
+}
+
+
+export function hostOf(url) {
+
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
\ No newline at end of file
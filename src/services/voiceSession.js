@@ -0,0 +1,394 @@
+/**
+ * VoiceReplica - Voice Session
+ * Owns the offscreen listener and the session state the popup displays
+ */
+
+'use strict';
+
+import './protocol.js';
+import './settings.js';
+import { sendToTab } from './injectionManager.js';
+import { cancelSpeech } from './speech.js';
+
+const {
+  MESSAGE_TYPES,
+  createRequest,
+  createEvent,
+  unwrapResponse,
+  withTimeout
+} = globalThis.VoiceReplicaProtocol;
+
+const Settings = globalThis.VoiceReplicaSettings;
+
+
+/* ============================================================================
+   CONFIGURATION
+============================================================================ */
+
+const OFFSCREEN_URL = 'src/offscreen/offscreen.html';
+
+const PERMISSION_URL = 'src/offscreen/permission.html';
+
+const SESSION_STORAGE_KEY = 'voiceReplicaSession';
+
+const OFFSCREEN_TIMEOUT = 3000;
+
+// The indicator is best effort - never hold up listening for it
+const INDICATOR_TIMEOUT = 500;
+
+const INITIAL_SESSION = Object.freeze({
+  phase: 'idle',      // Recognition: idle, wake or command
+  hold: false,        // Command window held open by push-to-talk
+  status: 'ready',    // Assistant: ready, processing, responding or error
+  wakePhrase: Settings.DEFAULT_SETTINGS.wakePhrase,
+  transcript: '',
+  isFinal: false,
+  response: null,     // { id, text, bullets, citations, results }
+  confirmation: null, // Intent waiting for a spoken yes / no: { prompt, data, expiresAt }
+  error: null         // { type, message }
+});
+
+
+/* ============================================================================
+   SESSION STATE
+   Mirrored in chrome.storage.session - the worker may be restarted
+   while the offscreen document keeps listening.
+============================================================================ */
+
+let session = null;
+
+// Updates are applied one at a time - offscreen events arrive in bursts
+let sessionTask = Promise.resolve();
+
+
+export async function getSession() {
+
+  if (!session) {
+    const stored = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+    session = { ...INITIAL_SESSION, ...stored[SESSION_STORAGE_KEY] };
+  }
+
+  return session;
+}
+
+
+// Merge changes (or changes computed from the current session), persist
+// them and broadcast the snapshot to open popups
+export function updateSession(changes) {
+
+  const task = sessionTask.then(async () => {
+
+    const current = await getSession();
+
+    session = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+
+    await chrome.storage.session.set({ [SESSION_STORAGE_KEY]: session });
+
+    chrome.runtime.sendMessage(createEvent(MESSAGE_TYPES.SESSION_UPDATE, session, 'worker')).catch(() => {});
+
+    syncIndicator(session);
+
+    return session;
+  });
+
+  // A failed update must not block the next one
+  sessionTask = task.catch(() => {});
+
+  return task;
+}
+
+
+/* ============================================================================
+   LISTENING CONTROL
+============================================================================ */
+
+// 'command' opens a command window now, 'wake' waits for the wake phrase.
+// Without a mode the user's always-on setting decides. A held command
+// (push-to-talk) ends on the key release reported by the page indicator.
+export async function startListening(mode = null, { hold = false, shortcut = '' } = {}) {
+
+  const settings = await Settings.load();
+
+  mode = mode || (settings.wakeWordEnabled ? 'wake' : 'command');
+
+  // The user wants to talk - the reply being spoken stops (barge-in)
+  if (mode === 'command') cancelSpeech();
+
+  // Pages content.js cannot run on cannot see the release - use the silence timeout
+  if (hold) {
+    hold = await showIndicator({ state: 'listening', pushToTalk: true, shortcut });
+  }
+
+  try {
+
+    await ensureOffscreenDocument();
+
+    await sendToOffscreen(MESSAGE_TYPES.RECOGNITION_START, { mode, settings, hold });
+
+  } catch (err) {
+    if (hold) showIndicator({ state: 'hidden' });
+    throw err;
+  }
+
+  return updateSession({ wakePhrase: settings.wakePhrase, error: null, hold });
+}
+
+
+// Push-to-talk released: submit what was said so far
+export async function submitCommand() {
+
+  const { phase, hold } = await getSession();
+
+  if (phase !== 'command' || !hold) return;
+
+  await sendToOffscreen(MESSAGE_TYPES.RECOGNITION_SUBMIT, {});
+
+  await updateSession({ hold: false });
+}
+
+
+// Always-on listening goes back to waiting for the wake phrase
+export async function stopListening() {
+
+  const settings = await Settings.load();
+
+  if (settings.wakeWordEnabled) return startListening('wake');
+
+  if (await hasOffscreenDocument()) {
+    await sendToOffscreen(MESSAGE_TYPES.RECOGNITION_STOP, {});
+  }
+
+  return updateSession({ phase: 'idle' });
+}
+
+
+/* ============================================================================
+   OFFSCREEN EVENTS
+============================================================================ */
+
+export async function handleRecognitionEvent({ type, payload }) {
+
+  if (type === MESSAGE_TYPES.TRANSCRIPT) {
+    return updateSession({ transcript: payload.text, isFinal: Boolean(payload.isFinal) });
+  }
+
+  if (type !== MESSAGE_TYPES.RECOGNITION_STATE) return;
+
+  if (payload.error?.type === 'permission-denied') {
+    chrome.tabs.create({ url: chrome.runtime.getURL(PERMISSION_URL) });
+  }
+
+  await updateSession((current) => ({
+    phase: payload.phase,
+
+    ...(payload.phase !== 'command' && { hold: false }),
+
+    // A new command starts with a clean slate (a pending question stays visible)
+    ...(payload.phase === 'command' && current.phase !== 'command' && {
+      transcript: '', isFinal: false, status: 'ready', error: null,
+      ...(!current.confirmation && { response: null })
+    }),
+
+    ...(payload.error && { status: 'error', error: payload.error })
+  }));
+
+  // Releases the microphone (and Chrome's recording indicator)
+  if (payload.phase === 'idle') {
+    await closeOffscreenDocument();
+  }
+}
+
+
+/* ============================================================================
+   IN-PAGE INDICATOR
+   Mirrors the session on the active tab: listening while a command
+   window is open, processing while the command runs.
+============================================================================ */
+
+const indicator = { tabId: null, state: 'hidden' };
+
+
+function indicatorState(session) {
+
+  // The held key counts before the offscreen reports the command phase
+  if (session.phase === 'command' || session.hold) return 'listening';
+
+  if (session.status === 'processing') return 'processing';
+
+  return 'hidden';
+}
+
+
+function syncIndicator(session) {
+
+  const state = indicatorState(session);
+
+  if (state === indicator.state) return;
+
+  showIndicator({ state, pushToTalk: session.hold });
+}
+
+
+// Resolves to whether content.js shows the indicator
+async function showIndicator(payload) {
+
+  const previousTabId = indicator.tabId;
+
+  indicator.state = payload.state;
+
+  try {
+
+    const tabId = payload.state === 'hidden' ? previousTabId : await getActiveTabId();
+
+    indicator.tabId = payload.state === 'hidden' ? null : tabId;
+
+    // The user switched tabs since it was shown
+    if (payload.state !== 'hidden' && previousTabId && previousTabId !== tabId) {
+      sendIndicator(previousTabId, { state: 'hidden' }).catch(() => {});
+    }
+
+    if (!tabId) return false;
+
+    const result = await sendIndicator(tabId, payload);
+
+    return Boolean(result?.shown);
+
+  } catch (err) {
+    console.warn('[Voice] Indicator unavailable:', err.code || '', err.message);
+    return false;
+  }
+}
+
+
+function sendIndicator(tabId, payload) {
+
+  return withTimeout(
+    sendToTab(tabId, MESSAGE_TYPES.LISTENING_INDICATOR, payload),
+    INDICATOR_TIMEOUT,
+    'Listening indicator'
+  );
+}
+
+
+async function getActiveTabId() {
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  return tab?.id || null;
+}
+
+
+// Follow the user to another tab while the indicator is up
+chrome.tabs.onActivated.addListener(async () => {
+
+  if (indicator.state === 'hidden') return;
+
+  const session = await getSession();
+
+  showIndicator({ state: indicatorState(session), pushToTalk: session.hold });
+});
+
+
+/* ============================================================================
+   SETTINGS & STARTUP
+============================================================================ */
+
+Settings.onChange(async (settings) => {
+
+  try {
+
+    const { phase } = await getSession();
+
+    // Refresh the settings without cutting the command short
+    if (phase === 'command') return await startListening('command');
+
+    if (settings.wakeWordEnabled) return await startListening('wake');
+
+    if (phase === 'wake') await stopListening();
+
+  } catch (err) {
+    console.error('[Voice] Applying settings failed:', err);
+  }
+});
+
+
+// Always-on listening resumes with the browser
+async function resumeWakeListening() {
+
+  try {
+
+    const settings = await Settings.load();
+
+    if (settings.wakeWordEnabled) await startListening('wake');
+
+  } catch (err) {
+    console.error('[Voice] Resuming wake listening failed:', err);
+  }
+}
+
+chrome.runtime.onStartup.addListener(resumeWakeListening);
+
+chrome.runtime.onInstalled.addListener(resumeWakeListening);
+
+
+/* ============================================================================
+   OFFSCREEN DOCUMENT
+   Create / close calls are chained - overlapping ones make Chrome throw.
+============================================================================ */
+
+let offscreenTask = Promise.resolve();
+
+
+function queueOffscreenTask(task) {
+
+  offscreenTask = offscreenTask.then(task, task);
+
+  return offscreenTask;
+}
+
+
+async function hasOffscreenDocument() {
+
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+
+  return contexts.length > 0;
+}
+
+
+function ensureOffscreenDocument() {
+
+  return queueOffscreenTask(async () => {
+
+    if (await hasOffscreenDocument()) return;
+
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: [chrome.offscreen.Reason.USER_MEDIA],
+      justification: 'Listens for voice commands while the popup is closed'
+    });
+  });
+}
+
+
+function closeOffscreenDocument() {
+
+  return queueOffscreenTask(async () => {
+
+    if (await hasOffscreenDocument()) await chrome.offscreen.closeDocument();
+  });
+}
+
+
+async function sendToOffscreen(type, payload) {
+
+  const response = await withTimeout(
+    chrome.runtime.sendMessage(createRequest(type, payload, 'worker')),
+    OFFSCREEN_TIMEOUT,
+    type
+  );
+
+  return unwrapResponse(response);
+}
\ No newline at end of file